@@ -0,0 +1,77 @@
+/**
+ * Audio Capture Worklet
+ * Runs on the audio rendering thread: collects microphone samples into
+ * fixed-size chunks and forwards them, stamped with the audio clock, to the
+ * pitch worker. No analysis happens here so the audio thread never glitches.
+ * Chunk size only affects transport latency; the analysis hop is set in the worker.
+ *
+ * Input 0 is the microphone. Input 1 is the app's reference tone as sent to
+ * the speakers; while it is playing, each chunk carries the matching tone
+ * samples so the worker can cancel the tone's echo from the mic signal.
+ */
+
+class CaptureProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+
+        this.chunkSize = options.processorOptions?.chunkSize || 256;
+        this.chunk = new Float32Array(this.chunkSize);
+        this.referenceChunk = new Float32Array(this.chunkSize);
+        this.hasReference = false; // Tone audible somewhere in the current chunk
+        this.writeIndex = 0;
+
+        // Chunks go to the worker port once connected, main thread until then
+        this.target = this.port;
+
+        this.port.onmessage = (e) => {
+            if (e.data.type === 'connect') {
+                this.target = e.data.port;
+            }
+        };
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        if (!input || input.length === 0) {
+            return true; // Source not connected yet, keep the node alive
+        }
+
+        const channel = input[0];
+        // No channels = nothing playing into the reference input
+        const reference = inputs[1] && inputs[1].length > 0 ? inputs[1][0] : null;
+        if (reference) {
+            this.hasReference = true;
+        }
+
+        for (let i = 0; i < channel.length; i++) {
+            this.referenceChunk[this.writeIndex] = reference ? reference[i] : 0;
+            this.chunk[this.writeIndex++] = channel[i];
+
+            if (this.writeIndex === this.chunkSize) {
+                // Audio-clock time (seconds) of the last sample in this chunk
+                const endTime = (currentFrame + i + 1) / sampleRate;
+
+                if (this.hasReference) {
+                    this.target.postMessage(
+                        { type: 'audio', samples: this.chunk, reference: this.referenceChunk, endTime },
+                        [this.chunk.buffer, this.referenceChunk.buffer]
+                    );
+                    this.referenceChunk = new Float32Array(this.chunkSize);
+                } else {
+                    this.target.postMessage(
+                        { type: 'audio', samples: this.chunk, endTime },
+                        [this.chunk.buffer]
+                    );
+                }
+
+                this.chunk = new Float32Array(this.chunkSize);
+                this.hasReference = Boolean(reference);
+                this.writeIndex = 0;
+            }
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('capture-processor', CaptureProcessor);
@@ -0,0 +1,145 @@
+/**
+ * Harmonic Product Spectrum (HPS) Pitch Detection
+ * Multiplies the magnitude spectrum with downsampled copies of itself so
+ * that bins where several harmonics line up stand out as the fundamental.
+ */
+
+import { nextPowerOfTwo } from '../fft.js';
+import { createFFTWorkspace, parabolicInterpolation } from './utils.js';
+
+export class HpsDetector {
+    constructor(sampleRate = 44100) {
+        this.sampleRate = sampleRate;
+        this.harmonics = 5; // Number of spectra in the product
+        this.zeroPadding = 4; // FFT oversampling for finer bin spacing
+        this.minFrequency = 50;
+        this.maxFrequency = 2000;
+        this.peakToAverage = 8; // Fundamental bin must exceed the mean magnitude by this factor
+        this.octaveRatio = 0.6; // Prefer the octave below if its HPS is at least this strong
+
+        this.workspace = null;
+        this.window = null;
+    }
+
+    /**
+     * Detect pitch from audio buffer
+     * @param {Float32Array} buffer - Audio samples
+     * @returns {Object} { frequency, confidence } - frequency is null if no pitch
+     *   detected; confidence is 1 - mean/peak magnitude (0-1)
+     */
+    detect(buffer) {
+        const n = buffer.length;
+        const size = nextPowerOfTwo(n) * this.zeroPadding;
+        const binHz = this.sampleRate / size;
+
+        if (!this.workspace || this.workspace.fft.size !== size) {
+            this.workspace = createFFTWorkspace(size);
+        }
+        if (!this.window || this.window.length !== n) {
+            this.window = hannWindow(n);
+        }
+
+        const { fft, re, im } = this.workspace;
+        for (let i = 0; i < size; i++) {
+            re[i] = i < n ? buffer[i] * this.window[i] : 0;
+            im[i] = 0;
+        }
+        fft.transform(re, im);
+
+        // Magnitude spectrum (reuse re for storage)
+        const half = size / 2;
+        let meanMagnitude = 0;
+        for (let k = 0; k < half; k++) {
+            re[k] = Math.sqrt(re[k] * re[k] + im[k] * im[k]);
+            meanMagnitude += re[k];
+        }
+        meanMagnitude /= half;
+
+        if (meanMagnitude === 0) {
+            return { frequency: null, confidence: 0 };
+        }
+
+        // Log-domain HPS (mean log magnitude = geometric mean across harmonics)
+        const minBin = Math.max(1, Math.floor(this.minFrequency / binHz));
+        const maxBin = Math.min(Math.floor(half / this.harmonics) - 2, Math.ceil(this.maxFrequency / binHz));
+        if (maxBin <= minBin) {
+            return { frequency: null, confidence: 0 };
+        }
+
+        // Floor relative to the spectrum so one missing harmonic doesn't veto a peak
+        const floor = 0.1 * meanMagnitude;
+
+        const hps = im; // Spectrum no longer needs the imaginary part
+        let peakBin = -1;
+        for (let k = minBin - 1; k <= maxBin + 1; k++) {
+            let logSum = 0;
+            for (let h = 1; h <= this.harmonics; h++) {
+                logSum += Math.log(re[k * h] + floor);
+            }
+            hps[k] = logSum / this.harmonics;
+
+            if (k >= minBin && k <= maxBin && (peakBin === -1 || hps[k] > hps[peakBin])) {
+                peakBin = k;
+            }
+        }
+
+        // Octave correction: HPS tends to lock onto 2·f0 when the fundamental is weak
+        const lowerBin = this._localPeak(hps, Math.round(peakBin / 2), minBin);
+        if (lowerBin !== -1 && hps[lowerBin] >= hps[peakBin] + Math.log(this.octaveRatio)) {
+            peakBin = lowerBin;
+        }
+
+        // HPS only locates the fundamental's bin; refine on the magnitude spectrum
+        const fundamentalBin = this._localPeak(re, peakBin, minBin);
+        const confidence = Math.max(0, 1 - meanMagnitude / re[fundamentalBin]);
+
+        if (re[fundamentalBin] < this.peakToAverage * meanMagnitude) {
+            return { frequency: null, confidence }; // Flat spectrum: noise, not a pitched sound
+        }
+
+        return { frequency: this._interpolatePeak(re, fundamentalBin) * binHz, confidence };
+    }
+
+    /**
+     * Largest value within ±2 bins of center
+     * @returns {number} Bin index, or -1 if out of range
+     */
+    _localPeak(values, center, minBin) {
+        let best = -1;
+        for (let k = center - 2; k <= center + 2; k++) {
+            if (k < minBin) continue;
+            if (best === -1 || values[k] > values[best]) {
+                best = k;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Gaussian (log-parabolic) interpolation of a magnitude peak, which is
+     * close to exact for Hann-windowed sinusoids
+     * @returns {number} Fractional bin
+     */
+    _interpolatePeak(magnitude, bin) {
+        const logs = [
+            Math.log(magnitude[bin - 1] + 1e-12),
+            Math.log(magnitude[bin] + 1e-12),
+            Math.log(magnitude[bin + 1] + 1e-12)
+        ];
+        return bin - 1 + parabolicInterpolation(logs, 1);
+    }
+
+    reset() {}
+}
+
+/**
+ * @param {number} length
+ * @returns {Float32Array} Hann window
+ */
+function hannWindow(length) {
+    const window = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+        window[i] = 0.5 * (1 - Math.cos((2 * Math.PI * i) / (length - 1)));
+    }
+    return window;
+}
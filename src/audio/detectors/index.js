@@ -0,0 +1,50 @@
+/**
+ * Pitch Detector Registry
+ * Every algorithm implements the same interface:
+ *   detect(buffer: Float32Array) -> { frequency: number|null, confidence: 0-1,
+ *                                     candidates?: [{ frequency, confidence }] }
+ *   reset() -> clears any per-stream state
+ * Algorithms that use a YIN-style threshold expose a `threshold` property.
+ */
+
+import { YinDetector } from './yin.js';
+import { McLeodDetector } from './mpm.js';
+import { PYinDetector } from './pyin.js';
+import { HpsDetector } from './hps.js';
+
+const registry = new Map();
+
+/**
+ * Register a pitch detection algorithm
+ * @param {string} id - Unique identifier (used in settings)
+ * @param {string} label - Human-readable name for the menu
+ * @param {Function} factory - (sampleRate) => detector instance
+ */
+export function registerDetector(id, label, factory) {
+    registry.set(id, { id, label, factory });
+}
+
+/**
+ * Create a detector instance
+ * @param {string} id - Algorithm identifier
+ * @param {number} sampleRate - Sample rate in Hz
+ */
+export function createDetector(id, sampleRate) {
+    const entry = registry.get(id);
+    if (!entry) {
+        throw new Error(`Unknown pitch detection algorithm: ${id}`);
+    }
+    return entry.factory(sampleRate);
+}
+
+/**
+ * @returns {Array} Array of { id, label } in registration order
+ */
+export function listDetectors() {
+    return Array.from(registry.values(), ({ id, label }) => ({ id, label }));
+}
+
+registerDetector('yin', 'YIN', (sampleRate) => new YinDetector(sampleRate));
+registerDetector('mpm', 'McLeod (MPM)', (sampleRate) => new McLeodDetector(sampleRate));
+registerDetector('pyin', 'Probabilistic YIN', (sampleRate) => new PYinDetector(sampleRate));
+registerDetector('hps', 'Harmonic Product Spectrum', (sampleRate) => new HpsDetector(sampleRate));
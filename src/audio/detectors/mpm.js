@@ -0,0 +1,144 @@
+/**
+ * McLeod Pitch Method (MPM)
+ * Reference: McLeod & Wyvill, "A Smarter Way to Find Pitch" (ICMC 2005)
+ */
+
+import { nextPowerOfTwo } from '../fft.js';
+import { createFFTWorkspace, parabolicInterpolation } from './utils.js';
+
+export class McLeodDetector {
+    constructor(sampleRate = 44100) {
+        this.sampleRate = sampleRate;
+        this.cutoff = 0.93; // Pick the first key maximum within this fraction of the highest
+        this.minClarity = 0.5; // Highest NSDF peak must reach this to count as pitched
+        this.minFrequency = 50; // Search range (set from the active voice preset)
+        this.maxFrequency = 2000;
+        this.workspace = null;
+    }
+
+    /**
+     * Detect pitch from audio buffer
+     * @param {Float32Array} buffer - Audio samples
+     * @returns {Object} { frequency, confidence, candidates } - frequency is null
+     *   if no pitch detected; confidence is the clarity (NSDF peak height, 0-1);
+     *   candidates lists every key maximum above minClarity
+     */
+    detect(buffer) {
+        const nsdf = this._normalizedSquareDifference(buffer);
+
+        const minTau = this.sampleRate / this.maxFrequency;
+        const maxTau = this.sampleRate / this.minFrequency;
+        const maxima = this._keyMaxima(nsdf).filter(t => t >= minTau && t <= maxTau);
+
+        if (maxima.length === 0) {
+            return { frequency: null, confidence: 0, candidates: [] };
+        }
+
+        let highest = 0;
+        for (const tau of maxima) {
+            highest = Math.max(highest, nsdf[tau]);
+        }
+
+        if (highest < this.minClarity) {
+            return { frequency: null, confidence: Math.max(0, highest), candidates: [] };
+        }
+
+        const threshold = this.cutoff * highest;
+        const tau = maxima.find(t => nsdf[t] >= threshold);
+
+        const candidates = maxima
+            .filter(t => nsdf[t] >= this.minClarity)
+            .map(t => ({
+                frequency: this.sampleRate / parabolicInterpolation(nsdf, t),
+                confidence: Math.min(1, nsdf[t])
+            }));
+
+        return {
+            frequency: this.sampleRate / parabolicInterpolation(nsdf, tau),
+            confidence: Math.min(1, nsdf[tau]),
+            candidates
+        };
+    }
+
+    /**
+     * Normalized square difference function n'(τ) = 2·r(τ) / m(τ)
+     * r(τ) via FFT autocorrelation, m(τ) updated incrementally
+     * @returns {Float32Array} NSDF for τ in [0, buffer.length / 2)
+     */
+    _normalizedSquareDifference(buffer) {
+        const n = buffer.length;
+        const maxLag = Math.floor(n / 2);
+
+        // Zero-pad to 2N so the circular autocorrelation doesn't wrap
+        const size = nextPowerOfTwo(2 * n);
+        if (!this.workspace || this.workspace.fft.size !== size) {
+            this.workspace = createFFTWorkspace(size);
+        }
+        const { fft, re, im } = this.workspace;
+
+        for (let i = 0; i < size; i++) {
+            re[i] = i < n ? buffer[i] : 0;
+            im[i] = 0;
+        }
+
+        fft.transform(re, im);
+        for (let k = 0; k < size; k++) {
+            re[k] = re[k] * re[k] + im[k] * im[k];
+            im[k] = 0;
+        }
+        fft.inverseTransform(re, im);
+
+        const nsdf = new Float32Array(maxLag);
+
+        let m = 0;
+        for (let i = 0; i < n; i++) {
+            m += buffer[i] * buffer[i];
+        }
+        m *= 2;
+
+        for (let tau = 0; tau < maxLag; tau++) {
+            if (tau > 0) {
+                const head = buffer[tau - 1];
+                const tail = buffer[n - tau];
+                m -= head * head + tail * tail;
+            }
+            nsdf[tau] = m > 0 ? (2 * re[tau]) / m : 0;
+        }
+
+        return nsdf;
+    }
+
+    /**
+     * Highest maximum between each positive-going and negative-going zero
+     * crossing, skipping the initial lobe around τ = 0
+     * @returns {number[]} Lags of key maxima
+     */
+    _keyMaxima(nsdf) {
+        const maxima = [];
+
+        let tau = 1;
+        while (tau < nsdf.length && nsdf[tau] > 0) {
+            tau++;
+        }
+
+        let bestTau = -1;
+        for (; tau < nsdf.length - 1; tau++) {
+            if (nsdf[tau] > 0) {
+                if (bestTau === -1 || nsdf[tau] > nsdf[bestTau]) {
+                    bestTau = tau;
+                }
+            } else if (bestTau !== -1) {
+                maxima.push(bestTau);
+                bestTau = -1;
+            }
+        }
+
+        if (bestTau !== -1) {
+            maxima.push(bestTau);
+        }
+
+        return maxima;
+    }
+
+    reset() {}
+}
@@ -0,0 +1,190 @@
+/**
+ * Probabilistic YIN (pYIN)
+ * Reference: Mauch & Dixon, "pYIN: A Fundamental Frequency Estimator Using
+ * Probabilistic Threshold Distributions" (ICASSP 2014)
+ *
+ * Instead of one YIN threshold, a Beta(2, 18) distribution over thresholds
+ * yields several weighted period candidates per frame. An online HMM then
+ * picks the candidate that best continues the previous frames.
+ */
+
+import { nextPowerOfTwo } from '../fft.js';
+import { createFFTWorkspace, parabolicInterpolation } from './utils.js';
+import { differenceFunction, cumulativeMeanNormalizedDifference } from './yin.js';
+
+const THRESHOLD_COUNT = 100; // Thresholds 0.01 .. 1.00
+const BETA_A = 2;
+const BETA_B = 18;
+const ABSOLUTE_MIN_WEIGHT = 0.01; // Weight for the global minimum when no dip is below threshold
+
+// Prior probability of each threshold (normalized Beta(2, 18) density)
+const THRESHOLD_PRIOR = (() => {
+    const prior = new Float64Array(THRESHOLD_COUNT);
+    let total = 0;
+    for (let i = 0; i < THRESHOLD_COUNT; i++) {
+        const s = (i + 1) / THRESHOLD_COUNT;
+        prior[i] = Math.pow(s, BETA_A - 1) * Math.pow(1 - s, BETA_B - 1);
+        total += prior[i];
+    }
+    for (let i = 0; i < THRESHOLD_COUNT; i++) {
+        prior[i] /= total;
+    }
+    return prior;
+})();
+
+export class PYinDetector {
+    constructor(sampleRate = 44100) {
+        this.sampleRate = sampleRate;
+        this.minFrequency = 50; // Search range (set from the active voice preset)
+        this.maxFrequency = 2000;
+        this.workspace = null;
+
+        // HMM parameters
+        this.semitoneCost = 0.5; // Log-probability penalty per semitone of pitch change
+        this.voicingSwitchCost = 2; // Log-probability penalty for voiced <-> unvoiced
+        this.maxCandidates = 5;
+
+        this.previousStates = null;
+    }
+
+    /**
+     * Detect pitch from audio buffer
+     * @param {Float32Array} buffer - Audio samples
+     * @returns {Object} { frequency, confidence, candidates } - frequency is null
+     *   if no pitch detected; confidence is the voiced probability of the frame
+     *   (0-1); candidates are the threshold-weighted periods
+     */
+    detect(buffer) {
+        const size = nextPowerOfTwo(buffer.length);
+        if (!this.workspace || this.workspace.fft.size !== size) {
+            this.workspace = createFFTWorkspace(size);
+        }
+
+        const cmndf = cumulativeMeanNormalizedDifference(differenceFunction(buffer, this.workspace));
+        const candidates = this._candidates(cmndf);
+        const voicedProbability = candidates.reduce((sum, c) => sum + c.probability, 0);
+
+        return {
+            frequency: this._decode(candidates, voicedProbability),
+            confidence: Math.min(1, voicedProbability),
+            candidates: candidates.map(c => ({ frequency: c.frequency, confidence: c.probability }))
+        };
+    }
+
+    /**
+     * Weighted period candidates from the threshold distribution
+     * @returns {Array} Array of { frequency, probability }, highest probability first
+     */
+    _candidates(cmndf) {
+        // Same lag bounds as YIN for the configured frequency range
+        const minTau = Math.max(2, Math.floor(this.sampleRate / this.maxFrequency));
+        const maxTau = Math.min(cmndf.length - 1, Math.ceil(this.sampleRate / this.minFrequency) + 1);
+
+        // Local minima (dips) in order of increasing tau
+        const dips = [];
+        let globalMin = -1;
+        for (let tau = minTau; tau < maxTau; tau++) {
+            if (cmndf[tau] < cmndf[tau - 1] && cmndf[tau] <= cmndf[tau + 1]) {
+                dips.push(tau);
+                if (globalMin === -1 || cmndf[tau] < cmndf[globalMin]) {
+                    globalMin = tau;
+                }
+            }
+        }
+
+        if (dips.length === 0) {
+            return [];
+        }
+
+        // For threshold s, YIN picks the first dip with cmndf < s. Dip i therefore
+        // wins every threshold in (cmndf[dip i], min over earlier dips].
+        const weights = new Map();
+        let earlierMin = Infinity;
+        for (const tau of dips) {
+            const value = cmndf[tau];
+            if (value < earlierMin) {
+                let weight = 0;
+                for (let i = 0; i < THRESHOLD_COUNT; i++) {
+                    const s = (i + 1) / THRESHOLD_COUNT;
+                    if (s > value && s <= earlierMin) {
+                        weight += THRESHOLD_PRIOR[i];
+                    }
+                }
+                if (weight > 0) {
+                    weights.set(tau, weight);
+                }
+                earlierMin = value;
+            }
+        }
+
+        // Thresholds below every dip fall back to the global minimum
+        let belowAll = 0;
+        for (let i = 0; i < THRESHOLD_COUNT; i++) {
+            if ((i + 1) / THRESHOLD_COUNT <= cmndf[globalMin]) {
+                belowAll += THRESHOLD_PRIOR[i];
+            }
+        }
+        if (belowAll > 0) {
+            weights.set(globalMin, (weights.get(globalMin) || 0) + belowAll * ABSOLUTE_MIN_WEIGHT);
+        }
+
+        return Array.from(weights, ([tau, probability]) => ({
+            frequency: this.sampleRate / parabolicInterpolation(cmndf, tau),
+            probability
+        }))
+            .sort((a, b) => b.probability - a.probability)
+            .slice(0, this.maxCandidates);
+    }
+
+    /**
+     * Online Viterbi step over { candidates, unvoiced }
+     * @returns {number|null} Frequency of the best current state
+     */
+    _decode(candidates, voicedProbability) {
+        const states = candidates.map(c => ({
+            frequency: c.frequency,
+            observation: Math.log(c.probability)
+        }));
+        states.push({
+            frequency: null,
+            observation: Math.log(Math.max(1e-6, 1 - voicedProbability))
+        });
+
+        for (const state of states) {
+            if (!this.previousStates) {
+                state.score = state.observation;
+                continue;
+            }
+
+            let best = -Infinity;
+            for (const prev of this.previousStates) {
+                best = Math.max(best, prev.score + this._transition(prev.frequency, state.frequency));
+            }
+            state.score = best + state.observation;
+        }
+
+        // Renormalize so scores don't drift toward -Infinity
+        const top = states.reduce((a, b) => (b.score > a.score ? b : a));
+        for (const state of states) {
+            state.score -= top.score;
+        }
+
+        this.previousStates = states;
+        return top.frequency;
+    }
+
+    /**
+     * Log transition probability between two states (null = unvoiced)
+     */
+    _transition(fromFrequency, toFrequency) {
+        if (fromFrequency === null && toFrequency === null) return 0;
+        if (fromFrequency === null || toFrequency === null) return -this.voicingSwitchCost;
+
+        const semitones = Math.abs(12 * Math.log2(toFrequency / fromFrequency));
+        return -this.semitoneCost * semitones;
+    }
+
+    reset() {
+        this.previousStates = null;
+    }
+}
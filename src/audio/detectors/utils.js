@@ -0,0 +1,41 @@
+/**
+ * Shared helpers for pitch detection algorithms
+ */
+
+import { FFT } from '../fft.js';
+
+/**
+ * Allocate FFT tables plus scratch arrays for one transform size
+ * @param {number} size - Transform size (power of two)
+ * @returns {Object} { fft, re, im }
+ */
+export function createFFTWorkspace(size) {
+    return {
+        fft: new FFT(size),
+        re: new Float64Array(size),
+        im: new Float64Array(size)
+    };
+}
+
+/**
+ * Parabolic interpolation around an extremum for sub-sample precision
+ * @param {ArrayLike<number>} values - Sampled curve
+ * @param {number} index - Index of the local minimum or maximum
+ * @returns {number} Refined (fractional) index
+ */
+export function parabolicInterpolation(values, index) {
+    if (index <= 0 || index >= values.length - 1) {
+        return index;
+    }
+
+    const s0 = values[index - 1];
+    const s1 = values[index];
+    const s2 = values[index + 1];
+
+    const denominator = 2 * (2 * s1 - s2 - s0);
+    if (denominator === 0) {
+        return index;
+    }
+
+    return index + (s2 - s0) / denominator;
+}
@@ -0,0 +1,238 @@
+/**
+ * YIN Pitch Detection
+ * Reference: http://audition.ens.fr/adc/pdf/2002_JASA_YIN.pdf
+ */
+
+import { nextPowerOfTwo } from '../fft.js';
+import { createFFTWorkspace, parabolicInterpolation } from './utils.js';
+
+export class YinDetector {
+    constructor(sampleRate = 44100) {
+        this.sampleRate = sampleRate;
+        this.threshold = 0.15; // YIN threshold for pitch detection (lower = more sensitive)
+        this.minFrequency = 50; // Search range (set from the active voice preset)
+        this.maxFrequency = 2000;
+        this.candidateThreshold = 0.5; // Dips below this are reported as alternative candidates
+        this.maxCandidates = 5;
+        this.verbose = true; // Log each detection
+        this.workspace = null;
+    }
+
+    /**
+     * Detect pitch from audio buffer
+     * @param {Float32Array} buffer - Audio samples
+     * @returns {Object} { frequency, confidence, candidates } - frequency is null
+     *   if no pitch detected; confidence is 1 - CMNDF minimum (0-1); candidates
+     *   lists other plausible periods as { frequency, confidence }
+     */
+    detect(buffer) {
+        // Step 1: Difference function
+        const yinBuffer = this._differenceFunction(buffer);
+
+        // Step 2: Cumulative mean normalized difference
+        const cmndf = cumulativeMeanNormalizedDifference(yinBuffer);
+
+        // Step 3: Find absolute threshold
+        const tau = this._absoluteThreshold(cmndf);
+
+        if (tau === -1) {
+            // No pitch detected: report how close the best dip came
+            return {
+                frequency: null,
+                confidence: this._confidence(cmndf, this._globalMinimum(cmndf)),
+                candidates: this._candidates(cmndf)
+            };
+        }
+
+        // Step 4: Parabolic interpolation for better precision
+        const betterTau = parabolicInterpolation(cmndf, tau);
+
+        // Convert period (tau) to frequency
+        const pitch = this.sampleRate / betterTau;
+
+        if (this.verbose) console.log(`[YIN] tau=${tau}, betterTau=${betterTau.toFixed(2)}, sampleRate=${this.sampleRate}, pitch=${pitch.toFixed(2)} Hz`);
+
+        return {
+            frequency: pitch,
+            confidence: this._confidence(cmndf, tau),
+            candidates: this._candidates(cmndf)
+        };
+    }
+
+    /**
+     * CMNDF dips below candidateThreshold, strongest first
+     * @returns {Array} Array of { frequency, confidence }
+     */
+    _candidates(cmndf) {
+        const [minTau, maxTau] = this._tauRange(cmndf);
+        const dips = [];
+
+        for (let tau = minTau; tau < maxTau; tau++) {
+            if (cmndf[tau] < this.candidateThreshold &&
+                cmndf[tau] < cmndf[tau - 1] && cmndf[tau] <= cmndf[tau + 1]) {
+                dips.push(tau);
+            }
+        }
+
+        return dips
+            .sort((a, b) => cmndf[a] - cmndf[b])
+            .slice(0, this.maxCandidates)
+            .map(tau => ({
+                frequency: this.sampleRate / parabolicInterpolation(cmndf, tau),
+                confidence: this._confidence(cmndf, tau)
+            }));
+    }
+
+    /**
+     * Map a CMNDF value to 0-1 confidence (0 = aperiodic, 1 = perfectly periodic)
+     */
+    _confidence(cmndf, tau) {
+        if (tau === -1) return 0;
+        return Math.max(0, Math.min(1, 1 - cmndf[tau]));
+    }
+
+    /**
+     * Lowest CMNDF value in the searched range
+     * @returns {number} tau, or -1 if the range is empty
+     */
+    _globalMinimum(cmndf) {
+        const [minTau, maxTau] = this._tauRange(cmndf);
+        let best = -1;
+        for (let tau = minTau; tau < maxTau; tau++) {
+            if (best === -1 || cmndf[tau] < cmndf[best]) {
+                best = tau;
+            }
+        }
+        return best;
+    }
+
+    _differenceFunction(buffer) {
+        const size = nextPowerOfTwo(buffer.length);
+        if (!this.workspace || this.workspace.fft.size !== size) {
+            this.workspace = createFFTWorkspace(size);
+        }
+        return differenceFunction(buffer, this.workspace);
+    }
+
+    /**
+     * Find first tau below threshold (step 3 of YIN)
+     */
+    _absoluteThreshold(cmndf) {
+        // Only search periods inside the configured frequency range; the
+        // tracker handles remaining octave errors
+        const [minTau, maxTau] = this._tauRange(cmndf);
+
+        for (let tau = minTau; tau < maxTau; tau++) {
+            if (cmndf[tau] < this.threshold) {
+                // Find local minimum
+                while (tau + 1 < maxTau && cmndf[tau + 1] < cmndf[tau]) {
+                    tau++;
+                }
+                return tau;
+            }
+        }
+
+        return -1; // No pitch found
+    }
+
+    /**
+     * Lag search bounds for the configured frequency range
+     * @returns {number[]} [minTau, maxTau) clamped to the CMNDF length
+     */
+    _tauRange(cmndf) {
+        const minTau = Math.max(2, Math.floor(this.sampleRate / this.maxFrequency));
+        const maxTau = Math.min(cmndf.length - 1, Math.ceil(this.sampleRate / this.minFrequency) + 1);
+        return [minTau, maxTau];
+    }
+
+    reset() {}
+}
+
+/**
+ * Compute difference function (step 1 of YIN)
+ *
+ * d(τ) = Σ(x[i] - x[i+τ])² is expanded into two energy terms and a
+ * cross-correlation: d(τ) = E(0) + E(τ) - 2·r(τ). r(τ) comes from one FFT
+ * round trip and E(τ) is updated incrementally, giving O(N log N) instead
+ * of O(N²).
+ *
+ * @param {Float32Array} buffer - Audio samples
+ * @param {Object} workspace - FFT workspace sized nextPowerOfTwo(buffer.length)
+ * @returns {Float32Array} d(τ) for τ in [0, buffer.length / 2)
+ */
+export function differenceFunction(buffer, workspace) {
+    const n = buffer.length;
+    const windowSize = Math.floor(n / 2);
+    const yinBuffer = new Float32Array(windowSize);
+
+    const { fft, re, im } = workspace;
+    const size = fft.size;
+
+    // Pack both real signals into one complex transform:
+    // real = first window (zero-padded), imag = whole buffer
+    for (let i = 0; i < size; i++) {
+        re[i] = i < windowSize ? buffer[i] : 0;
+        im[i] = i < n ? buffer[i] : 0;
+    }
+
+    fft.transform(re, im);
+
+    // Unpack the two spectra (A = window, X = buffer) and form conj(A)·X.
+    // Since both signals are real, bin size-k is the conjugate of bin k.
+    for (let k = 0; k <= size / 2; k++) {
+        const m = (size - k) % size;
+
+        const ar = (re[k] + re[m]) / 2;
+        const ai = (im[k] - im[m]) / 2;
+        const xr = (im[k] + im[m]) / 2;
+        const xi = (re[m] - re[k]) / 2;
+
+        const pr = ar * xr + ai * xi;
+        const pi = ar * xi - ai * xr;
+
+        re[k] = pr;
+        im[k] = pi;
+        re[m] = pr;
+        im[m] = -pi;
+    }
+
+    // No wrap-around: i + τ < 2·windowSize <= size for every term
+    fft.inverseTransform(re, im);
+
+    let windowEnergy = 0;
+    for (let i = 0; i < windowSize; i++) {
+        windowEnergy += buffer[i] * buffer[i];
+    }
+
+    let shiftedEnergy = windowEnergy;
+    for (let tau = 0; tau < windowSize; tau++) {
+        if (tau > 0) {
+            const leaving = buffer[tau - 1];
+            const entering = buffer[tau - 1 + windowSize];
+            shiftedEnergy += entering * entering - leaving * leaving;
+        }
+
+        // Clamp rounding noise around zero (d(τ) is a sum of squares)
+        yinBuffer[tau] = Math.max(0, windowEnergy + shiftedEnergy - 2 * re[tau]);
+    }
+
+    return yinBuffer;
+}
+
+/**
+ * Cumulative mean normalized difference (step 2 of YIN)
+ * @param {Float32Array} yinBuffer - Difference function
+ * @returns {Float32Array}
+ */
+export function cumulativeMeanNormalizedDifference(yinBuffer) {
+    const cmndf = new Float32Array(yinBuffer.length);
+    cmndf[0] = 1;
+
+    let runningSum = 0;
+    for (let tau = 1; tau < yinBuffer.length; tau++) {
+        runningSum += yinBuffer[tau];
+        cmndf[tau] = runningSum > 0 ? yinBuffer[tau] / (runningSum / tau) : 1;
+    }
+
+    return cmndf;
+}
@@ -0,0 +1,292 @@
+/**
+ * Reference Tone Echo Canceller
+ * Removes the app's own reference tone from the microphone signal when it is
+ * picked up from the speakers, so the detector keeps hearing only the singer.
+ *
+ * Partitioned-block frequency-domain adaptive filter (overlap-save): the tone
+ * as sent to the speakers is the reference, the filter learns the speaker ->
+ * room -> microphone path and the estimated echo is subtracted.
+ *
+ * Singing along to a drone is the normal case, and a voice at the tone's
+ * pitch is correlated with the tone, so the filter must not adapt while the
+ * singer is heard (double talk) or it learns to cancel the voice. Until the
+ * echo path is learned the filter adapts freely (the count-in helps: clicks
+ * are heard before anyone sings); afterwards it adapts slowly, and only while
+ * the residual is near the best residual seen recently. A voice raises the
+ * residual; the mic level alone can't tell, since a voice in unison with the
+ * tone beats against its echo.
+ */
+
+import { FFT } from './fft.js';
+
+export class EchoCanceller {
+    /**
+     * @param {number} sampleRate - Hz
+     * @param {number} blockSize - Samples per process() call (power of two)
+     */
+    constructor(sampleRate, blockSize = 256) {
+        this.sampleRate = sampleRate;
+        this.blockSize = blockSize;
+        this.fftSize = blockSize * 2;
+        this.fft = new FFT(this.fftSize);
+
+        this.filterMs = 120; // Echo path length covered beyond the bulk delay
+        this.stepSize = 0.3; // While learning the echo path
+        this.trackingStepSize = 0.02; // Once learned: follow slow changes only
+        this.powerSmoothing = 0.8; // Per-block smoothing of the power estimates
+        this.regularization = 2; // Step normalization floor, relative to the mean reference power
+        this.doubleTalkMargin = 4; // Residual this far above its floor means someone is singing
+        this.floorRecovery = 1.001; // Per block; lets the floor follow a changed echo path (x2 in ~4s)
+        this.convergedRatio = 0.25; // Residual/mic level below which the path counts as learned
+        this.convergeBlocks = Math.ceil(0.5 * sampleRate / blockSize); // ...for this long
+        this.partitions = Math.ceil((this.filterMs / 1000) * sampleRate / blockSize);
+
+        // Reference delay line: the tone reaches the mic only after output latency
+        this.delayLine = new Float32Array(Math.ceil(sampleRate / 2)); // Up to 0.5s
+        this.writeIndex = 0;
+        this.delaySamples = 0;
+
+        const spectra = () => Array.from({ length: this.partitions }, () => ({
+            re: new Float64Array(this.fftSize),
+            im: new Float64Array(this.fftSize)
+        }));
+        this.weights = spectra(); // Filter, one spectrum per partition
+        this.history = spectra(); // Reference spectra, newest first
+
+        this.previousReference = new Float64Array(blockSize);
+        this.referencePower = new Float64Array(this.fftSize);
+
+        // Block levels (smoothed mean square) for double-talk detection
+        this.micLevel = 0;
+        this.echoLevel = 0;
+        this.errorLevel = 0;
+        this.convergedCount = 0;
+        this.isConverged = false;
+        this.residualFloor = Infinity; // Lowest residual/echo level ratio seen
+
+        this.re = new Float64Array(this.fftSize);
+        this.im = new Float64Array(this.fftSize);
+    }
+
+    /**
+     * Bulk delay between the reference and its echo in the mic signal
+     * @param {number} ms - Known output + input latency (the filter covers the rest)
+     */
+    setDelay(ms) {
+        const samples = Math.round((ms / 1000) * this.sampleRate);
+        this.delaySamples = Math.max(0, Math.min(this.delayLine.length - this.blockSize, samples));
+    }
+
+    /**
+     * Forget the learned echo path (e.g. after changing the input device)
+     */
+    reset() {
+        this.weights.forEach(({ re, im }) => { re.fill(0); im.fill(0); });
+        this.history.forEach(({ re, im }) => { re.fill(0); im.fill(0); });
+        this.delayLine.fill(0);
+        this.previousReference.fill(0);
+        this.referencePower.fill(0);
+        this.micLevel = 0;
+        this.echoLevel = 0;
+        this.errorLevel = 0;
+        this.convergedCount = 0;
+        this.isConverged = false;
+        this.residualFloor = Infinity;
+    }
+
+    /**
+     * Cancel one block
+     * @param {Float32Array} mic - blockSize microphone samples
+     * @param {Float32Array|null} reference - blockSize samples of the tone as
+     *   played (null = silent)
+     * @returns {Float32Array} Microphone signal with the tone's echo removed
+     */
+    process(mic, reference) {
+        const B = this.blockSize;
+        const N = this.fftSize;
+        const bins = B + 1; // Real signals: bins above B mirror the ones below
+        const { re, im } = this;
+
+        const delayed = this.delayReference(reference);
+
+        // Newest reference spectrum from the last two blocks (overlap-save)
+        const oldest = this.history.pop();
+        for (let i = 0; i < B; i++) {
+            oldest.re[i] = this.previousReference[i];
+            oldest.re[i + B] = delayed[i];
+        }
+        oldest.im.fill(0);
+        this.fft.transform(oldest.re, oldest.im);
+        this.history.unshift(oldest);
+        this.previousReference.set(delayed);
+
+        // Echo estimate: sum of partition filters applied to past reference spectra
+        re.fill(0);
+        im.fill(0);
+        for (let p = 0; p < this.partitions; p++) {
+            const w = this.weights[p];
+            const x = this.history[p];
+            for (let k = 0; k < bins; k++) {
+                re[k] += w.re[k] * x.re[k] - w.im[k] * x.im[k];
+                im[k] += w.re[k] * x.im[k] + w.im[k] * x.re[k];
+            }
+        }
+        mirrorSpectrum(re, im, N);
+        this.fft.inverseTransform(re, im);
+
+        const output = new Float32Array(B);
+        let micSum = 0;
+        let echoSum = 0;
+        let errorSum = 0;
+        let referenceSum = 0;
+        for (let i = 0; i < B; i++) {
+            const echo = re[i + B];
+            output[i] = mic[i] - echo;
+            micSum += mic[i] * mic[i];
+            echoSum += echo * echo;
+            errorSum += output[i] * output[i];
+            referenceSum += delayed[i] * delayed[i];
+        }
+
+        const adaptRate = this.updateLevels(micSum / B, echoSum / B, errorSum / B, referenceSum > 0);
+        if (adaptRate > 0) {
+            this.adapt(output, adaptRate);
+        }
+
+        return output;
+    }
+
+    /**
+     * Track levels and decide how fast to adapt this block
+     * @returns {number} Step size (0 = frozen)
+     */
+    updateLevels(micPower, echoPower, errorPower, hasReference) {
+        const a = this.powerSmoothing;
+        this.micLevel = a * this.micLevel + (1 - a) * micPower;
+        this.echoLevel = a * this.echoLevel + (1 - a) * echoPower;
+        this.errorLevel = a * this.errorLevel + (1 - a) * errorPower;
+
+        // Nothing to learn from silence
+        if (!hasReference) return 0;
+
+        if (!this.isConverged) {
+            this.convergedCount = this.errorLevel < this.convergedRatio * this.micLevel
+                ? this.convergedCount + 1
+                : 0;
+            this.isConverged = this.convergedCount >= this.convergeBlocks;
+            return this.stepSize;
+        }
+
+        const residual = this.errorLevel / (this.echoLevel + 1e-12);
+        this.residualFloor = Math.min(residual, this.residualFloor * this.floorRecovery);
+
+        const doubleTalk = residual > this.doubleTalkMargin * this.residualFloor;
+        return doubleTalk ? 0 : this.trackingStepSize;
+    }
+
+    /**
+     * Frequency-domain filter update from this block's error
+     * @param {Float32Array} output - Error signal (mic minus echo estimate)
+     * @param {number} stepSize
+     */
+    adapt(output, stepSize) {
+        const B = this.blockSize;
+        const bins = B + 1;
+        const { re, im } = this;
+
+        // Error spectrum (zeros first, so the gradient is a causal correlation)
+        for (let i = 0; i < B; i++) {
+            re[i] = 0;
+            re[i + B] = output[i];
+        }
+        im.fill(0);
+        this.fft.transform(re, im);
+
+        // Reference power per bin, for step normalization
+        const x0 = this.history[0];
+        const a = this.powerSmoothing;
+        let meanPower = 0;
+        for (let k = 0; k < bins; k++) {
+            this.referencePower[k] = a * this.referencePower[k] + (1 - a) * (x0.re[k] ** 2 + x0.im[k] ** 2);
+            meanPower += this.referencePower[k];
+        }
+        // A pure tone puts nearly all its power in a few bins: normalized by
+        // their own power alone, the bins beside them take huge steps that the
+        // gradient constraint leaks back into the tone's bins
+        const regularizer = this.partitions * this.regularization * meanPower / bins + 1e-9;
+
+        // Filter update: W += mu * conj(X) * E / (partitions * Px + delta)
+        for (let k = 0; k < bins; k++) {
+            const gain = stepSize / (this.partitions * this.referencePower[k] + regularizer);
+            const er = re[k] * gain;
+            const ei = im[k] * gain;
+
+            for (let p = 0; p < this.partitions; p++) {
+                const w = this.weights[p];
+                const x = this.history[p];
+                w.re[k] += x.re[k] * er + x.im[k] * ei;
+                w.im[k] += x.re[k] * ei - x.im[k] * er;
+            }
+        }
+
+        for (let p = 0; p < this.partitions; p++) {
+            this.constrainPartition(p);
+        }
+    }
+
+    /**
+     * Write the reference into the delay line and read the delayed block
+     * @param {Float32Array|null} reference
+     * @returns {Float64Array} Delayed block
+     */
+    delayReference(reference) {
+        const size = this.delayLine.length;
+        const B = this.blockSize;
+
+        for (let i = 0; i < B; i++) {
+            this.delayLine[(this.writeIndex + i) % size] = reference ? reference[i] : 0;
+        }
+
+        const delayed = new Float64Array(B);
+        const readIndex = this.writeIndex - this.delaySamples + size;
+        for (let i = 0; i < B; i++) {
+            delayed[i] = this.delayLine[(readIndex + i) % size];
+        }
+
+        this.writeIndex = (this.writeIndex + B) % size;
+        return delayed;
+    }
+
+    /**
+     * Keep one partition a linear (not circular) convolution: zero the second
+     * half of its impulse response. Run on every partition after every update:
+     * left circular between turns, partitions cost much of the cancellation
+     * of tones near a bin centre.
+     * @param {number} p - Partition index
+     */
+    constrainPartition(p) {
+        const { re, im } = this.weights[p];
+        const N = this.fftSize;
+
+        mirrorSpectrum(re, im, N);
+        this.fft.inverseTransform(re, im);
+        for (let i = this.blockSize; i < N; i++) {
+            re[i] = 0;
+        }
+        im.fill(0);
+        this.fft.transform(re, im);
+    }
+}
+
+/**
+ * Fill bins above N/2 with the complex conjugate of the bins below, as for
+ * the spectrum of a real signal
+ */
+function mirrorSpectrum(re, im, N) {
+    for (let k = 1; k < N / 2; k++) {
+        re[N - k] = re[k];
+        im[N - k] = -im[k];
+    }
+    im[0] = 0;
+    im[N / 2] = 0;
+}
@@ -0,0 +1,127 @@
+/**
+ * Radix-2 Fast Fourier Transform
+ * In-place iterative Cooley-Tukey on separate real/imaginary arrays, with
+ * twiddle factors and bit-reversal permutation precomputed per size.
+ */
+
+export class FFT {
+    /**
+     * @param {number} size - Transform length (must be a power of two)
+     */
+    constructor(size) {
+        if (!isPowerOfTwo(size)) {
+            throw new Error(`FFT size must be a power of two, got ${size}`);
+        }
+
+        this.size = size;
+
+        // Twiddle factors for the forward transform: e^(-2πik/N)
+        this.cosTable = new Float64Array(size / 2);
+        this.sinTable = new Float64Array(size / 2);
+        for (let k = 0; k < size / 2; k++) {
+            this.cosTable[k] = Math.cos((2 * Math.PI * k) / size);
+            this.sinTable[k] = -Math.sin((2 * Math.PI * k) / size);
+        }
+
+        // Bit-reversal permutation
+        this.reverse = new Uint32Array(size);
+        const bits = Math.log2(size);
+        for (let i = 0; i < size; i++) {
+            let reversed = 0;
+            for (let b = 0; b < bits; b++) {
+                reversed = (reversed << 1) | ((i >>> b) & 1);
+            }
+            this.reverse[i] = reversed;
+        }
+    }
+
+    /**
+     * Forward transform (in place)
+     * @param {Float64Array} re - Real part
+     * @param {Float64Array} im - Imaginary part
+     */
+    transform(re, im) {
+        this._permute(re, im);
+        this._butterflies(re, im, 1);
+    }
+
+    /**
+     * Inverse transform (in place, scaled by 1/N)
+     * @param {Float64Array} re - Real part
+     * @param {Float64Array} im - Imaginary part
+     */
+    inverseTransform(re, im) {
+        this._permute(re, im);
+        this._butterflies(re, im, -1);
+
+        const scale = 1 / this.size;
+        for (let i = 0; i < this.size; i++) {
+            re[i] *= scale;
+            im[i] *= scale;
+        }
+    }
+
+    _permute(re, im) {
+        for (let i = 0; i < this.size; i++) {
+            const j = this.reverse[i];
+            if (j > i) {
+                let tmp = re[i];
+                re[i] = re[j];
+                re[j] = tmp;
+                tmp = im[i];
+                im[i] = im[j];
+                im[j] = tmp;
+            }
+        }
+    }
+
+    /**
+     * @param {number} direction - 1 for forward, -1 for inverse (conjugate twiddles)
+     */
+    _butterflies(re, im, direction) {
+        const n = this.size;
+
+        for (let half = 1; half < n; half <<= 1) {
+            const tableStep = n / (half << 1);
+
+            for (let start = 0; start < n; start += half << 1) {
+                for (let k = 0; k < half; k++) {
+                    const wr = this.cosTable[k * tableStep];
+                    const wi = this.sinTable[k * tableStep] * direction;
+
+                    const a = start + k;
+                    const b = a + half;
+
+                    const tr = re[b] * wr - im[b] * wi;
+                    const ti = re[b] * wi + im[b] * wr;
+
+                    re[b] = re[a] - tr;
+                    im[b] = im[a] - ti;
+                    re[a] += tr;
+                    im[a] += ti;
+                }
+            }
+        }
+    }
+}
+
+/**
+ * @param {number} n
+ * @returns {boolean}
+ */
+export function isPowerOfTwo(n) {
+    return n > 0 && (n & (n - 1)) === 0;
+}
+
+/**
+ * Smallest power of two >= n
+ * @param {number} n
+ * @returns {number}
+ */
+export function nextPowerOfTwo(n) {
+    let size = 1;
+    while (size < n) {
+        size <<= 1;
+    }
+    return size;
+}
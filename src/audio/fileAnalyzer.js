@@ -0,0 +1,142 @@
+/**
+ * Offline File Analysis
+ * Decodes a recorded take (WAV/MP3/OGG, whatever the browser can decode) and
+ * runs it through the same PitchDetector + PitchTracker as the live pipeline,
+ * producing the whole pitch curve up front.
+ */
+
+import { PitchDetector, computeRMS, unvoicedFrame } from './pitchDetector.js';
+import { PitchTracker } from './pitchTracker.js';
+import { NoiseGate } from './noiseGate.js';
+
+export class FileAnalyzer {
+    /**
+     * @param {Microphone} microphone - Files are decoded at its capture rate
+     */
+    constructor(microphone) {
+        this.microphone = microphone;
+        this.framesPerChunk = 100; // Frames analyzed between yields to the UI thread
+        this.runId = 0; // Incremented per run; a stale id means the run was cancelled
+    }
+
+    /**
+     * Decode an audio file
+     * @param {File|Blob} file - Encoded audio
+     * @returns {Promise<AudioBuffer>} Decoded audio at the live capture rate
+     *   (44.1 kHz before the microphone has started)
+     */
+    async decode(file) {
+        const data = await file.arrayBuffer();
+
+        // decodeAudioData resamples to the context rate; the offline context is
+        // never rendered, it only provides the decoder
+        const context = new OfflineAudioContext(1, 1, this.microphone.getSampleRate());
+        return context.decodeAudioData(data);
+    }
+
+    /**
+     * Analyze a decoded file
+     * @param {AudioBuffer} audioBuffer - Decoded audio
+     * @param {Object} config - Detector/tracker options (see PitchPipeline.config)
+     * @param {Function} onProgress - Called with 0-1 as analysis advances
+     * @returns {Promise<Array|null>} Frames { frequency, confidence, rms, voiced, timestamp }
+     *   with timestamp in ms from the start of the file, or null if cancelled
+     */
+    async analyze(audioBuffer, config, onProgress = () => {}) {
+        const runId = ++this.runId;
+
+        const samples = mixToMono(audioBuffer);
+        const sampleRate = audioBuffer.sampleRate;
+
+        const pitchDetector = new PitchDetector(sampleRate, config.algorithm);
+        pitchDetector.setVerbose(false);
+        pitchDetector.configure(config);
+        const pitchTracker = new PitchTracker(config);
+        const noiseGate = new NoiseGate(config);
+
+        // Same analysis hop as the live pipeline
+        const hopSize = Math.max(1, Math.round((config.hopMs / 1000) * sampleRate));
+        const windowSize = pitchDetector.bufferSize;
+        const analysisBuffer = new Float32Array(windowSize);
+        const frameCount = Math.ceil(samples.length / hopSize);
+        const frames = [];
+
+        const emit = (tracked) => {
+            for (const { time, ...frame } of tracked) {
+                frames.push({ ...frame, timestamp: time * 1000 });
+            }
+        };
+
+        for (let i = 0; i < frameCount; i++) {
+            // Frames are centered on their timestamp (the live path can only use
+            // the window end, but offline the audio after it is available)
+            const center = i * hopSize;
+            fillWindow(analysisBuffer, samples, center - windowSize / 2);
+
+            const rms = computeRMS(analysisBuffer);
+            const time = center / sampleRate;
+            const gateOpen = noiseGate.process(rms, time);
+            const frame = gateOpen
+                ? pitchDetector.detectPitch(analysisBuffer, rms)
+                : unvoicedFrame(rms);
+            emit(pitchTracker.process({ ...frame, gateOpen, time }));
+
+            if ((i + 1) % this.framesPerChunk === 0) {
+                onProgress((i + 1) / frameCount);
+                await new Promise(resolve => setTimeout(resolve, 0));
+
+                if (runId !== this.runId) {
+                    console.log('[FileAnalyzer] Analysis cancelled');
+                    return null;
+                }
+            }
+        }
+
+        emit(pitchTracker.flush());
+        onProgress(1);
+
+        console.log(`📂 [FileAnalyzer] Analyzed ${audioBuffer.duration.toFixed(1)}s: ${frames.length} frames`);
+        return frames;
+    }
+
+    /**
+     * Stop a running analysis at its next yield
+     */
+    cancel() {
+        this.runId++;
+    }
+}
+
+/**
+ * Average all channels into one
+ * @param {AudioBuffer} audioBuffer
+ * @returns {Float32Array}
+ */
+function mixToMono(audioBuffer) {
+    if (audioBuffer.numberOfChannels === 1) {
+        return audioBuffer.getChannelData(0);
+    }
+
+    const mono = new Float32Array(audioBuffer.length);
+    for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+        const data = audioBuffer.getChannelData(channel);
+        for (let i = 0; i < data.length; i++) {
+            mono[i] += data[i] / audioBuffer.numberOfChannels;
+        }
+    }
+    return mono;
+}
+
+/**
+ * Copy samples[start .. start + target.length) into target, zero-padding
+ * outside the file
+ */
+function fillWindow(target, samples, start) {
+    const from = Math.max(0, start);
+    const to = Math.min(samples.length, start + target.length);
+
+    target.fill(0);
+    if (to > from) {
+        target.set(samples.subarray(from, to), from - start);
+    }
+}
@@ -0,0 +1,136 @@
+/**
+ * File Playback
+ * Plays a decoded recording and reports the position the listener is
+ * currently hearing, for the playhead in file mode.
+ */
+
+export class FilePlayer {
+    constructor() {
+        this.audioContext = null;
+        this.audioBuffer = null;
+        this.source = null;
+
+        this.isPlaying = false;
+        this.offset = 0; // Position in seconds while paused
+        this.startedAt = 0; // Context time at which position 0 would have played
+
+        this.onEnded = null; // Called when playback reaches the end of the file
+    }
+
+    /**
+     * Load a decoded recording (stops current playback)
+     * @param {AudioBuffer} audioBuffer
+     */
+    load(audioBuffer) {
+        this.stop();
+        this.audioBuffer = audioBuffer;
+        this.offset = 0;
+    }
+
+    get duration() {
+        return this.audioBuffer?.duration ?? 0;
+    }
+
+    /**
+     * Start or resume playback from the current position
+     * @returns {Promise<void>}
+     */
+    async play() {
+        if (!this.audioBuffer || this.isPlaying) return;
+
+        if (!this.audioContext) {
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        }
+        if (this.audioContext.state === 'suspended') {
+            await this.audioContext.resume();
+        }
+
+        // Restart from the beginning once the end was reached
+        if (this.offset >= this.duration) {
+            this.offset = 0;
+        }
+
+        const source = this.audioContext.createBufferSource();
+        source.buffer = this.audioBuffer;
+        source.connect(this.audioContext.destination);
+        source.onended = () => {
+            // Only natural ends; pause/seek detach the handler before stopping
+            this.source = null;
+            this.isPlaying = false;
+            this.offset = this.duration;
+            this.onEnded?.();
+        };
+
+        source.start(0, this.offset);
+        this.startedAt = this.audioContext.currentTime - this.offset;
+        this.source = source;
+        this.isPlaying = true;
+    }
+
+    /**
+     * Pause, keeping the current position
+     */
+    pause() {
+        if (!this.isPlaying) return;
+
+        this.offset = this.getCurrentTime();
+        this._stopSource();
+    }
+
+    /**
+     * Jump to a position, continuing playback if playing
+     * @param {number} time - Position in seconds
+     */
+    async seek(time) {
+        const wasPlaying = this.isPlaying;
+        this._stopSource();
+        this.offset = Math.max(0, Math.min(this.duration, time));
+
+        if (wasPlaying) {
+            await this.play();
+        }
+    }
+
+    /**
+     * Position currently audible, compensating for output latency
+     * @returns {number} Seconds from the start of the file
+     */
+    getCurrentTime() {
+        if (!this.isPlaying) return this.offset;
+
+        const latency = this.audioContext.outputLatency || this.audioContext.baseLatency || 0;
+        const time = this.audioContext.currentTime - this.startedAt - latency;
+        return Math.max(0, Math.min(this.duration, time));
+    }
+
+    _stopSource() {
+        if (this.source) {
+            this.source.onended = null;
+            this.source.stop();
+            this.source.disconnect();
+            this.source = null;
+        }
+        this.isPlaying = false;
+    }
+
+    /**
+     * Stop playback and rewind
+     */
+    stop() {
+        this._stopSource();
+        this.offset = 0;
+    }
+
+    /**
+     * Stop playback and release the audio context
+     */
+    close() {
+        this.stop();
+        this.audioBuffer = null;
+
+        if (this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
+        }
+    }
+}
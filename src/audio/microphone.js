@@ -1,14 +1,43 @@
 /**
  * Microphone Audio Capture using Web Audio API
+ * Device, input channel and browser processing are switchable while running:
+ * downstream nodes connect to a stable mono input node, and only the stream
+ * feeding it is replaced.
  */
 
 export class Microphone {
     constructor() {
         this.audioContext = null;
         this.analyser = null;
-        this.microphone = null;
+        this.microphone = null; // MediaStreamAudioSourceNode for the current stream
+        this.stream = null;
+        this.splitter = null; // Only used when a single channel is selected
+        this.inputNode = null; // Stable mono node that analysis connects to
         this.buffer = null;
+        this.bufferSize = 8192; // Analysis window (set from the active voice preset)
         this.isActive = false;
+
+        // Input selection
+        this.deviceId = null; // null = system default
+        this.channel = 'mix'; // 'mix' or a channel index
+        this.channelCount = 1; // Channels delivered by the current device
+        this.processing = {
+            echoCancellation: false,
+            noiseSuppression: false,
+            autoGainControl: false
+        };
+
+        // Called with the audioinput list when devices are added/removed
+        this.onDevicesChanged = null;
+        // Called after the input stream was replaced (device, channel or processing change)
+        this.onInputChanged = null;
+
+        this.handleDeviceChange = () => {
+            this._handleDeviceChange().catch(error => {
+                console.error('[Microphone] Failed to handle a device change:', error);
+            });
+        };
+        this.streamQueue = Promise.resolve(); // Serializes stream switches
     }
 
     /**
@@ -17,61 +46,240 @@ export class Microphone {
      */
     async start() {
         try {
-            // Request microphone access
-            const stream = await navigator.mediaDevices.getUserMedia({
-                audio: {
-                    echoCancellation: false,
-                    noiseSuppression: false,
-                    autoGainControl: false,
-                    latency: 0
-                }
-            });
-
-            // Create audio context (iOS Safari requires user gesture)
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)({
-                sampleRate: 44100
-            });
+            // Create audio context (iOS Safari requires user gesture). No forced
+            // sample rate: the context runs at the hardware rate, avoiding a
+            // resampling stage for USB interfaces running at 48kHz or higher
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
 
             // Create analyser node
             this.analyser = this.audioContext.createAnalyser();
-            this.analyser.fftSize = 8192; // Match pitch detector buffer size
+            this.analyser.fftSize = this.bufferSize; // Match pitch detector buffer size
             this.analyser.smoothingTimeConstant = 0; // No smoothing (we'll handle that ourselves)
 
             // Create buffer for time-domain audio data
             this.buffer = new Float32Array(this.analyser.fftSize);
 
-            // Connect microphone to analyser
-            this.microphone = this.audioContext.createMediaStreamSource(stream);
-            this.microphone.connect(this.analyser);
+            // Mono input stage: 'explicit' + channelCount 1 downmixes whatever is
+            // connected, so analysis never sees the device's channel layout
+            this.inputNode = this.audioContext.createGain();
+            this.inputNode.channelCount = 1;
+            this.inputNode.channelCountMode = 'explicit';
+            this.inputNode.channelInterpretation = 'speakers';
+            this.inputNode.connect(this.analyser);
+
+            await this._switchStream();
+
+            navigator.mediaDevices.addEventListener?.('devicechange', this.handleDeviceChange);
 
             this.isActive = true;
 
-            // Debug: Log actual sample rate (may differ from requested on iOS)
+            // Debug: Log actual sample rate
             console.log(`🎤 Microphone started successfully`);
-            console.log(`[Microphone] Requested: 44100 Hz, Actual: ${this.audioContext.sampleRate} Hz`);
+            console.log(`[Microphone] Context sample rate: ${this.audioContext.sampleRate} Hz`);
             console.log(`[Microphone] FFT size: ${this.analyser.fftSize}, Buffer size: ${this.buffer.length}`);
 
-            // Check if iOS mic track has different sample rate than AudioContext
-            const track = stream.getAudioTracks()[0];
-            const settings = track.getSettings();
-            console.log(`[Microphone] Track settings:`, settings);
-
-            // Always use AudioContext sample rate for pitch detection, because the
-            // AnalyserNode outputs data resampled to the AudioContext rate — NOT the
-            // mic track's native rate. Using the track rate causes pitch to read sharp
-            // on iOS where the hardware runs at 48000 but AudioContext may use 44100.
-            if (settings.sampleRate && settings.sampleRate !== this.audioContext.sampleRate) {
-                console.warn(`⚠️ SAMPLE RATE MISMATCH (informational only)`);
-                console.warn(`⚠️ Track: ${settings.sampleRate} Hz, Context: ${this.audioContext.sampleRate} Hz`);
-                console.warn(`⚠️ Using AudioContext rate ${this.audioContext.sampleRate} Hz for pitch detection (AnalyserNode resamples)`);
-            }
-
         } catch (error) {
             console.error('Failed to start microphone:', error);
             throw error;
         }
     }
 
+    /**
+     * Open a stream for the selected device/processing and route it into inputNode,
+     * replacing the current one
+     */
+    async _openStream() {
+        const constraints = {
+            ...this.processing,
+            latency: 0,
+            // Ask for every channel the device has (browsers default to stereo at most)
+            channelCount: { ideal: 32 }
+        };
+        if (this.deviceId) {
+            constraints.deviceId = { exact: this.deviceId };
+        }
+
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({ audio: constraints });
+        } catch (error) {
+            // Selected device is gone (OverconstrainedError/NotFoundError): use the default
+            if (!this.deviceId) throw error;
+            console.warn(`[Microphone] Device ${this.deviceId} unavailable, using default:`, error.name);
+            this.deviceId = null;
+            delete constraints.deviceId;
+            stream = await navigator.mediaDevices.getUserMedia({ audio: constraints });
+        }
+
+        this._closeStream();
+        this.stream = stream;
+
+        const track = stream.getAudioTracks()[0];
+        const settings = track.getSettings();
+        console.log(`[Microphone] Track settings:`, settings);
+
+        // Unplugging the active device ends its track
+        track.addEventListener('ended', () => {
+            if (this.stream === stream) {
+                console.warn('[Microphone] Input device disconnected, switching to default');
+                this._switchToDefault();
+            }
+        });
+
+        this.microphone = this.audioContext.createMediaStreamSource(stream);
+        this.channelCount = settings.channelCount || this.microphone.channelCount || 1;
+        this._routeChannel();
+
+        // Always use AudioContext sample rate for pitch detection, because the
+        // AnalyserNode outputs data resampled to the AudioContext rate — NOT the
+        // mic track's native rate. Using the track rate causes pitch to read sharp
+        // on iOS where the hardware runs at 48000 but AudioContext may use 44100.
+        if (settings.sampleRate && settings.sampleRate !== this.audioContext.sampleRate) {
+            console.warn(`⚠️ SAMPLE RATE MISMATCH (informational only)`);
+            console.warn(`⚠️ Track: ${settings.sampleRate} Hz, Context: ${this.audioContext.sampleRate} Hz`);
+            console.warn(`⚠️ Using AudioContext rate ${this.audioContext.sampleRate} Hz for pitch detection (AnalyserNode resamples)`);
+        }
+    }
+
+    /**
+     * Queue _openStream() so quick successive switches apply in order
+     * @returns {Promise<void>}
+     */
+    _switchStream() {
+        const switched = this.streamQueue.then(() => this._openStream());
+        this.streamQueue = switched.catch(() => {});
+        return switched;
+    }
+
+    /**
+     * Connect the source to inputNode: all channels downmixed, or one channel
+     */
+    _routeChannel() {
+        this.microphone.disconnect();
+        if (this.splitter) {
+            this.splitter.disconnect();
+            this.splitter = null;
+        }
+
+        const channel = this.channel === 'mix' ? 'mix' : Math.min(this.channel, this.channelCount - 1);
+        if (channel === 'mix' || this.channelCount === 1) {
+            this.microphone.connect(this.inputNode);
+            return;
+        }
+
+        this.splitter = this.audioContext.createChannelSplitter(this.channelCount);
+        this.microphone.connect(this.splitter);
+        this.splitter.connect(this.inputNode, channel);
+    }
+
+    /**
+     * Stop the current stream's tracks and disconnect its nodes
+     */
+    _closeStream() {
+        if (this.microphone) {
+            this.microphone.disconnect();
+            this.microphone = null;
+        }
+        if (this.splitter) {
+            this.splitter.disconnect();
+            this.splitter = null;
+        }
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+    }
+
+    /**
+     * Switch input device without restarting analysis
+     * @param {string|null} deviceId - From listInputDevices(), null = system default
+     * @returns {Promise<void>}
+     */
+    async setDevice(deviceId) {
+        this.deviceId = deviceId || null;
+        if (!this.isActive) return;
+
+        await this._switchStream();
+        console.log(`🎤 [Microphone] Switched to ${this.getDeviceLabel()} (${this.channelCount} ch)`);
+        this.onInputChanged?.();
+    }
+
+    /**
+     * Select the input channel of a multi-channel interface
+     * @param {string|number} channel - 'mix' or a channel index
+     */
+    setChannel(channel) {
+        this.channel = channel === 'mix' ? 'mix' : parseInt(channel);
+        if (!this.isActive) return;
+
+        this._routeChannel();
+        this.onInputChanged?.();
+    }
+
+    /**
+     * Toggle browser voice processing (reopens the stream: most browsers can't
+     * change these on a live track)
+     * @param {Object} options - { echoCancellation, noiseSuppression, autoGainControl }
+     * @returns {Promise<void>}
+     */
+    async setProcessing(options) {
+        Object.assign(this.processing, options);
+        if (!this.isActive) return;
+
+        await this._switchStream();
+        this.onInputChanged?.();
+    }
+
+    /**
+     * Available audio inputs (labels are empty until permission is granted)
+     * @returns {Promise<Array>} Array of { deviceId, label }
+     */
+    async listInputDevices() {
+        if (!navigator.mediaDevices?.enumerateDevices) return [];
+
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter(device => device.kind === 'audioinput')
+            .map((device, index) => ({
+                deviceId: device.deviceId,
+                label: device.label || `Microphone ${index + 1}`
+            }));
+    }
+
+    /**
+     * Label of the device currently capturing
+     * @returns {string}
+     */
+    getDeviceLabel() {
+        return this.stream?.getAudioTracks()[0]?.label || 'Default microphone';
+    }
+
+    /**
+     * React to devices being plugged in or removed
+     */
+    async _handleDeviceChange() {
+        const devices = await this.listInputDevices();
+        this.onDevicesChanged?.(devices);
+
+        // Selected device removed: fall back to the default
+        if (this.deviceId && !devices.some(device => device.deviceId === this.deviceId)) {
+            console.warn('[Microphone] Selected device removed, switching to default');
+            await this._switchToDefault();
+        }
+    }
+
+    /**
+     * Fall back to the system default input (the selected one went away)
+     * @returns {Promise<void>} Never rejects: failures are logged
+     */
+    async _switchToDefault() {
+        try {
+            await this.setDevice(null);
+        } catch (error) {
+            console.error('[Microphone] Failed to switch to the default input:', error);
+        }
+    }
+
     /**
      * Get current audio buffer for pitch detection
      * @returns {Float32Array} Time-domain audio samples
@@ -85,6 +293,19 @@ export class Microphone {
         return this.buffer;
     }
 
+    /**
+     * Change the analysis window size
+     * @param {number} size - Power of two between 32 and 32768
+     */
+    setBufferSize(size) {
+        this.bufferSize = size;
+
+        if (this.analyser) {
+            this.analyser.fftSize = size;
+            this.buffer = new Float32Array(size);
+        }
+    }
+
     /**
      * Get RMS (volume level) of current audio
      * @returns {number} RMS value (0-1)
@@ -113,9 +334,12 @@ export class Microphone {
      * Stop microphone and cleanup
      */
     stop() {
-        if (this.microphone) {
-            this.microphone.disconnect();
-            this.microphone = null;
+        navigator.mediaDevices?.removeEventListener?.('devicechange', this.handleDeviceChange);
+        this._closeStream();
+
+        if (this.inputNode) {
+            this.inputNode.disconnect();
+            this.inputNode = null;
         }
 
         if (this.analyser) {
@@ -150,6 +374,23 @@ export class Microphone {
         return this.analyser;
     }
 
+    /**
+     * Get audio context (for attaching worklets and other nodes)
+     * @returns {AudioContext|null}
+     */
+    getAudioContext() {
+        return this.audioContext;
+    }
+
+    /**
+     * Get the mono input node (for connecting additional processing nodes). It
+     * stays the same across device and channel switches.
+     * @returns {AudioNode|null}
+     */
+    getSourceNode() {
+        return this.inputNode;
+    }
+
     /**
      * Resume audio context (needed for iOS after user gesture)
      */
@@ -0,0 +1,132 @@
+/**
+ * Noise Gate
+ * Decides per analysis frame whether the input is loud enough to run pitch
+ * detection. Thresholds are in dBFS with hysteresis (separate open/close
+ * levels) and a hold time, so the gate doesn't chatter on note tails.
+ */
+
+const MIN_DB = -120; // Floor for silence (avoids -Infinity)
+
+// Defaults: -46 dBFS matches the previous fixed RMS gate of 0.005
+export const DEFAULT_GATE = {
+    gateOpenDb: -46,
+    gateCloseDb: -52,
+    gateHoldMs: 150
+};
+
+/**
+ * Convert RMS (0-1) to dBFS
+ * @param {number} rms
+ * @returns {number} dBFS (MIN_DB for silence)
+ */
+export function rmsToDb(rms) {
+    return rms > 0 ? Math.max(MIN_DB, 20 * Math.log10(rms)) : MIN_DB;
+}
+
+export class NoiseGate {
+    constructor(options = {}) {
+        this.openDb = DEFAULT_GATE.gateOpenDb; // Level that opens a closed gate
+        this.closeDb = DEFAULT_GATE.gateCloseDb; // Level below which an open gate starts closing
+        this.holdMs = DEFAULT_GATE.gateHoldMs; // Time below closeDb before closing
+
+        this.isOpen = false;
+        this.lastAboveTime = null; // Seconds, last time the level was above closeDb
+
+        this.configure(options);
+    }
+
+    /**
+     * Update gate thresholds
+     * @param {Object} options - { gateOpenDb, gateCloseDb, gateHoldMs }
+     */
+    configure(options = {}) {
+        if (options.gateOpenDb !== undefined) this.openDb = options.gateOpenDb;
+        if (options.gateCloseDb !== undefined) this.closeDb = options.gateCloseDb;
+        if (options.gateHoldMs !== undefined) this.holdMs = options.gateHoldMs;
+
+        // Close level can't sit above the open level
+        this.closeDb = Math.min(this.closeDb, this.openDb);
+    }
+
+    /**
+     * Update the gate with one frame's level
+     * @param {number} rms - Frame RMS (0-1)
+     * @param {number} time - Frame time in seconds (any monotonic timeline)
+     * @returns {boolean} Whether the gate is open for this frame
+     */
+    process(rms, time) {
+        const db = rmsToDb(rms);
+
+        if (!this.isOpen) {
+            if (db >= this.openDb) {
+                this.isOpen = true;
+                this.lastAboveTime = time;
+            }
+            return this.isOpen;
+        }
+
+        if (db >= this.closeDb) {
+            this.lastAboveTime = time;
+        } else if ((time - this.lastAboveTime) * 1000 >= this.holdMs) {
+            this.isOpen = false;
+        }
+
+        return this.isOpen;
+    }
+
+    reset() {
+        this.isOpen = false;
+        this.lastAboveTime = null;
+    }
+}
+
+/**
+ * Noise floor measurement over a few seconds of (intended) silence
+ */
+export class NoiseFloorCalibrator {
+    constructor(durationMs = 2000) {
+        this.durationMs = durationMs;
+        this.openMarginDb = 10; // Gate opens this far above the floor
+        this.hysteresisDb = 6; // And closes this far below the open level
+        this.maxOpenDb = -30; // Never calibrate the gate shut (e.g. someone sang throughout)
+        this.levels = [];
+        this.startTime = null;
+    }
+
+    /**
+     * Add one frame's level
+     * @param {number} rms - Frame RMS (0-1)
+     * @param {number} now - performance.now() in ms
+     * @returns {boolean} Whether enough time has been measured
+     */
+    add(rms, now) {
+        if (this.startTime === null) this.startTime = now;
+        this.levels.push(rmsToDb(rms));
+        return this.progress(now) >= 1;
+    }
+
+    /**
+     * @param {number} now - performance.now() in ms
+     * @returns {number} 0-1
+     */
+    progress(now) {
+        if (this.startTime === null) return 0;
+        return Math.min(1, (now - this.startTime) / this.durationMs);
+    }
+
+    /**
+     * Floor = median level (robust to a cough or click during calibration)
+     * @returns {Object} { floorDb, gateOpenDb, gateCloseDb }
+     */
+    result() {
+        const sorted = [...this.levels].sort((a, b) => a - b);
+        const floorDb = sorted.length ? sorted[Math.floor(sorted.length / 2)] : MIN_DB;
+        const gateOpenDb = Math.round(Math.min(this.maxOpenDb, floorDb + this.openMarginDb));
+
+        return {
+            floorDb,
+            gateOpenDb,
+            gateCloseDb: gateOpenDb - this.hysteresisDb
+        };
+    }
+}
@@ -0,0 +1,299 @@
+/**
+ * Note Segmenter
+ * Turns the pitch stream into note events. A note continues through short
+ * unvoiced gaps and through excursions that come back (vibrato, scoops); a
+ * new one starts only once the pitch has settled somewhere else, so a glide
+ * between two notes ends the first without being chopped into many.
+ *
+ * A note reports:
+ * - startTime / endTime: onset and offset (ms, the frames' timeline)
+ * - midi: median pitch (fractional MIDI number)
+ * - noteName / midiNumber: nearest note of the active tuning
+ * - cents: how far the median is from that note
+ * - stability: 0-100, drift and wobble left once vibrato is averaged out
+ */
+
+import { hzToMidi, hzToNote, midiToHz } from '../utils/noteConverter.js';
+
+export const DEFAULT_SENSITIVITY = 0.5;
+
+const MEDIAN_FRAMES = 50; // Recent frames the current note's pitch is taken from
+const MAX_RELEASE_MS = 250; // Unsettled pitch at a note's end up to this long is its release, longer is a glide
+const VIBRATO_WINDOW_MS = 200; // Moving average that removes vibrato (~5-7 Hz), as in exercise scoring
+
+/**
+ * Segmentation thresholds for a sensitivity setting
+ * @param {number} sensitivity - 0 (only long, clearly separate notes) to 1
+ *   (short notes and small steps count too)
+ * @returns {Object} { splitCents, settleCents, minChangeMs, maxGapMs, minDurationMs }
+ */
+export function segmentationOptions(sensitivity) {
+    const s = Math.max(0, Math.min(1, sensitivity));
+    const splitCents = 100 - 40 * s; // Pitch this far from the note...
+    return {
+        splitCents,
+        settleCents: 0.75 * splitCents, // ...holding within this range...
+        minChangeMs: 120 - 40 * s, // ...for this long starts a new note
+        maxGapMs: 150 - 100 * s, // Gaps up to this long don't end a note
+        minDurationMs: 140 - 120 * s // Shorter notes are dropped
+    };
+}
+
+export class NoteSegmenter {
+    /**
+     * @param {number} sensitivity - See segmentationOptions()
+     */
+    constructor(sensitivity = DEFAULT_SENSITIVITY) {
+        this.minConfidence = 0.5; // Frames below this count as gaps
+        this.maxNotes = 5000; // Oldest notes are dropped (long live sessions)
+        this.notes = []; // Finished notes, oldest first
+
+        this.setSensitivity(sensitivity);
+        this.reset();
+    }
+
+    /**
+     * @param {number} sensitivity - 0-1, see segmentationOptions()
+     */
+    setSensitivity(sensitivity) {
+        this.sensitivity = Math.max(0, Math.min(1, sensitivity));
+        Object.assign(this, segmentationOptions(this.sensitivity));
+    }
+
+    /**
+     * Forget the current note and all notes
+     */
+    reset() {
+        this.notes = [];
+        this.frames = []; // { time, midi } of the current note
+        this.pending = []; // Frames away from its pitch: an excursion, or a glide to the next note
+        this.lastVoicedTime = null;
+    }
+
+    /**
+     * Feed one pitch frame
+     * @param {Object} frame - { frequency, confidence, voiced, timestamp (ms) }
+     * @returns {Object|null} The note this frame finished, if any
+     */
+    process(frame) {
+        const time = frame.timestamp;
+        let finished = null;
+
+        // A sustained gap ends the note; short dropouts are bridged
+        if (this.lastVoicedTime !== null && time - this.lastVoicedTime > this.maxGapMs) {
+            finished = this._endNote();
+        }
+
+        if (!frame.voiced || !frame.frequency || (frame.confidence ?? 0) < this.minConfidence) {
+            return finished;
+        }
+        this.lastVoicedTime = time;
+
+        const current = { time, midi: hzToMidi(frame.frequency) };
+        if (this.frames.length === 0) {
+            this.frames.push(current);
+            return finished;
+        }
+
+        if (Math.abs(current.midi - this._center()) * 100 <= this.splitCents) {
+            // At (or back at) the note: an excursion was part of it
+            this.frames.push(...this.pending, current);
+            this.pending = [];
+            return finished;
+        }
+
+        this.pending.push(current);
+        const settled = this._settledStart();
+        if (settled < 0) return finished;
+
+        const first = this.frames[0].time;
+        if (this.frames[this.frames.length - 1].time - first < this.minDurationMs) {
+            // Too short to be a note of its own: a scoop into this one
+            this.frames.push(...this.pending);
+        } else {
+            // Settled on another pitch: the glide in between belongs to neither note
+            finished = this._finish(this.frames) ?? finished;
+            this.frames = this.pending.slice(settled);
+        }
+        this.pending = [];
+        return finished;
+    }
+
+    /**
+     * End the current note (e.g. at the end of a recording)
+     * @returns {Object|null} The finished note, if long enough
+     */
+    flush() {
+        return this._endNote();
+    }
+
+    /**
+     * Run a whole recording's frames through a fresh segmentation
+     * @param {Array} frames - Pitch frames in time order
+     * @returns {Array} Notes
+     */
+    segmentAll(frames) {
+        this.reset();
+        for (const frame of frames) {
+            this.process(frame);
+        }
+        this.flush();
+        return this.notes;
+    }
+
+    /**
+     * The note being sung, as it stands so far
+     * @returns {Object|null} Note (pitch from its recent frames), null if none
+     */
+    getCurrentNote() {
+        if (this.frames.length === 0) return null;
+        const startTime = this.frames[0].time;
+        const endTime = this.frames[this.frames.length - 1].time;
+        if (endTime - startTime < this.minDurationMs) return null;
+        return describe(startTime, endTime, this._center(), this.frames);
+    }
+
+    /**
+     * @returns {number} Median pitch of the current note's recent frames
+     */
+    _center() {
+        return median(this.frames.slice(-MEDIAN_FRAMES).map(f => f.midi));
+    }
+
+    /**
+     * Whether the pending frames have held one pitch for minChangeMs
+     * @returns {number} Index of the first frame of that stretch, -1 if not
+     */
+    _settledStart() {
+        const last = this.pending[this.pending.length - 1];
+        if (last.time - this.pending[0].time < this.minChangeMs) return -1;
+
+        let low = last.midi;
+        let high = last.midi;
+        let i = this.pending.length - 1;
+        while (i > 0 && this.pending[i - 1].time >= last.time - this.minChangeMs) {
+            i--;
+            low = Math.min(low, this.pending[i].midi);
+            high = Math.max(high, this.pending[i].midi);
+        }
+        return (high - low) * 100 <= this.settleCents ? i : -1;
+    }
+
+    /**
+     * Finish the current note at the end of its voiced stretch
+     * @returns {Object|null} The note, if long enough
+     */
+    _endNote() {
+        let finished = null;
+        if (this.frames.length > 0) {
+            const release = this.pending.length > 0 &&
+                this.pending[this.pending.length - 1].time - this.pending[0].time <= MAX_RELEASE_MS;
+            finished = this._finish(release ? [...this.frames, ...this.pending] : this.frames);
+        }
+        this.frames = [];
+        this.pending = [];
+        this.lastVoicedTime = null;
+        return finished;
+    }
+
+    /**
+     * @param {Array} frames - { time, midi } of a note
+     * @returns {Object|null} The note (added to this.notes), null if too short
+     */
+    _finish(frames) {
+        const startTime = frames[0].time;
+        const endTime = frames[frames.length - 1].time;
+        if (endTime - startTime < this.minDurationMs) return null;
+
+        const note = describe(startTime, endTime, median(frames.map(f => f.midi)), frames);
+        this.notes.push(note);
+        if (this.notes.length > this.maxNotes) {
+            this.notes.shift();
+        }
+        return note;
+    }
+}
+
+/**
+ * Segment points in one go
+ * @param {Array} points - { frequency, confidence, voiced, timestamp } in time order
+ * @param {number} sensitivity - See segmentationOptions()
+ * @returns {Array} Notes
+ */
+export function segmentNotes(points, sensitivity = DEFAULT_SENSITIVITY) {
+    return new NoteSegmenter(sensitivity).segmentAll(points);
+}
+
+/**
+ * Binary search: the note sounding at (or last before) a time
+ * @param {Array} notes - In time order
+ * @param {number} time - ms
+ * @returns {Object|null}
+ */
+export function noteAt(notes, time) {
+    let lo = 0;
+    let hi = notes.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (notes[mid].startTime <= time) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo > 0 ? notes[lo - 1] : null;
+}
+
+/**
+ * @param {number} startTime - ms
+ * @param {number} endTime - ms
+ * @param {number} midi - The note's pitch
+ * @param {Array} frames - { time, midi }
+ * @returns {Object} Note
+ */
+function describe(startTime, endTime, midi, frames) {
+    const nearest = hzToNote(midiToHz(midi));
+    return {
+        startTime,
+        endTime,
+        midi,
+        midiNumber: nearest.midiNumber,
+        noteName: nearest.noteName,
+        cents: nearest.cents,
+        stability: stability(frames)
+    };
+}
+
+/**
+ * Like exercise scoring: vibrato is averaged out, and the wobble and drift
+ * that remain (standard deviation) cost 3 points per cent
+ * @param {Array} frames - { time, midi }
+ * @returns {number} 0-100
+ */
+function stability(frames) {
+    const smoothed = [];
+    let sum = 0;
+    let lo = 0;
+    let hi = 0;
+    for (const { time } of frames) {
+        // Sliding window of frames within ±VIBRATO_WINDOW_MS / 2
+        while (hi < frames.length && frames[hi].time <= time + VIBRATO_WINDOW_MS / 2) {
+            sum += frames[hi++].midi;
+        }
+        while (frames[lo].time < time - VIBRATO_WINDOW_MS / 2) {
+            sum -= frames[lo++].midi;
+        }
+        smoothed.push(sum / (hi - lo));
+    }
+
+    const mean = smoothed.reduce((total, m) => total + m, 0) / smoothed.length;
+    const spread = 100 * Math.sqrt(smoothed.reduce((total, m) => total + (m - mean) ** 2, 0) / smoothed.length);
+    return Math.round(Math.max(0, Math.min(100, 100 - 3 * spread)));
+}
+
+/**
+ * @param {number[]} values - Not empty
+ * @returns {number}
+ */
+export function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = sorted.length >> 1;
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
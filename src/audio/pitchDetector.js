@@ -1,186 +1,161 @@
 /**
- * Pitch Detector using YIN Algorithm
- * Reference: http://audition.ens.fr/adc/pdf/2002_JASA_YIN.pdf
+ * Pitch Detector
+ * Runs the selected detection algorithm (see ./detectors) and applies voice
+ * range filtering. Temporal smoothing and octave correction happen later, in
+ * PitchTracker.
  */
 
+import { createDetector } from './detectors/index.js';
+
 export class PitchDetector {
-    constructor(sampleRate = 44100) {
+    constructor(sampleRate = 44100, algorithm = 'yin') {
         this.sampleRate = sampleRate;
         this.bufferSize = 8192; // Increased from 4096 for better low-frequency detection
         this.threshold = 0.15; // YIN threshold for pitch detection (lower = more sensitive)
 
-        // Smoothing parameters
-        this.smoothingFactor = 0.3; // 0 = no smoothing, 1 = max smoothing
-        this.lastPitch = null;
+        // Detection range (Extended low range from 60 to 50 Hz to better capture bass voices)
+        this.minFrequency = 50;
+        this.maxFrequency = 2000;
+
+        // Log each detection (disabled for offline analysis, which runs thousands of frames)
+        this.verbose = true;
+
+        // Active algorithm
+        this.algorithm = null;
+        this.detector = null;
+
+        this.setAlgorithm(algorithm);
 
         // Debug: Log sample rate
-        console.log(`[PitchDetector] Initialized with sample rate: ${sampleRate}Hz, buffer: ${this.bufferSize}, YIN threshold: ${this.threshold}`);
+        console.log(`[PitchDetector] Initialized with sample rate: ${sampleRate}Hz, buffer: ${this.bufferSize}, algorithm: ${this.algorithm}, YIN threshold: ${this.threshold}`);
     }
 
     /**
-     * Detect pitch from audio buffer using hybrid approach
-     * Tries FFT first (more robust on iOS), fallback to YIN
+     * Analyze one audio buffer with the active algorithm
      * @param {Float32Array} buffer - Audio samples
-     * @param {AnalyserNode} analyser - Optional analyser for FFT method
-     * @returns {number|null} Frequency in Hz, or null if no pitch detected
+     * @param {number} rms - Precomputed RMS of buffer (computed if omitted)
+     * @returns {Object} Pitch frame { frequency, confidence, rms, voiced, candidates } -
+     *   frequency is null when unvoiced; confidence is 0-1; candidates are
+     *   alternative { frequency, confidence } pairs for the tracker
      */
-    detectPitch(buffer, analyser = null) {
-        let pitch = null;
-
-        // Try FFT-based detection first (better for iOS)
-        if (analyser) {
-            pitch = this._detectPitchFFT(analyser);
+    detectPitch(buffer, rms = computeRMS(buffer)) {
+        const result = this.detector.detect(buffer);
+        let pitch = result.frequency;
+
+        // Filter out frequencies outside the active range
+        if (pitch && !this._inRange(pitch)) {
+            if (this.verbose) console.log(`[PitchDetector] Filtered out unrealistic frequency: ${pitch.toFixed(2)} Hz`);
+            pitch = null;
         }
 
-        // Fallback to YIN if FFT fails or unavailable
-        if (!pitch) {
-            pitch = this._detectPitchYIN(buffer);
+        if (pitch && this.verbose) {
+            console.log(`[PitchDetector] Detected: ${pitch.toFixed(2)} Hz, Confidence: ${result.confidence.toFixed(2)}`);
         }
 
-        // Filter out unrealistic frequencies
-        if (pitch && (pitch < 50 || pitch > 2000)) {
-            console.log(`[PitchDetector] Filtered out unrealistic frequency: ${pitch.toFixed(2)} Hz`);
-            return null;
-        }
-
-        // Apply smoothing
-        if (pitch && this.lastPitch !== null) {
-            const rawPitch = pitch;
-            pitch = this.lastPitch * this.smoothingFactor + pitch * (1 - this.smoothingFactor);
-            console.log(`[PitchDetector] Raw: ${rawPitch.toFixed(2)} Hz, Smoothed: ${pitch.toFixed(2)} Hz, SampleRate: ${this.sampleRate} Hz`);
-        } else if (pitch) {
-            console.log(`[PitchDetector] Detected: ${pitch.toFixed(2)} Hz, SampleRate: ${this.sampleRate} Hz`);
-        }
-
-        if (pitch) {
-            this.lastPitch = pitch;
-        }
+        return {
+            frequency: pitch || null,
+            confidence: result.confidence,
+            rms,
+            voiced: Boolean(pitch),
+            candidates: (result.candidates || []).filter(c => this._inRange(c.frequency))
+        };
+    }
 
-        return pitch;
+    _inRange(frequency) {
+        return frequency >= this.minFrequency && frequency <= this.maxFrequency;
     }
 
     /**
-     * YIN-based pitch detection (original method)
+     * Switch detection algorithm
+     * @param {string} algorithm - Registered algorithm id ('yin', 'mpm', 'pyin', 'hps')
      */
-    _detectPitchYIN(buffer) {
-        // Step 1: Difference function (simplified YIN)
-        const yinBuffer = this._differenceFunction(buffer);
-
-        // Step 2: Cumulative mean normalized difference
-        const cmndf = this._cumulativeMeanNormalizedDifference(yinBuffer);
-
-        // Step 3: Find absolute threshold
-        const tau = this._absoluteThreshold(cmndf);
-
-        if (tau === -1) {
-            return null; // No pitch detected
-        }
+    setAlgorithm(algorithm) {
+        this.detector = createDetector(algorithm, this.sampleRate);
+        this.algorithm = algorithm;
 
-        // Step 4: Parabolic interpolation for better precision
-        const betterTau = this._parabolicInterpolation(cmndf, tau);
-
-        // Convert period (tau) to frequency
-        let pitch = this.sampleRate / betterTau;
-
-        console.log(`[YIN] tau=${tau}, betterTau=${betterTau.toFixed(2)}, sampleRate=${this.sampleRate}, pitch=${pitch.toFixed(2)} Hz`);
-
-        // Filter out unrealistic frequencies for human voice
-        // Extended low range from 60 to 50 Hz to better capture bass voices
-        if (pitch < 50 || pitch > 2000) {
-            return null;
+        if ('threshold' in this.detector) {
+            this.detector.threshold = this.threshold;
         }
-
-        // Apply smoothing
-        if (this.lastPitch !== null) {
-            pitch = this.lastPitch * this.smoothingFactor + pitch * (1 - this.smoothingFactor);
+        if ('verbose' in this.detector) {
+            this.detector.verbose = this.verbose;
         }
+        this._applyRange();
 
-        this.lastPitch = pitch;
-        return pitch;
+        this.reset();
     }
 
     /**
-     * Compute difference function (step 1 of YIN)
+     * Enable/disable per-frame logging
+     * @param {boolean} verbose
      */
-    _differenceFunction(buffer) {
-        const yinBuffer = new Float32Array(buffer.length / 2);
-
-        for (let tau = 0; tau < yinBuffer.length; tau++) {
-            let sum = 0;
-            for (let i = 0; i < yinBuffer.length; i++) {
-                const delta = buffer[i] - buffer[i + tau];
-                sum += delta * delta;
-            }
-            yinBuffer[tau] = sum;
+    setVerbose(verbose) {
+        this.verbose = verbose;
+        if ('verbose' in this.detector) {
+            this.detector.verbose = verbose;
         }
-
-        return yinBuffer;
     }
 
     /**
-     * Cumulative mean normalized difference (step 2 of YIN)
+     * Update detector options
+     * @param {Object} options - { algorithm, threshold, minFrequency, maxFrequency, bufferSize }
      */
-    _cumulativeMeanNormalizedDifference(yinBuffer) {
-        const cmndf = new Float32Array(yinBuffer.length);
-        cmndf[0] = 1;
-
-        let runningSum = 0;
-        for (let tau = 1; tau < yinBuffer.length; tau++) {
-            runningSum += yinBuffer[tau];
-            cmndf[tau] = yinBuffer[tau] / (runningSum / tau);
+    configure(options = {}) {
+        if (options.algorithm !== undefined && options.algorithm !== this.algorithm) {
+            this.setAlgorithm(options.algorithm);
         }
 
-        return cmndf;
-    }
-
-    /**
-     * Find first tau below threshold (step 3 of YIN)
-     */
-    _absoluteThreshold(cmndf) {
-        // Start searching from a minimum period (corresponding to max freq ~500Hz)
-        // This helps avoid octave errors where we detect the sub-harmonic
-        const minTau = Math.floor(this.sampleRate / 500);
-
-        for (let tau = minTau; tau < cmndf.length; tau++) {
-            if (cmndf[tau] < this.threshold) {
-                // Find local minimum
-                while (tau + 1 < cmndf.length && cmndf[tau + 1] < cmndf[tau]) {
-                    tau++;
-                }
-                return tau;
+        if (options.threshold !== undefined) {
+            this.threshold = options.threshold;
+            if ('threshold' in this.detector) {
+                this.detector.threshold = options.threshold;
             }
         }
 
-        return -1; // No pitch found
-    }
-
-    /**
-     * Parabolic interpolation for sub-sample precision (step 4 of YIN)
-     */
-    _parabolicInterpolation(cmndf, tau) {
-        if (tau === 0 || tau === cmndf.length - 1) {
-            return tau;
+        if (options.minFrequency !== undefined || options.maxFrequency !== undefined) {
+            this.minFrequency = options.minFrequency ?? this.minFrequency;
+            this.maxFrequency = options.maxFrequency ?? this.maxFrequency;
+            this._applyRange();
         }
 
-        const s0 = cmndf[tau - 1];
-        const s1 = cmndf[tau];
-        const s2 = cmndf[tau + 1];
-
-        const adjustment = (s2 - s0) / (2 * (2 * s1 - s2 - s0));
-        return tau + adjustment;
+        if (options.bufferSize !== undefined) {
+            this.bufferSize = options.bufferSize;
+        }
     }
 
     /**
-     * Set smoothing factor (0-1)
+     * Pass the detection range down to the algorithm's search bounds
      */
-    setSmoothingFactor(factor) {
-        this.smoothingFactor = Math.max(0, Math.min(1, factor));
+    _applyRange() {
+        this.detector.minFrequency = this.minFrequency;
+        this.detector.maxFrequency = this.maxFrequency;
     }
 
     /**
-     * Reset smoothing state
+     * Reset per-stream detector state
      */
     reset() {
-        this.lastPitch = null;
+        this.detector?.reset();
+    }
+}
+
+/**
+ * Frame for audio that never reached the detector (e.g. below the noise gate)
+ * @param {number} rms - RMS of the buffer
+ * @returns {Object} Pitch frame { frequency, confidence, rms, voiced }
+ */
+export function unvoicedFrame(rms) {
+    return { frequency: null, confidence: 0, rms, voiced: false, candidates: [] };
+}
+
+/**
+ * Root-mean-square level of a buffer
+ * @param {Float32Array} buffer - Audio samples
+ * @returns {number} RMS value (0-1)
+ */
+export function computeRMS(buffer) {
+    let sum = 0;
+    for (let i = 0; i < buffer.length; i++) {
+        sum += buffer[i] * buffer[i];
     }
+    return Math.sqrt(sum / buffer.length);
 }
@@ -0,0 +1,376 @@
+/**
+ * Pitch Analysis Pipeline
+ * Runs capture in an AudioWorklet and detection in a dedicated Worker, so the
+ * UI thread only consumes timestamped pitch frames. Falls back to sampling the
+ * AnalyserNode on a main-thread timer when AudioWorklet is unavailable.
+ *
+ * Frames are produced once per analysis hop (config.hopMs) of audio, never
+ * per display frame, and carry the audio-clock time they describe.
+ *
+ * The reference tone can be routed into the worklet as a second input so the
+ * worker cancels it from the mic signal (worklet mode only).
+ */
+
+import { PitchDetector, computeRMS, unvoicedFrame } from './pitchDetector.js';
+import { PitchTracker } from './pitchTracker.js';
+import { NoiseGate, NoiseFloorCalibrator, DEFAULT_GATE } from './noiseGate.js';
+// Emitted as its own file: worklet modules can't be loaded from inlined data URLs everywhere
+import captureProcessorUrl from './captureProcessor.js?worker&url';
+
+export class PitchPipeline {
+    constructor(microphone) {
+        this.microphone = microphone;
+
+        this.mode = null; // 'worklet' | 'analyser'
+        this.chunkSize = 256; // Samples per chunk sent from the worklet (~6ms at 44.1kHz)
+
+        // Worklet mode
+        this.workletNode = null;
+        this.worker = null;
+        this.referenceNode = null; // Reference tone output, cancelled from the mic
+
+        // Analyser (fallback) mode
+        this.pitchDetector = null;
+        this.pitchTracker = null;
+        this.noiseGate = null;
+        this.analyserTimer = null;
+
+        // Shared detector options, replayed when switching modes
+        this.config = {
+            algorithm: 'yin',
+            threshold: 0.15,
+            // Noise gate in dBFS (see noiseGate.js)
+            ...DEFAULT_GATE,
+            tracking: 'balanced', // See TRACKING_PRESETS in pitchTracker.js
+            smoothing: 0.3,
+            // Detection range and window (see voicePresets.js)
+            minFrequency: 50,
+            maxFrequency: 2000,
+            bufferSize: 8192,
+            // Analysis clock: one frame per hopMs of audio
+            hopMs: 10,
+            // Reference tone cancellation; the delay is measured at start
+            echoCancel: true,
+            echoDelayMs: 0
+        };
+
+        // Frames received but not yet consumed by the renderer
+        this.pendingFrames = [];
+
+        // Noise floor measurement in progress: { calibrator, resolve }
+        this.calibration = null;
+    }
+
+    /**
+     * Check whether the off-main-thread path can run in this browser
+     * @param {AudioContext} audioContext
+     * @returns {boolean}
+     */
+    static isWorkletSupported(audioContext) {
+        return Boolean(
+            audioContext &&
+            audioContext.audioWorklet &&
+            typeof AudioWorkletNode !== 'undefined' &&
+            typeof Worker !== 'undefined' &&
+            typeof MessageChannel !== 'undefined'
+        );
+    }
+
+    /**
+     * Start the pipeline (microphone must already be started)
+     * @returns {Promise<void>}
+     */
+    async start() {
+        const audioContext = this.microphone.getAudioContext();
+        this.microphone.setBufferSize(this.config.bufferSize);
+
+        if (PitchPipeline.isWorkletSupported(audioContext)) {
+            try {
+                await this._startWorklet(audioContext);
+                this.mode = 'worklet';
+            } catch (error) {
+                console.warn('[PitchPipeline] AudioWorklet unavailable, falling back to AnalyserNode:', error);
+                this._teardownWorklet();
+            }
+        }
+
+        if (!this.mode) {
+            this._startAnalyser();
+        }
+
+        console.log(`[PitchPipeline] Running in ${this.mode} mode`);
+    }
+
+    /**
+     * Wire microphone -> capture worklet -> pitch worker
+     */
+    async _startWorklet(audioContext) {
+        await audioContext.audioWorklet.addModule(captureProcessorUrl);
+
+        // The tone reaches the mic at least one output latency after the worklet sees it
+        this.config.echoDelayMs = ((audioContext.baseLatency || 0) + (audioContext.outputLatency || 0)) * 1000;
+
+        this.worker = new Worker(new URL('./pitchWorker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = (e) => this._handleWorkerMessage(e.data);
+        this.worker.onerror = (error) => {
+            console.error('[PitchPipeline] Worker error, falling back to AnalyserNode:', error);
+            this._teardownWorklet();
+            this._startAnalyser();
+        };
+
+        // No outputs: the node is a sink and is processed without reaching destination.
+        // Input 0 = microphone, input 1 = reference tone (both mixed to mono)
+        this.workletNode = new AudioWorkletNode(audioContext, 'capture-processor', {
+            numberOfInputs: 2,
+            numberOfOutputs: 0,
+            channelCount: 1,
+            channelCountMode: 'explicit',
+            channelInterpretation: 'speakers',
+            processorOptions: { chunkSize: this.chunkSize }
+        });
+
+        // Direct worklet -> worker channel so audio never touches the UI thread
+        const channel = new MessageChannel();
+        this.workletNode.port.postMessage({ type: 'connect', port: channel.port1 }, [channel.port1]);
+        this.worker.postMessage({
+            type: 'init',
+            sampleRate: audioContext.sampleRate,
+            config: this.config,
+            port: channel.port2
+        }, [channel.port2]);
+
+        this.microphone.getSourceNode().connect(this.workletNode);
+        this.referenceNode?.connect(this.workletNode, 0, 1);
+    }
+
+    /**
+     * Route the reference tone into the canceller
+     * @param {AudioNode|null} node - Tone output on the microphone's AudioContext
+     */
+    setReferenceSource(node) {
+        if (this.referenceNode && this.workletNode) {
+            this.referenceNode.disconnect(this.workletNode);
+        }
+
+        this.referenceNode = node;
+        if (node && this.workletNode) {
+            node.connect(this.workletNode, 0, 1);
+        }
+    }
+
+    /**
+     * Whether a playing reference tone is kept out of detection
+     * @returns {boolean}
+     */
+    canCancelReference() {
+        return this.mode === 'worklet' && this.config.echoCancel;
+    }
+
+    /**
+     * Use main-thread detection on AnalyserNode snapshots, taken on a timer at
+     * the analysis hop (timers keep running when rendering is throttled)
+     */
+    _startAnalyser() {
+        this.pitchDetector = new PitchDetector(this.microphone.getSampleRate());
+        this.pitchDetector.configure(this.config);
+        this.pitchTracker = new PitchTracker(this.config);
+        this.noiseGate = new NoiseGate(this.config);
+        this.mode = 'analyser';
+        this._scheduleAnalyser();
+    }
+
+    _scheduleAnalyser() {
+        clearInterval(this.analyserTimer);
+        this.analyserTimer = setInterval(() => this._analyseSnapshot(), this.config.hopMs);
+    }
+
+    /**
+     * Queue pitch frames posted by the worker
+     */
+    _handleWorkerMessage(message) {
+        if (message.type !== 'frames') return;
+
+        for (const frame of message.frames) {
+            this.pendingFrames.push({
+                ...frame,
+                timestamp: this._audioTimeToPerformanceTime(frame.time)
+            });
+        }
+    }
+
+    /**
+     * Map an audio-clock time (seconds) onto the performance.now() timeline
+     * used by the renderer
+     * @param {number} audioTime - AudioContext time in seconds
+     * @returns {number} Timestamp in milliseconds
+     */
+    _audioTimeToPerformanceTime(audioTime) {
+        const audioContext = this.microphone.getAudioContext();
+        if (!audioContext) return performance.now();
+
+        if (audioContext.getOutputTimestamp) {
+            const { contextTime, performanceTime } = audioContext.getOutputTimestamp();
+            if (performanceTime) {
+                return performanceTime + (audioTime - contextTime) * 1000;
+            }
+        }
+
+        return performance.now() - (audioContext.currentTime - audioTime) * 1000;
+    }
+
+    /**
+     * Collect pitch frames produced since the last call
+     * @returns {Array} Array of { frequency, confidence, rms, voiced, gateOpen, time, timestamp } -
+     *   time is the audio-clock time in seconds, timestamp the same moment in ms on
+     *   the performance.now() timeline
+     */
+    poll() {
+        const frames = this.pendingFrames;
+        this.pendingFrames = [];
+
+        if (this.calibration) {
+            this._feedCalibration(frames);
+        }
+        return frames;
+    }
+
+    /**
+     * Measure the noise floor over the next few seconds and set the gate from it
+     * (the input should be silent meanwhile)
+     * @param {number} durationMs - Measurement length
+     * @returns {Promise<Object>} Resolves with { floorDb, gateOpenDb, gateCloseDb }
+     */
+    calibrateNoiseFloor(durationMs = 2000) {
+        this.calibration?.resolve(null);
+
+        const calibrator = new NoiseFloorCalibrator(durationMs);
+        // Keep the user's hysteresis setting
+        calibrator.hysteresisDb = this.config.gateOpenDb - this.config.gateCloseDb;
+
+        return new Promise(resolve => {
+            this.calibration = { calibrator, resolve };
+        });
+    }
+
+    /**
+     * Calibration progress
+     * @returns {number|null} 0-1, or null when not calibrating
+     */
+    getCalibrationProgress() {
+        return this.calibration ? this.calibration.calibrator.progress(performance.now()) : null;
+    }
+
+    _feedCalibration(frames) {
+        const { calibrator, resolve } = this.calibration;
+        const now = performance.now();
+
+        let done = false;
+        for (const frame of frames) {
+            done = calibrator.add(frame.rms, now) || done;
+        }
+        if (!done) return;
+
+        const result = calibrator.result();
+        this.calibration = null;
+        this.configure({ gateOpenDb: result.gateOpenDb, gateCloseDb: result.gateCloseDb });
+
+        console.log(`🔇 [PitchPipeline] Noise floor ${result.floorDb.toFixed(1)} dBFS → gate opens at ${result.gateOpenDb} dBFS`);
+        resolve(result);
+    }
+
+    /**
+     * Run one synchronous detection pass on the analyser buffer
+     */
+    _analyseSnapshot() {
+        const buffer = this.microphone.getAudioBuffer();
+        const audioContext = this.microphone.getAudioContext();
+        if (!buffer || !audioContext) return;
+
+        // The snapshot ends at (about) the current audio time
+        const time = audioContext.currentTime;
+        const rms = computeRMS(buffer);
+        const gateOpen = this.noiseGate.process(rms, time);
+        const frame = gateOpen
+            ? this.pitchDetector.detectPitch(buffer, rms)
+            : unvoicedFrame(rms);
+        frame.gateOpen = gateOpen;
+
+        for (const tracked of this.pitchTracker.process({ ...frame, time })) {
+            this.pendingFrames.push({
+                ...tracked,
+                timestamp: this._audioTimeToPerformanceTime(tracked.time)
+            });
+        }
+    }
+
+    /**
+     * Update detector options
+     * @param {Object} options - { algorithm, threshold, gateOpenDb, gateCloseDb, gateHoldMs,
+     *   tracking, smoothing, minFrequency, maxFrequency, bufferSize, hopMs, echoCancel }
+     */
+    configure(options) {
+        Object.assign(this.config, options);
+
+        if (options.bufferSize !== undefined) {
+            this.microphone.setBufferSize(options.bufferSize);
+        }
+
+        if (this.worker) {
+            this.worker.postMessage({ type: 'configure', config: options });
+        }
+
+        this.pitchDetector?.configure(options);
+        this.pitchTracker?.configure(options);
+        this.noiseGate?.configure(options);
+        if (options.algorithm !== undefined) {
+            this.pitchTracker?.reset();
+        }
+
+        if (options.hopMs !== undefined && this.mode === 'analyser') {
+            this._scheduleAnalyser();
+        }
+    }
+
+    /**
+     * Reset detector and tracking state
+     */
+    reset() {
+        this.pendingFrames = [];
+        this.worker?.postMessage({ type: 'reset' });
+        this.pitchDetector?.reset();
+        this.pitchTracker?.reset();
+        this.noiseGate?.reset();
+    }
+
+    _teardownWorklet() {
+        if (this.workletNode) {
+            this.referenceNode?.disconnect(this.workletNode);
+            this.workletNode.port.close();
+            this.workletNode.disconnect();
+            this.workletNode = null;
+        }
+
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+
+        this.mode = null;
+    }
+
+    /**
+     * Stop the pipeline and release the worker
+     */
+    stop() {
+        clearInterval(this.analyserTimer);
+        this.analyserTimer = null;
+        this._teardownWorklet();
+        this.pitchDetector = null;
+        this.pitchTracker = null;
+        this.noiseGate = null;
+        this.pendingFrames = [];
+
+        this.calibration?.resolve(null);
+        this.calibration = null;
+    }
+}
@@ -0,0 +1,354 @@
+/**
+ * Pitch Tracker
+ * Temporal stage between detection and rendering:
+ *   1. Candidate expansion - each frame's detector candidates plus their
+ *      octave neighbours (×2, ×½) as low-weight alternatives
+ *   2. Fixed-lag Viterbi - picks the candidate path that best explains the
+ *      last few frames, penalizing pitch jumps and octave jumps in particular
+ *   3. Median filter - removes remaining single-frame spikes
+ *   4. Exponential smoothing - optional, configured independently, and reset
+ *      on note changes so it doesn't smear real transitions
+ */
+
+// Look-ahead and median span are in ms so tracking behaves the same at any
+// analysis hop; frame counts are derived from hopMs
+export const TRACKING_PRESETS = {
+    off: { enabled: false, lagMs: 0, medianMs: 0 },
+    fast: { enabled: true, lagMs: 0, medianMs: 0 },
+    balanced: { enabled: true, lagMs: 70, medianMs: 70 },
+    stable: { enabled: true, lagMs: 140, medianMs: 115 }
+};
+
+// Hop at which `smoothing` is specified (1024 samples at 44.1kHz)
+const REFERENCE_HOP_MS = 1024 / 44.1;
+
+export class PitchTracker {
+    constructor(options = {}) {
+        // Frame timing
+        this.hopMs = REFERENCE_HOP_MS; // Time between frames
+
+        // Path selection
+        this.enabled = true;
+        this.lagMs = 70; // Look-ahead before committing a decision
+        this.lag = 3; // lagMs in frames
+        this.semitoneCost = 0.15; // Log-probability penalty per semitone of movement
+        this.octaveJumpCost = 2; // Extra penalty for jumps within ±1 semitone of an octave
+        this.voicingCost = 1.5; // Penalty for switching voiced <-> unvoiced
+        this.octaveAlternateWeight = 0.3; // Relative weight of generated ×2/×½ candidates
+        this.alternateCandidateWeight = 0.5; // Relative weight of candidates the detector didn't pick
+
+        // Outlier filtering
+        this.medianMs = 70; // Median filter span
+        this.medianWindow = 3; // medianMs in frames (odd, 1 = disabled)
+
+        // Smoothing (independent of tracking)
+        this.smoothing = 0.3; // 0 = no smoothing, 1 = max smoothing (per REFERENCE_HOP_MS)
+        this.noteChangeSemitones = 1; // Larger moves bypass smoothing
+
+        this.history = []; // Uncommitted Viterbi trellis: [{ frame, states }]
+        this.lastStates = null; // Newest trellis column (predecessor of the next frame)
+        this.medianBuffer = []; // Median context (see _postProcess)
+        this.medianEmitIndex = 0;
+        this.lastSmoothed = null;
+
+        this.configure(options);
+    }
+
+    /**
+     * Update tracker options
+     * @param {Object} options - { tracking: preset name, smoothing, hopMs, lagMs, medianMs, ... }
+     */
+    configure(options = {}) {
+        const structural = { ...options };
+
+        if (options.tracking !== undefined) {
+            const preset = TRACKING_PRESETS[options.tracking];
+            if (!preset) {
+                throw new Error(`Unknown tracking preset: ${options.tracking}`);
+            }
+            Object.assign(structural, preset);
+        }
+
+        for (const key of ['semitoneCost', 'octaveJumpCost', 'voicingCost', 'octaveAlternateWeight', 'alternateCandidateWeight', 'noteChangeSemitones']) {
+            if (options[key] !== undefined) {
+                this[key] = options[key];
+            }
+        }
+
+        if (options.smoothing !== undefined) {
+            this.smoothing = Math.max(0, Math.min(1, options.smoothing));
+        }
+
+        // Changing the trellis shape invalidates frames held back for look-ahead
+        let changed = false;
+        for (const key of ['enabled', 'hopMs', 'lagMs', 'medianMs']) {
+            if (structural[key] !== undefined && structural[key] !== this[key]) {
+                this[key] = structural[key];
+                changed = true;
+            }
+        }
+
+        if (changed) {
+            this.lag = Math.round(this.lagMs / this.hopMs);
+            const median = Math.round(this.medianMs / this.hopMs);
+            this.medianWindow = median <= 1 ? 1 : median | 1;
+            this.reset();
+        }
+    }
+
+    /**
+     * Feed one detector frame
+     * @param {Object} frame - { frequency, confidence, candidates, ... }
+     * @returns {Array} Frames whose decision is final (0 or 1 while streaming)
+     */
+    process(frame) {
+        const decided = this.enabled ? this._viterbiStep(frame) : [frame];
+        return this._postProcess(decided);
+    }
+
+    /**
+     * Emit every frame still held back by look-ahead (end of stream)
+     * @returns {Array} Remaining frames in order
+     */
+    flush() {
+        const decided = [];
+
+        if (this.history.length > 0) {
+            const path = this._backtrack(this.history.length - 1);
+            this.history.forEach((entry, i) => decided.push(this._withState(entry.frame, path[i])));
+        }
+        this.history = [];
+        this.lastStates = null;
+
+        const output = this._postProcess(decided, true);
+        this.medianBuffer = [];
+        this.medianEmitIndex = 0;
+
+        return output;
+    }
+
+    /**
+     * Clear all temporal state
+     */
+    reset() {
+        this.history = [];
+        this.lastStates = null;
+        this.medianBuffer = [];
+        this.medianEmitIndex = 0;
+        this.lastSmoothed = null;
+    }
+
+    /**
+     * Candidate states for a frame, including octave alternates and unvoiced
+     */
+    _states(frame) {
+        const states = [];
+        const candidates = frame.candidates?.length
+            ? frame.candidates
+            : (frame.frequency ? [{ frequency: frame.frequency, confidence: frame.confidence }] : []);
+
+        const hasNearby = (frequency) => states.some(s =>
+            s.frequency && Math.abs(12 * Math.log2(s.frequency / frequency)) < 0.5
+        );
+
+        // The detector's own pick goes first and breaks ties: periodic signals give
+        // near-equal candidates at every period multiple (f/2, f/3, ...)
+        const isPick = (frequency) => Boolean(frame.frequency) &&
+            Math.abs(12 * Math.log2(frequency / frame.frequency)) < 0.5;
+        const ordered = candidates.filter(c => c.frequency).sort((a, b) => isPick(b.frequency) - isPick(a.frequency));
+
+        for (const c of ordered) {
+            if (hasNearby(c.frequency)) continue;
+            const weight = isPick(c.frequency) ? 1 : this.alternateCandidateWeight;
+            states.push({ frequency: c.frequency, observation: Math.log(Math.max(c.confidence * weight, 1e-3)) });
+        }
+
+        // Octave neighbours let the path stay put through one-frame octave errors
+        const detected = states.slice();
+        for (const s of detected) {
+            for (const factor of [2, 0.5]) {
+                const frequency = s.frequency * factor;
+                if (!hasNearby(frequency)) {
+                    states.push({
+                        frequency,
+                        observation: s.observation + Math.log(this.octaveAlternateWeight)
+                    });
+                }
+            }
+        }
+
+        const voicedLikelihood = frame.voiced ? frame.confidence : 0;
+        states.push({
+            frequency: null,
+            observation: Math.log(Math.max(1 - voicedLikelihood, 1e-3))
+        });
+
+        return states;
+    }
+
+    /**
+     * Log transition probability between two states (null = unvoiced)
+     */
+    _transition(fromFrequency, toFrequency) {
+        if (fromFrequency === null && toFrequency === null) return 0;
+        if (fromFrequency === null || toFrequency === null) return -this.voicingCost;
+
+        const semitones = Math.abs(12 * Math.log2(toFrequency / fromFrequency));
+        let cost = this.semitoneCost * semitones;
+
+        if (Math.abs(semitones - 12) <= 1) {
+            cost += this.octaveJumpCost;
+        }
+
+        return -cost;
+    }
+
+    /**
+     * Add a frame to the trellis and commit the frame that left the look-ahead window
+     */
+    _viterbiStep(frame) {
+        const states = this._states(frame);
+        const previous = this.lastStates;
+
+        for (const state of states) {
+            if (!previous) {
+                state.score = state.observation;
+                state.back = -1;
+                continue;
+            }
+
+            state.score = -Infinity;
+            previous.forEach((prev, index) => {
+                const score = prev.score + this._transition(prev.frequency, state.frequency);
+                if (score > state.score) {
+                    state.score = score;
+                    state.back = index;
+                }
+            });
+            state.score += state.observation;
+        }
+
+        // Renormalize so scores don't drift toward -Infinity
+        const top = Math.max(...states.map(s => s.score));
+        states.forEach(s => { s.score -= top; });
+
+        this.history.push({ frame, states });
+        this.lastStates = states;
+
+        if (this.history.length <= this.lag) {
+            return [];
+        }
+
+        const path = this._backtrack(this.history.length - 1);
+        const committed = this.history.shift();
+        return [this._withState(committed.frame, path[0])];
+    }
+
+    /**
+     * Best state index for every frame in the trellis, ending at `last`
+     */
+    _backtrack(last) {
+        const path = new Array(last + 1);
+        const final = this.history[last].states;
+
+        let index = final.reduce((best, s, i) => (s.score > final[best].score ? i : best), 0);
+        for (let t = last; t >= 0; t--) {
+            path[t] = this.history[t].states[index];
+            index = path[t].back;
+        }
+
+        return path;
+    }
+
+    _withState(frame, state) {
+        return {
+            ...frame,
+            rawFrequency: frame.frequency,
+            frequency: state.frequency,
+            voiced: state.frequency !== null
+        };
+    }
+
+    /**
+     * Median filter + smoothing on committed frames
+     * @param {Array} frames - Frames committed by path selection
+     * @param {boolean} final - Emit everything (end of stream)
+     */
+    _postProcess(frames, final = false) {
+        const output = [];
+        const half = Math.floor(this.medianWindow / 2);
+
+        if (this.medianWindow <= 1) {
+            return frames.map(frame => this._smooth(frame));
+        }
+
+        // medianBuffer keeps up to `half` already-emitted frames as left context,
+        // followed by frames waiting for their right context
+        this.medianBuffer.push(...frames);
+
+        while (this.medianEmitIndex < this.medianBuffer.length &&
+            (final || this.medianEmitIndex + half < this.medianBuffer.length)) {
+            const index = this.medianEmitIndex;
+            const window = this.medianBuffer.slice(Math.max(0, index - half), index + half + 1);
+            output.push(this._smooth(this._median(this.medianBuffer[index], window)));
+            this.medianEmitIndex++;
+        }
+
+        const excess = this.medianEmitIndex - half;
+        if (excess > 0) {
+            this.medianBuffer.splice(0, excess);
+            this.medianEmitIndex -= excess;
+        }
+
+        return output;
+    }
+
+    /**
+     * Replace a voiced frame's frequency with the median of its voiced neighbours
+     */
+    _median(frame, window) {
+        const voiced = window.filter(f => f.frequency !== null).map(f => f.frequency);
+
+        // Only correct voiced frames surrounded by enough voiced context
+        if (frame.frequency === null || voiced.length <= Math.floor(window.length / 2)) {
+            return frame;
+        }
+
+        voiced.sort((a, b) => a - b);
+        const mid = voiced.length / 2;
+        let median = voiced[Math.floor(mid)];
+
+        // Even count: take whichever middle value is closer to the frame itself
+        if (Number.isInteger(mid)) {
+            const lower = voiced[mid - 1];
+            if (Math.abs(lower - frame.frequency) < Math.abs(median - frame.frequency)) {
+                median = lower;
+            }
+        }
+
+        return { ...frame, frequency: median };
+    }
+
+    /**
+     * Exponential smoothing that restarts after gaps and note changes
+     */
+    _smooth(frame) {
+        if (frame.frequency === null) {
+            this.lastSmoothed = null;
+            return frame;
+        }
+
+        let frequency = frame.frequency;
+        if (this.lastSmoothed !== null) {
+            const semitones = Math.abs(12 * Math.log2(frequency / this.lastSmoothed));
+            if (semitones <= this.noteChangeSemitones) {
+                // Same time constant at any hop: more frames means less smoothing each
+                const factor = Math.pow(this.smoothing, this.hopMs / REFERENCE_HOP_MS);
+                frequency = this.lastSmoothed * factor + frequency * (1 - factor);
+            }
+        }
+
+        this.lastSmoothed = frequency;
+        return { ...frame, frequency };
+    }
+}
@@ -0,0 +1,223 @@
+/**
+ * Pitch Detection Worker
+ * Receives audio chunks from the capture worklet over a MessagePort, keeps a
+ * sliding analysis window and runs detection + tracking once per analysis hop
+ * of audio. Frames are stamped with the audio clock, so their rate and timing
+ * don't depend on the display or on how chunks happen to arrive.
+ *
+ * While the reference tone plays, its echo is cancelled from the mic signal
+ * before analysis (see echoCanceller.js).
+ */
+
+import { PitchDetector, computeRMS, unvoicedFrame } from './pitchDetector.js';
+import { PitchTracker } from './pitchTracker.js';
+import { NoiseGate } from './noiseGate.js';
+import { EchoCanceller } from './echoCanceller.js';
+
+// Skip analysis while more than this much audio is queued (device too slow)
+const MAX_BACKLOG_MS = 500;
+
+// Keep cancelling this long after the tone stops (room reverb)
+const ECHO_TAIL_MS = 250;
+
+let pitchDetector = null;
+const pitchTracker = new PitchTracker();
+const noiseGate = new NoiseGate();
+let analysisBuffer = null;
+let sampleRate = 44100;
+let samplesReceived = 0;
+
+// Analysis clock
+let hopMs = 10;
+let hopSamples = 441;
+let samplesSinceHop = 0;
+
+// Backlog detection: smallest (wall clock - audio clock) seen is the no-backlog reference
+let clockOffset = null;
+let skippedHops = 0;
+
+// Reference tone cancellation
+let echoCancel = true;
+let echoDelayMs = 0;
+let echoCanceller = null; // Created on first use, keeps the learned echo path
+let lastReferenceTime = -Infinity; // Audio-clock seconds
+
+self.onmessage = (e) => {
+    const message = e.data;
+
+    switch (message.type) {
+        case 'init':
+            sampleRate = message.sampleRate;
+            pitchDetector = new PitchDetector(sampleRate);
+            analysisBuffer = new Float32Array(pitchDetector.bufferSize);
+            samplesReceived = 0;
+            applyConfig(message.config);
+
+            // Audio chunks arrive directly from the worklet, bypassing the UI thread
+            message.port.onmessage = (event) => handleAudio(event.data);
+            break;
+
+        case 'configure':
+            applyConfig(message.config);
+            break;
+
+        case 'reset':
+            pitchDetector?.reset();
+            pitchTracker.reset();
+            noiseGate.reset();
+            echoCanceller?.reset();
+            break;
+    }
+};
+
+/**
+ * Apply detector and gate options
+ * @param {Object} options - { algorithm, threshold, gateOpenDb, gateCloseDb, gateHoldMs,
+ *   tracking, smoothing, minFrequency, maxFrequency, bufferSize, hopMs, echoCancel, echoDelayMs }
+ */
+function applyConfig(options = {}) {
+    if (options.echoCancel !== undefined) echoCancel = options.echoCancel;
+    if (options.echoDelayMs !== undefined) {
+        echoDelayMs = options.echoDelayMs;
+        echoCanceller?.setDelay(echoDelayMs);
+    }
+
+    if (options.hopMs !== undefined) {
+        hopMs = options.hopMs;
+        hopSamples = Math.max(1, Math.round((hopMs / 1000) * sampleRate));
+        samplesSinceHop = 0;
+    }
+
+    noiseGate.configure(options);
+    pitchDetector?.configure(options);
+    pitchTracker.configure(options);
+
+    if (options.bufferSize !== undefined && analysisBuffer && options.bufferSize !== analysisBuffer.length) {
+        resizeAnalysisBuffer(options.bufferSize);
+    }
+
+    // A new algorithm produces unrelated candidates: restart the path search
+    if (options.algorithm !== undefined) {
+        pitchTracker.reset();
+    }
+}
+
+/**
+ * Change the analysis window, keeping the most recent samples
+ * @param {number} size - New window size in samples
+ */
+function resizeAnalysisBuffer(size) {
+    const resized = new Float32Array(size);
+    const kept = Math.min(size, analysisBuffer.length);
+    resized.set(analysisBuffer.subarray(analysisBuffer.length - kept), size - kept);
+
+    analysisBuffer = resized;
+    samplesReceived = Math.min(samplesReceived, kept);
+}
+
+/**
+ * Append an audio chunk to the sliding window, analyzing at every hop boundary
+ * inside it
+ */
+function handleAudio(message) {
+    if (message.type !== 'audio' || !analysisBuffer) return;
+
+    const { endTime } = message;
+    const samples = cancelEcho(message);
+    const startTime = endTime - samples.length / sampleRate;
+    const behind = isBehind(endTime);
+    const frames = [];
+
+    let offset = 0;
+    while (offset < samples.length) {
+        const take = Math.min(samples.length - offset, hopSamples - samplesSinceHop);
+        appendSamples(samples.subarray(offset, offset + take));
+        offset += take;
+        samplesSinceHop += take;
+
+        if (samplesSinceHop < hopSamples) break;
+        samplesSinceHop = 0;
+
+        if (behind) {
+            skippedHops++;
+            continue;
+        }
+
+        // Audio-clock time of the newest sample in the window
+        frames.push(...analyze(startTime + offset / sampleRate));
+    }
+
+    if (skippedHops > 0 && !behind) {
+        console.warn(`[PitchWorker] Analysis fell behind, skipped ${skippedHops} hops`);
+        skippedHops = 0;
+    }
+
+    if (frames.length > 0) {
+        self.postMessage({ type: 'frames', frames });
+    }
+}
+
+/**
+ * Remove the reference tone's echo from a chunk while the tone is (or just
+ * was) playing
+ * @param {Object} message - { samples, reference, endTime }
+ * @returns {Float32Array} Samples to analyze
+ */
+function cancelEcho({ samples, reference, endTime }) {
+    if (reference) {
+        lastReferenceTime = endTime;
+    }
+    if (!echoCancel || endTime - lastReferenceTime > ECHO_TAIL_MS / 1000) {
+        return samples;
+    }
+
+    if (!echoCanceller || echoCanceller.blockSize !== samples.length) {
+        echoCanceller = new EchoCanceller(sampleRate, samples.length);
+        echoCanceller.setDelay(echoDelayMs);
+    }
+    return echoCanceller.process(samples, reference || null);
+}
+
+/**
+ * Slide the window left and append samples at the end
+ */
+function appendSamples(samples) {
+    if (samples.length >= analysisBuffer.length) {
+        analysisBuffer.set(samples.subarray(samples.length - analysisBuffer.length));
+    } else {
+        analysisBuffer.copyWithin(0, samples.length);
+        analysisBuffer.set(samples, analysisBuffer.length - samples.length);
+    }
+    samplesReceived += samples.length;
+}
+
+/**
+ * Whether chunks are queueing up faster than they are analyzed
+ * @param {number} endTime - Audio-clock time of the chunk's last sample
+ */
+function isBehind(endTime) {
+    const offset = performance.now() - endTime * 1000;
+    if (clockOffset === null || offset < clockOffset) {
+        clockOffset = offset;
+    }
+    return offset - clockOffset > MAX_BACKLOG_MS;
+}
+
+/**
+ * Run pitch detection on the current window
+ * @param {number} time - Audio-clock time of the window end (seconds)
+ * @returns {Array} Tracked frames ready to post (tracking may hold frames back)
+ */
+function analyze(time) {
+    // Wait until the window is filled with real audio
+    if (samplesReceived < analysisBuffer.length) return [];
+
+    const rms = computeRMS(analysisBuffer);
+    const gateOpen = noiseGate.process(rms, time);
+    const frame = gateOpen
+        ? pitchDetector.detectPitch(analysisBuffer, rms)
+        : unvoicedFrame(rms);
+    frame.gateOpen = gateOpen;
+
+    return pitchTracker.process({ ...frame, time });
+}
@@ -0,0 +1,58 @@
+/**
+ * Recorder Worklet
+ * Runs on the audio rendering thread: collects microphone samples for a
+ * recorded take and posts them to the main thread in large chunks, stamped
+ * with the audio clock so pitch frames can be lined up with the audio.
+ */
+
+class RecorderProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+
+        this.chunkSize = 16384; // ~0.35s at 48kHz
+        this.chunk = new Float32Array(this.chunkSize);
+        this.writeIndex = 0;
+        this.chunkStart = 0; // Audio-clock time (seconds) of the chunk's first sample
+
+        // 'flush' sends the partial chunk, then confirms
+        this.port.onmessage = (e) => {
+            if (e.data.type === 'flush') {
+                this.post();
+                this.port.postMessage({ type: 'flushed' });
+            }
+        };
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        if (!input || input.length === 0) {
+            return true; // Source not connected yet, keep the node alive
+        }
+
+        const channel = input[0];
+        for (let i = 0; i < channel.length; i++) {
+            if (this.writeIndex === 0) {
+                this.chunkStart = (currentFrame + i) / sampleRate;
+            }
+            this.chunk[this.writeIndex++] = channel[i];
+
+            if (this.writeIndex === this.chunkSize) {
+                this.post();
+            }
+        }
+
+        return true;
+    }
+
+    post() {
+        if (this.writeIndex === 0) return;
+
+        const samples = this.writeIndex === this.chunkSize ? this.chunk : this.chunk.slice(0, this.writeIndex);
+        this.port.postMessage({ type: 'audio', samples, startTime: this.chunkStart }, [samples.buffer]);
+
+        this.chunk = new Float32Array(this.chunkSize);
+        this.writeIndex = 0;
+    }
+}
+
+registerProcessor('recorder-processor', RecorderProcessor);
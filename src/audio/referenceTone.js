@@ -0,0 +1,350 @@
+/**
+ * Reference Tone Generator
+ * Plays the target note so singers can hear what they are matching: a short
+ * tone on demand or a sustained drone, with an optional metronome count-in.
+ *
+ * Also plays note sequences (exercises, guide tracks) including glides.
+ *
+ * Runs on the microphone's AudioContext when it exists, so the pitch pipeline
+ * can take the tone as a reference and cancel it from the mic signal.
+ */
+
+import { midiToHz } from '../utils/noteConverter.js';
+
+const SCHEDULE_AHEAD_MS = 1000; // Sequence notes are scheduled this far ahead
+const SCHEDULE_INTERVAL_MS = 250;
+
+export const TONE_TIMBRES = [
+    { id: 'sine', label: 'Sine' },
+    { id: 'piano', label: 'Piano' },
+    { id: 'choir', label: 'Choir pad' }
+];
+
+export class ReferenceTone {
+    constructor() {
+        this.audioContext = null;
+        this.ownsContext = false; // Created here because the microphone wasn't started
+        this.output = null; // Master volume node; also the canceller's reference
+
+        this.timbre = 'sine';
+        this.volume = 0.5; // 0-1
+        this.countInBeats = 0; // Metronome clicks before the tone (0 = off)
+        this.countInBpm = 90;
+        this.toneDuration = 2; // Seconds, for play() without drone
+
+        this.voice = null; // { oscillators, envelope, filter }
+        this.clicks = []; // Scheduled count-in oscillators
+        this.sequence = []; // Scheduled sequence voices { voice, end }
+        this.pendingNotes = []; // Sequence notes not scheduled yet
+        this.sequenceTimer = null;
+        this.isDrone = false;
+        this.endTimer = null;
+
+        // Called with (isPlaying, isDrone) when playback starts or stops
+        this.onStateChange = null;
+    }
+
+    /**
+     * Use an AudioContext (normally the microphone's) and create the output
+     * @param {AudioContext} audioContext
+     * @returns {AudioNode} Output node carrying the tone as played
+     */
+    attach(audioContext) {
+        if (this.audioContext === audioContext) return this.output;
+
+        this.stop();
+        if (this.ownsContext) {
+            this.audioContext.close();
+        }
+
+        this.audioContext = audioContext;
+        this.ownsContext = false;
+        this.output = audioContext.createGain();
+        this.output.gain.value = this.volume;
+        this.output.connect(audioContext.destination);
+        return this.output;
+    }
+
+    /**
+     * Make sure there is a running context (before the microphone starts, e.g.
+     * while browsing a recording, the tone gets its own)
+     */
+    async _ensureContext() {
+        if (!this.audioContext) {
+            this.attach(new AudioContext());
+            this.ownsContext = true;
+        }
+        if (this.audioContext.state === 'suspended') {
+            await this.audioContext.resume();
+        }
+    }
+
+    /**
+     * Play a note, after the count-in if one is set
+     * @param {number} frequency - Hz
+     * @param {boolean} drone - Sustain until stop() instead of a short tone
+     */
+    async play(frequency, drone = false) {
+        await this._ensureContext();
+        this.stop();
+
+        const now = this.audioContext.currentTime + 0.05;
+        const beat = 60 / this.countInBpm;
+        for (let i = 0; i < this.countInBeats; i++) {
+            this.clicks.push(this._scheduleClick(now + i * beat, i === 0));
+        }
+
+        const start = now + this.countInBeats * beat;
+        this.voice = this._createVoice(frequency, start);
+        this.isDrone = drone;
+
+        if (!drone) {
+            const end = start + this.toneDuration;
+            this.endTimer = setTimeout(() => this.stop(), (end - this.audioContext.currentTime) * 1000);
+        }
+
+        this.onStateChange?.(true, drone);
+        console.log(`🔔 [ReferenceTone] ${drone ? 'Drone' : 'Tone'} ${frequency.toFixed(2)} Hz (${this.timbre})`);
+    }
+
+    /**
+     * Play a note sequence (exercise or guide track) with optional metronome
+     * clicks. Notes are scheduled a little ahead as playback goes, so long
+     * songs don't create every voice up front.
+     * @param {Array} notes - { startTime, endTime, midi, glideToMidi } in time
+     *   order, with times in ms on the performance.now() timeline
+     * @param {Array} clickTimes - ms on the performance.now() timeline (first is accented)
+     */
+    async playSequence(notes, clickTimes = []) {
+        await this._ensureContext();
+        this.stop();
+
+        clickTimes.forEach((ms, i) => {
+            this.clicks.push(this._scheduleClick(this._toContextTime(ms), i === 0));
+        });
+
+        this.pendingNotes = [...notes];
+        this._scheduleAhead();
+        this.sequenceTimer = setInterval(() => this._scheduleAhead(), SCHEDULE_INTERVAL_MS);
+
+        const last = notes.reduce((end, note) => Math.max(end, note.endTime), performance.now());
+        this.endTimer = setTimeout(() => this.stop(), last - performance.now() + 200);
+        console.log(`🔔 [ReferenceTone] Sequence of ${notes.length} notes (${this.timbre})`);
+    }
+
+    /**
+     * Create voices for the pending notes that start soon and drop finished ones
+     */
+    _scheduleAhead() {
+        const horizon = performance.now() + SCHEDULE_AHEAD_MS;
+
+        while (this.pendingNotes.length > 0 && this.pendingNotes[0].startTime < horizon) {
+            const note = this.pendingNotes.shift();
+            const start = this._toContextTime(note.startTime);
+            const end = this._toContextTime(note.endTime);
+            const voice = this._createVoice(midiToHz(note.midi), start);
+
+            if (note.glideToMidi !== null && note.glideToMidi !== undefined) {
+                const from = midiToHz(note.midi);
+                const to = midiToHz(note.glideToMidi);
+                voice.oscillators.forEach(oscillator => {
+                    oscillator.frequency.setValueAtTime(from, start);
+                    oscillator.frequency.exponentialRampToValueAtTime(to, end);
+                });
+                voice.filter?.frequency.setValueAtTime(Math.min(5000, from * 4), start);
+                voice.filter?.frequency.exponentialRampToValueAtTime(Math.min(5000, to * 4), end);
+            }
+
+            this._release(voice, end);
+            this.sequence.push({ voice, end });
+        }
+
+        const now = this.audioContext.currentTime;
+        this.sequence = this.sequence.filter(({ end }) => end > now);
+    }
+
+    /**
+     * Context time at which a sound is heard at a performance.now() time
+     * @param {number} ms - performance.now() timeline
+     * @returns {number} Context time (never in the past)
+     */
+    _toContextTime(ms) {
+        const ctx = this.audioContext;
+        const stamp = ctx.getOutputTimestamp?.();
+        // Output timestamp pairs the sample being played with when it is heard
+        const offset = stamp?.performanceTime
+            ? stamp.contextTime - stamp.performanceTime / 1000
+            : ctx.currentTime - performance.now() / 1000 - (ctx.outputLatency || ctx.baseLatency || 0);
+        return Math.max(ctx.currentTime, ms / 1000 + offset);
+    }
+
+    /**
+     * Stop the tone (with a short release), any sequence and pending count-in
+     */
+    stop() {
+        clearTimeout(this.endTimer);
+        this.endTimer = null;
+        clearInterval(this.sequenceTimer);
+        this.sequenceTimer = null;
+        this.pendingNotes = [];
+
+        const wasPlaying = this.voice !== null || this.sequence.length > 0 || this.clicks.length > 0;
+        if (this.voice) {
+            this._release(this.voice, this.audioContext.currentTime);
+            this.voice = null;
+        }
+        this.sequence.forEach(({ voice }) => this._release(voice, this.audioContext.currentTime));
+        this.sequence = [];
+        this.clicks.forEach(click => click.stop());
+        this.clicks = [];
+        this.isDrone = false;
+
+        if (wasPlaying) {
+            this.onStateChange?.(false, false);
+        }
+    }
+
+    /**
+     * Whether a tone or count-in is playing
+     * @returns {boolean}
+     */
+    get isPlaying() {
+        return this.voice !== null;
+    }
+
+    /**
+     * Retune a playing drone (e.g. when the target note changes)
+     * @param {number} frequency - Hz
+     */
+    setFrequency(frequency) {
+        if (!this.voice) return;
+
+        const time = this.audioContext.currentTime;
+        this.voice.oscillators.forEach(oscillator => {
+            oscillator.frequency.setTargetAtTime(frequency, time, 0.02);
+        });
+        this.voice.filter?.frequency.setTargetAtTime(Math.min(5000, frequency * 4), time, 0.02);
+    }
+
+    /**
+     * @param {string} timbre - 'sine' | 'piano' | 'choir' (applies to the next note)
+     */
+    setTimbre(timbre) {
+        this.timbre = timbre;
+    }
+
+    /**
+     * @param {number} volume - 0-1
+     */
+    setVolume(volume) {
+        this.volume = volume;
+        this.output?.gain.setTargetAtTime(volume, this.audioContext.currentTime, 0.02);
+    }
+
+    /**
+     * @param {number} beats - Clicks before the tone (0 = no count-in)
+     */
+    setCountIn(beats) {
+        this.countInBeats = beats;
+    }
+
+    /**
+     * Build the oscillators and envelope for the current timbre
+     * @param {number} frequency - Hz
+     * @param {number} start - Context time
+     * @returns {Object} { oscillators, envelope, filter }
+     */
+    _createVoice(frequency, start) {
+        const ctx = this.audioContext;
+        const envelope = ctx.createGain();
+        envelope.gain.setValueAtTime(0, start);
+        envelope.connect(this.output);
+
+        const oscillators = [];
+        let filter = null;
+        const addOscillator = (type, destination, detuneCents = 0) => {
+            const oscillator = ctx.createOscillator();
+            if (type instanceof PeriodicWave) {
+                oscillator.setPeriodicWave(type);
+            } else {
+                oscillator.type = type;
+            }
+            oscillator.frequency.value = frequency;
+            oscillator.detune.value = detuneCents;
+            oscillator.connect(destination);
+            oscillator.start(start);
+            oscillators.push(oscillator);
+        };
+
+        switch (this.timbre) {
+            case 'piano': {
+                // Bright attack decaying to a soft sustain (held for drones)
+                const wave = ctx.createPeriodicWave(
+                    new Float32Array([0, 0, 0, 0, 0, 0, 0, 0]),
+                    new Float32Array([0, 1, 0.55, 0.3, 0.22, 0.12, 0.08, 0.05])
+                );
+                addOscillator(wave, envelope);
+                envelope.gain.linearRampToValueAtTime(0.8, start + 0.005);
+                envelope.gain.setTargetAtTime(0.3, start + 0.005, 0.4);
+                break;
+            }
+
+            case 'choir': {
+                // Three detuned saws through a low-pass, slow swell
+                filter = ctx.createBiquadFilter();
+                filter.type = 'lowpass';
+                filter.frequency.value = Math.min(5000, frequency * 4);
+                filter.Q.value = 0.7;
+                filter.connect(envelope);
+
+                const mix = ctx.createGain();
+                mix.gain.value = 0.25;
+                mix.connect(filter);
+                [-8, 0, 8].forEach(detune => addOscillator('sawtooth', mix, detune));
+
+                envelope.gain.linearRampToValueAtTime(0.8, start + 0.35);
+                break;
+            }
+
+            default:
+                addOscillator('sine', envelope);
+                envelope.gain.linearRampToValueAtTime(0.6, start + 0.02);
+        }
+
+        return { oscillators, envelope, filter };
+    }
+
+    /**
+     * Fade a voice out and stop its oscillators
+     * @param {Object} voice
+     * @param {number} time - Context time to start the release
+     */
+    _release(voice, time) {
+        const release = 0.15;
+        voice.envelope.gain.cancelScheduledValues(time);
+        voice.envelope.gain.setTargetAtTime(0, time, release / 4);
+        voice.oscillators.forEach(oscillator => oscillator.stop(time + release));
+    }
+
+    /**
+     * Schedule one metronome click
+     * @param {number} time - Context time
+     * @param {boolean} accent - First beat (higher pitch)
+     * @returns {OscillatorNode}
+     */
+    _scheduleClick(time, accent) {
+        const ctx = this.audioContext;
+        const oscillator = ctx.createOscillator();
+        const gain = ctx.createGain();
+
+        oscillator.frequency.value = accent ? 2000 : 1500;
+        gain.gain.setValueAtTime(0.5, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + 0.04);
+
+        oscillator.connect(gain);
+        gain.connect(this.output);
+        oscillator.start(time);
+        oscillator.stop(time + 0.05);
+        return oscillator;
+    }
+}
@@ -0,0 +1,186 @@
+/**
+ * Take Recorder
+ * Records the microphone (after input/channel selection, as PCM from an
+ * AudioWorklet) together with the live pitch frames, and turns them into a
+ * take that plays back like an analyzed file.
+ */
+
+import recorderProcessorUrl from './recorderProcessor.js?worker&url';
+
+export class TakeRecorder {
+    /**
+     * @param {Microphone} microphone - Started microphone to record from
+     * @param {PitchPipeline} pitchPipeline - For the analysis window length
+     */
+    constructor(microphone, pitchPipeline) {
+        this.microphone = microphone;
+        this.pitchPipeline = pitchPipeline;
+
+        this.node = null;
+        this.isModuleLoaded = false;
+        this.isRecording = false;
+        this.maxDuration = 10 * 60; // Seconds per take (~115 MB of audio at 48kHz)
+
+        this.chunks = []; // Float32Array blocks of samples
+        this.sampleCount = 0;
+        this.startTime = null; // Audio-clock time of the first recorded sample
+        this.frames = []; // Live pitch frames (with audio-clock time)
+        this.takeCount = 0; // For default names
+        this.resolveFlush = null;
+
+        // Called once when a take reaches maxDuration (recording should be stopped)
+        this.onLimitReached = null;
+    }
+
+    /**
+     * Check whether takes can be recorded in this browser
+     * @param {AudioContext} audioContext
+     * @returns {boolean}
+     */
+    static isSupported(audioContext) {
+        return Boolean(audioContext && audioContext.audioWorklet && typeof AudioWorkletNode !== 'undefined');
+    }
+
+    /**
+     * Start recording a take
+     * @returns {Promise<void>}
+     * @throws {Error} If the microphone isn't running or AudioWorklet is unavailable
+     */
+    async start() {
+        if (this.isRecording) return;
+
+        const audioContext = this.microphone.getAudioContext();
+        if (!this.microphone.isActive || !TakeRecorder.isSupported(audioContext)) {
+            throw new Error('Recording needs a running microphone and AudioWorklet support');
+        }
+
+        // Recording from here on, so a second click can't start another take
+        this.isRecording = true;
+        this.chunks = [];
+        this.sampleCount = 0;
+        this.startTime = null;
+        this.frames = [];
+
+        if (!this.isModuleLoaded) {
+            try {
+                await audioContext.audioWorklet.addModule(recorderProcessorUrl);
+            } catch (error) {
+                this.isRecording = false;
+                throw error;
+            }
+            this.isModuleLoaded = true;
+        }
+
+        this.node = new AudioWorkletNode(audioContext, 'recorder-processor', {
+            numberOfInputs: 1,
+            numberOfOutputs: 0,
+            channelCount: 1,
+            channelCountMode: 'explicit',
+            channelInterpretation: 'speakers'
+        });
+        this.node.port.onmessage = (e) => this.handleMessage(e.data);
+        this.microphone.getSourceNode().connect(this.node);
+
+        console.log('⏺ [TakeRecorder] Recording');
+    }
+
+    /**
+     * @param {Object} message - From the recorder worklet
+     */
+    handleMessage(message) {
+        if (message.type === 'flushed') {
+            this.resolveFlush?.();
+            return;
+        }
+        if (!this.isRecording || this.getDuration() >= this.maxDuration) return;
+
+        this.startTime ??= message.startTime;
+        this.chunks.push(message.samples);
+        this.sampleCount += message.samples.length;
+
+        if (this.getDuration() >= this.maxDuration) {
+            console.warn(`[TakeRecorder] Take reached ${this.maxDuration / 60} minutes`);
+            this.onLimitReached?.();
+        }
+    }
+
+    /**
+     * Keep a live pitch frame with the take
+     * @param {Object} frame - From PitchPipeline.poll() (needs the audio-clock time)
+     */
+    addFrame(frame) {
+        if (this.isRecording && frame.time !== undefined) {
+            this.frames.push(frame);
+        }
+    }
+
+    /**
+     * @returns {number} Seconds recorded so far
+     */
+    getDuration() {
+        const sampleRate = this.microphone.getAudioContext()?.sampleRate || 44100;
+        return this.sampleCount / sampleRate;
+    }
+
+    /**
+     * Stop recording
+     * @returns {Promise<Object|null>} The take { name, createdAt, duration,
+     *   audioBuffer, frames }, or null if nothing was recorded
+     */
+    async stop() {
+        if (!this.isRecording || !this.node) return null;
+
+        // Collect the worklet's partial chunk (give up if the context is suspended)
+        const flushed = new Promise(resolve => { this.resolveFlush = resolve; });
+        this.node.port.postMessage({ type: 'flush' });
+        await Promise.race([flushed, new Promise(resolve => setTimeout(resolve, 500))]);
+        this.resolveFlush = null;
+
+        this.isRecording = false;
+        this.microphone.getSourceNode().disconnect(this.node);
+        this.node.port.close();
+        this.node = null;
+
+        const take = this.createTake();
+        this.chunks = [];
+        this.frames = [];
+
+        if (take) {
+            console.log(`⏹ [TakeRecorder] ${take.name}: ${take.duration.toFixed(1)}s, ${take.frames.length} frames`);
+        }
+        return take;
+    }
+
+    /**
+     * Assemble the recorded audio and frames
+     * @returns {Object|null}
+     */
+    createTake() {
+        if (this.sampleCount === 0) return null;
+
+        const sampleRate = this.microphone.getAudioContext().sampleRate;
+        const audioBuffer = new AudioBuffer({ length: this.sampleCount, numberOfChannels: 1, sampleRate });
+        let offset = 0;
+        for (const chunk of this.chunks) {
+            audioBuffer.copyToChannel(chunk, 0, offset);
+            offset += chunk.length;
+        }
+
+        // Live frames are stamped at the end of their analysis window; center
+        // them on it, like offline analysis, so they line up with the audio
+        const windowCenter = this.pitchPipeline.config.bufferSize / sampleRate / 2;
+        const durationMs = audioBuffer.duration * 1000;
+        const frames = this.frames
+            .map(({ time, ...frame }) => ({ ...frame, timestamp: (time - windowCenter - this.startTime) * 1000 }))
+            .filter(frame => frame.timestamp >= 0 && frame.timestamp <= durationMs);
+
+        this.takeCount++;
+        return {
+            name: `Take ${this.takeCount}`,
+            createdAt: new Date(),
+            duration: audioBuffer.duration,
+            audioBuffer,
+            frames
+        };
+    }
+}
@@ -0,0 +1,268 @@
+/**
+ * Vibrato Analyzer
+ * Follows the pitch stream note by note and finds vibrato as a run of regular
+ * pitch oscillations: alternating peaks and troughs whose spacing gives the
+ * rate and whose swing gives the extent.
+ *
+ * A section reports:
+ * - rate: oscillations per second (Hz)
+ * - extent: half the peak-to-trough swing (± cents)
+ * - regularity: 0-1, how consistent cycle length and swing are (1 = metronomic)
+ * - onsetDelay: ms from the start of the note to the first vibrato cycle
+ */
+
+import { hzToMidi } from '../utils/noteConverter.js';
+
+export class VibratoAnalyzer {
+    constructor() {
+        // What counts as vibrato (typical singing: 4.5-7 Hz, ±20-100 cents)
+        this.minRate = 3; // Hz - slower is drift or a slide
+        this.maxRate = 9; // Hz - faster is jitter or a trill
+        this.minExtent = 15; // ± cents - smaller is a straight tone's natural wobble
+        this.maxExtent = 100; // ± cents - larger is a note change
+        this.minHalfCycles = 4; // Two full cycles before reporting
+        this.hysteresisCents = 10; // Swing needed to confirm a peak/trough
+
+        // What counts as a sustained note
+        this.minConfidence = 0.5;
+        this.maxGapMs = 100; // Unvoiced gap that ends the note
+
+        this.maxSections = 1000; // Oldest sections are dropped (long live sessions)
+        this.sections = []; // Found vibrato sections, oldest first
+
+        this.reset();
+    }
+
+    /**
+     * Forget the current note and all sections
+     */
+    reset() {
+        this.sections = [];
+        this.activeSection = null;
+        this._endNote();
+    }
+
+    /**
+     * Feed one pitch frame
+     * @param {Object} frame - { frequency, confidence, voiced, timestamp (ms) }
+     */
+    process(frame) {
+        const time = frame.timestamp;
+
+        // A sustained gap ends the note; short dropouts are bridged
+        if (this.lastVoicedTime !== null && time - this.lastVoicedTime > this.maxGapMs) {
+            this._endNote();
+        }
+
+        if (!frame.voiced || !frame.frequency || (frame.confidence ?? 0) < this.minConfidence) {
+            return;
+        }
+
+        if (this.noteStart === null) {
+            this.noteStart = time;
+        }
+        this.lastVoicedTime = time;
+
+        // 3-point average against detector jitter (centered on the middle frame)
+        this.recent.push({ time, cents: hzToMidi(frame.frequency) * 100 });
+        if (this.recent.length > 3) this.recent.shift();
+        if (this.recent.length < 3) return;
+
+        const cents = (this.recent[0].cents + this.recent[1].cents + this.recent[2].cents) / 3;
+        this._trackExtrema({ time: this.recent[1].time, cents });
+    }
+
+    /**
+     * Run a whole recording's frames through a fresh analysis
+     * @param {Array} frames - Pitch frames in time order
+     * @returns {Array} Vibrato sections
+     */
+    analyzeAll(frames) {
+        this.reset();
+        frames.forEach(frame => this.process(frame));
+        this._endNote();
+        return this.sections;
+    }
+
+    /**
+     * The section still being extended, or null
+     * @returns {Object|null}
+     */
+    getActiveSection() {
+        return this.activeSection;
+    }
+
+    /**
+     * Most recent section (active or finished), or null
+     * @returns {Object|null}
+     */
+    getLatestSection() {
+        return this.sections[this.sections.length - 1] || null;
+    }
+
+    _endNote() {
+        this._endRun();
+        this.noteStart = null;
+        this.lastVoicedTime = null;
+        this.recent = [];
+        this.direction = 0; // 1 = rising toward a peak, -1 = falling toward a trough
+        this.candidate = null; // Unconfirmed extremum
+        this.high = null; // Before the first extremum: highest and lowest so far
+        this.low = null;
+        this.lastExtremum = null;
+        this.run = []; // Consecutive qualifying half-cycles
+    }
+
+    /**
+     * Find alternating peaks and troughs; an extremum is confirmed once the
+     * pitch has moved back from it by the hysteresis
+     * @param {Object} point - { time (ms), cents }
+     */
+    _trackExtrema(point) {
+        if (this.direction === 0) {
+            if (!this.high || point.cents > this.high.cents) this.high = point;
+            if (!this.low || point.cents < this.low.cents) this.low = point;
+
+            if (this.high.cents - point.cents >= this.hysteresisCents) {
+                this._confirmExtremum(this.high);
+                this.direction = -1;
+                this.candidate = point;
+            } else if (point.cents - this.low.cents >= this.hysteresisCents) {
+                this._confirmExtremum(this.low);
+                this.direction = 1;
+                this.candidate = point;
+            }
+            return;
+        }
+
+        const continues = this.direction === 1
+            ? point.cents >= this.candidate.cents
+            : point.cents <= this.candidate.cents;
+
+        if (continues) {
+            this.candidate = point;
+        } else if (Math.abs(this.candidate.cents - point.cents) >= this.hysteresisCents) {
+            this._confirmExtremum(this.candidate);
+            this.direction = -this.direction;
+            this.candidate = point;
+        }
+    }
+
+    _confirmExtremum(extremum) {
+        if (this.lastExtremum) {
+            this._addHalfCycle({
+                start: this.lastExtremum.time,
+                end: extremum.time,
+                from: this.lastExtremum.cents,
+                to: extremum.cents
+            });
+        }
+        this.lastExtremum = extremum;
+    }
+
+    /**
+     * Extend the current vibrato run, or end it if this swing doesn't fit
+     * @param {Object} halfCycle - { start, end (ms), from, to (cents) }
+     */
+    _addHalfCycle(halfCycle) {
+        const seconds = (halfCycle.end - halfCycle.start) / 1000;
+        const extent = Math.abs(halfCycle.to - halfCycle.from) / 2;
+
+        // A swing too large to be vibrato is a move to a new note
+        if (extent > this.maxExtent) {
+            this._endRun();
+            this.noteStart = halfCycle.end;
+            return;
+        }
+
+        const fits = seconds >= 1 / (2 * this.maxRate) &&
+            seconds <= 1 / (2 * this.minRate) &&
+            extent >= this.minExtent;
+
+        if (!fits) {
+            this._endRun();
+            return;
+        }
+
+        this.run.push(halfCycle);
+        if (this.run.length >= this.minHalfCycles) {
+            this._updateSection();
+        }
+    }
+
+    _updateSection() {
+        if (!this.activeSection) {
+            this.activeSection = { active: true };
+            this.sections.push(this.activeSection);
+            if (this.sections.length > this.maxSections) {
+                this.sections.shift();
+            }
+        }
+
+        Object.assign(this.activeSection, summarize(this.run), {
+            onsetDelay: Math.max(0, this.run[0].start - this.noteStart)
+        });
+    }
+
+    _endRun() {
+        if (this.activeSection) {
+            this.activeSection.active = false;
+            this.activeSection = null;
+        }
+        this.run = [];
+    }
+}
+
+/**
+ * Rate, extent and regularity of a run of half-cycles. Neighbouring halves
+ * are paired into full cycles, which cancels slow drift within the note.
+ * @param {Array} run - Half-cycles { start, end, from, to }
+ * @returns {Object} { startTime, endTime, rate, extent, regularity, lowMidi, highMidi, centerMidi }
+ */
+function summarize(run) {
+    const periods = [];
+    const extents = [];
+    for (let i = 1; i < run.length; i++) {
+        periods.push(run[i].end - run[i - 1].start);
+        extents.push((Math.abs(run[i - 1].to - run[i - 1].from) + Math.abs(run[i].to - run[i].from)) / 4);
+    }
+
+    const levels = run.flatMap(halfCycle => [halfCycle.from, halfCycle.to]);
+    const regularity = 1 - (coefficientOfVariation(periods) + coefficientOfVariation(extents)) / 2;
+
+    return {
+        startTime: run[0].start,
+        endTime: run[run.length - 1].end,
+        rate: 1000 / mean(periods),
+        extent: mean(extents),
+        regularity: Math.max(0, Math.min(1, regularity)),
+        lowMidi: Math.min(...levels) / 100,
+        highMidi: Math.max(...levels) / 100,
+        centerMidi: mean(levels) / 100
+    };
+}
+
+function mean(values) {
+    return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+function coefficientOfVariation(values) {
+    const average = mean(values);
+    const variance = values.reduce((sum, value) => sum + (value - average) ** 2, 0) / values.length;
+    return average > 0 ? Math.sqrt(variance) / average : 0;
+}
+
+/**
+ * The section at a time, or the last one before it
+ * @param {Array} sections - Sections in time order
+ * @param {number} time - ms on the sections' timeline
+ * @returns {Object|null}
+ */
+export function sectionAt(sections, time) {
+    let found = null;
+    for (const section of sections) {
+        if (section.startTime > time) break;
+        found = section;
+    }
+    return found;
+}
@@ -0,0 +1,319 @@
+/**
+ * Exercise Panel
+ * Menu controls and on-screen scores for guided exercises: pick an exercise,
+ * key and tempo, sing along to the scrolling target bars and see each note's
+ * accuracy, timing and stability as it is scored.
+ */
+
+import { BUILT_IN_EXERCISES, parseExercises } from '../practice/exerciseLibrary.js';
+import { ExerciseEngine, buildSchedule } from '../practice/exerciseEngine.js';
+import { hzToMidi, midiToNoteName, parseNoteString } from '../utils/noteConverter.js';
+
+const STORAGE_KEY = 'voicePitchVisualizer.customExercises';
+const COUNT_IN_BEATS = 4;
+const LOOK_AHEAD = 0.35; // Share of the graph showing upcoming notes
+const KEY_RANGE = [36, 84]; // Starting keys offered: C2-C6
+
+export class ExercisePanel {
+    /**
+     * @param {CanvasRenderer} renderer
+     * @param {PitchPipeline} pitchPipeline
+     * @param {ReferenceTone} referenceTone - Plays the guide notes and count-in
+     * @param {ScoreHud} hud - Progress and scores display
+     */
+    constructor(renderer, pitchPipeline, referenceTone, hud) {
+        this.renderer = renderer;
+        this.pitchPipeline = pitchPipeline;
+        this.referenceTone = referenceTone;
+        this.hud = hud;
+        this.engine = new ExerciseEngine();
+
+        // DOM elements
+        this.group = document.getElementById('exerciseGroup');
+        this.exerciseSelect = document.getElementById('exerciseSelect');
+        this.keySelect = document.getElementById('exerciseKey');
+        this.tempoSlider = document.getElementById('exerciseTempo');
+        this.tempoValue = document.getElementById('exerciseTempoValue');
+        this.guideToneCheckbox = document.getElementById('exerciseGuideTone');
+        this.startButton = document.getElementById('exerciseStartButton');
+        this.loadButton = document.getElementById('exerciseLoadButton');
+        this.fileInput = document.getElementById('exerciseFileInput');
+
+        this.exercises = [...BUILT_IN_EXERCISES, ...this.loadCustomExercises()];
+        this.isActive = false;
+        this.firstNoteTime = null; // ms, when the current run's first note starts
+
+        // Called with { kind, name, ...summary } when a run finishes
+        this.onResult = null;
+
+        this.populateExercises();
+        this.populateKeys();
+        this.selectExercise(this.exercises[0].id);
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.exerciseSelect.addEventListener('change', (e) => this.selectExercise(e.target.value));
+
+        this.tempoSlider.addEventListener('input', (e) => {
+            this.tempoValue.textContent = e.target.value;
+        });
+
+        this.startButton.addEventListener('click', () => {
+            if (this.engine.isRunning) {
+                this.stop();
+            } else {
+                this.start();
+            }
+        });
+
+        this.loadButton.addEventListener('click', () => this.fileInput.click());
+        this.fileInput.addEventListener('change', async () => {
+            const file = this.fileInput.files[0];
+            this.fileInput.value = '';
+            if (file) {
+                this.importExercises(await file.text());
+            }
+        });
+
+        this.engine.onNoteScored = (note) => this.showNoteResult(note);
+        this.engine.onFinish = (summary) => this.showSummary(summary);
+    }
+
+    /**
+     * Enter or leave exercise mode
+     * @param {boolean} active
+     */
+    setActive(active) {
+        if (active === this.isActive) return;
+        this.isActive = active;
+
+        this.group.style.display = active ? 'block' : 'none';
+        this.hud.show(active);
+        if (active) {
+            this.previewSelected();
+        } else {
+            this.stop();
+            this.renderer.setGuideNotes([]);
+            this.renderer.setLookAhead(0);
+        }
+    }
+
+    /**
+     * Count in and run the selected exercise
+     */
+    async start() {
+        if (!this.pitchPipeline.mode) {
+            this.hud.setStatus('Start the microphone first');
+            return;
+        }
+
+        this.loadSelected();
+        const beatMs = 60000 / this.engine.exercise.tempo;
+        const now = performance.now();
+        const countInStart = now + 300; // Time to schedule the audio
+        this.firstNoteTime = countInStart + COUNT_IN_BEATS * beatMs;
+
+        const notes = this.engine.start(this.firstNoteTime);
+        this.renderer.setGuideNotes(notes);
+        this.renderer.setLookAhead(LOOK_AHEAD);
+        this.fitToNotes(notes);
+        this.startButton.textContent = '⏹ Stop';
+        this.startButton.classList.add('active');
+        this.hud.clearResult();
+
+        const clicks = Array.from({ length: COUNT_IN_BEATS }, (_, i) => countInStart + i * beatMs);
+        try {
+            await this.referenceTone.playSequence(this.guideToneCheckbox.checked ? notes : [], clicks);
+        } catch (error) {
+            console.error('[ExercisePanel] Failed to play guide tones:', error);
+        }
+    }
+
+    /**
+     * Stop the current run (scored notes stay on screen)
+     */
+    stop() {
+        if (this.engine.isRunning) {
+            this.engine.stop();
+            this.referenceTone.stop();
+            this.hud.setStatus('Stopped');
+        }
+        this.startButton.textContent = '▶ Start';
+        this.startButton.classList.remove('active');
+    }
+
+    /**
+     * Feed a live pitch frame
+     * @param {Object} frame
+     */
+    process(frame) {
+        this.engine.process(frame);
+    }
+
+    /**
+     * Score finished notes and refresh the status line (once per rendered frame)
+     * @param {number} now - performance.now()
+     */
+    update(now) {
+        if (!this.engine.isRunning) return;
+
+        this.engine.update(now);
+        if (!this.engine.isRunning) return;
+
+        if (now < this.firstNoteTime) {
+            const beatsLeft = Math.ceil((this.firstNoteTime - now) / (60000 / this.engine.exercise.tempo));
+            this.hud.setStatus(`Get ready… ${beatsLeft}`);
+            return;
+        }
+
+        const note = this.engine.noteAt(now);
+        if (note) {
+            const { key, transpose } = this.engine.exercise;
+            const root = Math.round(hzToMidi(parseNoteString(key))) + note.repetition * transpose.step;
+            this.hud.setStatus(`Key of ${midiToNoteName(root)} · ${note.repetition + 1}/${transpose.count}`);
+        }
+    }
+
+    /**
+     * Show a note's scores in the HUD
+     * @param {Object} note - Scheduled note with result
+     */
+    showNoteResult(note) {
+        this.hud.setResult(note.result.hit ? note.result : null);
+    }
+
+    /**
+     * Show the averages for the whole run
+     * @param {Object} summary - ExerciseEngine.getSummary()
+     */
+    showSummary(summary) {
+        this.hud.setResult(summary);
+        this.hud.setStatus(`Done · ${summary.hit}/${summary.total} notes hit`);
+        this.startButton.textContent = '▶ Start';
+        this.startButton.classList.remove('active');
+        this.onResult?.({ kind: 'exercise', name: this.engine.exercise.name, ...summary });
+        console.log(`[ExercisePanel] ${this.engine.exercise.name}: score ${summary.score}, accuracy ${summary.accuracy}, timing ${summary.timing}, stability ${summary.stability}`);
+    }
+
+    /**
+     * Load the chosen exercise, key and tempo into the engine
+     */
+    loadSelected() {
+        const exercise = this.exercises.find(e => e.id === this.exerciseSelect.value);
+        this.engine.load(exercise, {
+            key: this.keySelect.value,
+            tempo: parseInt(this.tempoSlider.value)
+        });
+        this.hud.setTitle(exercise.name);
+    }
+
+    /**
+     * Get the view ready for the selected exercise: room for upcoming notes
+     * and the note range it covers
+     */
+    previewSelected() {
+        if (!this.isActive || this.engine.isRunning) return;
+
+        this.loadSelected();
+        this.renderer.setGuideNotes([]);
+        this.renderer.setLookAhead(LOOK_AHEAD);
+        this.fitToNotes(buildSchedule(this.engine.exercise, 0));
+        this.hud.setStatus('Press Start to sing along');
+        this.hud.clearResult();
+    }
+
+    /**
+     * Pick an exercise and reset key and tempo to its own
+     * @param {string} id
+     */
+    selectExercise(id) {
+        const exercise = this.exercises.find(e => e.id === id) || this.exercises[0];
+        this.exerciseSelect.value = exercise.id;
+        this.keySelect.value = exercise.key;
+        this.tempoSlider.value = exercise.tempo;
+        this.tempoValue.textContent = exercise.tempo;
+        this.previewSelected();
+    }
+
+    /**
+     * Fit the visible note range around the notes to sing
+     * @param {Array} notes - Scheduled notes
+     */
+    fitToNotes(notes) {
+        if (notes.length === 0) return;
+        const pitches = notes.flatMap(note => [note.midi, note.glideToMidi ?? note.midi]);
+        this.renderer.fitNoteRange(Math.min(...pitches), Math.max(...pitches));
+    }
+
+    /**
+     * Add exercises from user JSON (replacing ones with the same id)
+     * @param {string} text - File contents
+     */
+    importExercises(text) {
+        let imported;
+        try {
+            imported = parseExercises(text);
+        } catch (error) {
+            console.warn('[ExercisePanel] Invalid exercise file:', error.message);
+            alert(`Could not load exercises.\n\n${error.message}`);
+            return;
+        }
+
+        // Custom exercises can't replace built-in ones
+        imported.forEach(exercise => {
+            if (BUILT_IN_EXERCISES.some(e => e.id === exercise.id)) {
+                exercise.id = `custom-${exercise.id}`;
+            }
+        });
+
+        const ids = new Set(imported.map(e => e.id));
+        this.exercises = [...this.exercises.filter(e => !ids.has(e.id)), ...imported];
+        this.saveCustomExercises();
+        this.populateExercises();
+        this.selectExercise(imported[0].id);
+
+        console.log(`📄 [ExercisePanel] Loaded ${imported.length} exercise(s)`);
+    }
+
+    /**
+     * @returns {Array} Custom exercises saved in this browser
+     */
+    loadCustomExercises() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            return saved ? parseExercises(saved) : [];
+        } catch (error) {
+            console.warn('[ExercisePanel] Ignoring saved exercises:', error.message);
+            return [];
+        }
+    }
+
+    saveCustomExercises() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.exercises.filter(e => e.custom)));
+        } catch (error) {
+            console.warn('[ExercisePanel] Could not save exercises:', error.message);
+        }
+    }
+
+    populateExercises() {
+        this.exerciseSelect.innerHTML = '';
+        this.exercises.forEach(({ id, name, custom }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = custom ? `${name} (custom)` : name;
+            this.exerciseSelect.appendChild(option);
+        });
+    }
+
+    populateKeys() {
+        for (let midi = KEY_RANGE[0]; midi <= KEY_RANGE[1]; midi++) {
+            const noteName = midiToNoteName(midi);
+            const option = document.createElement('option');
+            option.value = noteName;
+            option.textContent = noteName;
+            this.keySelect.appendChild(option);
+        }
+    }
+}
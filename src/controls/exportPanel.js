@@ -0,0 +1,207 @@
+/**
+ * Export Panel
+ * Gets data out of the app: the pitch track as CSV or JSON, the graph as a
+ * PNG or SVG image, and the sung notes as a MIDI file. Each export covers
+ * either the visible part of the graph or the whole session / recording.
+ */
+
+import { getTuning, hzToMidi, hzToNote } from '../utils/noteConverter.js';
+import { downloadBlob, fileNameBase } from '../utils/download.js';
+import { writeMidi } from '../practice/midiWriter.js';
+import { SvgContext } from '../visualization/svgContext.js';
+
+const MAX_IMAGE_PIXELS = 16000000; // Under Safari's canvas area limit
+const MAX_SESSION_WIDTH = 8192; // CSS pixels for whole-session images
+const SESSION_PIXELS_PER_SECOND = 40;
+
+export class ExportPanel {
+    /**
+     * @param {CanvasRenderer} renderer
+     * @param {Object} handlers - { getName() } returns the shown recording's
+     *   name, or null for the live session; { getNotes() } its sung notes
+     */
+    constructor(renderer, handlers) {
+        this.renderer = renderer;
+        this.handlers = handlers;
+
+        // DOM elements
+        this.rangeSelect = document.getElementById('exportRange');
+        this.csvButton = document.getElementById('exportCsv');
+        this.jsonButton = document.getElementById('exportJson');
+        this.pngButton = document.getElementById('exportPng');
+        this.svgButton = document.getElementById('exportSvg');
+        this.midiButton = document.getElementById('exportMidi');
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.csvButton.addEventListener('click', () => this.exportCsv());
+        this.jsonButton.addEventListener('click', () => this.exportJson());
+        this.pngButton.addEventListener('click', () => this.exportPng());
+        this.svgButton.addEventListener('click', () => this.exportSvg());
+        this.midiButton.addEventListener('click', () => this.exportMidi());
+    }
+
+    /**
+     * @returns {Array} [start, end] seconds on the renderer's timeline
+     */
+    getRange() {
+        return this.rangeSelect.value === 'all'
+            ? this.renderer.timelineBounds()
+            : this.renderer.getVisibleTimeRange();
+    }
+
+    /**
+     * @returns {string} File name without extension
+     */
+    getFileName() {
+        return fileNameBase(this.handlers.getName() ?? 'session');
+    }
+
+    /**
+     * Pitch frames in the range, times in seconds from the start of the
+     * session or recording (as on the time axis)
+     * @returns {Array} { time, frequency, midi, note, cents, confidence, voiced }
+     */
+    getRows() {
+        const [start, end] = this.getRange();
+        const origin = this.renderer.getTimeOrigin();
+
+        return this.renderer.getPoints(start, end).map(point => {
+            const note = point.voiced ? hzToNote(point.frequency) : null;
+            return {
+                time: round(point.timestamp / 1000 - origin, 3),
+                frequency: note ? round(point.frequency, 2) : null,
+                midi: note ? round(hzToMidi(point.frequency), 3) : null,
+                note: note?.noteName ?? null,
+                cents: note ? round(note.exactCents, 1) : null,
+                confidence: round(point.confidence, 3),
+                voiced: Boolean(note)
+            };
+        });
+    }
+
+    /**
+     * Notes sung in the range
+     * @returns {Array} { start, duration (seconds from the range start), midi,
+     *   note, cents, stability }
+     */
+    getNotes() {
+        const [start, end] = this.getRange();
+
+        return this.handlers.getNotes()
+            .filter(note => note.startTime >= start * 1000 && note.endTime <= end * 1000)
+            .map(note => ({
+                start: round(note.startTime / 1000 - start, 3),
+                duration: round((note.endTime - note.startTime) / 1000, 3),
+                midi: round(note.midi, 2),
+                note: note.noteName,
+                cents: note.cents,
+                stability: note.stability
+            }));
+    }
+
+    exportCsv() {
+        const rows = this.getRows();
+        if (rows.length === 0) {
+            alert('There is no pitch data to export yet.');
+            return;
+        }
+
+        const lines = ['time_s,frequency_hz,midi,note,cents,confidence,voiced'];
+        for (const row of rows) {
+            lines.push([row.time, row.frequency, row.midi, row.note, row.cents, row.confidence, row.voiced ? 1 : 0]
+                .map(value => value ?? '')
+                .join(','));
+        }
+
+        downloadBlob(new Blob([lines.join('\n') + '\n'], { type: 'text/csv' }), `${this.getFileName()}.csv`);
+        console.log(`💾 [ExportPanel] CSV: ${rows.length} frames`);
+    }
+
+    exportJson() {
+        const frames = this.getRows();
+        if (frames.length === 0) {
+            alert('There is no pitch data to export yet.');
+            return;
+        }
+
+        const tuning = getTuning();
+        const data = {
+            source: this.handlers.getName() ?? 'Live session',
+            exportedAt: new Date().toISOString(),
+            tuning: { name: tuning.name, referencePitch: tuning.referencePitch },
+            frames,
+            notes: this.getNotes()
+        };
+
+        downloadBlob(new Blob([JSON.stringify(data, null, 1)], { type: 'application/json' }), `${this.getFileName()}.json`);
+        console.log(`💾 [ExportPanel] JSON: ${frames.length} frames, ${data.notes.length} notes`);
+    }
+
+    exportMidi() {
+        const notes = this.getNotes();
+        if (notes.length === 0) {
+            alert('No notes were found to export.');
+            return;
+        }
+
+        const bytes = writeMidi({ name: this.handlers.getName() ?? 'Live session', bpm: 120, notes });
+        downloadBlob(new Blob([bytes], { type: 'audio/midi' }), `${this.getFileName()}.mid`);
+        console.log(`💾 [ExportPanel] MIDI: ${notes.length} notes`);
+    }
+
+    /**
+     * Size of an exported image: the screen for the visible part, wider for
+     * the whole session
+     * @returns {Object} { width, height (CSS pixels), range (null = current view) }
+     */
+    getImageLayout() {
+        const height = this.renderer.height;
+        if (this.rangeSelect.value !== 'all') {
+            return { width: this.renderer.width, height, range: null };
+        }
+
+        const range = this.renderer.timelineBounds();
+        const width = Math.round(Math.min(MAX_SESSION_WIDTH,
+            Math.max(this.renderer.width, 60 + (range[1] - range[0]) * SESSION_PIXELS_PER_SECOND)));
+        return { width, height, range };
+    }
+
+    exportPng() {
+        const { width, height, range } = this.getImageLayout();
+        // High resolution, within the browser's canvas size limit
+        const scale = Math.min(3, Math.sqrt(MAX_IMAGE_PIXELS / (width * height)));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        const ctx = canvas.getContext('2d');
+        ctx.scale(scale, scale);
+        this.renderer.renderTo(ctx, width, height, range);
+
+        const fileName = `${this.getFileName()}.png`;
+        canvas.toBlob(blob => downloadBlob(blob, fileName), 'image/png');
+        console.log(`💾 [ExportPanel] PNG: ${canvas.width}x${canvas.height}`);
+    }
+
+    exportSvg() {
+        const { width, height, range } = this.getImageLayout();
+        const svg = new SvgContext(width, height);
+        this.renderer.renderTo(svg, width, height, range);
+
+        downloadBlob(new Blob([svg.toString()], { type: 'image/svg+xml' }), `${this.getFileName()}.svg`);
+        console.log(`💾 [ExportPanel] SVG: ${width}x${height}`);
+    }
+}
+
+/**
+ * @param {number} value
+ * @param {number} digits - Decimal places
+ * @returns {number}
+ */
+function round(value, digits) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
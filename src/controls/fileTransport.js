@@ -0,0 +1,94 @@
+/**
+ * File Transport Controls
+ * File picker plus the playback bar shown while browsing an analyzed recording.
+ */
+
+import { formatClock } from '../utils/formatClock.js';
+
+export class FileTransport {
+    /**
+     * @param {Object} handlers - { onOpen(file), onPlayPause(), onClose(), onZoom(factor) }
+     */
+    constructor(handlers) {
+        this.handlers = handlers;
+
+        // DOM elements
+        this.fileInput = document.getElementById('audioFileInput');
+        this.openButtons = document.querySelectorAll('[data-open-file]');
+        this.transport = document.getElementById('fileTransport');
+        this.playButton = document.getElementById('filePlayButton');
+        this.timeLabel = document.getElementById('fileTime');
+        this.nameLabel = document.getElementById('fileName');
+        this.zoomInButton = document.getElementById('fileZoomIn');
+        this.zoomOutButton = document.getElementById('fileZoomOut');
+        this.closeButton = document.getElementById('fileCloseButton');
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.openButtons.forEach(button => {
+            button.addEventListener('click', () => this.fileInput.click());
+        });
+
+        this.fileInput.addEventListener('change', () => {
+            const file = this.fileInput.files[0];
+            // Clear so choosing the same file again still fires 'change'
+            this.fileInput.value = '';
+            if (file) {
+                this.handlers.onOpen(file);
+            }
+        });
+
+        this.playButton.addEventListener('click', () => this.handlers.onPlayPause());
+        this.closeButton.addEventListener('click', () => this.handlers.onClose());
+        this.zoomInButton.addEventListener('click', () => this.handlers.onZoom(0.5));
+        this.zoomOutButton.addEventListener('click', () => this.handlers.onZoom(2));
+    }
+
+    /**
+     * Show the bar while a file is being analyzed
+     * @param {string} name - File name
+     */
+    showAnalyzing(name) {
+        this.transport.classList.remove('hidden');
+        this.nameLabel.textContent = name;
+        this.setAnalysisProgress(0);
+        this.setEnabled(false);
+    }
+
+    /**
+     * @param {number} progress - 0-1
+     */
+    setAnalysisProgress(progress) {
+        this.timeLabel.textContent = `Analyzing… ${Math.round(progress * 100)}%`;
+    }
+
+    /**
+     * Enable playback controls once analysis is done
+     * @param {boolean} enabled
+     * @param {boolean} playable - False for pitch data without audio (zoom only)
+     */
+    setEnabled(enabled, playable = enabled) {
+        [this.zoomInButton, this.zoomOutButton].forEach(button => {
+            button.disabled = !enabled;
+        });
+        this.playButton.disabled = !playable;
+    }
+
+    /**
+     * Update play state and position display
+     * @param {boolean} isPlaying
+     * @param {number} time - Current position in seconds
+     * @param {number} duration - File length in seconds
+     */
+    update(isPlaying, time, duration) {
+        this.playButton.textContent = isPlaying ? '⏸' : '▶';
+        this.playButton.setAttribute('aria-label', isPlaying ? 'Pause' : 'Play');
+        this.timeLabel.textContent = `${formatClock(time)} / ${formatClock(duration)}`;
+    }
+
+    hide() {
+        this.transport.classList.add('hidden');
+    }
+}
@@ -2,27 +2,101 @@
  * Floating Menu Controls
  */
 
+import { listDetectors } from '../audio/detectors/index.js';
+import { VOICE_PRESETS, BUFFER_SIZES, resolveVoicePreset } from '../utils/voicePresets.js';
+import { rmsToDb } from '../audio/noiseGate.js';
+import { TONE_TIMBRES } from '../audio/referenceTone.js';
+import { midiToNoteName, parseNoteString } from '../utils/noteConverter.js';
+import { MusicKey, TONICS, SCALES, LABEL_STYLES } from '../utils/musicKey.js';
+
+// Level meter scale (dBFS)
+const METER_MIN_DB = -90;
+
 export class FloatingMenu {
-    constructor(renderer, pitchDetector = null) {
+    constructor(renderer, pitchPipeline = null, microphone = null, referenceTone = null) {
         this.renderer = renderer;
-        this.pitchDetector = pitchDetector;
+        this.pitchPipeline = pitchPipeline;
+        this.microphone = microphone;
+        this.referenceTone = referenceTone;
 
         // DOM elements
         this.menuContainer = document.getElementById('floatingMenu');
         this.menuToggle = document.getElementById('menuToggle');
         this.menuPanel = document.getElementById('menuPanel');
+        this.inputDeviceSelect = document.getElementById('inputDevice');
+        this.inputChannelGroup = document.getElementById('inputChannelGroup');
+        this.inputChannelSelect = document.getElementById('inputChannel');
+        this.processingCheckboxes = ['echoCancellation', 'noiseSuppression', 'autoGainControl']
+            .map(id => document.getElementById(id));
         this.timeWindowSlider = document.getElementById('timeWindow');
         this.timeWindowValue = document.getElementById('timeWindowValue');
         this.gapToleranceSlider = document.getElementById('gapTolerance');
         this.gapToleranceValue = document.getElementById('gapToleranceValue');
+        this.minConfidenceSlider = document.getElementById('minConfidence');
+        this.minConfidenceValue = document.getElementById('minConfidenceValue');
+        this.levelMeter = document.getElementById('levelMeter');
+        this.levelFill = document.getElementById('levelFill');
+        this.levelValue = document.getElementById('levelValue');
+        this.gateOpenMarker = document.getElementById('gateOpenMarker');
+        this.gateCloseMarker = document.getElementById('gateCloseMarker');
+        this.calibrateButton = document.getElementById('calibrateButton');
+        this.calibrationStatus = document.getElementById('calibrationStatus');
         this.sensitivitySlider = document.getElementById('sensitivity');
         this.sensitivityValue = document.getElementById('sensitivityValue');
+        this.gateHysteresisSlider = document.getElementById('gateHysteresis');
+        this.gateHysteresisValue = document.getElementById('gateHysteresisValue');
+        this.gateHoldSlider = document.getElementById('gateHold');
+        this.gateHoldValue = document.getElementById('gateHoldValue');
+        this.pitchThresholdSlider = document.getElementById('pitchThreshold');
+        this.pitchThresholdValue = document.getElementById('pitchThresholdValue');
+        this.voicePresetSelect = document.getElementById('voicePreset');
+        this.customPresetGroup = document.getElementById('customPresetGroup');
+        this.customLowNote = document.getElementById('customLowNote');
+        this.customHighNote = document.getElementById('customHighNote');
+        this.customBufferSize = document.getElementById('customBufferSize');
+        this.algorithmSelect = document.getElementById('algorithm');
+        this.trackingSelect = document.getElementById('tracking');
+        this.analysisRateSelect = document.getElementById('analysisRate');
+        this.smoothingSlider = document.getElementById('smoothing');
+        this.smoothingValue = document.getElementById('smoothingValue');
+        this.showTunerCheckbox = document.getElementById('showTuner');
+        this.showVibratoCheckbox = document.getElementById('showVibrato');
+        this.showNotesCheckbox = document.getElementById('showNotes');
+        this.noteSensitivitySlider = document.getElementById('noteSensitivity');
+        this.noteSensitivityValue = document.getElementById('noteSensitivityValue');
+        this.renderInWorkerCheckbox = document.getElementById('renderInWorker');
+        this.keyTonicSelect = document.getElementById('keyTonic');
+        this.keyScaleSelect = document.getElementById('keyScale');
+        this.noteLabelsSelect = document.getElementById('noteLabels');
         this.visualModeSelect = document.getElementById('visualMode');
         this.targetPitchGroup = document.getElementById('targetPitchGroup');
         this.targetNoteSelect = document.getElementById('targetNote');
+        this.toneSettingsGroup = document.getElementById('toneSettingsGroup');
+        this.playToneButton = document.getElementById('playToneButton');
+        this.droneButton = document.getElementById('droneButton');
+        this.toneTimbreSelect = document.getElementById('toneTimbre');
+        this.toneVolumeSlider = document.getElementById('toneVolume');
+        this.toneVolumeValue = document.getElementById('toneVolumeValue');
+        this.countInSelect = document.getElementById('countIn');
+        this.cancelToneCheckbox = document.getElementById('cancelTone');
 
         this.isExpanded = false;
+        this.rangeProfile = null; // From the range test, offered as the 'profile' preset
+
+        // Called with the new visual mode (e.g. to enter exercise mode)
+        this.onModeChange = null;
+        // Called with the note segmentation sensitivity (0-1)
+        this.onNoteSensitivityChange = null;
+        // Called with whether to draw the graph in a worker from the next launch
+        this.onRenderInWorkerChange = null;
 
+        this.populateVoicePresets();
+        this.populateAlgorithms();
+        this.populateTimbres();
+        this.populateKeys();
+        this.refreshTargetNotes();
+        this.refreshInputs();
+        this.syncGateControls();
         this.setupEventListeners();
     }
 
@@ -32,6 +106,34 @@ export class FloatingMenu {
             this.toggle();
         });
 
+        // Input device (hot-swapped while running)
+        this.inputDeviceSelect.addEventListener('change', async (e) => {
+            if (!this.microphone) return;
+            try {
+                await this.microphone.setDevice(e.target.value || null);
+            } catch (error) {
+                console.error('[FloatingMenu] Failed to switch input device:', error);
+            }
+            this.refreshInputs();
+        });
+
+        // Channel of a multi-channel interface
+        this.inputChannelSelect.addEventListener('change', (e) => {
+            this.microphone?.setChannel(e.target.value);
+        });
+
+        // Browser voice processing (all off by default: it distorts pitch and level)
+        this.processingCheckboxes.forEach(checkbox => {
+            checkbox.addEventListener('change', async () => {
+                if (!this.microphone) return;
+                try {
+                    await this.microphone.setProcessing({ [checkbox.id]: checkbox.checked });
+                } catch (error) {
+                    console.error('[FloatingMenu] Failed to change input processing:', error);
+                }
+            });
+        });
+
         // Time window adjustment
         this.timeWindowSlider.addEventListener('input', (e) => {
             const value = parseInt(e.target.value);
@@ -43,21 +145,114 @@ export class FloatingMenu {
         this.gapToleranceSlider.addEventListener('input', (e) => {
             const value = parseInt(e.target.value);
             this.gapToleranceValue.textContent = value;
-            this.renderer.setGapThreshold(value);
+            this.renderer.setGapTolerance(value);
         });
 
-        // Sensitivity adjustment
-        this.sensitivitySlider.addEventListener('input', (e) => {
-            const value = parseInt(e.target.value);
-            this.sensitivityValue.textContent = value;
-            if (this.pitchDetector) {
-                // Map slider value to YIN threshold (inverted: higher slider = more sensitive)
-                // Slider: -160 to -40, map to YIN threshold: 0.3 to 0.05
-                const yinThreshold = 0.3 - ((value + 160) / 120) * 0.25;
-                this.pitchDetector.threshold = yinThreshold;
+        // Confidence floor (low-confidence frames are faded, below floor are gaps)
+        this.minConfidenceSlider.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.minConfidenceValue.textContent = value.toFixed(2);
+            this.renderer.setMinConfidence(value);
+        });
+
+        // Sensitivity = level (dBFS) that opens the noise gate
+        this.sensitivitySlider.addEventListener('input', () => this.applyGateControls());
+        this.gateHysteresisSlider.addEventListener('input', () => this.applyGateControls());
+        this.gateHoldSlider.addEventListener('input', () => this.applyGateControls());
+
+        // Noise floor calibration (on demand; also runs once at start)
+        this.calibrateButton.addEventListener('click', () => this.calibrateNoiseFloor());
+
+        // YIN dip threshold (lower = stricter periodicity check)
+        this.pitchThresholdSlider.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.pitchThresholdValue.textContent = value.toFixed(2);
+            this.pitchPipeline?.configure({ threshold: value });
+        });
+
+        // Voice / instrument preset
+        this.voicePresetSelect.addEventListener('change', (e) => {
+            this.customPresetGroup.style.display = e.target.value === 'custom' ? 'block' : 'none';
+            this.applyVoicePreset();
+        });
+
+        [this.customLowNote, this.customHighNote, this.customBufferSize].forEach(input => {
+            input.addEventListener('change', () => this.applyVoicePreset());
+        });
+
+        // Pitch detection algorithm
+        this.algorithmSelect.addEventListener('change', (e) => {
+            if (this.pitchPipeline) {
+                this.pitchPipeline.configure({ algorithm: e.target.value });
+            }
+        });
+
+        // Octave correction / temporal tracking strength
+        this.trackingSelect.addEventListener('change', (e) => {
+            if (this.pitchPipeline) {
+                this.pitchPipeline.configure({ tracking: e.target.value });
+            }
+        });
+
+        // Analysis hop: frames per second of audio, independent of the display rate
+        this.analysisRateSelect.addEventListener('change', (e) => {
+            const hopMs = parseInt(e.target.value);
+            this.renderer.setAnalysisHop(hopMs);
+            this.pitchPipeline?.configure({ hopMs });
+        });
+
+        // Smoothing (independent of tracking)
+        this.smoothingSlider.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.smoothingValue.textContent = value.toFixed(2);
+            if (this.pitchPipeline) {
+                this.pitchPipeline.configure({ smoothing: value });
             }
         });
 
+        // Tuner readout
+        this.showTunerCheckbox.addEventListener('change', (e) => {
+            this.renderer.setShowTuner(e.target.checked);
+        });
+
+        // Vibrato annotations and HUD
+        this.showVibratoCheckbox.addEventListener('change', (e) => {
+            this.renderer.setShowVibrato(e.target.checked);
+        });
+
+        // Sung note bars, and how readily the pitch is split into notes
+        this.showNotesCheckbox.addEventListener('change', (e) => {
+            this.renderer.setShowNotes(e.target.checked);
+        });
+
+        this.noteSensitivitySlider.addEventListener('change', (e) => {
+            const value = parseInt(e.target.value);
+            this.noteSensitivityValue.textContent = value;
+            this.onNoteSensitivityChange?.(value / 100);
+        });
+        this.noteSensitivitySlider.addEventListener('input', (e) => {
+            this.noteSensitivityValue.textContent = e.target.value;
+        });
+
+        // Drawing in a worker (the canvas is handed over at launch)
+        this.renderInWorkerCheckbox.addEventListener('change', (e) => {
+            this.onRenderInWorkerChange?.(e.target.checked);
+        });
+
+        // Key: highlights its notes on the grid and spells them
+        [this.keyTonicSelect, this.keyScaleSelect].forEach(select => {
+            select.addEventListener('change', () => {
+                const key = new MusicKey(this.keyTonicSelect.value, this.keyScaleSelect.value);
+                this.renderer.setKey(key);
+                console.log(`[FloatingMenu] Key: ${key.name}`);
+            });
+        });
+
+        // Letter names, solfège or scale degrees on the grid and tuner
+        this.noteLabelsSelect.addEventListener('change', (e) => {
+            this.renderer.setLabelStyle(e.target.value);
+        });
+
         // Visual mode selection
         this.visualModeSelect.addEventListener('change', (e) => {
             const mode = e.target.value;
@@ -69,11 +264,15 @@ export class FloatingMenu {
                 this.updateTargetPitch();
             } else {
                 this.targetPitchGroup.style.display = 'none';
+                this.referenceTone?.stop();
             }
+            this.toneSettingsGroup.style.display = ['target', 'exercise', 'guide'].includes(mode) ? 'block' : 'none';
+            this.onModeChange?.(mode);
 
-            // Clear data when switching to range mode
+            // Measure the range afresh when switching to range mode (the
+            // session history is kept)
             if (mode === 'range') {
-                this.renderer.clearData();
+                this.renderer.resetRange();
             }
         });
 
@@ -82,6 +281,43 @@ export class FloatingMenu {
             this.updateTargetPitch();
         });
 
+        // Reference tone: one-shot or sustained drone of the target note
+        this.playToneButton.addEventListener('click', () => this.playReferenceTone(false));
+        this.droneButton.addEventListener('click', () => {
+            if (this.referenceTone?.isDrone) {
+                this.referenceTone.stop();
+            } else {
+                this.playReferenceTone(true);
+            }
+        });
+
+        this.toneTimbreSelect.addEventListener('change', (e) => {
+            this.referenceTone?.setTimbre(e.target.value);
+        });
+
+        this.toneVolumeSlider.addEventListener('input', (e) => {
+            const value = parseInt(e.target.value);
+            this.toneVolumeValue.textContent = value;
+            this.referenceTone?.setVolume(value / 100);
+        });
+
+        this.countInSelect.addEventListener('change', (e) => {
+            this.referenceTone?.setCountIn(parseInt(e.target.value));
+        });
+
+        // Echo cancellation of the tone (not needed with headphones)
+        this.cancelToneCheckbox.addEventListener('change', (e) => {
+            this.pitchPipeline?.configure({ echoCancel: e.target.checked });
+        });
+
+        if (this.referenceTone) {
+            this.referenceTone.onStateChange = (isPlaying, isDrone) => {
+                this.droneButton.classList.toggle('active', isDrone);
+                this.droneButton.textContent = isDrone ? '⏹ Stop Drone' : 'Drone';
+                this.playToneButton.classList.toggle('active', isPlaying && !isDrone);
+            };
+        }
+
         // Close menu when clicking outside
         document.addEventListener('click', (e) => {
             if (this.isExpanded &&
@@ -91,6 +327,305 @@ export class FloatingMenu {
         });
     }
 
+    /**
+     * Push the gate sliders to the pipeline
+     */
+    applyGateControls() {
+        const openDb = parseInt(this.sensitivitySlider.value);
+        const hysteresis = parseInt(this.gateHysteresisSlider.value);
+        const holdMs = parseInt(this.gateHoldSlider.value);
+
+        this.pitchPipeline?.configure({
+            gateOpenDb: openDb,
+            gateCloseDb: openDb - hysteresis,
+            gateHoldMs: holdMs
+        });
+        this.syncGateControls();
+    }
+
+    /**
+     * Show the pipeline's gate settings on the sliders and meter markers
+     */
+    syncGateControls() {
+        if (!this.pitchPipeline) return;
+
+        const { gateOpenDb, gateCloseDb, gateHoldMs } = this.pitchPipeline.config;
+        this.sensitivitySlider.value = gateOpenDb;
+        this.sensitivityValue.textContent = gateOpenDb;
+        this.gateHysteresisSlider.value = gateOpenDb - gateCloseDb;
+        this.gateHysteresisValue.textContent = gateOpenDb - gateCloseDb;
+        this.gateHoldSlider.value = gateHoldMs;
+        this.gateHoldValue.textContent = gateHoldMs;
+
+        this.gateOpenMarker.style.left = `${this.dbToMeterPercent(gateOpenDb)}%`;
+        this.gateCloseMarker.style.left = `${this.dbToMeterPercent(gateCloseDb)}%`;
+    }
+
+    /**
+     * Measure the noise floor and set the gate from it
+     * @returns {Promise<void>}
+     */
+    async calibrateNoiseFloor() {
+        if (!this.pitchPipeline || !this.pitchPipeline.mode) return;
+
+        this.calibrateButton.disabled = true;
+        this.calibrationStatus.classList.remove('hidden');
+
+        const result = await this.pitchPipeline.calibrateNoiseFloor();
+
+        this.calibrateButton.disabled = false;
+        this.calibrateButton.textContent = '🔇 Calibrate Noise Floor';
+        this.calibrationStatus.classList.add('hidden');
+
+        // null = superseded or stopped
+        if (result) {
+            this.syncGateControls();
+        }
+    }
+
+    /**
+     * Update the level meter (called once per rendered frame)
+     * @param {Object|null} frame - Latest pitch frame ({ rms, gateOpen }), null if none arrived
+     */
+    updateLevel(frame) {
+        const progress = this.pitchPipeline?.getCalibrationProgress();
+        if (progress !== null && progress !== undefined) {
+            const text = `Stay quiet… ${Math.round(progress * 100)}%`;
+            this.calibrateButton.textContent = `🔇 ${text}`;
+            this.calibrationStatus.textContent = `🔇 Measuring room noise. ${text}`;
+        }
+
+        if (!frame) return;
+
+        const db = rmsToDb(frame.rms);
+        this.levelFill.style.width = `${this.dbToMeterPercent(db)}%`;
+        this.levelValue.textContent = db <= METER_MIN_DB ? '-∞' : db.toFixed(0);
+        this.levelMeter.classList.toggle('gate-open', Boolean(frame.gateOpen));
+    }
+
+    /**
+     * Position of a level on the meter
+     * @param {number} db - dBFS
+     * @returns {number} 0-100
+     */
+    dbToMeterPercent(db) {
+        return Math.max(0, Math.min(100, ((db - METER_MIN_DB) / -METER_MIN_DB) * 100));
+    }
+
+    /**
+     * Refresh the device and channel selectors from the microphone's state
+     * @returns {Promise<void>}
+     */
+    async refreshInputs() {
+        if (!this.microphone) return;
+
+        const devices = await this.microphone.listInputDevices();
+        const selected = this.microphone.deviceId || '';
+
+        this.inputDeviceSelect.innerHTML = '';
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = 'Default microphone';
+        this.inputDeviceSelect.appendChild(defaultOption);
+
+        devices
+            // 'default'/'communications' are aliases for devices already listed
+            .filter(device => device.deviceId && !['default', 'communications'].includes(device.deviceId))
+            .forEach(device => {
+                const option = document.createElement('option');
+                option.value = device.deviceId;
+                option.textContent = device.label;
+                this.inputDeviceSelect.appendChild(option);
+            });
+        this.inputDeviceSelect.value = selected;
+
+        // Channel choice only matters for multi-channel interfaces
+        const { channelCount, channel } = this.microphone;
+        this.inputChannelGroup.style.display = channelCount > 1 ? 'block' : 'none';
+        this.inputChannelSelect.innerHTML = '';
+        ['mix', ...Array.from({ length: channelCount }, (_, i) => i)].forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = value === 'mix' ? 'All channels (mixed)' : `Channel ${value + 1}`;
+            this.inputChannelSelect.appendChild(option);
+        });
+        this.inputChannelSelect.value = String(channel);
+
+        this.processingCheckboxes.forEach(checkbox => {
+            checkbox.checked = this.microphone.processing[checkbox.id];
+        });
+    }
+
+    /**
+     * Fill the preset selector (grouped) and custom window sizes
+     */
+    populateVoicePresets() {
+        const groups = new Map();
+
+        Object.entries(VOICE_PRESETS).forEach(([id, preset]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = preset.range
+                ? `${preset.label} (${preset.range[0]}–${preset.range[1]})`
+                : preset.label;
+
+            if (!preset.group) {
+                this.voicePresetSelect.appendChild(option);
+                return;
+            }
+
+            if (!groups.has(preset.group)) {
+                const optgroup = document.createElement('optgroup');
+                optgroup.label = preset.group;
+                groups.set(preset.group, optgroup);
+                this.voicePresetSelect.appendChild(optgroup);
+            }
+            groups.get(preset.group).appendChild(option);
+        });
+
+        // Move 'custom' after the groups
+        const custom = this.voicePresetSelect.querySelector('option[value="custom"]');
+        this.voicePresetSelect.appendChild(custom);
+
+        BUFFER_SIZES.forEach(size => {
+            const option = document.createElement('option');
+            option.value = size;
+            option.textContent = `${size} samples (~${Math.round((size / 44100) * 1000)}ms)`;
+            option.selected = size === 4096;
+            this.customBufferSize.appendChild(option);
+        });
+    }
+
+    /**
+     * Show the drawing setting
+     * @param {boolean} enabled - Draw the graph in a worker
+     * @param {boolean} isSupported - Whether this browser can (the option is disabled if not)
+     */
+    setRenderInWorker(enabled, isSupported) {
+        this.renderInWorkerCheckbox.checked = enabled && isSupported;
+        this.renderInWorkerCheckbox.disabled = !isSupported;
+    }
+
+    /**
+     * Offer the range from the range test as a preset, and switch to it
+     * @param {Object|null} profile - From RangeTest (null = forget it)
+     */
+    setRangeProfile(profile) {
+        this.rangeProfile = profile;
+        let option = this.voicePresetSelect.querySelector('option[value="profile"]');
+
+        if (!profile) {
+            const wasSelected = this.voicePresetSelect.value === 'profile';
+            option?.remove();
+            if (wasSelected) {
+                this.voicePresetSelect.value = 'auto';
+                this.applyVoicePreset();
+            }
+            return;
+        }
+
+        if (!option) {
+            option = document.createElement('option');
+            option.value = 'profile';
+            this.voicePresetSelect.querySelector('option[value="auto"]').after(option);
+        }
+        const { lowest, highest } = profile;
+        option.textContent = `My Range (${midiToNoteName(Math.round(lowest))}–${midiToNoteName(Math.round(highest))})`;
+
+        this.voicePresetSelect.value = 'profile';
+        this.customPresetGroup.style.display = 'none';
+        this.applyVoicePreset();
+    }
+
+    /**
+     * Apply the selected preset to detection and display
+     */
+    applyVoicePreset() {
+        const id = this.voicePresetSelect.value;
+        let settings;
+
+        try {
+            // The saved range works like a custom range, with the voice type's buffer
+            settings = id === 'profile'
+                ? resolveVoicePreset('custom', {
+                    lowNote: midiToNoteName(Math.round(this.rangeProfile.lowest)),
+                    highNote: midiToNoteName(Math.round(this.rangeProfile.highest)),
+                    bufferSize: VOICE_PRESETS[this.rangeProfile.voiceType].bufferSize
+                })
+                : resolveVoicePreset(id, {
+                    lowNote: this.customLowNote.value.trim().toUpperCase(),
+                    highNote: this.customHighNote.value.trim().toUpperCase(),
+                    bufferSize: parseInt(this.customBufferSize.value)
+                });
+        } catch (error) {
+            console.warn('[FloatingMenu] Invalid custom range:', error.message);
+            this.customLowNote.classList.add('invalid');
+            this.customHighNote.classList.add('invalid');
+            return;
+        }
+
+        this.customLowNote.classList.remove('invalid');
+        this.customHighNote.classList.remove('invalid');
+
+        if (this.pitchPipeline) {
+            this.pitchPipeline.configure({
+                minFrequency: settings.minFrequency,
+                maxFrequency: settings.maxFrequency,
+                bufferSize: settings.bufferSize
+            });
+        }
+
+        this.renderer.setNoteRange(settings.minMidiNote, settings.maxMidiNote, settings.autoRange);
+
+        console.log(`[FloatingMenu] Preset ${id}: ${settings.minFrequency.toFixed(0)}-${settings.maxFrequency.toFixed(0)} Hz, buffer ${settings.bufferSize}`);
+    }
+
+    /**
+     * Fill the algorithm selector from the detector registry
+     */
+    populateAlgorithms() {
+        const current = this.pitchPipeline?.config.algorithm;
+
+        listDetectors().forEach(({ id, label }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = label;
+            option.selected = id === current;
+            this.algorithmSelect.appendChild(option);
+        });
+    }
+
+    populateTimbres() {
+        TONE_TIMBRES.forEach(({ id, label }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = label;
+            option.selected = id === (this.referenceTone?.timbre ?? 'sine');
+            this.toneTimbreSelect.appendChild(option);
+        });
+    }
+
+    /**
+     * Fill the key, scale and label style selectors
+     */
+    populateKeys() {
+        TONICS.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            this.keyTonicSelect.appendChild(option);
+        });
+
+        [[this.keyScaleSelect, SCALES], [this.noteLabelsSelect, LABEL_STYLES]].forEach(([select, items]) => {
+            items.forEach(({ id, label }) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+        });
+    }
+
     toggle() {
         if (this.isExpanded) {
             this.collapse();
@@ -109,24 +644,48 @@ export class FloatingMenu {
         this.isExpanded = false;
     }
 
+    /**
+     * Show each target note's frequency in the current tuning
+     */
+    refreshTargetNotes() {
+        for (const option of this.targetNoteSelect.options) {
+            option.textContent = `${option.value} (${parseNoteString(option.value).toFixed(2)} Hz)`;
+        }
+    }
+
+    /**
+     * Follow a change of reference pitch or temperament
+     */
+    onTuningChange() {
+        this.refreshTargetNotes();
+        this.updateTargetPitch();
+    }
+
     updateTargetPitch() {
-        const noteString = this.targetNoteSelect.value;
-        const frequency = this.parseTargetNote(noteString);
+        const frequency = parseNoteString(this.targetNoteSelect.value);
         this.renderer.setTargetFrequency(frequency);
+
+        // A running drone follows the target
+        if (this.referenceTone?.isDrone) {
+            this.referenceTone.setFrequency(frequency);
+        }
     }
 
-    parseTargetNote(noteString) {
-        // Extract frequency from option value (e.g., "A4")
-        const frequencies = {
-            'C4': 261.63,
-            'D4': 293.66,
-            'E4': 329.63,
-            'F4': 349.23,
-            'G4': 392.00,
-            'A4': 440.00,
-            'B4': 493.88,
-            'C5': 523.25
-        };
-        return frequencies[noteString] || 440;
+    /**
+     * Play the target note
+     * @param {boolean} drone - Sustain until stopped
+     */
+    async playReferenceTone(drone) {
+        if (!this.referenceTone) return;
+
+        if (this.pitchPipeline?.mode && !this.pitchPipeline.canCancelReference()) {
+            console.warn('[FloatingMenu] Reference tone may be detected as your voice: use headphones or enable echo cancellation');
+        }
+
+        try {
+            await this.referenceTone.play(parseNoteString(this.targetNoteSelect.value), drone);
+        } catch (error) {
+            console.error('[FloatingMenu] Failed to play reference tone:', error);
+        }
     }
 }
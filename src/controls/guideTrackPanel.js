@@ -0,0 +1,259 @@
+/**
+ * Guide Track Panel
+ * Sing along to a part from a MIDI or MusicXML file: the part scrolls across
+ * the graph as note bars, optionally played by the reference tone synth, and
+ * every note is scored like an exercise note.
+ */
+
+import { loadGuideFile, scheduleGuide } from '../practice/guideTrack.js';
+import { ExerciseEngine } from '../practice/exerciseEngine.js';
+import { midiToNoteName } from '../utils/noteConverter.js';
+
+const COUNT_IN_BEATS = 4;
+const LOOK_AHEAD = 0.35; // Share of the graph showing upcoming notes
+
+export class GuideTrackPanel {
+    /**
+     * @param {CanvasRenderer} renderer
+     * @param {PitchPipeline} pitchPipeline
+     * @param {ReferenceTone} referenceTone - Plays the part and count-in
+     * @param {ScoreHud} hud - Progress and scores display
+     */
+    constructor(renderer, pitchPipeline, referenceTone, hud) {
+        this.renderer = renderer;
+        this.pitchPipeline = pitchPipeline;
+        this.referenceTone = referenceTone;
+        this.hud = hud;
+        this.engine = new ExerciseEngine();
+
+        // DOM elements
+        this.group = document.getElementById('guideTrackGroup');
+        this.loadButton = document.getElementById('guideLoadButton');
+        this.fileInput = document.getElementById('guideFileInput');
+        this.partSelect = document.getElementById('guidePart');
+        this.tempoSlider = document.getElementById('guideTempo');
+        this.tempoValue = document.getElementById('guideTempoValue');
+        this.transposeSlider = document.getElementById('guideTranspose');
+        this.transposeValue = document.getElementById('guideTransposeValue');
+        this.playPartCheckbox = document.getElementById('guidePlayPart');
+        this.startButton = document.getElementById('guideStartButton');
+
+        this.score = null; // From loadGuideFile()
+        this.isActive = false;
+        this.firstNoteTime = null; // ms, when the current run's first note starts
+        this.beatMs = 500; // Count-in beat of the current run
+
+        // Called with { kind, name, ...summary } when a run finishes
+        this.onResult = null;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.loadButton.addEventListener('click', () => this.fileInput.click());
+        this.fileInput.addEventListener('change', () => {
+            const file = this.fileInput.files[0];
+            this.fileInput.value = '';
+            if (file) {
+                this.load(file);
+            }
+        });
+
+        this.partSelect.addEventListener('change', () => this.prepare());
+
+        this.tempoSlider.addEventListener('input', (e) => {
+            this.tempoValue.textContent = e.target.value;
+        });
+
+        this.transposeSlider.addEventListener('input', (e) => {
+            const value = parseInt(e.target.value);
+            this.transposeValue.textContent = value > 0 ? `+${value}` : value;
+            this.prepare();
+        });
+
+        this.startButton.addEventListener('click', () => {
+            if (this.engine.isRunning) {
+                this.stop();
+            } else {
+                this.start();
+            }
+        });
+
+        this.engine.onNoteScored = (note) => this.hud.setResult(note.result.hit ? note.result : null);
+        this.engine.onFinish = (summary) => {
+            this.hud.setResult(summary);
+            this.hud.setStatus(`Done · ${summary.hit}/${summary.total} notes hit`);
+            this.setStartButton(false);
+            this.onResult?.({ kind: 'guide', name: `${this.score.name} · ${this.part.name}`, ...summary });
+        };
+    }
+
+    /**
+     * Enter or leave guide track mode
+     * @param {boolean} active
+     */
+    setActive(active) {
+        if (active === this.isActive) return;
+        this.isActive = active;
+
+        this.group.style.display = active ? 'block' : 'none';
+        this.hud.show(active);
+        if (active) {
+            this.prepare();
+        } else {
+            this.stop();
+            this.renderer.setGuideNotes([]);
+            this.renderer.setLookAhead(0);
+        }
+    }
+
+    /**
+     * Read a MIDI/MusicXML file and list its parts
+     * @param {File} file
+     */
+    async load(file) {
+        this.stop();
+        try {
+            this.score = await loadGuideFile(file);
+        } catch (error) {
+            console.warn('[GuideTrackPanel] Could not read score:', error.message);
+            alert(`Could not load ${file.name}.\n\n${error.message}`);
+            return;
+        }
+
+        this.partSelect.innerHTML = '';
+        this.score.parts.forEach((part, index) => {
+            const pitches = part.notes.map(note => note.midi);
+            const [low, high] = [Math.min(...pitches), Math.max(...pitches)].map(midiToNoteName);
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = `${part.name} (${low}–${high})`;
+            this.partSelect.appendChild(option);
+        });
+        this.partSelect.disabled = false;
+        this.startButton.disabled = false;
+
+        console.log(`🎼 [GuideTrackPanel] ${this.score.name}: ${this.score.parts.length} part(s) at ${Math.round(this.score.bpm)} BPM`);
+        this.prepare();
+    }
+
+    /**
+     * The selected part
+     * @returns {Object|null}
+     */
+    get part() {
+        return this.score?.parts[parseInt(this.partSelect.value)] ?? null;
+    }
+
+    /**
+     * Get the view ready for the selected part: room for upcoming notes and
+     * the (transposed) range it covers
+     */
+    prepare() {
+        if (!this.isActive || this.engine.isRunning) return;
+
+        this.renderer.setGuideNotes([]);
+        this.renderer.setLookAhead(LOOK_AHEAD);
+        this.hud.clearResult();
+
+        if (!this.part) {
+            this.hud.setTitle('Guide Track');
+            this.hud.setStatus('Load a MIDI or MusicXML file');
+            return;
+        }
+
+        const transpose = parseInt(this.transposeSlider.value);
+        const pitches = this.part.notes.map(note => note.midi + transpose);
+        this.renderer.fitNoteRange(Math.min(...pitches), Math.max(...pitches));
+        this.hud.setTitle(`${this.score.name} · ${this.part.name}`);
+        this.hud.setStatus('Press Start to sing along');
+    }
+
+    /**
+     * Count in and run the selected part
+     */
+    async start() {
+        if (!this.part) return;
+        if (!this.pitchPipeline.mode) {
+            this.hud.setStatus('Start the microphone first');
+            return;
+        }
+
+        const tempoScale = parseInt(this.tempoSlider.value) / 100;
+        this.beatMs = 60000 / (this.score.bpm * tempoScale);
+        const countInStart = performance.now() + 300; // Time to schedule the audio
+        this.firstNoteTime = countInStart + COUNT_IN_BEATS * this.beatMs;
+
+        const notes = this.engine.run(scheduleGuide(this.part, {
+            startTime: this.firstNoteTime,
+            tempoScale,
+            transpose: parseInt(this.transposeSlider.value)
+        }));
+        this.renderer.setGuideNotes(notes);
+        this.renderer.setLookAhead(LOOK_AHEAD);
+        this.hud.clearResult();
+        this.setStartButton(true);
+
+        const clicks = Array.from({ length: COUNT_IN_BEATS }, (_, i) => countInStart + i * this.beatMs);
+        try {
+            await this.referenceTone.playSequence(this.playPartCheckbox.checked ? notes : [], clicks);
+        } catch (error) {
+            console.error('[GuideTrackPanel] Failed to play the part:', error);
+        }
+    }
+
+    /**
+     * Stop the current run (scored notes stay on screen)
+     */
+    stop() {
+        if (this.engine.isRunning) {
+            this.engine.stop();
+            this.referenceTone.stop();
+            this.hud.setStatus('Stopped');
+        }
+        this.setStartButton(false);
+    }
+
+    /**
+     * Feed a live pitch frame
+     * @param {Object} frame
+     */
+    process(frame) {
+        this.engine.process(frame);
+    }
+
+    /**
+     * Score finished notes and refresh the progress line (once per rendered frame)
+     * @param {number} now - performance.now()
+     */
+    update(now) {
+        if (!this.engine.isRunning) return;
+
+        this.engine.update(now);
+        if (!this.engine.isRunning) return;
+
+        if (now < this.firstNoteTime) {
+            this.hud.setStatus(`Get ready… ${Math.ceil((this.firstNoteTime - now) / this.beatMs)}`);
+        } else {
+            const total = this.engine.endTime - this.firstNoteTime;
+            this.hud.setStatus(`${formatSeconds(now - this.firstNoteTime)} / ${formatSeconds(total)}`);
+        }
+    }
+
+    /**
+     * @param {boolean} running
+     */
+    setStartButton(running) {
+        this.startButton.textContent = running ? '⏹ Stop' : '▶ Start';
+        this.startButton.classList.toggle('active', running);
+    }
+}
+
+/**
+ * @param {number} ms
+ * @returns {string} m:ss
+ */
+function formatSeconds(ms) {
+    const seconds = Math.floor(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
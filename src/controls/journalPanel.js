@@ -0,0 +1,307 @@
+/**
+ * Journal Panel
+ * History view of the practice journal: progress charts (range, intonation,
+ * minutes per day), the list of saved sessions to reopen or delete, storage
+ * settings and pruning, and export/import of the whole journal as one file
+ * (to move it to another device).
+ */
+
+import { drawRangeChart, drawAccuracyChart, drawMinutesChart } from '../visualization/journalCharts.js';
+import { hzToNote, midiToHz } from '../utils/noteConverter.js';
+import { downloadBlob, fileNameBase } from '../utils/download.js';
+
+const STORAGE_KEY = 'voicePitchVisualizer.journal';
+const MB = 1024 * 1024;
+
+export class JournalPanel {
+    /**
+     * @param {CanvasRenderer} renderer - For note labels
+     * @param {PracticeJournal} journal
+     * @param {Object} handlers - { onOpen(session) } shows a saved session
+     */
+    constructor(renderer, journal, handlers) {
+        this.renderer = renderer;
+        this.journal = journal;
+        this.store = journal.store;
+        this.handlers = handlers;
+
+        // DOM elements
+        this.openButton = document.getElementById('journalButton');
+        this.panel = document.getElementById('journalPanel');
+        this.closeButton = document.getElementById('journalCloseButton');
+        this.rangeChart = document.getElementById('journalRangeChart');
+        this.accuracyChart = document.getElementById('journalAccuracyChart');
+        this.minutesChart = document.getElementById('journalMinutesChart');
+        this.list = document.getElementById('journalSessionList');
+        this.usage = document.getElementById('journalUsage');
+        this.enabledCheckbox = document.getElementById('journalEnabled');
+        this.saveAudioCheckbox = document.getElementById('journalSaveAudio');
+        this.limitSelect = document.getElementById('journalLimit');
+        this.pruneAgeSelect = document.getElementById('journalPruneAge');
+        this.pruneButton = document.getElementById('journalPruneButton');
+        this.exportButton = document.getElementById('journalExportButton');
+        this.importButton = document.getElementById('journalImportButton');
+        this.fileInput = document.getElementById('journalFileInput');
+
+        this.sessions = [];
+
+        this.restore();
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.openButton.addEventListener('click', () => this.open());
+        this.closeButton.addEventListener('click', () => this.close());
+
+        this.enabledCheckbox.addEventListener('change', () => {
+            if (!this.enabledCheckbox.checked) this.journal.end();
+            this.apply();
+        });
+        this.saveAudioCheckbox.addEventListener('change', () => this.apply());
+        this.limitSelect.addEventListener('change', async () => {
+            this.apply();
+            try {
+                await this.journal.prune();
+            } catch (error) {
+                console.error('[JournalPanel] Could not prune the journal:', error);
+                alert('Could not delete old sessions to fit the new limit.');
+            }
+            this.refresh();
+        });
+
+        this.pruneButton.addEventListener('click', async () => {
+            const days = parseInt(this.pruneAgeSelect.value);
+            const option = this.pruneAgeSelect.selectedOptions[0].textContent;
+            if (!confirm(`Delete the sessions ${option}?`)) return;
+
+            try {
+                const deleted = await this.journal.deleteBefore(new Date(Date.now() - days * 86400000));
+                console.log(`📓 [JournalPanel] Deleted ${deleted} session(s) ${option}`);
+            } catch (error) {
+                console.error('[JournalPanel] Could not delete old sessions:', error);
+                alert('Could not delete the sessions.');
+            }
+            this.refresh();
+        });
+
+        this.exportButton.addEventListener('click', () => this.exportJournal());
+        this.importButton.addEventListener('click', () => this.fileInput.click());
+        this.fileInput.addEventListener('change', async () => {
+            const file = this.fileInput.files[0];
+            this.fileInput.value = '';
+            if (file) {
+                this.importJournal(file);
+            }
+        });
+
+        // Keep the open panel current as the session is saved
+        this.journal.onSave = () => {
+            if (!this.panel.classList.contains('hidden')) this.refresh();
+        };
+    }
+
+    async open() {
+        this.panel.classList.remove('hidden');
+        // Include what was sung since the last autosave
+        await this.journal.save();
+        this.refresh();
+    }
+
+    close() {
+        this.panel.classList.add('hidden');
+    }
+
+    async refresh() {
+        try {
+            this.sessions = await this.store.listSessions();
+        } catch (error) {
+            console.error('[JournalPanel] Could not read the journal:', error);
+            this.usage.textContent = 'The journal is not available in this browser';
+            return;
+        }
+
+        drawRangeChart(this.rangeChart, this.sessions, (midi) => this.label(midi));
+        drawAccuracyChart(this.accuracyChart, this.sessions);
+        drawMinutesChart(this.minutesChart, this.sessions);
+        this.renderList();
+
+        const bytes = this.sessions.reduce((sum, s) => sum + s.bytes, 0);
+        this.usage.textContent = `${this.sessions.length} session${this.sessions.length === 1 ? '' : 's'} · ` +
+            `${(bytes / MB).toFixed(1)} of ${this.limitSelect.value} MB`;
+    }
+
+    /**
+     * Saved sessions, newest first
+     */
+    renderList() {
+        this.list.innerHTML = '';
+        if (this.sessions.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'take-empty';
+            empty.textContent = 'Sessions are saved here as you sing';
+            this.list.appendChild(empty);
+            return;
+        }
+
+        for (const session of [...this.sessions].reverse()) {
+            const item = document.createElement('li');
+            item.className = 'journal-item';
+            item.title = describeSettings(session.settings);
+
+            const info = document.createElement('div');
+            info.className = 'journal-info';
+            const date = document.createElement('span');
+            date.textContent = new Date(session.id).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+            const details = document.createElement('span');
+            details.className = 'journal-details';
+            details.textContent = this.describe(session);
+            info.append(date, details);
+
+            const isRecording = session.id === this.journal.session?.id;
+            const deleteButton = this.createButton('🗑', 'Delete session', async () => {
+                if (!confirm(`Delete the session of ${date.textContent}?`)) return;
+                try {
+                    await this.store.deleteSession(session.id);
+                } catch (error) {
+                    console.error('[JournalPanel] Could not delete the session:', error);
+                    alert('Could not delete this session.');
+                }
+                this.refresh();
+            });
+            deleteButton.disabled = isRecording;
+
+            item.append(
+                info,
+                this.createButton('▶', 'Open session', () => {
+                    this.close();
+                    this.handlers.onOpen(session);
+                }),
+                deleteButton
+            );
+            this.list.appendChild(item);
+        }
+    }
+
+    /**
+     * @param {Object} session - Journal record
+     * @returns {string} e.g. "12 min sung · 64% in tune · G3–D5 · 2 scores · 1 take"
+     */
+    describe(session) {
+        const stats = session.stats;
+        const parts = [`${Math.max(1, Math.round((stats?.sungMs ?? 0) / 60000))} min sung`];
+        if (stats) {
+            if (stats.inTunePercent !== null) parts.push(`${stats.inTunePercent}% in tune`);
+            parts.push(`${this.label(stats.tessitura.low)}–${this.label(stats.tessitura.high)}`);
+        }
+        if (session.scores.length > 0) {
+            const best = Math.max(...session.scores.map(s => s.score));
+            parts.push(`${session.scores.length} score${session.scores.length === 1 ? '' : 's'} (best ${best})`);
+        }
+        if (session.takes.length > 0) {
+            parts.push(`${session.takes.length} take${session.takes.length === 1 ? '' : 's'}`);
+        }
+        return parts.join(' · ');
+    }
+
+    /**
+     * @param {number} midi - Fractional MIDI number
+     * @returns {string} Nearest note in the current key and label style
+     */
+    label(midi) {
+        return this.renderer.noteLabel(hzToNote(midiToHz(midi)));
+    }
+
+    async exportJournal() {
+        this.exportButton.disabled = true;
+        try {
+            await this.journal.save();
+            downloadBlob(await this.store.exportAll(), `${fileNameBase('practice journal')}.jsonl`);
+        } catch (error) {
+            console.error('[JournalPanel] Could not export the journal:', error);
+            alert('Could not export the journal.');
+        } finally {
+            this.exportButton.disabled = false;
+        }
+    }
+
+    /**
+     * @param {File} file - An exported journal
+     */
+    async importJournal(file) {
+        try {
+            const count = await this.store.importAll(file);
+            console.log(`📓 [JournalPanel] Imported ${count} session(s)`);
+            await this.journal.prune();
+        } catch (error) {
+            console.error('[JournalPanel] Could not import the journal:', error);
+            alert('Could not import this file. Choose a journal exported from this app.');
+        }
+        this.refresh();
+    }
+
+    /**
+     * Pass the storage settings to the journal and remember them
+     */
+    apply() {
+        this.journal.enabled = this.enabledCheckbox.checked;
+        this.journal.saveAudio = this.saveAudioCheckbox.checked;
+        this.journal.maxBytes = parseInt(this.limitSelect.value) * MB;
+
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({
+                enabled: this.journal.enabled,
+                saveAudio: this.journal.saveAudio,
+                limitMb: parseInt(this.limitSelect.value)
+            }));
+        } catch (error) {
+            console.warn('[JournalPanel] Could not save the journal settings:', error.message);
+        }
+    }
+
+    /**
+     * Set the controls to the saved storage settings
+     */
+    restore() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (saved) {
+                this.enabledCheckbox.checked = saved.enabled !== false;
+                this.saveAudioCheckbox.checked = Boolean(saved.saveAudio);
+                if (this.limitSelect.querySelector(`option[value="${saved.limitMb}"]`)) {
+                    this.limitSelect.value = String(saved.limitMb);
+                }
+            }
+        } catch (error) {
+            console.warn('[JournalPanel] Ignoring saved journal settings:', error.message);
+        }
+        this.apply();
+    }
+
+    /**
+     * @param {string} text
+     * @param {string} label - Tooltip / accessible name
+     * @param {Function} onClick
+     * @returns {HTMLButtonElement}
+     */
+    createButton(text, label, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'take-button';
+        button.textContent = text;
+        button.title = label;
+        button.setAttribute('aria-label', label);
+        button.addEventListener('click', onClick);
+        return button;
+    }
+}
+
+/**
+ * @param {Object|null} settings - Recorded with the session
+ * @returns {string} One line for the tooltip
+ */
+function describeSettings(settings) {
+    if (!settings) return '';
+    const tuning = settings.tuning ? `, A4 = ${settings.tuning.referencePitch} Hz` : '';
+    return `${settings.voicePreset} voice, ${settings.algorithm.toUpperCase()} detector, ` +
+        `${Math.round(settings.minFrequency)}–${Math.round(settings.maxFrequency)} Hz${tuning}`;
+}
@@ -0,0 +1,70 @@
+/**
+ * Live Transport Controls
+ * Record and pause buttons for the live view; while paused, how far behind
+ * live the view is, time zoom and a button to jump back to live.
+ */
+
+import { formatClock } from '../utils/formatClock.js';
+
+export class LiveTransport {
+    /**
+     * @param {Object} handlers - { onRecord(), onPause(), onGoLive(), onZoom(factor) }
+     */
+    constructor(handlers) {
+        this.handlers = handlers;
+
+        // DOM elements
+        this.transport = document.getElementById('liveTransport');
+        this.pauseButton = document.getElementById('livePauseButton');
+        this.timeLabel = document.getElementById('liveBehind');
+        this.zoomInButton = document.getElementById('liveZoomIn');
+        this.zoomOutButton = document.getElementById('liveZoomOut');
+        this.goLiveButton = document.getElementById('goLiveButton');
+        this.recordButton = document.getElementById('liveRecordButton');
+        this.recordTimeLabel = document.getElementById('recordTime');
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.recordButton.addEventListener('click', () => this.handlers.onRecord());
+        this.pauseButton.addEventListener('click', () => this.handlers.onPause());
+        this.goLiveButton.addEventListener('click', () => this.handlers.onGoLive());
+        this.zoomInButton.addEventListener('click', () => this.handlers.onZoom(0.5));
+        this.zoomOutButton.addEventListener('click', () => this.handlers.onZoom(2));
+    }
+
+    /**
+     * Update pause and recording state
+     * @param {boolean} isPaused
+     * @param {number} behind - Seconds between the view's right edge and now
+     * @param {number|null} recorded - Seconds of the take being recorded, null if not recording
+     */
+    update(isPaused, behind, recorded = null) {
+        this.transport.classList.remove('hidden');
+        this.transport.classList.toggle('paused', isPaused);
+        if (isPaused) {
+            this.timeLabel.textContent = behind < 1 ? 'Paused' : `−${formatClock(behind)}`;
+        }
+
+        const isRecording = recorded !== null;
+        this.transport.classList.toggle('recording', isRecording);
+        this.recordButton.textContent = isRecording ? '⏹' : '⏺';
+        this.recordButton.setAttribute('aria-label', isRecording ? 'Stop recording' : 'Record take');
+        if (isRecording) {
+            this.recordTimeLabel.textContent = formatClock(recorded);
+        }
+    }
+
+    /**
+     * @param {boolean} enabled - Whether takes can be recorded
+     */
+    setRecordEnabled(enabled) {
+        this.recordButton.disabled = !enabled;
+        this.recordButton.title = enabled ? '' : 'Recording needs AudioWorklet support';
+    }
+
+    hide() {
+        this.transport.classList.add('hidden');
+    }
+}
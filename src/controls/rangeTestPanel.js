@@ -0,0 +1,188 @@
+/**
+ * Range Test Panel
+ * Runs the guided range test from range mode (lowest note, highest note,
+ * siren), shows each step's instructions and reading on screen, and keeps the
+ * resulting profile in localStorage so the next launch starts with the grid
+ * set to the singer's range.
+ */
+
+import { RangeTest, RANGE_TEST_STEPS } from '../practice/rangeTest.js';
+import { hzToNote, midiToHz } from '../utils/noteConverter.js';
+import { VOICE_PRESETS } from '../utils/voicePresets.js';
+
+const STORAGE_KEY = 'voicePitchVisualizer.rangeProfile';
+
+export class RangeTestPanel {
+    /**
+     * @param {CanvasRenderer} renderer
+     * @param {PitchPipeline} pitchPipeline
+     * @param {Object} handlers - { onProfile(profile) } after a test, or with
+     *   null when the profile is forgotten
+     */
+    constructor(renderer, pitchPipeline, handlers) {
+        this.renderer = renderer;
+        this.pitchPipeline = pitchPipeline;
+        this.handlers = handlers;
+        this.test = new RangeTest();
+
+        // DOM elements
+        this.group = document.getElementById('rangeTestGroup');
+        this.summary = document.getElementById('rangeProfileSummary');
+        this.startButton = document.getElementById('rangeTestStartButton');
+        this.clearButton = document.getElementById('rangeProfileClearButton');
+        this.hud = document.getElementById('rangeTestHud');
+        this.stepTitle = document.getElementById('rangeTestStep');
+        this.instruction = document.getElementById('rangeTestInstruction');
+        this.reading = document.getElementById('rangeTestReading');
+        this.nextButton = document.getElementById('rangeTestNextButton');
+        this.cancelButton = document.getElementById('rangeTestCancelButton');
+
+        this.isActive = false;
+        this.profile = this.loadProfile();
+
+        this.renderSummary();
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.startButton.addEventListener('click', () => this.start());
+        this.nextButton.addEventListener('click', () => this.next());
+        this.cancelButton.addEventListener('click', () => this.stop());
+        this.clearButton.addEventListener('click', () => {
+            if (!confirm('Forget the saved range?')) return;
+            this.profile = null;
+            localStorage.removeItem(STORAGE_KEY);
+            this.renderSummary();
+            this.handlers.onProfile(null);
+        });
+    }
+
+    /**
+     * Enter or leave range mode
+     * @param {boolean} active
+     */
+    setActive(active) {
+        if (active === this.isActive) return;
+        this.isActive = active;
+
+        this.group.style.display = active ? 'block' : 'none';
+        if (!active) this.stop();
+    }
+
+    start() {
+        this.hud.classList.remove('hidden');
+        if (!this.pitchPipeline.mode) {
+            this.stepTitle.textContent = 'Range Test';
+            this.instruction.textContent = 'Start the microphone first';
+            this.reading.textContent = '–';
+            this.nextButton.disabled = true;
+            return;
+        }
+
+        this.test.start();
+        this.update();
+    }
+
+    /**
+     * Leave the test without saving
+     */
+    stop() {
+        this.test.stop();
+        this.hud.classList.add('hidden');
+    }
+
+    next() {
+        const profile = this.test.next();
+        if (!profile) {
+            this.update();
+            return;
+        }
+
+        this.profile = profile;
+        this.saveProfile();
+        this.hud.classList.add('hidden');
+        this.renderSummary();
+        this.handlers.onProfile(profile);
+        console.log(`🎚️ [RangeTestPanel] Range ${this.label(profile.low)}–${this.label(profile.high)}, ${profile.voiceType}`);
+    }
+
+    /**
+     * Feed one pitch frame
+     * @param {Object} frame - From the pitch pipeline
+     */
+    process(frame) {
+        this.test.process(frame);
+    }
+
+    /**
+     * Refresh the step and reading shown (once per animation frame)
+     */
+    update() {
+        if (!this.test.isRunning) return;
+
+        const { step, stepIndex, readings } = this.test;
+        this.stepTitle.textContent = `Range Test · ${stepIndex + 1}/${RANGE_TEST_STEPS.length} ${step.title}`;
+        this.instruction.textContent = step.instruction;
+
+        const reading = readings[step.id];
+        if (step.id === 'siren') {
+            this.reading.textContent = reading && reading.low < reading.high
+                ? `${this.label(reading.low)}–${this.label(reading.high)} · ${Math.min(100, Math.round(100 * reading.voicedMs / this.test.sirenMs))}%`
+                : 'Listening…';
+        } else if (reading) {
+            this.reading.textContent = `${this.label(reading.midi)} held ${(reading.durationMs / 1000).toFixed(1)}s`;
+        } else {
+            this.reading.textContent = `Hold a note for ${this.test.holdMs / 1000}s…`;
+        }
+        if (step.id === 'high' && reading && !this.test.isStepValid()) {
+            this.reading.textContent += ' · too close to the lowest note';
+        }
+
+        this.nextButton.disabled = !this.test.isStepValid();
+        this.nextButton.textContent = stepIndex === RANGE_TEST_STEPS.length - 1 ? '✓ Save' : 'Next ›';
+    }
+
+    renderSummary() {
+        const profile = this.profile;
+        this.clearButton.disabled = !profile;
+        if (!profile) {
+            this.summary.textContent = 'No saved range yet';
+            return;
+        }
+
+        const date = new Date(profile.date).toLocaleDateString();
+        this.summary.textContent = `${VOICE_PRESETS[profile.voiceType].label}: ${this.label(profile.low)}–${this.label(profile.high)} ` +
+            `(extremes ${this.label(profile.lowest)}–${this.label(profile.highest)}), tested ${date}`;
+    }
+
+    /**
+     * @param {number} midi - Fractional MIDI number
+     * @returns {string} Nearest note in the current key and label style
+     */
+    label(midi) {
+        return this.renderer.noteLabel(hzToNote(midiToHz(midi)));
+    }
+
+    /**
+     * @returns {Object|null} The saved profile, if valid
+     */
+    loadProfile() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (saved && saved.lowest < saved.highest && VOICE_PRESETS[saved.voiceType]) {
+                return saved;
+            }
+        } catch (error) {
+            console.warn('[RangeTestPanel] Ignoring saved range:', error.message);
+        }
+        return null;
+    }
+
+    saveProfile() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.profile));
+        } catch (error) {
+            console.warn('[RangeTestPanel] Could not save range:', error.message);
+        }
+    }
+}
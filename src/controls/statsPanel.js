@@ -0,0 +1,221 @@
+/**
+ * Stats Panel
+ * Summary of the live session or the recording shown: how much of the time
+ * was in tune, how long each note was sung, the comfortable range against the
+ * extremes, and drift sharp or flat per octave. Can be copied as text (e.g.
+ * into a lesson log).
+ */
+
+import { computeSessionStats, guideTargets } from '../practice/sessionStats.js';
+import { hzToMidi, hzToNote, midiToHz } from '../utils/noteConverter.js';
+
+export class StatsPanel {
+    /**
+     * @param {CanvasRenderer} renderer
+     * @param {Object} handlers - { getName() } returns the shown recording's
+     *   name, or null for the live session
+     */
+    constructor(renderer, handlers) {
+        this.renderer = renderer;
+        this.handlers = handlers;
+
+        // DOM elements
+        this.openButton = document.getElementById('statsButton');
+        this.panel = document.getElementById('statsPanel');
+        this.title = document.getElementById('statsTitle');
+        this.closeButton = document.getElementById('statsCloseButton');
+        this.toleranceSelect = document.getElementById('statsTolerance');
+        this.referenceSelect = document.getElementById('statsReference');
+        this.body = document.getElementById('statsBody');
+        this.copyButton = document.getElementById('statsCopyButton');
+
+        this.stats = null;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.openButton.addEventListener('click', () => this.open());
+        this.closeButton.addEventListener('click', () => this.close());
+        this.toleranceSelect.addEventListener('change', () => this.refresh());
+        this.referenceSelect.addEventListener('change', () => this.refresh());
+        this.copyButton.addEventListener('click', () => this.copy());
+    }
+
+    open() {
+        // Measuring from the target needs one: a target line or guide notes
+        const targetOption = this.referenceSelect.querySelector('option[value="target"]');
+        targetOption.disabled = !this.getTargetAt();
+        if (targetOption.disabled) this.referenceSelect.value = 'nearest';
+
+        this.panel.classList.remove('hidden');
+        this.refresh();
+    }
+
+    close() {
+        this.panel.classList.add('hidden');
+    }
+
+    /**
+     * @returns {Function|null} Target lookup for computeSessionStats(), null if there is no target
+     */
+    getTargetAt() {
+        if (this.renderer.guideNotes.length > 0) {
+            return guideTargets(this.renderer.guideNotes);
+        }
+        if (this.renderer.mode === 'target' && this.renderer.targetFrequency) {
+            const target = hzToMidi(this.renderer.targetFrequency);
+            return () => target;
+        }
+        return null;
+    }
+
+    refresh() {
+        const name = this.handlers.getName();
+        this.title.textContent = name ? `Summary: ${name}` : 'Session Summary';
+
+        this.stats = computeSessionStats(this.renderer.getPoints(-Infinity, Infinity), {
+            toleranceCents: parseInt(this.toleranceSelect.value),
+            minConfidence: this.renderer.minConfidence,
+            targetAt: this.referenceSelect.value === 'target' ? this.getTargetAt() : null
+        });
+        this.render();
+    }
+
+    render() {
+        this.body.innerHTML = '';
+        const stats = this.stats;
+        if (!stats) {
+            this.body.append(createElement('p', 'stats-empty', 'Nothing sung yet.'));
+            this.copyButton.disabled = true;
+            return;
+        }
+        this.copyButton.disabled = false;
+
+        // Intonation
+        this.body.append(createElement('p', 'stats-headline', this.describeIntonation()));
+
+        // Comfortable range (tessitura) within the extremes
+        this.body.append(createElement('h3', null, 'Range'));
+        const low = stats.extremes.low - 1;
+        const span = stats.extremes.high + 1 - low;
+        const track = createElement('div', 'stats-range');
+        const band = createElement('div', 'stats-range-band');
+        band.style.left = `${100 * (stats.tessitura.low - low) / span}%`;
+        band.style.width = `${Math.max(1, 100 * (stats.tessitura.high - stats.tessitura.low) / span)}%`;
+        track.append(band);
+        this.body.append(
+            track,
+            createElement('p', null, `Tessitura ${this.label(stats.tessitura.low)}–${this.label(stats.tessitura.high)} · ` +
+                `extremes ${this.label(stats.extremes.low)}–${this.label(stats.extremes.high)}`)
+        );
+
+        // Time per note, highest first (like the graph)
+        this.body.append(createElement('h3', null, 'Time per note'));
+        const histogram = createElement('div', 'stats-histogram');
+        const longest = Math.max(...stats.notes.map(n => n.ms));
+        for (const note of [...stats.notes].reverse()) {
+            const bar = createElement('div', 'stats-bar');
+            bar.style.width = `${100 * note.ms / longest}%`;
+            const barCell = createElement('div', 'stats-bar-cell');
+            barCell.append(bar);
+            histogram.append(
+                createElement('span', 'stats-note', this.renderer.noteLabel(note)),
+                barCell,
+                createElement('span', 'stats-time', formatSeconds(note.ms))
+            );
+        }
+        this.body.append(histogram);
+
+        // Drift per octave
+        this.body.append(createElement('h3', null, 'Drift'));
+        const drift = createElement('div', 'stats-drift');
+        for (const register of stats.registers) {
+            drift.append(
+                createElement('span', null, register.label),
+                createElement('span', 'stats-time', formatSeconds(register.ms)),
+                createElement('span', null, describeDrift(register.meanCents))
+            );
+        }
+        this.body.append(drift);
+    }
+
+    /**
+     * @returns {string} e.g. "2:14 sung · 63% within ±25¢ of the nearest note (average 14¢ off)"
+     */
+    describeIntonation() {
+        const stats = this.stats;
+        const reference = this.referenceSelect.value === 'target' ? 'the target' : 'the nearest note';
+        const sung = `${formatSeconds(stats.sungMs)} sung`;
+        if (stats.inTunePercent === null) return `${sung} · never on a target note`;
+        return `${sung} · ${stats.inTunePercent}% within ±${this.toleranceSelect.value}¢ of ${reference} ` +
+            `(average ${Math.round(stats.meanAbsCents)}¢ off)`;
+    }
+
+    /**
+     * @param {number} midi - Fractional MIDI number
+     * @returns {string} Nearest note in the current key and label style
+     */
+    label(midi) {
+        return this.renderer.noteLabel(hzToNote(midiToHz(midi)));
+    }
+
+    /**
+     * Copy the summary as plain text
+     */
+    async copy() {
+        const stats = this.stats;
+        if (!stats) return;
+
+        const lines = [
+            `${this.title.textContent} (${new Date().toLocaleDateString()})`,
+            this.describeIntonation(),
+            `Tessitura ${this.label(stats.tessitura.low)}–${this.label(stats.tessitura.high)}, ` +
+                `extremes ${this.label(stats.extremes.low)}–${this.label(stats.extremes.high)}`,
+            'Time per note: ' + stats.notes.map(n => `${this.renderer.noteLabel(n)} ${formatSeconds(n.ms)}`).join(', '),
+            'Drift: ' + stats.registers.map(r => `${r.label} ${describeDrift(r.meanCents)}`).join(', ')
+        ];
+
+        try {
+            await navigator.clipboard.writeText(lines.join('\n'));
+            this.copyButton.textContent = '✓ Copied';
+            setTimeout(() => {
+                this.copyButton.textContent = '📋 Copy as Text';
+            }, 1500);
+        } catch (error) {
+            console.error('[StatsPanel] Could not copy the summary:', error);
+        }
+    }
+}
+
+/**
+ * @param {string} tag
+ * @param {string|null} className
+ * @param {string} text
+ * @returns {HTMLElement}
+ */
+function createElement(tag, className, text = '') {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    element.textContent = text;
+    return element;
+}
+
+/**
+ * Format milliseconds as m:ss, or seconds under a minute
+ */
+function formatSeconds(ms) {
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${(ms / 1000).toFixed(1)}s`;
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * @param {number} cents - Average deviation
+ * @returns {string} e.g. "+12¢ sharp"
+ */
+function describeDrift(cents) {
+    const rounded = Math.round(cents);
+    if (rounded === 0) return '0¢';
+    return rounded > 0 ? `+${rounded}¢ sharp` : `${rounded}¢ flat`;
+}
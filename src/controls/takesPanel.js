@@ -0,0 +1,102 @@
+/**
+ * Takes Panel
+ * Lists the takes recorded this session: rename, open (play back with the
+ * pitch graph), re-analyze with the current detector settings, or delete.
+ */
+
+import { formatClock } from '../utils/formatClock.js';
+
+export class TakesPanel {
+    /**
+     * @param {Object} handlers - { onOpen(take), onReanalyze(take), onRename(take), onDelete(take) }
+     */
+    constructor(handlers) {
+        this.handlers = handlers;
+
+        // DOM elements
+        this.list = document.getElementById('takeList');
+
+        this.takes = [];
+
+        this.render();
+    }
+
+    /**
+     * @param {Object} take - From TakeRecorder.stop(), or restored from the
+     *   practice journal (frames null until analyzed)
+     */
+    add(take) {
+        this.takes.push(take);
+        this.render();
+    }
+
+    /**
+     * @param {Object} take
+     */
+    remove(take) {
+        this.takes = this.takes.filter(t => t !== take);
+        this.render();
+    }
+
+    render() {
+        this.list.innerHTML = '';
+
+        if (this.takes.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'take-empty';
+            empty.textContent = 'No takes yet: ⏺ (bottom-right) records one';
+            this.list.appendChild(empty);
+            return;
+        }
+
+        this.takes.forEach(take => {
+            const item = document.createElement('li');
+            item.className = 'take-item';
+
+            const name = document.createElement('input');
+            name.type = 'text';
+            name.value = take.name;
+            name.setAttribute('aria-label', 'Take name');
+            name.addEventListener('change', () => {
+                take.name = name.value.trim() || take.name;
+                name.value = take.name;
+                this.handlers.onRename(take);
+            });
+
+            const duration = document.createElement('span');
+            duration.className = 'take-duration';
+            duration.textContent = formatClock(take.duration);
+
+            item.append(
+                name,
+                duration,
+                this.createButton('▶', 'Play take', () => this.handlers.onOpen(take)),
+                this.createButton('↻', 'Re-analyze with current settings', () => this.handlers.onReanalyze(take)),
+                this.createButton('🗑', 'Delete take', () => {
+                    if (confirm(`Delete ${take.name}?`)) {
+                        this.remove(take);
+                        this.handlers.onDelete(take);
+                    }
+                })
+            );
+            this.list.appendChild(item);
+        });
+    }
+
+    /**
+     * @param {string} text
+     * @param {string} label - Tooltip / accessible name
+     * @param {Function} onClick
+     * @returns {HTMLButtonElement}
+     */
+    createButton(text, label, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'take-button';
+        button.textContent = text;
+        button.title = label;
+        button.setAttribute('aria-label', label);
+        button.addEventListener('click', onClick);
+        return button;
+    }
+}
@@ -0,0 +1,168 @@
+/**
+ * Tuning Panel
+ * Reference pitch, temperament and tonic, plus Scala (.scl) scale import.
+ * The choice is remembered between visits.
+ */
+
+import { TEMPERAMENTS, createTuning, parseScala } from '../utils/tuning.js';
+import { setTuning } from '../utils/noteConverter.js';
+
+const STORAGE_KEY = 'voicePitchVisualizer.tuning';
+const TONIC_NAMES = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+export class TuningPanel {
+    constructor() {
+        // DOM elements
+        this.referenceSlider = document.getElementById('referencePitch');
+        this.referenceValue = document.getElementById('referencePitchValue');
+        this.temperamentSelect = document.getElementById('temperament');
+        this.tonicSelect = document.getElementById('tuningTonic');
+        this.loadButton = document.getElementById('scalaLoadButton');
+        this.fileInput = document.getElementById('scalaFileInput');
+
+        this.scale = null; // Imported Scala scale, from parseScala()
+
+        // Called after the active tuning changes
+        this.onChange = null;
+
+        this.populateTemperaments();
+        this.populateTonics();
+        this.restore();
+        this.setupEventListeners();
+        this.apply();
+    }
+
+    setupEventListeners() {
+        this.referenceSlider.addEventListener('input', (e) => {
+            this.referenceValue.textContent = e.target.value;
+            this.apply();
+        });
+
+        this.temperamentSelect.addEventListener('change', () => this.apply());
+        this.tonicSelect.addEventListener('change', () => this.apply());
+
+        this.loadButton.addEventListener('click', () => this.fileInput.click());
+        this.fileInput.addEventListener('change', async () => {
+            const file = this.fileInput.files[0];
+            this.fileInput.value = '';
+            if (file) {
+                this.importScale(file.name, await file.text());
+            }
+        });
+    }
+
+    /**
+     * Use a Scala scale file
+     * @param {string} fileName
+     * @param {string} text - .scl contents
+     */
+    importScale(fileName, text) {
+        try {
+            this.scale = parseScala(text, fileName.replace(/\.[^.]+$/, ''));
+        } catch (error) {
+            console.warn('[TuningPanel] Invalid Scala file:', error.message);
+            alert(`Could not load ${fileName}.\n\n${error.message}`);
+            return;
+        }
+
+        this.populateTemperaments();
+        this.temperamentSelect.value = 'scala';
+        this.apply();
+    }
+
+    /**
+     * Make the menu's settings the active tuning
+     */
+    apply() {
+        const settings = this.getSettings();
+        const tuning = createTuning({ ...settings, scale: this.scale });
+        setTuning(tuning);
+
+        // Equal temperament sounds the same from any tonic
+        this.tonicSelect.disabled = settings.temperament === 'equal';
+
+        this.save(settings);
+        this.onChange?.(tuning);
+        console.log(`🎚️ [TuningPanel] ${tuning.name} on ${TONIC_NAMES[tuning.tonic]}, A4 = ${tuning.referencePitch} Hz`);
+    }
+
+    /**
+     * @returns {Object} { referencePitch, temperament, tonic }
+     */
+    getSettings() {
+        return {
+            referencePitch: parseFloat(this.referenceSlider.value),
+            temperament: this.temperamentSelect.value,
+            tonic: parseInt(this.tonicSelect.value)
+        };
+    }
+
+    /**
+     * Set the controls to the last session's tuning
+     */
+    restore() {
+        let saved;
+        try {
+            saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        } catch (error) {
+            console.warn('[TuningPanel] Ignoring saved tuning:', error.message);
+        }
+        if (!saved) return;
+
+        if (saved.scale?.degrees?.length > 0 && saved.scale.period > 0) {
+            this.scale = saved.scale;
+            this.populateTemperaments();
+        }
+        if ([...this.temperamentSelect.options].some(option => option.value === saved.temperament)) {
+            this.temperamentSelect.value = saved.temperament;
+        }
+        const { min, max } = this.referenceSlider;
+        if (saved.referencePitch >= parseFloat(min) && saved.referencePitch <= parseFloat(max)) {
+            this.referenceSlider.value = saved.referencePitch;
+            this.referenceValue.textContent = this.referenceSlider.value;
+        }
+        if (TONIC_NAMES[saved.tonic]) {
+            this.tonicSelect.value = saved.tonic;
+        }
+    }
+
+    /**
+     * @param {Object} settings - From getSettings()
+     */
+    save(settings) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...settings, scale: this.scale }));
+        } catch (error) {
+            console.warn('[TuningPanel] Could not save tuning:', error.message);
+        }
+    }
+
+    populateTemperaments() {
+        const selected = this.temperamentSelect.value || 'equal';
+        this.temperamentSelect.innerHTML = '';
+
+        TEMPERAMENTS.forEach(({ id, label }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = label;
+            this.temperamentSelect.appendChild(option);
+        });
+
+        if (this.scale) {
+            const option = document.createElement('option');
+            option.value = 'scala';
+            option.textContent = `${this.scale.name} (${this.scale.degrees.length} notes, .scl)`;
+            this.temperamentSelect.appendChild(option);
+        }
+        this.temperamentSelect.value = selected;
+    }
+
+    populateTonics() {
+        TONIC_NAMES.forEach((name, pitchClass) => {
+            const option = document.createElement('option');
+            option.value = pitchClass;
+            option.textContent = name;
+            this.tonicSelect.appendChild(option);
+        });
+    }
+}
@@ -1,5 +1,7 @@
 /**
  * Zoom Handler with Pinch-to-Zoom and Vertical Pan Support
+ * Horizontal gestures (and mouse drags) scroll/zoom the time axis, pausing the
+ * live view; in file mode taps seek.
  */
 
 export class ZoomHandler {
@@ -11,7 +13,17 @@ export class ZoomHandler {
         this.touches = [];
         this.lastDistance = null;
         this.lastTouchY = null;
+        this.lastTouchX = null;
+        this.lastSpreadX = null;
         this.isPanning = false;
+        this.panAxis = null; // 'x' | 'y', fixed once a pan starts
+
+        // Mouse drag (desktop)
+        this.dragX = null;
+        this.isDragging = false;
+
+        // Called with a file position (seconds) when the canvas is tapped in file mode
+        this.onSeek = null;
 
         this.setupTouchListeners();
     }
@@ -23,13 +35,16 @@ export class ZoomHandler {
             if (this.touches.length === 2) {
                 // Two fingers - prepare for pinch zoom
                 this.lastDistance = this.getTouchDistance();
+                this.lastSpreadX = this.getTouchSpreadX();
                 this.isPanning = false;
                 e.preventDefault();
             } else if (this.touches.length === 1) {
                 // Single finger - DON'T enable pan immediately
                 // Wait to see if user is trying to zoom or just tapping
                 this.lastTouchY = this.touches[0].clientY;
+                this.lastTouchX = this.touches[0].clientX;
                 this.isPanning = false; // Don't enable pan on first touch
+                this.panAxis = null;
                 // Allow default behavior (don't prevent)
             }
         }, { passive: false });
@@ -40,8 +55,13 @@ export class ZoomHandler {
             if (this.touches.length === 2) {
                 // Two-finger pinch zoom
                 const currentDistance = this.getTouchDistance();
+                const currentSpreadX = this.getTouchSpreadX();
 
-                if (this.lastDistance) {
+                if (this.isTimeScrollable() && this.lastSpreadX && this.isHorizontalPinch()) {
+                    // Horizontal pinch zooms time around the fingers' midpoint
+                    const midX = (this.touches[0].clientX + this.touches[1].clientX) / 2;
+                    this.renderer.zoomTime(this.lastSpreadX / Math.max(1, currentSpreadX), this.renderer.xToTime(midX));
+                } else if (this.lastDistance) {
                     const delta = currentDistance - this.lastDistance;
                     const zoomDelta = delta / 50; // Sensitivity adjustment
 
@@ -49,24 +69,36 @@ export class ZoomHandler {
                 }
 
                 this.lastDistance = currentDistance;
+                this.lastSpreadX = currentSpreadX;
                 e.preventDefault();
             } else if (this.touches.length === 1 && this.lastTouchY !== null) {
-                // Single-finger vertical pan
+                // Single-finger pan (vertical; horizontal scrolls time)
                 const currentY = this.touches[0].clientY;
+                const currentX = this.touches[0].clientX;
                 const deltaY = currentY - this.lastTouchY;
+                const deltaX = currentX - this.lastTouchX;
 
                 // Only enable pan if movement is significant (> 20px)
                 // This prevents accidental panning during taps
-                if (!this.isPanning && Math.abs(deltaY) > 20) {
+                if (!this.isPanning && Math.max(Math.abs(deltaX), Math.abs(deltaY)) > 20) {
                     this.isPanning = true;
+                    this.panAxis = this.isTimeScrollable() && Math.abs(deltaX) > Math.abs(deltaY) ? 'x' : 'y';
                 }
 
                 if (this.isPanning) {
-                    this.renderer.pan(deltaY);
+                    if (this.panAxis === 'x') {
+                        this.renderer.scrollTime(-deltaX / this.getPixelsPerSecond());
+                    } else {
+                        this.renderer.pan(deltaY);
+                    }
                     e.preventDefault(); // Only prevent default when actually panning
                 }
 
-                this.lastTouchY = currentY;
+                // Keep the start point until a pan begins so slow drags accumulate
+                if (this.isPanning) {
+                    this.lastTouchY = currentY;
+                    this.lastTouchX = currentX;
+                }
             }
         }, { passive: false });
 
@@ -74,13 +106,64 @@ export class ZoomHandler {
             this.touches = [];
             this.lastDistance = null;
             this.lastTouchY = null;
+            this.lastTouchX = null;
+            this.lastSpreadX = null;
             this.isPanning = false;
+            this.panAxis = null;
+        });
+
+        // Mouse drag scrolls time
+        this.canvas.addEventListener('mousedown', (e) => {
+            if (e.button !== 0) return;
+            this.dragX = e.clientX;
+            this.isDragging = false;
+        });
+
+        window.addEventListener('mousemove', (e) => {
+            if (this.dragX === null || !this.isTimeScrollable()) return;
+
+            const deltaX = e.clientX - this.dragX;
+            if (!this.isDragging && Math.abs(deltaX) > 5) {
+                this.isDragging = true;
+            }
+            if (this.isDragging) {
+                this.renderer.scrollTime(-deltaX / this.getPixelsPerSecond());
+                this.dragX = e.clientX;
+            }
+        });
+
+        window.addEventListener('mouseup', () => {
+            this.dragX = null;
+        });
+
+        // Tap/click seeks in file mode (but not at the end of a drag)
+        this.canvas.addEventListener('click', (e) => {
+            if (this.isDragging) {
+                this.isDragging = false;
+                return;
+            }
+            if (this.isFileMode() && this.onSeek) {
+                this.onSeek(this.renderer.xToTime(e.clientX));
+            }
         });
 
         // Mouse wheel zoom for desktop
         this.canvas.addEventListener('wheel', (e) => {
             e.preventDefault();
 
+            if (this.isTimeScrollable()) {
+                if (e.ctrlKey || e.altKey) {
+                    // Ctrl/Alt + wheel (and trackpad pinch) = zoom time around the cursor
+                    this.renderer.zoomTime(Math.pow(1.01, e.deltaY), this.renderer.xToTime(e.clientX));
+                    return;
+                }
+                if (Math.abs(e.deltaX) > Math.abs(e.deltaY)) {
+                    // Horizontal wheel / trackpad swipe = scroll time
+                    this.renderer.scrollTime(e.deltaX / this.getPixelsPerSecond());
+                    return;
+                }
+            }
+
             if (e.shiftKey) {
                 // Shift + wheel = vertical pan
                 const panDelta = e.deltaY;
@@ -93,6 +176,42 @@ export class ZoomHandler {
         }, { passive: false });
     }
 
+    isFileMode() {
+        return this.renderer.timelineMode === 'file';
+    }
+
+    /**
+     * Whether there is a timeline to scroll: a file, or a live session
+     * @returns {boolean}
+     */
+    isTimeScrollable() {
+        return this.isFileMode() || this.renderer.liveHistory.length > 0;
+    }
+
+    /**
+     * Whether the current two-finger gesture spreads mostly horizontally
+     */
+    isHorizontalPinch() {
+        const dx = Math.abs(this.touches[0].clientX - this.touches[1].clientX);
+        const dy = Math.abs(this.touches[0].clientY - this.touches[1].clientY);
+        return dx > dy;
+    }
+
+    getTouchSpreadX() {
+        if (this.touches.length < 2) return 0;
+        return Math.abs(this.touches[0].clientX - this.touches[1].clientX);
+    }
+
+    /**
+     * Horizontal scale of the view
+     * @returns {number} CSS pixels per second
+     */
+    getPixelsPerSecond() {
+        const { timelineMode, isPaused, viewDuration, timeWindow } = this.renderer;
+        const duration = timelineMode === 'file' || isPaused ? viewDuration : timeWindow;
+        return (this.renderer.width - 60) / duration;
+    }
+
     getTouchDistance() {
         if (this.touches.length < 2) return 0;
 
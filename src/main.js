@@ -5,20 +5,65 @@
 
 import '../style.css';
 import { Microphone } from './audio/microphone.js';
-import { PitchDetector } from './audio/pitchDetector.js';
+import { PitchPipeline } from './audio/pitchPipeline.js';
+import { FileAnalyzer } from './audio/fileAnalyzer.js';
+import { FilePlayer } from './audio/filePlayer.js';
+import { VibratoAnalyzer, sectionAt } from './audio/vibratoAnalyzer.js';
+import { NoteSegmenter } from './audio/noteSegmenter.js';
+import { ReferenceTone } from './audio/referenceTone.js';
+import { TakeRecorder } from './audio/takeRecorder.js';
 import { CanvasRenderer } from './visualization/canvas.js';
+import { VibratoHud } from './visualization/vibratoHud.js';
+import { ScoreHud } from './visualization/scoreHud.js';
 import { FloatingMenu } from './controls/floatingMenu.js';
 import { ZoomHandler } from './controls/zoomHandler.js';
+import { FileTransport } from './controls/fileTransport.js';
+import { LiveTransport } from './controls/liveTransport.js';
+import { TakesPanel } from './controls/takesPanel.js';
+import { ExportPanel } from './controls/exportPanel.js';
+import { StatsPanel } from './controls/statsPanel.js';
+import { ExercisePanel } from './controls/exercisePanel.js';
+import { RangeTestPanel } from './controls/rangeTestPanel.js';
+import { GuideTrackPanel } from './controls/guideTrackPanel.js';
+import { TuningPanel } from './controls/tuningPanel.js';
+import { JournalPanel } from './controls/journalPanel.js';
+import { PracticeJournal } from './practice/practiceJournal.js';
+import { JournalStore } from './utils/journalStore.js';
 import { ConsoleViewer } from './utils/consoleViewer.js';
 
+// Draw the graph in a worker (takes effect on the next launch: the canvas
+// can't be taken back from the worker)
+const RENDER_WORKER_KEY = 'voicePitchVisualizer.renderInWorker';
+
 class VoicePitchVisualizer {
   constructor() {
     this.microphone = new Microphone();
-    this.pitchDetector = null;
-    this.renderer = new CanvasRenderer('pitchCanvas');
+    this.pitchPipeline = new PitchPipeline(this.microphone);
+    this.renderer = new CanvasRenderer('pitchCanvas', { worker: this.createRenderWorker() });
+    this.fileAnalyzer = new FileAnalyzer(this.microphone);
+    this.filePlayer = new FilePlayer();
+    this.vibratoAnalyzer = new VibratoAnalyzer();
+    this.referenceTone = new ReferenceTone();
+    this.takeRecorder = new TakeRecorder(this.microphone, this.pitchPipeline);
+    this.vibratoHud = new VibratoHud();
+    this.fileVibratoSections = [];
+    this.noteSegmenter = new NoteSegmenter();
+    this.fileNotes = [];
     this.floatingMenu = null;
+    this.tuningPanel = null;
     this.zoomHandler = null;
+    this.fileTransport = null;
+    this.liveTransport = null;
+    this.takesPanel = null;
+    this.exercisePanel = null;
+    this.rangeTestPanel = null;
+    this.guideTrackPanel = null;
+    this.journal = null; // Practice journal (null without IndexedDB)
 
+    this.mode = 'live'; // 'live' (microphone) | 'file' (analyzed recording or take)
+    this.currentTake = null; // Take shown in file mode, null for a file
+    this.recordingName = null; // File or take shown in file mode
+    this.fileRequestId = 0; // Guards against a slower earlier openFile() finishing last
     this.isRunning = false;
     this.animationFrameId = null;
 
@@ -31,13 +76,129 @@ class VoicePitchVisualizer {
       new ConsoleViewer();
     }
 
-    // Setup controls
-    this.floatingMenu = new FloatingMenu(this.renderer);
+    // Setup controls (the saved tuning first: the menu lists note frequencies)
+    this.tuningPanel = new TuningPanel();
+    this.floatingMenu = new FloatingMenu(this.renderer, this.pitchPipeline, this.microphone, this.referenceTone);
+    this.tuningPanel.onChange = () => this.floatingMenu.onTuningChange();
+    const scoreHud = new ScoreHud();
+    this.exercisePanel = new ExercisePanel(this.renderer, this.pitchPipeline, this.referenceTone, scoreHud);
+    this.guideTrackPanel = new GuideTrackPanel(this.renderer, this.pitchPipeline, this.referenceTone, scoreHud);
+    this.floatingMenu.onModeChange = (mode) => {
+      // Leave one practice mode before entering the other: they share the HUD
+      this.exercisePanel.setActive(false);
+      this.guideTrackPanel.setActive(false);
+      this.exercisePanel.setActive(mode === 'exercise');
+      this.guideTrackPanel.setActive(mode === 'guide');
+      this.rangeTestPanel.setActive(mode === 'range');
+    };
+
+    // Guided range test (range mode); the saved range sets the grid at launch
+    this.rangeTestPanel = new RangeTestPanel(this.renderer, this.pitchPipeline, {
+      onProfile: (profile) => this.floatingMenu.setRangeProfile(profile)
+    });
+    if (this.rangeTestPanel.profile) {
+      this.floatingMenu.setRangeProfile(this.rangeTestPanel.profile);
+    }
+    this.floatingMenu.onNoteSensitivityChange = (sensitivity) => this.setNoteSensitivity(sensitivity);
+
+    // Drawing in a worker
+    this.floatingMenu.setRenderInWorker(this.loadRenderInWorker(), CanvasRenderer.canRenderInWorker());
+    this.floatingMenu.onRenderInWorkerChange = (enabled) => this.saveRenderInWorker(enabled);
+    this.renderer.onWorkerError = () => {
+      this.saveRenderInWorker(false);
+      this.floatingMenu.setRenderInWorker(false, true);
+      alert('The graph could not be drawn in the background. Reload the page to draw it normally.');
+    };
     this.zoomHandler = new ZoomHandler(
       document.getElementById('pitchCanvas'),
       this.renderer
     );
 
+    // Input hot-swap: drop frames from the old input and keep the menu current
+    this.microphone.onInputChanged = () => {
+      this.pitchPipeline.reset();
+      this.vibratoAnalyzer.reset();
+      this.noteSegmenter.flush();
+      this.floatingMenu.refreshInputs();
+    };
+    this.microphone.onDevicesChanged = () => this.floatingMenu.refreshInputs();
+
+    // Offline analysis of recorded takes
+    this.fileTransport = new FileTransport({
+      onOpen: (file) => this.openFile(file),
+      onPlayPause: () => this.toggleFilePlayback(),
+      onClose: () => this.closeFile(),
+      onZoom: (factor) => this.renderer.zoomTime(factor)
+    });
+    this.zoomHandler.onSeek = (time) => this.filePlayer.seek(time);
+
+    // Record takes; pause the live view to scroll back through the session
+    this.liveTransport = new LiveTransport({
+      onRecord: () => this.toggleRecording(),
+      onPause: () => this.renderer.pause(),
+      onGoLive: () => this.renderer.goLive(),
+      onZoom: (factor) => this.renderer.zoomTime(factor)
+    });
+
+    // Recorded takes play back in file mode
+    this.takesPanel = new TakesPanel({
+      onOpen: (take) => this.openTake(take),
+      onReanalyze: (take) => this.openTake(take, true),
+      onRename: (take) => {
+        if (take !== this.currentTake) return;
+        this.recordingName = take.name;
+        this.fileTransport.nameLabel.textContent = take.name;
+      },
+      onDelete: (take) => {
+        if (take === this.currentTake) this.closeFile();
+      }
+    });
+    this.takeRecorder.onLimitReached = () => this.toggleRecording();
+
+    // CSV/JSON/MIDI/PNG/SVG export of the live session or the recording shown
+    new ExportPanel(this.renderer, {
+      getName: () => this.mode === 'file' ? this.recordingName : null,
+      getNotes: () => this.getNotes()
+    });
+
+    // Intonation, time per note, tessitura and drift summary
+    new StatsPanel(this.renderer, {
+      getName: () => this.mode === 'file' ? this.recordingName : null
+    });
+
+    // Practice journal: live sessions saved to IndexedDB, with a history view
+    if (JournalStore.isSupported()) {
+      this.journal = new PracticeJournal(new JournalStore(), {
+        getSettings: () => this.getJournalSettings()
+      });
+      this.exercisePanel.onResult = (result) => this.journal.addScore(result);
+      this.guideTrackPanel.onResult = (result) => this.journal.addScore(result);
+      new JournalPanel(this.renderer, this.journal, {
+        onOpen: (session) => this.openSession(session)
+      });
+
+      // Hidden pages may be closed without warning: save what was sung
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') this.journal.save();
+      });
+    } else {
+      document.getElementById('journalButton').hidden = true;
+    }
+
+    // Space toggles playback while browsing a file, and pauses / returns to
+    // the live view otherwise
+    document.addEventListener('keydown', (e) => {
+      if (e.code !== 'Space' || ['INPUT', 'SELECT', 'BUTTON'].includes(e.target.tagName)) return;
+
+      if (this.mode === 'file') {
+        e.preventDefault();
+        this.toggleFilePlayback();
+      } else if (this.microphone.isActive) {
+        e.preventDefault();
+        this.toggleLivePause();
+      }
+    });
+
     // Setup start button
     const startButton = document.getElementById('startButton');
     const startOverlay = document.getElementById('startOverlay');
@@ -59,36 +220,373 @@ class VoicePitchVisualizer {
     // Start microphone
     await this.microphone.start();
 
-    // Initialize pitch detector with microphone sample rate
-    this.pitchDetector = new PitchDetector(this.microphone.getSampleRate());
+    // Start capture + detection (AudioWorklet/Worker, or AnalyserNode fallback)
+    await this.pitchPipeline.start();
+
+    // Reference tone plays on the mic's context so it can be cancelled from the input
+    const toneOutput = this.referenceTone.attach(this.microphone.getAudioContext());
+    this.pitchPipeline.setReferenceSource(toneOutput);
 
-    // Pass pitch detector to floating menu for sensitivity control
-    this.floatingMenu.pitchDetector = this.pitchDetector;
+    // Device labels and channel count are only known once access is granted
+    this.floatingMenu.refreshInputs();
+    this.liveTransport.setRecordEnabled(TakeRecorder.isSupported(this.microphone.getAudioContext()));
+
+    // Measure the room's noise floor for the gate (runs in the background)
+    this.floatingMenu.calibrateNoiseFloor();
 
     // Start rendering loop
+    this.startLoop();
+
+    console.log('✅ Voice Pitch Visualizer started');
+  }
+
+  startLoop() {
+    if (this.isRunning) return;
     this.isRunning = true;
     this.loop();
+  }
 
-    console.log('✅ Voice Pitch Visualizer started');
+  /**
+   * Decode and analyze a recording, then show it in file mode
+   * @param {File} file - Audio file chosen by the user
+   */
+  async openFile(file) {
+    console.log(`📂 Opening ${file.name}...`);
+
+    const requestId = this.enterFileMode(file.name, null);
+
+    try {
+      const audioBuffer = await this.fileAnalyzer.decode(file);
+      if (requestId !== this.fileRequestId) return;
+
+      const frames = await this.fileAnalyzer.analyze(
+        audioBuffer,
+        this.pitchPipeline.config,
+        (progress) => this.fileTransport.setAnalysisProgress(progress)
+      );
+
+      // Cancelled by closing or opening another file
+      if (!frames || requestId !== this.fileRequestId) return;
+
+      this.showRecording(frames, audioBuffer);
+    } catch (error) {
+      if (requestId !== this.fileRequestId) return;
+      console.error('Failed to analyze file:', error);
+      alert('Could not read this audio file. Try a WAV, MP3 or OGG recording.');
+      this.closeFile();
+    }
   }
 
-  loop() {
-    if (!this.isRunning) return;
+  /**
+   * Play back a recorded take with its pitch frames
+   * @param {Object} take - From TakeRecorder.stop()
+   * @param {boolean} reanalyze - Replace the take's frames by analyzing its
+   *   audio with the current detector settings
+   */
+  async openTake(take, reanalyze = false) {
+    console.log(`🎙️ Opening ${take.name}${reanalyze ? ' (re-analyzing)' : ''}...`);
+
+    const requestId = this.enterFileMode(take.name, take);
+
+    try {
+      if (reanalyze || !take.frames) {
+        const frames = await this.fileAnalyzer.analyze(
+          take.audioBuffer,
+          this.pitchPipeline.config,
+          (progress) => this.fileTransport.setAnalysisProgress(progress)
+        );
+        if (!frames || requestId !== this.fileRequestId) return;
+        take.frames = frames;
+      }
+
+      this.showRecording(take.frames, take.audioBuffer);
+    } catch (error) {
+      if (requestId !== this.fileRequestId) return;
+      console.error('Failed to analyze take:', error);
+      alert('Could not analyze this take.');
+      this.closeFile();
+    }
+  }
+
+  /**
+   * Show a session saved in the practice journal, and list its saved takes
+   * @param {Object} session - Journal record
+   */
+  async openSession(session) {
+    const date = new Date(session.id).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+    console.log(`📓 Opening the session of ${date}...`);
+
+    const requestId = this.enterFileMode(`Session ${date}`, null);
+    try {
+      const [frames, takes] = await Promise.all([
+        this.journal.store.getFrames(session.id),
+        this.journal.store.getAudio(session.id)
+      ]);
+      if (requestId !== this.fileRequestId) return;
+
+      this.showRecording(frames, null, session.durationMs / 1000);
 
-    // Get audio buffer from microphone
-    const buffer = this.microphone.getAudioBuffer();
+      // Saved takes have audio only: their pitch is analyzed when opened
+      for (const saved of takes) {
+        const key = `${session.id}/${saved.index}`;
+        if (this.takesPanel.takes.some(take => take.journalKey === key)) continue;
 
-    if (buffer) {
-      // Only detect pitch if audio is above noise threshold
-      let frequency = null;
+        const audioBuffer = new AudioBuffer({ length: saved.samples.length, sampleRate: saved.sampleRate });
+        audioBuffer.copyToChannel(saved.samples, 0);
+        this.takesPanel.add({
+          name: `${saved.name} (${date})`,
+          createdAt: new Date(session.id),
+          duration: audioBuffer.duration,
+          audioBuffer,
+          frames: null,
+          journalKey: key
+        });
+      }
+    } catch (error) {
+      if (requestId !== this.fileRequestId) return;
+      console.error('Failed to open session:', error);
+      alert('Could not open this session.');
+      this.closeFile();
+    }
+  }
+
+  /**
+   * Leave the live view for a recording that is about to be shown
+   * @param {string} name - Shown in the playback bar
+   * @param {Object|null} take - The take, or null for a file
+   * @returns {number} Request id; stale once another recording is opened or closed
+   */
+  enterFileMode(name, take) {
+    const requestId = ++this.fileRequestId;
+    if (this.takeRecorder.isRecording) {
+      this.toggleRecording();
+    }
+    this.fileAnalyzer.cancel();
+    this.filePlayer.stop();
+    this.exercisePanel.stop();
+    this.rangeTestPanel.stop();
+    this.guideTrackPanel.stop();
+    this.mode = 'file';
+    this.currentTake = take;
+    this.recordingName = name;
+    this.liveTransport.hide();
+    this.renderer.exitFileMode();
+    this.fileVibratoSections = [];
+    this.fileNotes = [];
+    this.renderer.setSungNotes(this.fileNotes);
+    document.getElementById('startOverlay').classList.add('hidden');
+    this.fileTransport.showAnalyzing(name);
+    this.startLoop();
+    return requestId;
+  }
+
+  /**
+   * Show analyzed frames and load the audio for playback
+   * @param {Array} frames - Pitch frames, timestamp in ms from the start of the audio
+   * @param {AudioBuffer|null} audioBuffer - null for pitch data only (a journal session)
+   * @param {number} duration - Seconds, when there is no audio
+   */
+  showRecording(frames, audioBuffer, duration = audioBuffer.duration) {
+    this.renderer.showFile(frames, duration);
+    this.fileVibratoSections = new VibratoAnalyzer().analyzeAll(frames);
+    this.renderer.setVibratoSections(this.fileVibratoSections);
+    this.fileNotes = new NoteSegmenter(this.noteSegmenter.sensitivity).segmentAll(frames);
+    this.renderer.setSungNotes(this.fileNotes);
+    if (audioBuffer) {
+      this.filePlayer.load(audioBuffer);
+      this.fileTransport.setEnabled(true);
+    } else {
+      this.filePlayer.close();
+      this.fileTransport.setEnabled(true, false);
+      this.fileTransport.update(false, 0, duration);
+    }
+  }
+
+  /**
+   * Start recording a take, or stop and add it to the takes list
+   */
+  async toggleRecording() {
+    if (!this.takeRecorder.isRecording) {
+      try {
+        await this.takeRecorder.start();
+      } catch (error) {
+        console.error('Failed to start recording:', error);
+        alert('Could not start recording.');
+      }
+      return;
+    }
+
+    try {
+      const take = await this.takeRecorder.stop();
+      if (take) {
+        this.takesPanel.add(take);
+        this.journal?.addTake(take);
+      }
+    } catch (error) {
+      // The recorder has stopped either way; only this take is lost
+      console.error('Failed to stop recording:', error);
+      alert('Could not save the take.');
+    }
+  }
+
+  /**
+   * Settings recorded with each journal session
+   * @returns {Object}
+   */
+  getJournalSettings() {
+    const { algorithm, tracking, minFrequency, maxFrequency, bufferSize } = this.pitchPipeline.config;
+    return {
+      voicePreset: this.floatingMenu.voicePresetSelect.value,
+      algorithm,
+      tracking,
+      minFrequency,
+      maxFrequency,
+      bufferSize,
+      tuning: this.tuningPanel.getSettings(),
+      mode: this.renderer.mode
+    };
+  }
+
+  /**
+   * Notes sung in the live session, or in the recording shown
+   * @returns {Array} From NoteSegmenter, oldest first
+   */
+  getNotes() {
+    return this.mode === 'file' ? this.fileNotes : this.noteSegmenter.notes;
+  }
+
+  /**
+   * Start the render worker if drawing in a worker is turned on and supported
+   * @returns {Worker|null}
+   */
+  createRenderWorker() {
+    if (!this.loadRenderInWorker() || !CanvasRenderer.canRenderInWorker()) return null;
+    return new Worker(new URL('./visualization/renderWorker.js', import.meta.url), { type: 'module' });
+  }
+
+  /**
+   * @returns {boolean} Whether drawing in a worker is turned on
+   */
+  loadRenderInWorker() {
+    try {
+      return localStorage.getItem(RENDER_WORKER_KEY) === 'true';
+    } catch (error) {
+      console.warn('Ignoring saved drawing setting:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * @param {boolean} enabled - Draw in a worker from the next launch
+   */
+  saveRenderInWorker(enabled) {
+    try {
+      localStorage.setItem(RENDER_WORKER_KEY, String(enabled));
+    } catch (error) {
+      console.warn('Could not save the drawing setting:', error.message);
+    }
+  }
+
+  /**
+   * Split the live session, and the recording shown, into notes again
+   * @param {number} sensitivity - 0-1, see segmentationOptions()
+   */
+  setNoteSensitivity(sensitivity) {
+    this.noteSegmenter.setSensitivity(sensitivity);
+    this.noteSegmenter.reset();
+    const history = this.renderer.liveHistory;
+    for (let i = 0; i < history.length; i++) {
+      this.noteSegmenter.process(history.get(i));
+    }
+
+    if (this.mode === 'file') {
+      this.fileNotes = new NoteSegmenter(sensitivity).segmentAll(this.renderer.getPoints(-Infinity, Infinity));
+      this.renderer.setSungNotes(this.fileNotes);
+    }
+  }
+
+  toggleFilePlayback() {
+    if (this.filePlayer.isPlaying) {
+      this.filePlayer.pause();
+    } else {
+      this.filePlayer.play();
+    }
+  }
+
+  toggleLivePause() {
+    if (this.renderer.isPaused) {
+      this.renderer.goLive();
+    } else {
+      this.renderer.pause();
+    }
+  }
+
+  /**
+   * Leave file mode (back to the live view, or the start screen if the
+   * microphone was never started)
+   */
+  closeFile() {
+    this.fileRequestId++;
+    this.fileAnalyzer.cancel();
+    this.filePlayer.close();
+    this.fileTransport.hide();
+    this.renderer.exitFileMode();
+    this.pitchPipeline.reset();
+    this.vibratoAnalyzer.reset();
+    this.noteSegmenter.flush();
+    this.fileVibratoSections = [];
+    this.fileNotes = [];
+    this.mode = 'live';
+    this.currentTake = null;
+    this.recordingName = null;
+
+    if (!this.microphone.isActive) {
+      this.isRunning = false;
+      cancelAnimationFrame(this.animationFrameId);
+      document.getElementById('startOverlay').classList.remove('hidden');
+    }
+  }
+
+  loop() {
+    if (!this.isRunning) return;
 
-      // Lowered threshold from 0.01 to 0.005 for better low-frequency detection
-      if (this.microphone.isAboveNoiseThreshold(0.005)) {
-        frequency = this.pitchDetector.detectPitch(buffer);
+    // Consume pitch frames produced since the last frame (the renderer never
+    // runs detection itself)
+    const frames = this.pitchPipeline.poll();
+    this.floatingMenu.updateLevel(frames[frames.length - 1] || null);
+    if (this.mode === 'live') {
+      for (const frame of frames) {
+        this.renderer.addPitchData(frame);
+        this.takeRecorder.addFrame(frame);
+        this.journal?.addFrame(frame);
+        this.vibratoAnalyzer.process(frame);
+        this.noteSegmenter.process(frame);
+        this.exercisePanel.process(frame);
+        this.rangeTestPanel.process(frame);
+        this.guideTrackPanel.process(frame);
       }
+      this.exercisePanel.update(performance.now());
+      this.rangeTestPanel.update();
+      this.guideTrackPanel.update(performance.now());
+      this.renderer.setVibratoSections(this.vibratoAnalyzer.sections);
+      this.renderer.setSungNotes(
+        this.noteSegmenter.notes,
+        this.renderer.showNotes ? this.noteSegmenter.getCurrentNote() : null
+      );
+      this.vibratoHud.update(this.vibratoAnalyzer.getLatestSection(), this.renderer.showVibrato);
+      this.liveTransport.update(
+        this.renderer.isPaused,
+        this.renderer.getTimeBehindLive(),
+        this.takeRecorder.isRecording ? this.takeRecorder.getDuration() : null
+      );
+    } else if (this.filePlayer.audioBuffer) {
+      const time = this.filePlayer.getCurrentTime();
+      this.renderer.setPlayhead(time, this.filePlayer.isPlaying && this.renderer.followPlayhead);
+      this.fileTransport.update(this.filePlayer.isPlaying, time, this.filePlayer.duration);
 
-      // Add to renderer
-      this.renderer.addPitchData(frequency);
+      // Numbers for the section under (or last before) the playhead
+      const section = sectionAt(this.fileVibratoSections, time * 1000);
+      this.vibratoHud.update(section && { ...section, active: time * 1000 <= section.endTime }, this.renderer.showVibrato);
     }
 
     // Render frame
@@ -107,6 +605,10 @@ class VoicePitchVisualizer {
       cancelAnimationFrame(this.animationFrameId);
     }
 
+    this.fileAnalyzer.cancel();
+    this.filePlayer.close();
+    this.referenceTone.stop();
+    this.pitchPipeline.stop();
     this.microphone.stop();
   }
 }
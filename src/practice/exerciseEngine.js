@@ -0,0 +1,268 @@
+/**
+ * Exercise Engine
+ * Turns an exercise definition into a timed list of target notes and scores
+ * the sung pitch against each one once it has passed.
+ *
+ * Per note:
+ * - accuracy: how close the pitch stayed to the target after the onset,
+ *   with vibrato averaged out
+ * - timing: how far the onset (first steady in-tune pitch) was from the beat
+ * - stability: how much the pitch drifted or wobbled, ignoring vibrato
+ *
+ * Octave errors are forgiven: a baritone singing a soprano exercise an octave
+ * down scores the same as singing it at pitch.
+ */
+
+import { parseNoteString, hzToMidi } from '../utils/noteConverter.js';
+
+const ONSET_CENTS = 50; // Pitch within this of the target counts as arrived
+const ONSET_FRAMES = 3; // ...for this many consecutive frames
+const EARLY_MS = 150; // Frames this far before a note still count as its onset
+const VIBRATO_WINDOW_MS = 200; // Moving average that removes vibrato (~5-7 Hz)
+
+export class ExerciseEngine {
+    constructor() {
+        this.minConfidence = 0.5; // Frames below this are ignored
+        this.finalizeMs = 300; // Wait this long after a note ends for late frames
+
+        this.exercise = null;
+        this.notes = []; // Scheduled target notes (see buildSchedule)
+        this.points = []; // Confident sung frames { time, midi } since start
+        this.isRunning = false;
+        this.endTime = 0; // ms, end of the last note
+
+        // Callbacks
+        this.onNoteScored = null; // (note) once a note's result is known
+        this.onFinish = null; // (summary) after the last note is scored
+    }
+
+    /**
+     * Choose the exercise to run next
+     * @param {Object} exercise - Validated exercise definition
+     * @param {Object} options - { key, tempo } overriding the exercise's own
+     */
+    load(exercise, { key = exercise.key, tempo = exercise.tempo } = {}) {
+        this.stop();
+        this.exercise = { ...exercise, key, tempo };
+        this.notes = [];
+    }
+
+    /**
+     * Schedule the loaded exercise to begin at a given time
+     * @param {number} startTime - ms on the performance.now() timeline of the first beat
+     * @returns {Array} Scheduled notes
+     */
+    start(startTime) {
+        if (!this.exercise) {
+            throw new Error('No exercise loaded');
+        }
+
+        const notes = buildSchedule(this.exercise, startTime);
+        console.log(`🎼 [ExerciseEngine] ${this.exercise.name} in ${this.exercise.key} at ${this.exercise.tempo} BPM (${notes.length} notes)`);
+        return this.run(notes);
+    }
+
+    /**
+     * Score notes that are already scheduled (e.g. a guide track)
+     * @param {Array} notes - { startTime, endTime, midi, glideToMidi } in time order
+     * @returns {Array} The same notes; each gets a result once scored
+     */
+    run(notes) {
+        this.notes = notes;
+        this.points = [];
+        this.endTime = notes.reduce((end, note) => Math.max(end, note.endTime), 0);
+        this.isRunning = true;
+        return notes;
+    }
+
+    /**
+     * Abandon the run (notes keep whatever results they already have)
+     */
+    stop() {
+        this.isRunning = false;
+    }
+
+    /**
+     * Feed one pitch frame
+     * @param {Object} frame - Pitch frame { frequency, confidence, voiced, timestamp }
+     */
+    process(frame) {
+        if (!this.isRunning) return;
+        if (!frame.voiced || !frame.frequency || frame.confidence < this.minConfidence) return;
+
+        this.points.push({ time: frame.timestamp, midi: hzToMidi(frame.frequency) });
+    }
+
+    /**
+     * Score the notes that have finished (call once per rendered frame)
+     * @param {number} now - performance.now()
+     */
+    update(now) {
+        if (!this.isRunning) return;
+
+        this.notes.forEach((note, i) => {
+            if (note.result || now < note.endTime + this.finalizeMs) return;
+
+            // Early frames count, unless they belong to the previous note (legato)
+            const previousEnd = i > 0 ? this.notes[i - 1].endTime : -Infinity;
+            const from = Math.max(note.startTime - EARLY_MS, previousEnd);
+            const points = this.points.filter(point => point.time >= from && point.time <= note.endTime);
+            note.result = scoreNote(note, points);
+            this.onNoteScored?.(note);
+        });
+
+        // Frames from before the next note to score aren't needed again
+        const pending = this.notes.find(note => !note.result);
+        if (pending) {
+            const keepFrom = pending.startTime - EARLY_MS;
+            const kept = this.points.findIndex(point => point.time >= keepFrom);
+            this.points.splice(0, kept < 0 ? this.points.length : kept);
+        }
+
+        if (now >= this.endTime + this.finalizeMs) {
+            this.isRunning = false;
+            const summary = this.getSummary();
+            console.log(`🏁 [ExerciseEngine] Finished: ${summary.score}/100`);
+            this.onFinish?.(summary);
+        }
+    }
+
+    /**
+     * The note being sung (or next up) at a time
+     * @param {number} time - ms
+     * @returns {Object|null}
+     */
+    noteAt(time) {
+        return this.notes.find(note => time < note.endTime) || null;
+    }
+
+    /**
+     * Average results over the scored notes
+     * @returns {Object} { score, accuracy, timing, stability, scored, hit, total }
+     */
+    getSummary() {
+        const scored = this.notes.filter(note => note.result);
+        const average = (key) => scored.length
+            ? Math.round(scored.reduce((sum, note) => sum + note.result[key], 0) / scored.length)
+            : 0;
+
+        return {
+            score: average('score'),
+            accuracy: average('accuracy'),
+            timing: average('timing'),
+            stability: average('stability'),
+            scored: scored.length,
+            hit: scored.filter(note => note.result.hit).length,
+            total: this.notes.length
+        };
+    }
+}
+
+/**
+ * Lay out an exercise's notes in time, one repetition per transposition step
+ * @param {Object} exercise - { key, tempo, notes, transpose, restBeats }
+ * @param {number} startTime - ms of the first beat
+ * @returns {Array} { startTime, endTime, midi, glideToMidi, repetition, result }
+ */
+export function buildSchedule(exercise, startTime) {
+    const beatMs = 60000 / exercise.tempo;
+    const keyMidi = Math.round(hzToMidi(parseNoteString(exercise.key)));
+    const notes = [];
+    let time = startTime;
+
+    for (let repetition = 0; repetition < exercise.transpose.count; repetition++) {
+        const root = keyMidi + repetition * exercise.transpose.step;
+
+        for (const note of exercise.notes) {
+            const duration = note.beats * beatMs;
+            if (!note.rest) {
+                notes.push({
+                    startTime: time,
+                    endTime: time + duration,
+                    midi: root + note.interval,
+                    glideToMidi: note.glideTo !== undefined ? root + note.glideTo : null,
+                    repetition,
+                    result: null
+                });
+            }
+            time += duration;
+        }
+
+        if (repetition < exercise.transpose.count - 1) {
+            time += exercise.restBeats * beatMs;
+        }
+    }
+
+    return notes;
+}
+
+/**
+ * Target pitch of a note at a time (glides move linearly in pitch)
+ * @param {Object} note - Scheduled note
+ * @param {number} time - ms
+ * @returns {number} MIDI note (fractional during a glide)
+ */
+export function targetMidiAt(note, time) {
+    if (note.glideToMidi === null || note.glideToMidi === undefined) return note.midi;
+
+    const t = Math.max(0, Math.min(1, (time - note.startTime) / (note.endTime - note.startTime)));
+    return note.midi + (note.glideToMidi - note.midi) * t;
+}
+
+/**
+ * Score one note from the pitch sung around it
+ * @param {Object} note - { startTime, endTime, midi, glideToMidi }
+ * @param {Array} points - Confident frames { time, midi } from shortly before
+ *   the note until its end, in time order
+ * @returns {Object} { score, accuracy, timing, stability, hit, onsetMs, meanCents }
+ *   (scores 0-100; onsetMs negative = early; meanCents negative = flat)
+ */
+export function scoreNote(note, points) {
+    // Deviation from the target, folded into ±600 cents so octave errors don't count
+    const deviations = points.map(point => {
+        const cents = (point.midi - targetMidiAt(note, point.time)) * 100;
+        return { time: point.time, cents: cents - 1200 * Math.round(cents / 1200) };
+    });
+
+    let onsetIndex = -1;
+    for (let i = 0, run = 0; i < deviations.length; i++) {
+        run = Math.abs(deviations[i].cents) <= ONSET_CENTS ? run + 1 : 0;
+        if (run === ONSET_FRAMES) {
+            onsetIndex = i - ONSET_FRAMES + 1;
+            break;
+        }
+    }
+
+    if (onsetIndex < 0) {
+        return { score: 0, accuracy: 0, timing: 0, stability: 0, hit: false, onsetMs: null, meanCents: null };
+    }
+
+    const onsetMs = deviations[onsetIndex].time - note.startTime;
+    const sung = deviations.slice(onsetIndex);
+
+    // Vibrato is averaged out first: it centers on the note, so it shouldn't cost accuracy
+    const smoothed = sung.map(({ time }) => {
+        const window = sung.filter(d => Math.abs(d.time - time) <= VIBRATO_WINDOW_MS / 2);
+        return window.reduce((sum, d) => sum + d.cents, 0) / window.length;
+    });
+
+    const meanCents = smoothed.reduce((sum, c) => sum + c, 0) / smoothed.length;
+    const meanAbsCents = smoothed.reduce((sum, c) => sum + Math.abs(c), 0) / smoothed.length;
+    // Drift and wobble that remain
+    const spread = Math.sqrt(smoothed.reduce((sum, c) => sum + (c - meanCents) ** 2, 0) / smoothed.length);
+
+    const clamp = (value) => Math.round(Math.max(0, Math.min(100, value)));
+    const accuracy = clamp(100 - 2 * meanAbsCents);
+    const timing = clamp(100 - Math.abs(onsetMs) / 4);
+    const stability = clamp(100 - 3 * spread);
+
+    return {
+        score: clamp(0.5 * accuracy + 0.25 * timing + 0.25 * stability),
+        accuracy,
+        timing,
+        stability,
+        hit: true,
+        onsetMs: Math.round(onsetMs),
+        meanCents: Math.round(meanCents)
+    };
+}
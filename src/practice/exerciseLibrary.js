@@ -0,0 +1,173 @@
+/**
+ * Exercise Library
+ * Built-in vocal exercises plus parsing/validation of user-defined ones.
+ *
+ * An exercise is plain data (the same shape users write in JSON):
+ * {
+ *   "id": "five-note-scale",
+ *   "name": "Five-note scale",
+ *   "tempo": 100,                    // Beats per minute
+ *   "key": "C4",                     // Starting key (the note interval 0 refers to)
+ *   "notes": [                       // Intervals in semitones above the key
+ *     { "interval": 0, "beats": 1 },
+ *     { "interval": 0, "beats": 2, "glideTo": 12 },   // Slide to an octave above
+ *     { "rest": true, "beats": 1 }
+ *   ],
+ *   "transpose": { "step": 1, "count": 5 },   // Repeat 5 times, a semitone higher each time
+ *   "restBeats": 1                   // Silence between repetitions
+ * }
+ */
+
+import { parseNoteString } from '../utils/noteConverter.js';
+
+export const BUILT_IN_EXERCISES = [
+    {
+        id: 'five-note-scale',
+        name: 'Five-note scale (1-2-3-4-5-4-3-2-1)',
+        tempo: 100,
+        key: 'C4',
+        notes: [0, 2, 4, 5, 7, 5, 4, 2].map(interval => ({ interval, beats: 1 }))
+            .concat([{ interval: 0, beats: 2 }]),
+        transpose: { step: 1, count: 5 },
+        restBeats: 2
+    },
+    {
+        id: 'minor-five-note-scale',
+        name: 'Minor five-note scale',
+        tempo: 100,
+        key: 'C4',
+        notes: [0, 2, 3, 5, 7, 5, 3, 2].map(interval => ({ interval, beats: 1 }))
+            .concat([{ interval: 0, beats: 2 }]),
+        transpose: { step: 1, count: 5 },
+        restBeats: 2
+    },
+    {
+        id: 'major-arpeggio',
+        name: 'Major arpeggio (1-3-5-8-5-3-1)',
+        tempo: 90,
+        key: 'C4',
+        notes: [0, 4, 7, 12, 7, 4].map(interval => ({ interval, beats: 1 }))
+            .concat([{ interval: 0, beats: 2 }]),
+        transpose: { step: 1, count: 5 },
+        restBeats: 2
+    },
+    {
+        id: 'minor-arpeggio',
+        name: 'Minor arpeggio (1-♭3-5-8-5-♭3-1)',
+        tempo: 90,
+        key: 'C4',
+        notes: [0, 3, 7, 12, 7, 3].map(interval => ({ interval, beats: 1 }))
+            .concat([{ interval: 0, beats: 2 }]),
+        transpose: { step: 1, count: 5 },
+        restBeats: 2
+    },
+    {
+        id: 'octave-slide',
+        name: 'Octave slide (siren)',
+        tempo: 60,
+        key: 'C4',
+        notes: [
+            { interval: 0, beats: 1 },
+            { interval: 0, beats: 2, glideTo: 12 },
+            { interval: 12, beats: 1 },
+            { interval: 12, beats: 2, glideTo: 0 },
+            { interval: 0, beats: 1 }
+        ],
+        transpose: { step: 1, count: 4 },
+        restBeats: 2
+    },
+    {
+        id: 'fifth-slide',
+        name: 'Fifth slide (lip trill)',
+        tempo: 72,
+        key: 'C4',
+        notes: [
+            { interval: 0, beats: 1, glideTo: 7 },
+            { interval: 7, beats: 1, glideTo: 0 },
+            { interval: 0, beats: 1 }
+        ],
+        transpose: { step: 1, count: 6 },
+        restBeats: 1
+    }
+];
+
+/**
+ * Parse user JSON: a single exercise or an array of them
+ * @param {string} text - JSON text
+ * @returns {Array} Validated exercises
+ * @throws {Error} With a message naming the problem
+ */
+export function parseExercises(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Not valid JSON: ${error.message}`);
+    }
+
+    const list = Array.isArray(data) ? data : [data];
+    if (list.length === 0) {
+        throw new Error('No exercises in file');
+    }
+    return list.map((exercise, i) => validateExercise(exercise, i));
+}
+
+/**
+ * Check an exercise definition and fill in defaults
+ * @param {Object} exercise - Raw definition
+ * @param {number} index - Position in the file (for messages and default ids)
+ * @returns {Object} Normalized exercise
+ * @throws {Error} If a field is missing or invalid
+ */
+export function validateExercise(exercise, index = 0) {
+    const where = exercise?.name ? `"${exercise.name}"` : `Exercise ${index + 1}`;
+    const fail = (message) => {
+        throw new Error(`${where}: ${message}`);
+    };
+
+    if (!exercise || typeof exercise !== 'object') fail('must be an object');
+    if (!Array.isArray(exercise.notes) || exercise.notes.length === 0) fail('needs a non-empty "notes" array');
+
+    const tempo = exercise.tempo ?? 100;
+    if (!(tempo >= 20 && tempo <= 400)) fail('"tempo" must be 20-400 BPM');
+
+    const key = exercise.key ?? 'C4';
+    try {
+        parseNoteString(key);
+    } catch {
+        fail(`"key" must be a note like C4 or F#3, got ${JSON.stringify(key)}`);
+    }
+
+    const notes = exercise.notes.map((note, i) => {
+        const beats = note.beats ?? 1;
+        if (!(beats > 0)) fail(`note ${i + 1}: "beats" must be positive`);
+        if (note.rest) return { rest: true, beats };
+
+        if (!Number.isFinite(note.interval)) fail(`note ${i + 1}: needs a numeric "interval" (semitones above the key) or "rest": true`);
+        if (note.glideTo !== undefined && !Number.isFinite(note.glideTo)) fail(`note ${i + 1}: "glideTo" must be a number`);
+        return { interval: note.interval, beats, ...(note.glideTo !== undefined && { glideTo: note.glideTo }) };
+    });
+
+    const transpose = {
+        step: exercise.transpose?.step ?? 0,
+        count: exercise.transpose?.count ?? 1
+    };
+    if (!Number.isFinite(transpose.step)) fail('"transpose.step" must be a number of semitones');
+    if (!(Number.isInteger(transpose.count) && transpose.count >= 1 && transpose.count <= 48)) {
+        fail('"transpose.count" must be a whole number from 1 to 48');
+    }
+
+    const restBeats = exercise.restBeats ?? 1;
+    if (!(restBeats >= 0)) fail('"restBeats" must be zero or more');
+
+    return {
+        id: String(exercise.id ?? `custom-${index + 1}-${exercise.name ?? 'exercise'}`),
+        name: String(exercise.name ?? `Custom exercise ${index + 1}`),
+        tempo,
+        key,
+        notes,
+        transpose,
+        restBeats,
+        custom: true
+    };
+}
@@ -0,0 +1,82 @@
+/**
+ * Guide Track
+ * Loads a melody from a MIDI or MusicXML file and schedules one part as
+ * target notes to sing along to (the same notes the exercise engine scores).
+ */
+
+import { parseMidi } from './midiParser.js';
+import { parseMusicXml, readMxl } from './musicXmlParser.js';
+
+/**
+ * Read a score or MIDI file
+ * @param {File} file
+ * @returns {Promise<Object>} { name, bpm, parts: [{ name, notes: [{ start, duration, midi }] }] }
+ *   with one melody line per part (times in seconds)
+ * @throws {Error} If the format isn't recognized or the file can't be read
+ */
+export async function loadGuideFile(file) {
+    const buffer = await file.arrayBuffer();
+    const magic = new TextDecoder().decode(new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength)));
+    const extension = file.name.split('.').pop().toLowerCase();
+
+    let score;
+    if (magic === 'MThd' || ['mid', 'midi'].includes(extension)) {
+        score = parseMidi(buffer);
+    } else if (magic.startsWith('PK') || extension === 'mxl') {
+        score = parseMusicXml(await readMxl(buffer));
+    } else if (['xml', 'musicxml'].includes(extension) || magic.startsWith('<')) {
+        score = parseMusicXml(new TextDecoder().decode(buffer));
+    } else {
+        throw new Error('Unknown file type: use a MIDI (.mid) or MusicXML (.musicxml, .xml, .mxl) file');
+    }
+
+    return {
+        name: file.name.replace(/\.[^.]+$/, ''),
+        bpm: score.bpm,
+        parts: score.parts.map(part => ({ name: part.name, notes: toMelody(part.notes) }))
+    };
+}
+
+/**
+ * Reduce overlapping notes to a single line: of notes starting together the
+ * highest is kept, and a note is cut short where the next one starts
+ * @param {Array} notes - { start, duration, midi }
+ * @returns {Array} Non-overlapping notes in time order
+ */
+export function toMelody(notes) {
+    const sorted = [...notes].sort((a, b) => a.start - b.start || b.midi - a.midi);
+    const melody = [];
+
+    for (const note of sorted) {
+        const previous = melody[melody.length - 1];
+        if (previous && Math.abs(note.start - previous.start) < 0.001) continue;
+        if (previous && previous.start + previous.duration > note.start) {
+            previous.duration = note.start - previous.start;
+        }
+        if (note.duration > 0) {
+            melody.push({ ...note });
+        }
+    }
+    return melody;
+}
+
+/**
+ * Lay out a part's notes in time for singing along
+ * @param {Object} part - { notes: [{ start, duration, midi }] }
+ * @param {Object} options - { startTime (ms, when the first note sounds),
+ *   tempoScale (1 = as written, 0.5 = half speed), transpose (semitones) }
+ * @returns {Array} { startTime, endTime, midi, glideToMidi, result } like
+ *   ExerciseEngine schedules; leading silence before the first note is skipped
+ */
+export function scheduleGuide(part, { startTime, tempoScale = 1, transpose = 0 }) {
+    const offset = part.notes.length > 0 ? part.notes[0].start : 0;
+    const toTime = (seconds) => startTime + ((seconds - offset) * 1000) / tempoScale;
+
+    return part.notes.map(note => ({
+        startTime: toTime(note.start),
+        endTime: toTime(note.start + note.duration),
+        midi: note.midi + transpose,
+        glideToMidi: null,
+        result: null
+    }));
+}
@@ -0,0 +1,241 @@
+/**
+ * Standard MIDI File Reader
+ * Extracts the notes of each track (and channel) of a .mid file as a melody
+ * with times in seconds, following the file's tempo changes.
+ */
+
+import { createTempoMap, secondsAt } from './tempoMap.js';
+
+const DRUM_CHANNEL = 9; // General MIDI channel 10: percussion, not a melody
+
+/**
+ * Parse a Standard MIDI File (format 0 or 1)
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Object} { bpm, parts: [{ name, notes: [{ start, duration, midi }] }] }
+ *   with start/duration in seconds and bpm the initial tempo
+ * @throws {Error} If the file isn't a valid MIDI file
+ */
+export function parseMidi(buffer) {
+    const reader = new ByteReader(buffer);
+
+    if (reader.text(4) !== 'MThd') {
+        throw new Error('Not a MIDI file (missing MThd header)');
+    }
+    const headerLength = reader.uint32();
+    const format = reader.uint16();
+    const trackCount = reader.uint16();
+    const division = reader.uint16();
+    reader.skip(headerLength - 6);
+
+    if (format > 1) {
+        throw new Error(`MIDI format ${format} (independent sequences) is not supported`);
+    }
+
+    const tracks = [];
+    const tempoChanges = [];
+    for (let i = 0; i < trackCount && !reader.done; i++) {
+        const id = reader.text(4);
+        const length = reader.uint32();
+        if (id !== 'MTrk') {
+            reader.skip(length); // Unknown chunk
+            continue;
+        }
+        tracks.push(readTrack(reader.slice(length), tempoChanges));
+    }
+
+    // Ticks to seconds: SMPTE divisions count ticks per second, the usual
+    // metrical ones count ticks per quarter note at the current tempo
+    let toSeconds;
+    let bpm = 120;
+    if (division & 0x8000) {
+        const framesPerSecond = -((division >> 8) - 256);
+        const ticksPerSecond = framesPerSecond * (division & 0xff);
+        toSeconds = (ticks) => ticks / ticksPerSecond;
+    } else {
+        const map = createTempoMap(tempoChanges.map(({ tick, bpm: value }) => ({ position: tick / division, bpm: value })));
+        toSeconds = (ticks) => secondsAt(map, ticks / division);
+        bpm = map[0].bpm;
+    }
+
+    const parts = [];
+    tracks.forEach((track, index) => {
+        const channels = [...new Set(track.notes.map(note => note.channel))]
+            .filter(channel => channel !== DRUM_CHANNEL);
+        const baseName = track.name || `Track ${index + 1}`;
+
+        channels.forEach(channel => {
+            const notes = track.notes
+                .filter(note => note.channel === channel)
+                .map(note => ({
+                    start: toSeconds(note.startTick),
+                    duration: toSeconds(note.endTick) - toSeconds(note.startTick),
+                    midi: note.midi
+                }));
+            parts.push({
+                name: channels.length > 1 ? `${baseName} (channel ${channel + 1})` : baseName,
+                notes
+            });
+        });
+    });
+
+    if (parts.length === 0) {
+        throw new Error('No notes found in this MIDI file');
+    }
+    return { bpm, parts };
+}
+
+/**
+ * Read one track's events
+ * @param {ByteReader} reader - Positioned at the track data
+ * @param {Array} tempoChanges - Tempo events are appended here ({ tick, bpm })
+ * @returns {Object} { name, notes: [{ channel, midi, startTick, endTick }] }
+ */
+function readTrack(reader, tempoChanges) {
+    const notes = [];
+    const sounding = new Map(); // channel * 128 + note -> start ticks (oldest first)
+    let name = '';
+    let tick = 0;
+    let status = 0;
+
+    const noteOff = (channel, midi) => {
+        const starts = sounding.get(channel * 128 + midi);
+        if (starts?.length) {
+            notes.push({ channel, midi, startTick: starts.shift(), endTick: tick });
+        }
+    };
+
+    while (!reader.done) {
+        tick += reader.varint();
+
+        let byte = reader.uint8();
+        if (byte < 0x80) {
+            // Running status: reuse the last status, this byte is data
+            reader.skip(-1);
+            byte = status;
+        } else if (byte < 0xf0) {
+            status = byte;
+        }
+
+        if (byte === 0xff) {
+            const type = reader.uint8();
+            const length = reader.varint();
+            const data = reader.slice(length);
+            if (type === 0x51 && length === 3) {
+                const microsecondsPerQuarter = (data.uint8() << 16) | (data.uint8() << 8) | data.uint8();
+                tempoChanges.push({ tick, bpm: 60000000 / microsecondsPerQuarter });
+            } else if (type === 0x03 && !name) {
+                name = data.text(length).trim();
+            } else if (type === 0x2f) {
+                break; // End of track
+            }
+            continue;
+        }
+
+        if (byte === 0xf0 || byte === 0xf7) {
+            reader.skip(reader.varint()); // SysEx
+            continue;
+        }
+
+        const type = byte & 0xf0;
+        const channel = byte & 0x0f;
+        switch (type) {
+            case 0x90: {
+                const midi = reader.uint8();
+                const velocity = reader.uint8();
+                if (velocity === 0) {
+                    noteOff(channel, midi);
+                } else {
+                    const key = channel * 128 + midi;
+                    if (!sounding.has(key)) sounding.set(key, []);
+                    sounding.get(key).push(tick);
+                }
+                break;
+            }
+            case 0x80:
+                noteOff(channel, reader.uint8());
+                reader.skip(1);
+                break;
+            case 0xc0:
+            case 0xd0:
+                reader.skip(1);
+                break;
+            default:
+                reader.skip(2); // Aftertouch, controllers, pitch bend
+        }
+    }
+
+    notes.sort((a, b) => a.startTick - b.startTick);
+    return { name, notes };
+}
+
+/**
+ * Big-endian reader over a byte range
+ */
+class ByteReader {
+    /**
+     * @param {ArrayBuffer} buffer
+     * @param {number} start - Byte offset
+     * @param {number} end - Byte offset (exclusive)
+     */
+    constructor(buffer, start = 0, end = buffer.byteLength) {
+        this.bytes = new Uint8Array(buffer);
+        this.position = start;
+        this.end = Math.min(end, buffer.byteLength);
+    }
+
+    get done() {
+        return this.position >= this.end;
+    }
+
+    uint8() {
+        if (this.position >= this.end) {
+            throw new Error('Unexpected end of MIDI data');
+        }
+        return this.bytes[this.position++];
+    }
+
+    uint16() {
+        return (this.uint8() << 8) | this.uint8();
+    }
+
+    uint32() {
+        return ((this.uint16() << 16) | this.uint16()) >>> 0;
+    }
+
+    /**
+     * Variable-length quantity (7 bits per byte, high bit = more follows)
+     */
+    varint() {
+        let value = 0;
+        for (let i = 0; i < 4; i++) {
+            const byte = this.uint8();
+            value = (value << 7) | (byte & 0x7f);
+            if (!(byte & 0x80)) break;
+        }
+        return value;
+    }
+
+    text(length) {
+        if (this.position + length > this.end) {
+            throw new Error('Unexpected end of MIDI data');
+        }
+        const bytes = this.bytes.subarray(this.position, this.position + length);
+        this.position += length;
+        return new TextDecoder().decode(bytes);
+    }
+
+    skip(length) {
+        this.position += length;
+    }
+
+    /**
+     * Reader for the next bytes (and skip past them)
+     * @param {number} length
+     * @returns {ByteReader}
+     */
+    slice(length) {
+        const reader = new ByteReader(this.bytes.buffer, this.position, this.position + length);
+        this.position += length;
+        return reader;
+    }
+}
@@ -0,0 +1,75 @@
+/**
+ * Standard MIDI File Writer
+ * Writes a melody as a single-track (format 0) .mid file, the counterpart of
+ * parseMidi(): notes with times in seconds at a fixed tempo.
+ */
+
+const TICKS_PER_QUARTER = 480;
+
+/**
+ * Write a Standard MIDI File
+ * @param {Object} melody - { name, bpm, notes: [{ start, duration, midi, velocity }] }
+ *   with start/duration in seconds, midi rounded to the nearest note and
+ *   velocity 1-127 (default 80)
+ * @returns {Uint8Array} File contents
+ */
+export function writeMidi({ name = 'Melody', bpm = 120, notes }) {
+    const ticksPerSecond = TICKS_PER_QUARTER * bpm / 60;
+    const toTicks = (seconds) => Math.max(0, Math.round(seconds * ticksPerSecond));
+
+    // Note-offs sort before note-ons at the same tick so repeated notes retrigger
+    const events = [];
+    for (const note of notes) {
+        const midi = Math.max(0, Math.min(127, Math.round(note.midi)));
+        const velocity = Math.max(1, Math.min(127, Math.round(note.velocity ?? 80)));
+        const start = toTicks(note.start);
+        const end = Math.max(start + 1, toTicks(note.start + note.duration));
+        events.push({ tick: start, order: 1, bytes: [0x90, midi, velocity] });
+        events.push({ tick: end, order: 0, bytes: [0x80, midi, 0] });
+    }
+    events.sort((a, b) => a.tick - b.tick || a.order - b.order);
+
+    const track = [];
+    const microsecondsPerQuarter = Math.round(60000000 / bpm);
+    const nameBytes = [...new TextEncoder().encode(name)];
+    track.push(0x00, 0xff, 0x03, ...variableLength(nameBytes.length), ...nameBytes);
+    track.push(0x00, 0xff, 0x51, 0x03,
+        (microsecondsPerQuarter >> 16) & 0xff, (microsecondsPerQuarter >> 8) & 0xff, microsecondsPerQuarter & 0xff);
+
+    let lastTick = 0;
+    for (const { tick, bytes } of events) {
+        track.push(...variableLength(tick - lastTick), ...bytes);
+        lastTick = tick;
+    }
+    track.push(0x00, 0xff, 0x2f, 0x00); // End of track
+
+    return new Uint8Array([
+        ...ascii('MThd'), ...uint32(6), ...uint16(0), ...uint16(1), ...uint16(TICKS_PER_QUARTER),
+        ...ascii('MTrk'), ...uint32(track.length), ...track
+    ]);
+}
+
+/**
+ * MIDI variable-length quantity: 7 bits per byte, high bit set on all but the last
+ * @param {number} value
+ * @returns {number[]}
+ */
+function variableLength(value) {
+    const bytes = [value & 0x7f];
+    for (value >>= 7; value > 0; value >>= 7) {
+        bytes.unshift((value & 0x7f) | 0x80);
+    }
+    return bytes;
+}
+
+function ascii(text) {
+    return [...text].map(c => c.charCodeAt(0));
+}
+
+function uint32(value) {
+    return [(value >>> 24) & 0xff, (value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+}
+
+function uint16(value) {
+    return [(value >> 8) & 0xff, value & 0xff];
+}
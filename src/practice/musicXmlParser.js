@@ -0,0 +1,290 @@
+/**
+ * MusicXML Reader
+ * Extracts each part's melody from a MusicXML score (.musicxml/.xml, or a
+ * compressed .mxl) with times in seconds, following tempo markings.
+ *
+ * Parts written with several voices on one staff (e.g. soprano and alto
+ * sharing a "Women" staff) are split into one melody per voice.
+ */
+
+import { createTempoMap, secondsAt } from './tempoMap.js';
+
+const STEP_SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+/**
+ * Parse an uncompressed MusicXML document (score-partwise)
+ * @param {string} text - XML
+ * @returns {Object} { bpm, parts: [{ name, notes: [{ start, duration, midi }] }] }
+ *   with start/duration in seconds and bpm the initial tempo
+ * @throws {Error} If the document isn't a readable partwise score
+ */
+export function parseMusicXml(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.querySelector('parsererror')) {
+        throw new Error('Not a valid XML file');
+    }
+
+    const score = doc.documentElement;
+    if (score.nodeName === 'score-timewise') {
+        throw new Error('Timewise MusicXML is not supported; export the score as partwise');
+    }
+    if (score.nodeName !== 'score-partwise') {
+        throw new Error('Not a MusicXML score');
+    }
+
+    const partNames = new Map();
+    score.querySelectorAll('part-list > score-part').forEach(scorePart => {
+        const name = childText(scorePart, 'part-name') || childText(scorePart, 'part-abbreviation');
+        partNames.set(scorePart.getAttribute('id'), name);
+    });
+
+    // Tempo marks are shared by all parts; read every part before timing notes
+    const tempoChanges = [];
+    const voices = []; // { name, notes: [{ position, length, midi }] } in quarter notes
+    score.querySelectorAll(':scope > part').forEach((part, index) => {
+        const name = partNames.get(part.getAttribute('id')) || `Part ${index + 1}`;
+        const byVoice = readPart(part, tempoChanges);
+        byVoice.forEach((notes, voice) => {
+            voices.push({ name: byVoice.size > 1 ? `${name} (voice ${voice})` : name, notes });
+        });
+    });
+
+    const map = createTempoMap(tempoChanges);
+    const parts = voices
+        .filter(({ notes }) => notes.length > 0)
+        .map(({ name, notes }) => ({
+            name,
+            notes: notes.map(({ position, length, midi }) => {
+                const start = secondsAt(map, position);
+                return { start, duration: secondsAt(map, position + length) - start, midi };
+            })
+        }));
+
+    if (parts.length === 0) {
+        throw new Error('No notes found in this score');
+    }
+    return { bpm: map[0].bpm, parts };
+}
+
+/**
+ * Read one part's notes, grouped by voice
+ * @param {Element} part - <part>
+ * @param {Array} tempoChanges - Tempo marks are appended here ({ position, bpm })
+ * @returns {Map} voice -> [{ position, length, midi }] (quarter notes)
+ */
+function readPart(part, tempoChanges) {
+    const voices = new Map();
+    const tied = new Map(); // voice/pitch -> note still tied into the next one
+    let divisions = 1; // Per quarter note
+    let transpose = 0; // Written -> sounding pitch, semitones
+    let position = 0; // Quarter notes from the start
+
+    for (const measure of part.querySelectorAll(':scope > measure')) {
+        let measureEnd = position;
+
+        for (const element of measure.children) {
+            switch (element.nodeName) {
+                case 'attributes': {
+                    const value = parseFloat(childText(element, 'divisions'));
+                    if (value > 0) divisions = value;
+                    const transposeElement = element.querySelector('transpose');
+                    if (transposeElement) {
+                        transpose = (parseInt(childText(transposeElement, 'chromatic')) || 0) +
+                            12 * (parseInt(childText(transposeElement, 'octave-change')) || 0);
+                    }
+                    break;
+                }
+
+                case 'direction':
+                case 'sound': {
+                    const bpm = readTempo(element);
+                    if (bpm) tempoChanges.push({ position, bpm });
+                    break;
+                }
+
+                case 'backup':
+                    position -= durationOf(element, divisions);
+                    break;
+
+                case 'forward':
+                    position += durationOf(element, divisions);
+                    break;
+
+                case 'note': {
+                    // Further notes of a chord share the first one's time (the
+                    // first is taken as the melody); grace notes take no time
+                    if (element.querySelector('chord')) break;
+                    const length = element.querySelector('grace') ? 0 : durationOf(element, divisions);
+
+                    const pitch = element.querySelector('pitch');
+                    if (pitch && length > 0) {
+                        const voice = childText(element, 'voice') || '1';
+                        const midi = pitchToMidi(pitch) + transpose;
+                        const key = `${voice}/${midi}`;
+                        const ties = [...element.querySelectorAll(':scope > tie')].map(tie => tie.getAttribute('type'));
+
+                        const continued = ties.includes('stop') ? tied.get(key) : null;
+                        if (continued) {
+                            continued.length = position + length - continued.position;
+                        } else {
+                            if (!voices.has(voice)) voices.set(voice, []);
+                            const note = { position, length, midi };
+                            voices.get(voice).push(note);
+                            tied.set(key, note);
+                        }
+                        if (!ties.includes('start')) {
+                            tied.delete(key);
+                        }
+                    }
+
+                    position += length;
+                    break;
+                }
+            }
+            measureEnd = Math.max(measureEnd, position);
+        }
+
+        // Voices may end the measure at different points after <backup>
+        position = measureEnd;
+    }
+
+    voices.forEach(notes => notes.sort((a, b) => a.position - b.position));
+    return voices;
+}
+
+/**
+ * Tempo from <sound tempo> or a quarter-note metronome mark
+ * @param {Element} element - <direction> or <sound>
+ * @returns {number|null} BPM (quarter notes)
+ */
+function readTempo(element) {
+    const sound = element.nodeName === 'sound' ? element : element.querySelector('sound');
+    const tempo = parseFloat(sound?.getAttribute('tempo'));
+    if (tempo > 0) return tempo;
+
+    const metronome = element.querySelector('metronome');
+    const perMinute = parseFloat(metronome && childText(metronome, 'per-minute'));
+    if (!(perMinute > 0)) return null;
+
+    const beatUnits = { whole: 4, half: 2, quarter: 1, eighth: 0.5, '16th': 0.25 };
+    const unit = beatUnits[childText(metronome, 'beat-unit')] ?? 1;
+    const dotted = metronome.querySelector('beat-unit-dot') ? 1.5 : 1;
+    return perMinute * unit * dotted;
+}
+
+/**
+ * @param {Element} pitch - <pitch> with <step>, <alter>, <octave>
+ * @returns {number} MIDI note (written pitch)
+ */
+function pitchToMidi(pitch) {
+    const step = STEP_SEMITONES[childText(pitch, 'step')] ?? 0;
+    const alter = Math.round(parseFloat(childText(pitch, 'alter')) || 0);
+    const octave = parseInt(childText(pitch, 'octave'));
+    return ((Number.isNaN(octave) ? 4 : octave) + 1) * 12 + step + alter;
+}
+
+/**
+ * @param {Element} element - Element with a <duration> child
+ * @param {number} divisions - Per quarter note
+ * @returns {number} Quarter notes
+ */
+function durationOf(element, divisions) {
+    return (parseFloat(childText(element, 'duration')) || 0) / divisions;
+}
+
+/**
+ * Text of a direct child element
+ * @returns {string} '' if missing
+ */
+function childText(element, name) {
+    for (const child of element.children) {
+        if (child.nodeName === name) return child.textContent.trim();
+    }
+    return '';
+}
+
+/**
+ * Read the score out of a compressed MusicXML (.mxl) archive
+ * @param {ArrayBuffer} buffer - Zip archive
+ * @returns {Promise<string>} The score's XML
+ * @throws {Error} If the archive has no readable score
+ */
+export async function readMxl(buffer) {
+    const entries = readZipDirectory(buffer);
+
+    // META-INF/container.xml names the score; otherwise take the first XML file
+    let path = null;
+    const container = entries.get('META-INF/container.xml');
+    if (container) {
+        const doc = new DOMParser().parseFromString(await inflateEntry(buffer, container), 'application/xml');
+        path = doc.querySelector('rootfile')?.getAttribute('full-path') ?? null;
+    }
+    path ??= [...entries.keys()].find(name => !name.startsWith('META-INF/') && /\.(xml|musicxml)$/i.test(name));
+
+    const entry = path && entries.get(path);
+    if (!entry) {
+        throw new Error('No score found in this .mxl archive');
+    }
+    return inflateEntry(buffer, entry);
+}
+
+/**
+ * List a zip archive's files from its central directory
+ * @param {ArrayBuffer} buffer
+ * @returns {Map} name -> { method, compressedSize, localOffset }
+ */
+function readZipDirectory(buffer) {
+    const view = new DataView(buffer);
+
+    // End of central directory record: last 22+ bytes (after an optional comment)
+    let end = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) {
+        throw new Error('Not a valid .mxl (zip) file');
+    }
+
+    const entries = new Map();
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    const decoder = new TextDecoder();
+
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(offset, true) !== 0x02014b50) break;
+        const nameLength = view.getUint16(offset + 28, true);
+        const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+        entries.set(name, {
+            method: view.getUint16(offset + 10, true),
+            compressedSize: view.getUint32(offset + 20, true),
+            localOffset: view.getUint32(offset + 42, true)
+        });
+        offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+    }
+    return entries;
+}
+
+/**
+ * Extract one file (stored or deflated) as text
+ * @param {ArrayBuffer} buffer - Zip archive
+ * @param {Object} entry - From readZipDirectory()
+ * @returns {Promise<string>}
+ */
+async function inflateEntry(buffer, entry) {
+    const view = new DataView(buffer);
+    const headerLength = 30 + view.getUint16(entry.localOffset + 26, true) + view.getUint16(entry.localOffset + 28, true);
+    const data = new Uint8Array(buffer, entry.localOffset + headerLength, entry.compressedSize);
+
+    if (entry.method === 0) {
+        return new TextDecoder().decode(data);
+    }
+    if (entry.method !== 8) {
+        throw new Error(`Unsupported .mxl compression (method ${entry.method})`);
+    }
+
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).text();
+}
@@ -0,0 +1,233 @@
+/**
+ * Practice Journal
+ * Keeps a record of every practice session in the browser (see
+ * journalStore.js): the live pitch frames, the settings in use, exercise and
+ * guide track scores, and optionally the audio of recorded takes. A session
+ * starts with the first note sung and ends after a few minutes without
+ * singing; it is saved every minute and when the page is hidden, so closing
+ * the tab loses little. Silences aren't stored: only voiced frames and the
+ * first frame after each, which ends the note.
+ *
+ * Storage stays under maxBytes by dropping the oldest sessions.
+ */
+
+import { SessionSummary } from './sessionStats.js';
+
+const SESSION_END_MS = 5 * 60 * 1000; // Time without singing that ends a session
+
+export class PracticeJournal {
+    /**
+     * @param {JournalStore} store - Opened store
+     * @param {Object} handlers - { getSettings() } returns the settings to record
+     */
+    constructor(store, handlers) {
+        this.store = store;
+        this.handlers = handlers;
+
+        this.enabled = true; // Record sessions at all
+        this.saveAudio = false; // Keep the audio of recorded takes
+        this.maxBytes = 200 * 1024 * 1024;
+        this.saveIntervalMs = 60 * 1000;
+        this.minConfidence = 0.5; // For the saved summary
+
+        this.session = null; // Record being written, see start()
+        this.startTime = 0; // Timestamp (ms) of the session's first frame
+        this.pending = []; // Frames not saved yet
+        this.summary = null; // SessionSummary of the frames stored
+        this.lastVoicedTime = -Infinity; // Timestamp (ms) of the last note sung
+        this.lastStoredVoiced = false; // Whether the last frame stored was voiced
+        this.lastSaveTime = 0;
+        this.chunkIndex = 0;
+        this.isDirty = false; // Scores or takes not saved yet
+        this.saving = Promise.resolve(); // Saves run one after another
+
+        // Called after each save with the session record
+        this.onSave = null;
+    }
+
+    /**
+     * Record one live pitch frame (saves once a minute)
+     * @param {Object} frame - From the pitch pipeline
+     */
+    addFrame(frame) {
+        if (!this.enabled) return;
+
+        const isSung = frame.voiced && frame.frequency && frame.confidence >= this.minConfidence;
+        if (this.session && frame.timestamp - this.lastVoicedTime > SESSION_END_MS) {
+            this.end();
+        }
+        if (isSung) {
+            this.lastVoicedTime = frame.timestamp;
+        }
+        if (!this.session) {
+            if (!isSung) return;
+            this.start(frame.timestamp);
+        }
+
+        // Voiced frames, and the first unvoiced one after each run
+        const voiced = Boolean(frame.voiced);
+        if (voiced || this.lastStoredVoiced) {
+            const point = {
+                frequency: frame.frequency || 0,
+                confidence: frame.confidence ?? 0,
+                voiced,
+                timestamp: frame.timestamp - this.startTime
+            };
+            this.pending.push(point);
+            this.summary.add(point);
+            this.lastStoredVoiced = voiced;
+        }
+
+        if (frame.timestamp - this.lastSaveTime >= this.saveIntervalMs) {
+            this.lastSaveTime = frame.timestamp;
+            this.save();
+        }
+    }
+
+    /**
+     * Record the result of an exercise or guide track run
+     * @param {Object} result - { kind ('exercise' | 'guide'), name, score,
+     *   accuracy, timing, stability, hit, total }
+     */
+    addScore(result) {
+        if (!this.enabled || !this.session) return;
+        this.session.scores.push({ ...result, date: new Date().toISOString() });
+        this.isDirty = true;
+        this.save();
+    }
+
+    /**
+     * Record a take (with its audio if saveAudio is on)
+     * @param {Object} take - From TakeRecorder.stop()
+     */
+    addTake(take) {
+        if (!this.enabled || !this.session) return;
+
+        const index = this.session.takes.length;
+        const audio = this.saveAudio ? {
+            index,
+            name: take.name,
+            sampleRate: take.audioBuffer.sampleRate,
+            samples: take.audioBuffer.getChannelData(0).slice()
+        } : null;
+        this.session.takes.push({ index, name: take.name, duration: take.duration, hasAudio: Boolean(audio) });
+        this.isDirty = true;
+        this.save(audio);
+    }
+
+    /**
+     * @param {number} timestamp - Of the first frame (ms)
+     */
+    start(timestamp) {
+        const date = new Date();
+        this.session = {
+            id: date.getTime(),
+            startedAt: date.toISOString(),
+            durationMs: 0,
+            settings: null,
+            stats: null,
+            scores: [],
+            takes: [],
+            bytes: 0
+        };
+        this.startTime = timestamp;
+        this.lastSaveTime = timestamp;
+        this.pending = [];
+        this.summary = new SessionSummary({ minConfidence: this.minConfidence });
+        this.lastStoredVoiced = false;
+        this.chunkIndex = 0;
+        this.isDirty = false;
+        console.log(`📓 [PracticeJournal] Session started ${date.toLocaleTimeString()}`);
+    }
+
+    /**
+     * Save what is left and close the session (the next note sung starts another)
+     * @returns {Promise<void>}
+     */
+    end() {
+        const saved = this.save();
+        this.session = null;
+        this.pending = [];
+        this.summary = null;
+        return saved;
+    }
+
+    /**
+     * Write the new frames and the updated record, then prune old sessions
+     * @param {Object|null} audio - Take audio to add, see addTake()
+     * @returns {Promise<void>}
+     */
+    save(audio = null) {
+        const session = this.session;
+        if (!session || (this.pending.length === 0 && !this.isDirty && !audio)) {
+            return this.saving;
+        }
+
+        const frames = this.pending;
+        this.pending = [];
+        this.isDirty = false;
+
+        const chunk = frames.length > 0 ? {
+            index: this.chunkIndex++,
+            timestamps: Float32Array.from(frames, f => f.timestamp),
+            frequencies: Float32Array.from(frames, f => f.frequency),
+            confidences: Float32Array.from(frames, f => f.confidence),
+            voiced: Uint8Array.from(frames, f => f.voiced ? 1 : 0)
+        } : null;
+
+        if (chunk) {
+            session.durationMs = frames[frames.length - 1].timestamp;
+            session.stats = this.summary.get();
+        }
+        session.settings = this.handlers.getSettings();
+
+        this.saving = this.saving
+            .then(() => this.store.saveSession(session, chunk, audio))
+            .then(() => {
+                this.onSave?.(session);
+                return this.prune();
+            })
+            .catch(error => console.error('[PracticeJournal] Could not save the session:', error));
+        return this.saving;
+    }
+
+    /**
+     * Delete the oldest sessions until the journal fits in maxBytes (the
+     * session being recorded is kept)
+     * @returns {Promise<number>} Sessions deleted
+     */
+    async prune() {
+        const sessions = await this.store.listSessions();
+        let total = sessions.reduce((sum, s) => sum + s.bytes, 0);
+        let deleted = 0;
+
+        for (const session of sessions) {
+            if (total <= this.maxBytes) break;
+            if (session.id === this.session?.id) continue;
+            await this.store.deleteSession(session.id);
+            total -= session.bytes;
+            deleted++;
+        }
+        if (deleted > 0) {
+            console.log(`📓 [PracticeJournal] Pruned ${deleted} old session(s) to stay under ${Math.round(this.maxBytes / 1048576)} MB`);
+        }
+        return deleted;
+    }
+
+    /**
+     * Delete the sessions started before a date
+     * @param {Date} date
+     * @returns {Promise<number>} Sessions deleted
+     */
+    async deleteBefore(date) {
+        await this.saving;
+        const sessions = await this.store.listSessions();
+        let deleted = 0;
+        for (const session of sessions) {
+            if (session.id >= date.getTime() || session.id === this.session?.id) continue;
+            await this.store.deleteSession(session.id);
+            deleted++;
+        }
+        return deleted;
+    }
+}
@@ -0,0 +1,211 @@
+/**
+ * Range Test
+ * Guided measurement of a singer's range in three steps: hold the lowest
+ * comfortable note, hold the highest, then siren between them. A held note
+ * only counts once it is sustained with good confidence, and siren extremes
+ * must be held briefly, so detection glitches and cracks don't stretch the
+ * result.
+ *
+ * The result (a profile) has the comfortable range from the held notes, the
+ * extremes reached in any step, and the closest voice type.
+ */
+
+import { median } from '../audio/noteSegmenter.js';
+import { hzToMidi, parseNoteString } from '../utils/noteConverter.js';
+import { VOICE_PRESETS } from '../utils/voicePresets.js';
+
+export const RANGE_TEST_STEPS = [
+    { id: 'low', title: 'Lowest note', instruction: 'Sing your lowest comfortable note and hold it' },
+    { id: 'high', title: 'Highest note', instruction: 'Sing your highest comfortable note and hold it' },
+    { id: 'siren', title: 'Siren', instruction: 'Slide from your lowest note to your highest and back, like a siren' }
+];
+
+const RECENT_FRAMES = 20; // Frames a held note's pitch is compared with
+
+export class RangeTest {
+    constructor() {
+        // What counts as a reading
+        this.minConfidence = 0.7;
+        this.maxGapMs = 100; // Longer dropouts end a held note
+        this.holdMs = 1000; // Lowest/highest note must be held this long...
+        this.holdCents = 50; // ...within this many cents of its recent pitch
+        this.minSpan = 5; // Highest note at least this many semitones above the lowest
+        this.sirenMs = 2000; // Voiced time the siren needs
+        this.sirenHoldMs = 150; // Siren extremes must last this long
+
+        this.isRunning = false;
+        this.stepIndex = 0;
+        this.reset();
+    }
+
+    reset() {
+        this.readings = { low: null, high: null, siren: null };
+        this.run = null; // Note being held: { startTime, midiSum, count, recent (last pitches) }
+        this.window = []; // Siren frames within sirenHoldMs
+        this.lastTime = null;
+    }
+
+    start() {
+        this.reset();
+        this.stepIndex = 0;
+        this.isRunning = true;
+    }
+
+    stop() {
+        this.isRunning = false;
+    }
+
+    /**
+     * @returns {Object} Current step from RANGE_TEST_STEPS
+     */
+    get step() {
+        return RANGE_TEST_STEPS[this.stepIndex];
+    }
+
+    /**
+     * Feed one pitch frame
+     * @param {Object} frame - { frequency, confidence, voiced, timestamp (ms) }
+     */
+    process(frame) {
+        if (!this.isRunning) return;
+        if (!frame.voiced || !frame.frequency || (frame.confidence ?? 0) < this.minConfidence) return;
+
+        const current = { time: frame.timestamp, midi: hzToMidi(frame.frequency) };
+        const gap = this.lastTime === null ? Infinity : current.time - this.lastTime;
+        this.lastTime = current.time;
+
+        if (this.step.id === 'siren') {
+            this._processSiren(current, gap);
+        } else {
+            this._processHold(current, gap);
+        }
+    }
+
+    /**
+     * Whether the current step has a valid reading (so the test can move on)
+     * @returns {boolean}
+     */
+    isStepValid() {
+        const reading = this.readings[this.step.id];
+        if (!reading) return false;
+        if (this.step.id === 'high') return reading.midi - this.readings.low.midi >= this.minSpan;
+        if (this.step.id === 'siren') return reading.voicedMs >= this.sirenMs;
+        return true;
+    }
+
+    /**
+     * Move to the next step
+     * @returns {Object|null} The profile after the last step, otherwise null
+     */
+    next() {
+        if (!this.isRunning || !this.isStepValid()) return null;
+
+        this.run = null;
+        this.window = [];
+        this.lastTime = null;
+        if (this.stepIndex < RANGE_TEST_STEPS.length - 1) {
+            this.stepIndex++;
+            return null;
+        }
+
+        this.isRunning = false;
+        return this.getProfile();
+    }
+
+    /**
+     * @returns {Object} { date (ISO), low, high (comfortable, held), lowest,
+     *   highest (extremes), voiceType } with pitches as fractional MIDI numbers
+     */
+    getProfile() {
+        const { low, high, siren } = this.readings;
+        return {
+            date: new Date().toISOString(),
+            low: low.midi,
+            high: high.midi,
+            lowest: Math.min(low.midi, siren.low),
+            highest: Math.max(high.midi, siren.high),
+            voiceType: estimateVoiceType(low.midi, high.midi)
+        };
+    }
+
+    /**
+     * Lowest/highest step: track sustained notes, keep the best one
+     */
+    _processHold(current, gap) {
+        if (this.run) {
+            const recent = median(this.run.recent);
+            if (gap > this.maxGapMs || Math.abs(current.midi - recent) * 100 > this.holdCents) {
+                this.run = null;
+            }
+        }
+        this.run ??= { startTime: current.time, midiSum: 0, count: 0, recent: [] };
+
+        const run = this.run;
+        run.midiSum += current.midi;
+        run.count++;
+        run.recent.push(current.midi);
+        if (run.recent.length > RECENT_FRAMES) {
+            run.recent.shift();
+        }
+
+        const durationMs = current.time - run.startTime;
+        if (durationMs < this.holdMs) return;
+
+        // A longer hold of the same note replaces its earlier reading. Its
+        // pitch is the mean: every frame is within holdCents of the recent
+        // pitch, so a glitch can't pull it far
+        const candidate = { midi: run.midiSum / run.count, durationMs, startTime: run.startTime };
+        const reading = this.readings[this.step.id];
+        const better = this.step.id === 'low' ? candidate.midi < reading?.midi : candidate.midi > reading?.midi;
+        if (!reading || reading.startTime === candidate.startTime || better) {
+            this.readings[this.step.id] = candidate;
+        }
+    }
+
+    /**
+     * Siren step: extremes of the pitch held for sirenHoldMs, and voiced time
+     */
+    _processSiren(current, gap) {
+        const reading = this.readings.siren ?? { low: Infinity, high: -Infinity, voicedMs: 0 };
+        this.readings.siren = reading;
+
+        if (gap > this.maxGapMs) {
+            this.window = [];
+        } else {
+            reading.voicedMs += gap;
+        }
+
+        this.window.push(current);
+        while (current.time - this.window[0].time > this.sirenHoldMs) {
+            this.window.shift();
+        }
+        if (current.time - this.window[0].time < this.sirenHoldMs * 0.9) return;
+
+        // Within a short window, the pitch every frame reached
+        const pitches = this.window.map(f => f.midi);
+        reading.low = Math.min(reading.low, Math.max(...pitches));
+        reading.high = Math.max(reading.high, Math.min(...pitches));
+    }
+}
+
+/**
+ * Closest voice type to a comfortable range
+ * @param {number} low - Lowest held note (MIDI)
+ * @param {number} high - Highest held note (MIDI)
+ * @returns {string} Voice preset id ('bass' ... 'soprano')
+ */
+export function estimateVoiceType(low, high) {
+    let best = null;
+    let bestDistance = Infinity;
+
+    for (const [id, preset] of Object.entries(VOICE_PRESETS)) {
+        if (preset.group !== 'Voices' || id === 'whistle') continue;
+        const [presetLow, presetHigh] = preset.range.map(note => hzToMidi(parseNoteString(note)));
+        const distance = Math.abs(low - presetLow) + Math.abs(high - presetHigh);
+        if (distance < bestDistance) {
+            best = id;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
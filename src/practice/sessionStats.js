@@ -0,0 +1,226 @@
+/**
+ * Session Statistics
+ * Summarizes a stretch of pitch frames for review after singing:
+ * - intonation: time within ±N cents of the nearest note, or of the target
+ * - time spent on each note (histogram)
+ * - tessitura (where most of the singing lies, outliers excluded) vs. extremes
+ * - average drift sharp or flat in each octave
+ * Every frame counts for the time until the next one, so the numbers are in
+ * seconds of singing whatever the analysis rate. SessionSummary keeps the
+ * journal's part of these numbers up to date as frames arrive.
+ */
+
+import { hzToMidi, hzToNote, midiToNoteName } from '../utils/noteConverter.js';
+
+const MAX_FRAME_MS = 100; // Longest time one frame stands for (across dropouts)
+const TESSITURA_PERCENTILES = [0.1, 0.9]; // Middle 80% of the time sung
+
+/**
+ * @param {Array} points - { frequency, confidence, voiced, timestamp (ms) } in time order
+ * @param {Object} options
+ * @param {number} options.toleranceCents - In tune within ± this many cents
+ * @param {number} options.minConfidence - Frames below this aren't counted
+ * @param {Function|null} options.targetAt - (timestamp, midi) => target MIDI
+ *   number or null; when given, intonation is measured from the target and frames
+ *   without one are left out of it
+ * @returns {Object|null} { sungMs, measuredMs, inTuneMs, inTunePercent,
+ *   meanAbsCents, notes: [{ midiNumber, noteName, ms }] low to high,
+ *   tessitura: { low, high }, extremes: { low, high } (fractional MIDI),
+ *   registers: [{ octave, label, ms, meanCents }] }, null if nothing was sung
+ */
+export function computeSessionStats(points, { toleranceCents = 25, minConfidence = 0.5, targetAt = null } = {}) {
+    const frames = [];
+    let lastDuration = 0;
+
+    for (let i = 0; i < points.length; i++) {
+        const point = points[i];
+        if (!point.voiced || !point.frequency || point.confidence < minConfidence) continue;
+
+        const next = points[i + 1];
+        const duration = next ? Math.min(MAX_FRAME_MS, next.timestamp - point.timestamp) : lastDuration;
+        lastDuration = duration;
+
+        const midi = hzToMidi(point.frequency);
+        frames.push({
+            duration,
+            midi,
+            note: hzToNote(point.frequency),
+            target: targetAt ? targetAt(point.timestamp, midi) : null
+        });
+    }
+
+    const sungMs = frames.reduce((sum, f) => sum + f.duration, 0);
+    if (sungMs === 0) return null;
+
+    // Intonation, from the nearest note or the target
+    let measuredMs = 0;
+    let inTuneMs = 0;
+    let absCentsSum = 0;
+    for (const frame of frames) {
+        let cents;
+        if (targetAt) {
+            if (frame.target === null) continue;
+            cents = (frame.midi - frame.target) * 100;
+        } else {
+            cents = frame.note.exactCents;
+        }
+        measuredMs += frame.duration;
+        absCentsSum += Math.abs(cents) * frame.duration;
+        if (Math.abs(cents) <= toleranceCents) inTuneMs += frame.duration;
+    }
+
+    // Time per note
+    const byNote = new Map();
+    for (const frame of frames) {
+        const entry = byNote.get(frame.note.midiNumber) ?? { midiNumber: frame.note.midiNumber, noteName: frame.note.noteName, ms: 0 };
+        entry.ms += frame.duration;
+        byNote.set(frame.note.midiNumber, entry);
+    }
+    const notes = [...byNote.values()].sort((a, b) => a.midiNumber - b.midiNumber);
+
+    // Drift per octave: vibrato and wobble cancel out in the time-weighted mean
+    const byOctave = new Map();
+    for (const frame of frames) {
+        const octave = Math.floor(frame.note.midiNumber / 12) - 1;
+        const entry = byOctave.get(octave) ?? { octave, ms: 0, centsSum: 0 };
+        entry.ms += frame.duration;
+        entry.centsSum += frame.note.exactCents * frame.duration;
+        byOctave.set(octave, entry);
+    }
+    const registers = [...byOctave.values()]
+        .sort((a, b) => a.octave - b.octave)
+        .map(({ octave, ms, centsSum }) => ({
+            octave,
+            label: `${midiToNoteName((octave + 1) * 12)}–${midiToNoteName((octave + 1) * 12 + 11)}`,
+            ms,
+            meanCents: centsSum / ms
+        }));
+
+    // Tessitura: time-weighted percentiles of the pitch
+    const sorted = [...frames].sort((a, b) => a.midi - b.midi);
+    const percentile = (fraction) => {
+        let elapsed = 0;
+        for (const frame of sorted) {
+            elapsed += frame.duration;
+            if (elapsed >= fraction * sungMs) return frame.midi;
+        }
+        return sorted[sorted.length - 1].midi;
+    };
+
+    return {
+        sungMs,
+        measuredMs,
+        inTuneMs,
+        inTunePercent: measuredMs > 0 ? Math.round(100 * inTuneMs / measuredMs) : null,
+        meanAbsCents: measuredMs > 0 ? absCentsSum / measuredMs : null,
+        notes,
+        tessitura: { low: percentile(TESSITURA_PERCENTILES[0]), high: percentile(TESSITURA_PERCENTILES[1]) },
+        extremes: { low: sorted[0].midi, high: sorted[sorted.length - 1].midi },
+        registers
+    };
+}
+
+/**
+ * Running form of the part of computeSessionStats() the practice journal
+ * keeps (sung time, intonation from the nearest note, tessitura, extremes).
+ * Points are added as they arrive; only totals and a pitch histogram in whole
+ * cents are kept, so a long session costs no more memory than a short one.
+ */
+export class SessionSummary {
+    /**
+     * @param {Object} options - { toleranceCents, minConfidence }, as for computeSessionStats()
+     */
+    constructor({ toleranceCents = 25, minConfidence = 0.5 } = {}) {
+        this.toleranceCents = toleranceCents;
+        this.minConfidence = minConfidence;
+
+        this.totals = { sungMs: 0, inTuneMs: 0, absCentsSum: 0, low: Infinity, high: -Infinity };
+        this.histogram = new Map(); // Pitch in cents -> ms sung there
+        this.last = null; // Last confident point, counted once the next point gives its duration
+        this.lastDuration = 0;
+    }
+
+    /**
+     * @param {Object} point - { frequency, confidence, voiced, timestamp (ms) }, in time order
+     */
+    add(point) {
+        if (this.last) {
+            const duration = Math.min(MAX_FRAME_MS, point.timestamp - this.last.timestamp);
+            countFrame(this.totals, this.histogram, this.last, duration, this.toleranceCents);
+            this.lastDuration = duration;
+            this.last = null;
+        }
+        if (point.voiced && point.frequency && point.confidence >= this.minConfidence) {
+            this.last = point;
+        }
+    }
+
+    /**
+     * @returns {Object|null} { sungMs, inTunePercent, meanAbsCents, tessitura:
+     *   { low, high }, extremes: { low, high } (fractional MIDI) }, null if
+     *   nothing was sung
+     */
+    get() {
+        let { totals, histogram } = this;
+        // The newest point counts as long as the one before it, as in computeSessionStats()
+        if (this.last) {
+            totals = { ...totals };
+            histogram = new Map(histogram);
+            countFrame(totals, histogram, this.last, this.lastDuration, this.toleranceCents);
+        }
+
+        const { sungMs, inTuneMs, absCentsSum, low, high } = totals;
+        if (sungMs === 0) return null;
+
+        const sorted = [...histogram].sort((a, b) => a[0] - b[0]);
+        const percentile = (fraction) => {
+            let elapsed = 0;
+            for (const [cents, ms] of sorted) {
+                elapsed += ms;
+                if (elapsed >= fraction * sungMs) return cents / 100;
+            }
+            return sorted[sorted.length - 1][0] / 100;
+        };
+
+        return {
+            sungMs,
+            inTunePercent: Math.round(100 * inTuneMs / sungMs),
+            meanAbsCents: absCentsSum / sungMs,
+            tessitura: { low: percentile(TESSITURA_PERCENTILES[0]), high: percentile(TESSITURA_PERCENTILES[1]) },
+            extremes: { low, high }
+        };
+    }
+}
+
+/**
+ * Add one confident frame to a SessionSummary's totals and histogram
+ */
+function countFrame(totals, histogram, point, duration, toleranceCents) {
+    const midi = hzToMidi(point.frequency);
+    const cents = hzToNote(point.frequency).exactCents;
+    const bin = Math.round(midi * 100);
+
+    totals.sungMs += duration;
+    totals.absCentsSum += Math.abs(cents) * duration;
+    if (Math.abs(cents) <= toleranceCents) totals.inTuneMs += duration;
+    totals.low = Math.min(totals.low, midi);
+    totals.high = Math.max(totals.high, midi);
+    histogram.set(bin, (histogram.get(bin) ?? 0) + duration);
+}
+
+/**
+ * Target lookup for guide notes (exercises, guide tracks)
+ * @param {Array} guideNotes - { startTime, endTime, midi } in time order
+ * @returns {Function} (timestamp, midi) => MIDI number of the note due then,
+ *   or null; expects increasing timestamps. Like exercise scoring, the target
+ *   is moved to the octave sung
+ */
+export function guideTargets(guideNotes) {
+    let index = 0;
+    return (time, midi) => {
+        while (index < guideNotes.length && guideNotes[index].endTime <= time) index++;
+        const note = guideNotes[index];
+        if (!note || note.startTime > time) return null;
+        return note.midi + 12 * Math.round((midi - note.midi) / 12);
+    };
+}
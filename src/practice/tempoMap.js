@@ -0,0 +1,47 @@
+/**
+ * Tempo Map
+ * Converts score positions (in quarter notes) to seconds across tempo changes.
+ * Shared by the MIDI and MusicXML readers.
+ */
+
+/**
+ * Build a tempo map from tempo changes
+ * @param {Array} changes - { position (quarter notes), bpm } in any order;
+ *   120 BPM applies until the first change
+ * @returns {Array} Segments { position, bpm, seconds } sorted by position
+ */
+export function createTempoMap(changes) {
+    const sorted = [...changes].sort((a, b) => a.position - b.position);
+    if (sorted.length === 0 || sorted[0].position > 0) {
+        sorted.unshift({ position: 0, bpm: 120 });
+    }
+
+    const map = [];
+    for (const { position, bpm } of sorted) {
+        const previous = map[map.length - 1];
+        // Later change at the same position wins
+        if (previous && previous.position === position) {
+            previous.bpm = bpm;
+            continue;
+        }
+        const seconds = previous
+            ? previous.seconds + (position - previous.position) * 60 / previous.bpm
+            : 0;
+        map.push({ position, bpm, seconds });
+    }
+    return map;
+}
+
+/**
+ * @param {Array} map - From createTempoMap()
+ * @param {number} position - Quarter notes from the start
+ * @returns {number} Seconds from the start
+ */
+export function secondsAt(map, position) {
+    let segment = map[0];
+    for (const candidate of map) {
+        if (candidate.position > position) break;
+        segment = candidate;
+    }
+    return segment.seconds + (position - segment.position) * 60 / segment.bpm;
+}
@@ -0,0 +1,33 @@
+/**
+ * File Downloads
+ * Save generated data through the browser's download mechanism (no server).
+ */
+
+/**
+ * @param {Blob} blob - File contents
+ * @param {string} fileName
+ */
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Revoke after the download has started
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * File name base from a label and the current date/time
+ * @param {string} label - e.g. "Take 3" or "lesson.wav"
+ * @returns {string} e.g. "take-3-2024-05-01-1530"
+ */
+export function fileNameBase(label) {
+    const slug = label.replace(/\.[^.]+$/, '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'export';
+    const now = new Date();
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${slug}-${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}-${pad(now.getHours())}${pad(now.getMinutes())}`;
+}
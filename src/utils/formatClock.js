@@ -0,0 +1,15 @@
+/**
+ * Clock Format
+ * Times shown on the transport bars and take list.
+ */
+
+/**
+ * Format seconds as m:ss
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatClock(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const rest = Math.floor(seconds % 60);
+    return `${minutes}:${String(rest).padStart(2, '0')}`;
+}
@@ -0,0 +1,368 @@
+/**
+ * Journal Store
+ * IndexedDB persistence for the practice journal. A session's summary is kept
+ * apart from its bulk data, so the history view lists sessions without
+ * loading any pitch or audio:
+ * - sessions: { id, startedAt, durationMs, settings, stats, scores, takes, bytes }
+ * - chunks: pitch frames appended at each save, { sessionId, index,
+ *   timestamps (ms from the session start), frequencies, confidences, voiced }
+ * - audio: recorded takes, { sessionId, index, name, sampleRate, samples }
+ */
+
+const DB_NAME = 'voicePitchVisualizer';
+const DB_VERSION = 1;
+const EXPORT_FORMAT = 'voice-pitch-journal';
+
+export class JournalStore {
+    constructor() {
+        this.db = null;
+        this.opening = null;
+    }
+
+    /**
+     * @returns {boolean} Whether the browser has IndexedDB
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and on first use create) the database; every method waits for it
+     * @returns {Promise<void>}
+     */
+    open() {
+        if (!this.opening) {
+            const openRequest = indexedDB.open(DB_NAME, DB_VERSION);
+            openRequest.onupgradeneeded = () => {
+                const db = openRequest.result;
+                db.createObjectStore('sessions', { keyPath: 'id' });
+                db.createObjectStore('chunks', { keyPath: ['sessionId', 'index'] });
+                db.createObjectStore('audio', { keyPath: ['sessionId', 'index'] });
+            };
+            this.opening = promisify(openRequest).then(db => {
+                this.db = db;
+            });
+        }
+        return this.opening;
+    }
+
+    /**
+     * @returns {Promise<Array>} Session summaries, oldest first
+     */
+    async listSessions() {
+        await this.open();
+        const store = this.transaction(['sessions']).objectStore('sessions');
+        return promisify(store.getAll());
+    }
+
+    /**
+     * Save a session's summary, and append its new frames / take audio
+     * @param {Object} session - Summary record (bytes is updated here)
+     * @param {Object|null} chunk - New frames: { index, timestamps, frequencies, confidences, voiced }
+     * @param {Object|null} audio - New take: { index, name, sampleRate, samples }
+     * @returns {Promise<void>}
+     */
+    async saveSession(session, chunk = null, audio = null) {
+        await this.open();
+        const transaction = this.transaction(['sessions', 'chunks', 'audio'], 'readwrite');
+        if (chunk) {
+            transaction.objectStore('chunks').put({ sessionId: session.id, ...chunk });
+            session.bytes += chunkBytes(chunk);
+        }
+        if (audio) {
+            transaction.objectStore('audio').put({ sessionId: session.id, ...audio });
+            session.bytes += audio.samples.byteLength;
+        }
+        transaction.objectStore('sessions').put(session);
+        await complete(transaction);
+    }
+
+    /**
+     * All pitch frames of a session
+     * @param {number} id - Session id
+     * @returns {Promise<Array>} { frequency, confidence, voiced, rms, timestamp (ms from the start) }
+     */
+    async getFrames(id) {
+        await this.open();
+        const store = this.transaction(['chunks']).objectStore('chunks');
+        const chunks = await promisify(store.getAll(sessionRange(id)));
+
+        const frames = [];
+        for (const chunk of chunks) {
+            for (let i = 0; i < chunk.timestamps.length; i++) {
+                frames.push({
+                    frequency: chunk.frequencies[i] || null,
+                    confidence: chunk.confidences[i],
+                    voiced: chunk.voiced[i] === 1,
+                    rms: 0,
+                    timestamp: chunk.timestamps[i]
+                });
+            }
+        }
+        return frames;
+    }
+
+    /**
+     * Recorded takes of a session
+     * @param {number} id - Session id
+     * @returns {Promise<Array>} { index, name, sampleRate, samples }
+     */
+    async getAudio(id) {
+        await this.open();
+        const store = this.transaction(['audio']).objectStore('audio');
+        return promisify(store.getAll(sessionRange(id)));
+    }
+
+    /**
+     * @param {number} id - Session id
+     * @returns {Promise<void>}
+     */
+    async deleteSession(id) {
+        await this.open();
+        const transaction = this.transaction(['sessions', 'chunks', 'audio'], 'readwrite');
+        transaction.objectStore('sessions').delete(id);
+        transaction.objectStore('chunks').delete(sessionRange(id));
+        transaction.objectStore('audio').delete(sessionRange(id));
+        await complete(transaction);
+    }
+
+    /**
+     * The whole journal as a file: JSON Lines, a header and then one line per
+     * session, frame chunk and take (binary data base64-encoded). Each
+     * session's lines become a Blob of their own, so only one session is held
+     * as text at a time
+     * @returns {Promise<Blob>}
+     */
+    async exportAll() {
+        await this.open();
+        const sessions = await this.listSessions();
+        const parts = [toLine({ format: EXPORT_FORMAT, version: 2, exportedAt: new Date().toISOString() })];
+        for (const session of sessions) {
+            const transaction = this.transaction(['chunks', 'audio']);
+            const [chunks, audio] = await Promise.all([
+                promisify(transaction.objectStore('chunks').getAll(sessionRange(session.id))),
+                promisify(transaction.objectStore('audio').getAll(sessionRange(session.id)))
+            ]);
+
+            const lines = [toLine({ type: 'session', session })];
+            for (const { index, timestamps, frequencies, confidences, voiced } of chunks) {
+                lines.push(toLine({
+                    type: 'chunk',
+                    sessionId: session.id,
+                    index,
+                    timestamps: toBase64(timestamps),
+                    frequencies: toBase64(frequencies),
+                    confidences: toBase64(confidences),
+                    voiced: toBase64(voiced)
+                }));
+            }
+            for (const { index, name, sampleRate, samples } of audio) {
+                lines.push(toLine({ type: 'audio', sessionId: session.id, index, name, sampleRate, samples: toBase64(samples) }));
+            }
+            parts.push(new Blob(lines));
+        }
+        return new Blob(parts, { type: 'application/jsonl' });
+    }
+
+    /**
+     * Add the sessions of an exported journal (sessions already here are
+     * replaced). The file is read line by line and each record written as it
+     * is read; a session's summary is written after its data, so an import
+     * that fails part way leaves no half-imported session in the list
+     * @param {Blob} file - An exportAll() file (or a single-JSON one from
+     *   before the line format)
+     * @returns {Promise<number>} Sessions imported
+     */
+    async importAll(file) {
+        await this.open();
+
+        let session = null; // Summary of the session being imported
+        let count = 0;
+        const finishSession = async () => {
+            if (!session) return;
+            await this.put('sessions', session);
+            session = null;
+            count++;
+        };
+        const importRecord = async (record) => {
+            switch (record.type) {
+                case 'session':
+                    await finishSession();
+                    if (typeof record.session?.id !== 'number') return;
+                    await this.deleteSession(record.session.id);
+                    session = record.session;
+                    break;
+
+                case 'chunk':
+                    if (!session || record.sessionId !== session.id) return;
+                    await this.put('chunks', {
+                        sessionId: session.id,
+                        index: record.index,
+                        timestamps: new Float32Array(fromBase64(record.timestamps)),
+                        frequencies: new Float32Array(fromBase64(record.frequencies)),
+                        confidences: new Float32Array(fromBase64(record.confidences)),
+                        voiced: new Uint8Array(fromBase64(record.voiced))
+                    });
+                    break;
+
+                case 'audio':
+                    if (!session || record.sessionId !== session.id) return;
+                    await this.put('audio', {
+                        sessionId: session.id,
+                        index: record.index,
+                        name: record.name,
+                        sampleRate: record.sampleRate,
+                        samples: new Float32Array(fromBase64(record.samples))
+                    });
+                    break;
+            }
+        };
+
+        let hasHeader = false;
+        for await (const line of readLines(file)) {
+            if (!line.trim()) continue;
+            const record = JSON.parse(line);
+            if (hasHeader) {
+                await importRecord(record);
+                continue;
+            }
+
+            if (record?.format !== EXPORT_FORMAT) {
+                throw new Error('Not a practice journal file');
+            }
+            hasHeader = true;
+            // Version 1 files hold the whole journal in this one line
+            for (const { chunks = [], audio = [], ...summary } of record.sessions ?? []) {
+                await importRecord({ type: 'session', session: summary });
+                for (const chunk of chunks) await importRecord({ ...chunk, type: 'chunk', sessionId: summary.id });
+                for (const take of audio) await importRecord({ ...take, type: 'audio', sessionId: summary.id });
+            }
+        }
+        if (!hasHeader) {
+            throw new Error('Not a practice journal file');
+        }
+        await finishSession();
+        return count;
+    }
+
+    /**
+     * Write one record in a transaction of its own
+     * @param {string} storeName
+     * @param {Object} record
+     * @returns {Promise<void>}
+     */
+    async put(storeName, record) {
+        const transaction = this.transaction([storeName], 'readwrite');
+        transaction.objectStore(storeName).put(record);
+        await complete(transaction);
+    }
+
+    /**
+     * @param {string[]} storeNames
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @returns {IDBTransaction}
+     */
+    transaction(storeNames, mode = 'readonly') {
+        if (!this.db) {
+            throw new Error('Journal is not open');
+        }
+        return this.db.transaction(storeNames, mode);
+    }
+}
+
+/**
+ * @param {Object} chunk - Frames record
+ * @returns {number} Bytes of its arrays
+ */
+export function chunkBytes(chunk) {
+    return chunk.timestamps.byteLength + chunk.frequencies.byteLength +
+        chunk.confidences.byteLength + chunk.voiced.byteLength;
+}
+
+/**
+ * Key range covering every [sessionId, index] key of one session
+ */
+function sessionRange(id) {
+    return IDBKeyRange.bound([id, 0], [id, Infinity]);
+}
+
+/**
+ * @param {IDBRequest} request
+ * @returns {Promise} The request's result
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * @param {IDBTransaction} transaction
+ * @returns {Promise<void>} Resolves once everything is written
+ */
+function complete(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error ?? new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * @param {Object} record
+ * @returns {string} One line of an exported journal
+ */
+function toLine(record) {
+    return `${JSON.stringify(record)}\n`;
+}
+
+/**
+ * Read a file's lines without holding the whole file as text
+ * @param {Blob} blob
+ * @returns {AsyncGenerator<string>}
+ */
+async function* readLines(blob) {
+    const reader = blob.stream().pipeThrough(new TextDecoderStream()).getReader();
+    // Pieces of the current line: joined once it ends, so long lines
+    // (take audio) aren't copied again for every piece read
+    let pieces = [];
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        const split = value.split('\n');
+        pieces.push(split[0]);
+        for (let i = 1; i < split.length; i++) {
+            yield pieces.join('');
+            pieces = [split[i]];
+        }
+    }
+    yield pieces.join('');
+}
+
+/**
+ * @param {ArrayBufferView} array
+ * @returns {string}
+ */
+function toBase64(array) {
+    const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+    let binary = '';
+    // In slices: String.fromCharCode takes a limited number of arguments
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * @param {string} text
+ * @returns {ArrayBuffer}
+ */
+function fromBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes.buffer;
+}
@@ -0,0 +1,183 @@
+/**
+ * Musical Key
+ * Which notes belong to a key and scale, how to spell them (sharps or flats,
+ * E# in F# major, Gb as the blue note in C) and how to name them as letters,
+ * fixed-do or movable-do solfège, or scale degrees.
+ */
+
+import { mod } from './tuning.js';
+
+const LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const LETTER_PITCHES = [0, 2, 4, 5, 7, 9, 11];
+const MAJOR = [0, 2, 4, 5, 7, 9, 11];
+
+// Tonics offered in the menu (enharmonic pairs spell keys differently)
+export const TONICS = ['C', 'C#', 'Db', 'D', 'D#', 'Eb', 'E', 'F', 'F#', 'Gb', 'G', 'G#', 'Ab', 'A', 'A#', 'Bb', 'B'];
+
+const FIXED_DO = ['Do', 'Re', 'Mi', 'Fa', 'Sol', 'La', 'Si'];
+const MOVABLE_DO = ['do', 're', 'mi', 'fa', 'sol', 'la', 'ti'];
+const MOVABLE_DO_RAISED = ['di', 'ri', 'my', 'fi', 'si', 'li', 'ty'];
+const MOVABLE_DO_LOWERED = ['de', 'ra', 'me', 'fe', 'se', 'le', 'te'];
+
+/**
+ * Scales: semitones above the tonic, the letter each note is spelled on
+ * (steps above the tonic's letter) and the mode of the major scale whose key
+ * signature they use (0 = major, 5 = relative minor)
+ */
+export const SCALES = [
+    { id: 'chromatic', label: 'Chromatic (no key)', semitones: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11], letters: null, mode: 0 },
+    { id: 'major', label: 'Major', semitones: [0, 2, 4, 5, 7, 9, 11], letters: [0, 1, 2, 3, 4, 5, 6], mode: 0 },
+    { id: 'minor', label: 'Natural minor', semitones: [0, 2, 3, 5, 7, 8, 10], letters: [0, 1, 2, 3, 4, 5, 6], mode: 5 },
+    { id: 'harmonic-minor', label: 'Harmonic minor', semitones: [0, 2, 3, 5, 7, 8, 11], letters: [0, 1, 2, 3, 4, 5, 6], mode: 5 },
+    { id: 'melodic-minor', label: 'Melodic minor (ascending)', semitones: [0, 2, 3, 5, 7, 9, 11], letters: [0, 1, 2, 3, 4, 5, 6], mode: 5 },
+    { id: 'dorian', label: 'Dorian', semitones: [0, 2, 3, 5, 7, 9, 10], letters: [0, 1, 2, 3, 4, 5, 6], mode: 1 },
+    { id: 'phrygian', label: 'Phrygian', semitones: [0, 1, 3, 5, 7, 8, 10], letters: [0, 1, 2, 3, 4, 5, 6], mode: 2 },
+    { id: 'lydian', label: 'Lydian', semitones: [0, 2, 4, 6, 7, 9, 11], letters: [0, 1, 2, 3, 4, 5, 6], mode: 3 },
+    { id: 'mixolydian', label: 'Mixolydian', semitones: [0, 2, 4, 5, 7, 9, 10], letters: [0, 1, 2, 3, 4, 5, 6], mode: 4 },
+    { id: 'locrian', label: 'Locrian', semitones: [0, 1, 3, 5, 6, 8, 10], letters: [0, 1, 2, 3, 4, 5, 6], mode: 6 },
+    { id: 'major-pentatonic', label: 'Major pentatonic', semitones: [0, 2, 4, 7, 9], letters: [0, 1, 2, 4, 5], mode: 0 },
+    { id: 'minor-pentatonic', label: 'Minor pentatonic', semitones: [0, 3, 5, 7, 10], letters: [0, 2, 3, 4, 6], mode: 5 },
+    { id: 'blues', label: 'Blues', semitones: [0, 3, 5, 6, 7, 10], letters: [0, 2, 3, 4, 4, 6], mode: 5 }
+];
+
+export const LABEL_STYLES = [
+    { id: 'letters', label: 'Note names (C D E)' },
+    { id: 'fixed-do', label: 'Fixed do (Do Re Mi)' },
+    { id: 'movable-do', label: 'Movable do (do = key)' },
+    { id: 'degrees', label: 'Scale degrees (1 2 3)' }
+];
+
+export class MusicKey {
+    /**
+     * @param {string} tonicName - Spelled tonic, e.g. "F#" or "Gb"
+     * @param {string} scaleId - One of SCALES
+     * @throws {Error} If the tonic isn't a note name
+     */
+    constructor(tonicName = 'C', scaleId = 'chromatic') {
+        const match = /^([A-G])(#*|b*)$/.exec(tonicName);
+        if (!match) {
+            throw new Error(`Invalid key: ${tonicName}`);
+        }
+        this.tonicLetter = LETTERS.indexOf(match[1]);
+        const tonicAccidental = match[2].length * (match[2].startsWith('b') ? -1 : 1);
+        this.tonic = mod(LETTER_PITCHES[this.tonicLetter] + tonicAccidental, 12);
+        this.scale = SCALES.find(s => s.id === scaleId) ?? SCALES[0];
+        this.isChromatic = this.scale.letters === null;
+
+        // The major key sharing this key's signature (do in movable do); its
+        // flats or sharps are used for notes outside the scale
+        this.majorLetter = mod(this.tonicLetter - this.scale.mode, 7);
+        this.majorPitch = mod(this.tonic - MAJOR[this.scale.mode], 12);
+        const majorAccidental = spell(this.majorLetter, this.majorPitch).accidental;
+        this.useFlats = majorAccidental < 0 || (majorAccidental === 0 && LETTERS[this.majorLetter] === 'F');
+
+        // Spelling of all 12 pitch classes: scale notes on their own letters,
+        // the rest with the key's accidentals
+        this.spellings = new Array(12);
+        this.inScale = new Array(12).fill(false);
+        this.scale.semitones.forEach((semitones, i) => {
+            const pitchClass = mod(this.tonic + semitones, 12);
+            this.inScale[pitchClass] = true;
+            if (!this.isChromatic) {
+                const letter = mod(this.tonicLetter + this.scale.letters[i], 7);
+                this.spellings[pitchClass] ??= spell(letter, pitchClass);
+            }
+        });
+        for (let pitchClass = 0; pitchClass < 12; pitchClass++) {
+            this.spellings[pitchClass] ??= this.chromaticSpelling(pitchClass);
+        }
+    }
+
+    /**
+     * @param {number} pitchClass
+     * @returns {Object} { letter, accidental } for a note outside the scale
+     */
+    chromaticSpelling(pitchClass) {
+        const natural = LETTER_PITCHES.indexOf(pitchClass);
+        if (natural >= 0) {
+            return { letter: natural, accidental: 0 };
+        }
+        return this.useFlats
+            ? spell(LETTER_PITCHES.indexOf(mod(pitchClass + 1, 12)), pitchClass)
+            : spell(LETTER_PITCHES.indexOf(mod(pitchClass - 1, 12)), pitchClass);
+    }
+
+    /**
+     * @param {number} midi - Integer MIDI number
+     * @returns {boolean} Whether the note belongs to the scale
+     */
+    contains(midi) {
+        return this.inScale[mod(midi, 12)];
+    }
+
+    /**
+     * @param {number} midi - Integer MIDI number
+     * @returns {boolean} Whether the note is the tonic (C for the chromatic scale)
+     */
+    isTonic(midi) {
+        return mod(midi, 12) === this.tonic;
+    }
+
+    /**
+     * Name of the key, e.g. "F# minor"
+     * @returns {string}
+     */
+    get name() {
+        if (this.isChromatic) return this.scale.label;
+        return `${spellingText(this.spellings[this.tonic])} ${this.scale.label.toLowerCase()}`;
+    }
+
+    /**
+     * Label a note
+     * @param {number} midi - Integer MIDI number
+     * @param {string} style - One of LABEL_STYLES
+     * @returns {string} e.g. "Bb4", "Sib4", "te" or "b7"
+     */
+    label(midi, style = 'letters') {
+        const spelling = this.spellings[mod(midi, 12)];
+        // The octave number follows the letter: B#3 sounds as C4
+        const octave = Math.floor((midi - spelling.accidental) / 12) - 1;
+
+        switch (style) {
+            case 'fixed-do':
+                return `${FIXED_DO[spelling.letter]}${accidentalText(spelling.accidental)}${octave}`;
+
+            case 'movable-do': {
+                const degree = mod(spelling.letter - this.majorLetter, 7);
+                const alteration = mod(mod(midi, 12) - this.majorPitch - MAJOR[degree] + 6, 12) - 6;
+                if (alteration === 0) return MOVABLE_DO[degree];
+                if (alteration === 1) return MOVABLE_DO_RAISED[degree];
+                if (alteration === -1) return MOVABLE_DO_LOWERED[degree];
+                return MOVABLE_DO[degree] + accidentalText(alteration);
+            }
+
+            case 'degrees': {
+                // Relative to the major scale on the tonic: b3 in minor
+                const degree = mod(spelling.letter - this.tonicLetter, 7);
+                const alteration = mod(mod(midi, 12) - this.tonic - MAJOR[degree] + 6, 12) - 6;
+                return `${accidentalText(alteration)}${degree + 1}`;
+            }
+
+            default:
+                return `${spellingText(spelling)}${octave}`;
+        }
+    }
+}
+
+/**
+ * Spell a pitch class on a given letter
+ * @param {number} letter - Index into LETTERS
+ * @param {number} pitchClass
+ * @returns {Object} { letter, accidental } with accidental in semitones (-2 to 2)
+ */
+function spell(letter, pitchClass) {
+    return { letter, accidental: mod(pitchClass - LETTER_PITCHES[letter] + 6, 12) - 6 };
+}
+
+function spellingText({ letter, accidental }) {
+    return LETTERS[letter] + accidentalText(accidental);
+}
+
+function accidentalText(accidental) {
+    return accidental > 0 ? '#'.repeat(accidental) : 'b'.repeat(-accidental);
+}
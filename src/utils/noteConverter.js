@@ -1,16 +1,36 @@
 /**
  * Note Converter Utility
- * Converts between Hz frequencies and musical notes (A440 standard)
+ * Converts between Hz frequencies and musical notes in the active tuning
+ * (A440 equal temperament unless setTuning() is called)
  */
 
-const A4_FREQUENCY = 440;
+import { Tuning } from './tuning.js';
+
 const A4_MIDI_NUMBER = 69;
 const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
 
+let activeTuning = new Tuning();
+
+/**
+ * Change the reference pitch and scale every conversion follows
+ * @param {Tuning} tuning
+ */
+export function setTuning(tuning) {
+    activeTuning = tuning;
+}
+
+/**
+ * @returns {Tuning} The active tuning
+ */
+export function getTuning() {
+    return activeTuning;
+}
+
 /**
  * Convert frequency in Hz to musical note information
  * @param {number} frequency - Frequency in Hz
- * @returns {Object} { note: string, octave: number, cents: number, midiNumber: number }
+ * @returns {Object} { note, octave, cents, exactCents, midiNumber, frequency, noteName }
+ *   for the nearest note of the active tuning (cents measured from that note)
  */
 export function hzToNote(frequency) {
     if (!frequency || frequency <= 0) {
@@ -18,24 +38,17 @@ export function hzToNote(frequency) {
     }
 
     // Calculate MIDI note number (can be fractional)
-    const midiNumber = 12 * Math.log2(frequency / A4_FREQUENCY) + A4_MIDI_NUMBER;
-    const roundedMidi = Math.round(midiNumber);
+    const midiNumber = hzToMidi(frequency);
+    const index = activeTuning.nearest(midiNumber);
 
-    // Calculate cents deviation from nearest note (-50 to +50)
-    const cents = Math.round((midiNumber - roundedMidi) * 100);
-
-    // Get note name and octave
-    const noteIndex = roundedMidi % 12;
-    const octave = Math.floor(roundedMidi / 12) - 1;
-    const note = NOTE_NAMES[noteIndex];
+    // Deviation from the nearest note of the scale
+    const exactCents = (midiNumber - activeTuning.position(index)) * 100;
 
     return {
-        note,
-        octave,
-        cents,
-        midiNumber: roundedMidi,
-        frequency: frequency,
-        noteName: `${note}${octave}`
+        ...describeNote(index),
+        cents: Math.round(exactCents),
+        exactCents,
+        frequency: frequency
     };
 }
 
@@ -52,9 +65,7 @@ export function noteToHz(note, octave) {
     }
 
     const midiNumber = (octave + 1) * 12 + noteIndex;
-    const frequency = A4_FREQUENCY * Math.pow(2, (midiNumber - A4_MIDI_NUMBER) / 12);
-
-    return frequency;
+    return midiToHz(activeTuning.chromaticPosition(midiNumber));
 }
 
 /**
@@ -75,46 +86,66 @@ export function parseNoteString(noteString) {
 }
 
 /**
- * Get all note frequencies for a given range
+ * Get all notes of the active tuning for a given range
  * @param {number} minMidiNumber - Minimum MIDI note number
  * @param {number} maxMidiNumber - Maximum MIDI note number
- * @returns {Array} Array of { note, octave, frequency, noteName, midiNumber }
+ * @returns {Array} Array of { note, octave, frequency, noteName, midiNumber, degree }
+ *   (one per MIDI number for 12-note scales; degree 0 is the tonic)
  */
 export function getNoteRange(minMidiNumber, maxMidiNumber) {
-    const notes = [];
-
-    for (let midi = minMidiNumber; midi <= maxMidiNumber; midi++) {
-        const noteIndex = midi % 12;
-        const octave = Math.floor(midi / 12) - 1;
-        const note = NOTE_NAMES[noteIndex];
-        const frequency = A4_FREQUENCY * Math.pow(2, (midi - A4_MIDI_NUMBER) / 12);
-
-        notes.push({
-            note,
-            octave,
-            frequency,
-            noteName: `${note}${octave}`,
-            midiNumber: midi
-        });
+    const size = activeTuning.degrees.length;
+    return activeTuning.notesBetween(minMidiNumber, maxMidiNumber).map(index => ({
+        ...describeNote(index),
+        frequency: midiToHz(activeTuning.position(index)),
+        degree: ((index % size) + size) % size
+    }));
+}
+
+/**
+ * Chromatic name of a MIDI note, whatever the tuning
+ * @param {number} midiNumber - Integer MIDI number
+ * @returns {string} e.g. "C#4"
+ */
+export function midiToNoteName(midiNumber) {
+    return `${NOTE_NAMES[((midiNumber % 12) + 12) % 12]}${Math.floor(midiNumber / 12) - 1}`;
+}
+
+/**
+ * Name a note of the active tuning
+ * @param {number} index - Tuning note index
+ * @returns {Object} { note, octave, noteName, midiNumber }; notes of scales
+ *   without 12 notes per octave are named after the nearest chromatic note,
+ *   with their offset in cents (e.g. "D#4-26")
+ */
+function describeNote(index) {
+    const midiNumber = activeTuning.midiNumber(index);
+    const note = NOTE_NAMES[((midiNumber % 12) + 12) % 12];
+    const octave = Math.floor(midiNumber / 12) - 1;
+
+    let suffix = '';
+    if (!activeTuning.isChromatic) {
+        const offset = Math.round((activeTuning.position(index) - midiNumber) * 100);
+        suffix = offset === 0 ? '' : `${offset > 0 ? '+' : ''}${offset}`;
     }
 
-    return notes;
+    return { note, octave, noteName: `${note}${octave}${suffix}`, midiNumber };
 }
 
 /**
  * Get frequency from MIDI note number
- * @param {number} midiNumber - MIDI note number (0-127)
+ * @param {number} midiNumber - MIDI note number (0-127), may be fractional;
+ *   equal-tempered steps from A4 at the reference pitch
  * @returns {number} Frequency in Hz
  */
 export function midiToHz(midiNumber) {
-    return A4_FREQUENCY * Math.pow(2, (midiNumber - A4_MIDI_NUMBER) / 12);
+    return activeTuning.referencePitch * Math.pow(2, (midiNumber - A4_MIDI_NUMBER) / 12);
 }
 
 /**
  * Get MIDI note number from frequency
  * @param {number} frequency - Frequency in Hz
- * @returns {number} MIDI note number
+ * @returns {number} MIDI note number (fractional, relative to the reference pitch)
  */
 export function hzToMidi(frequency) {
-    return 12 * Math.log2(frequency / A4_FREQUENCY) + A4_MIDI_NUMBER;
+    return 12 * Math.log2(frequency / activeTuning.referencePitch) + A4_MIDI_NUMBER;
 }
@@ -0,0 +1,168 @@
+/**
+ * Pitch History
+ * Ring buffer of pitch points stored in typed arrays (21 bytes per analysis
+ * hop instead of an object each), so a whole session fits in memory. Grows as
+ * points arrive, up to maxLength; after that the oldest points are overwritten.
+ */
+
+const INITIAL_CAPACITY = 4096;
+
+export class PitchHistory {
+    /**
+     * @param {number} maxLength - Most points kept
+     */
+    constructor(maxLength) {
+        this.maxLength = Math.max(1, maxLength);
+        this.start = 0; // Slot of the oldest point
+        this.length = 0;
+        this.allocate(Math.min(INITIAL_CAPACITY, this.maxLength));
+    }
+
+    /**
+     * Move the points into arrays of a new size, oldest first
+     * @param {number} capacity - At least this.length
+     */
+    allocate(capacity) {
+        const timestamps = new Float64Array(capacity);
+        const frequencies = new Float32Array(capacity);
+        const confidences = new Float32Array(capacity);
+        const rms = new Float32Array(capacity);
+        const voiced = new Uint8Array(capacity);
+
+        for (let i = 0; i < this.length; i++) {
+            const slot = this.slot(i);
+            timestamps[i] = this.timestamps[slot];
+            frequencies[i] = this.frequencies[slot];
+            confidences[i] = this.confidences[slot];
+            rms[i] = this.rms[slot];
+            voiced[i] = this.voiced[slot];
+        }
+
+        this.timestamps = timestamps;
+        this.frequencies = frequencies;
+        this.confidences = confidences;
+        this.rms = rms;
+        this.voiced = voiced;
+        this.capacity = capacity;
+        this.start = 0;
+    }
+
+    /**
+     * @param {number} index - 0 = oldest point
+     * @returns {number} Array slot holding the point
+     */
+    slot(index) {
+        const slot = this.start + index;
+        return slot < this.capacity ? slot : slot - this.capacity;
+    }
+
+    /**
+     * Append a point (timestamps must not decrease)
+     * @param {Object} point - { frequency (null if none), confidence, rms, voiced, timestamp }
+     */
+    push(point) {
+        let slot;
+        if (this.length < this.capacity) {
+            slot = this.slot(this.length);
+            this.length++;
+        } else if (this.capacity < this.maxLength) {
+            this.allocate(Math.min(this.capacity * 2, this.maxLength));
+            slot = this.length++;
+        } else {
+            // Full: overwrite the oldest point
+            slot = this.start;
+            this.start = this.slot(1);
+        }
+
+        this.timestamps[slot] = point.timestamp;
+        this.frequencies[slot] = point.frequency || 0;
+        this.confidences[slot] = point.confidence;
+        this.rms[slot] = point.rms;
+        this.voiced[slot] = point.voiced ? 1 : 0;
+    }
+
+    /**
+     * @param {number} index - 0 = oldest point
+     * @returns {Object} { frequency, confidence, rms, voiced, timestamp }
+     */
+    get(index) {
+        const slot = this.slot(index);
+        return {
+            frequency: this.frequencies[slot] || null,
+            confidence: this.confidences[slot],
+            rms: this.rms[slot],
+            voiced: this.voiced[slot] === 1,
+            timestamp: this.timestamps[slot]
+        };
+    }
+
+    // Field accessors for drawing loops (no object per point)
+    timestampAt(index) {
+        return this.timestamps[this.slot(index)];
+    }
+
+    frequencyAt(index) {
+        return this.frequencies[this.slot(index)] || null;
+    }
+
+    confidenceAt(index) {
+        return this.confidences[this.slot(index)];
+    }
+
+    voicedAt(index) {
+        return this.voiced[this.slot(index)] === 1;
+    }
+
+    /**
+     * Points within a time range
+     * @param {number} startTime - ms
+     * @param {number} endTime - ms
+     * @returns {Array} { frequency, confidence, rms, voiced, timestamp }, oldest first
+     */
+    slice(startTime = -Infinity, endTime = Infinity) {
+        const points = [];
+        for (let i = this.indexAt(startTime); i < this.length && this.timestampAt(i) <= endTime; i++) {
+            points.push(this.get(i));
+        }
+        return points;
+    }
+
+    /**
+     * Binary search: index of the first point at or after a timestamp
+     * @param {number} timestamp - ms
+     * @returns {number} Index (this.length if none)
+     */
+    indexAt(timestamp) {
+        let lo = 0;
+        let hi = this.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (this.timestampAt(mid) < timestamp) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo;
+    }
+
+    /**
+     * Change how many points are kept, dropping the oldest if there are more
+     * @param {number} maxLength
+     */
+    setMaxLength(maxLength) {
+        this.maxLength = Math.max(1, maxLength);
+        if (this.length > this.maxLength) {
+            this.start = this.slot(this.length - this.maxLength);
+            this.length = this.maxLength;
+        }
+        if (this.capacity > this.maxLength) {
+            this.allocate(this.maxLength);
+        }
+    }
+
+    /**
+     * Forget every point (keeps the allocated arrays)
+     */
+    clear() {
+        this.start = 0;
+        this.length = 0;
+    }
+}
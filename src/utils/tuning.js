@@ -0,0 +1,238 @@
+/**
+ * Tuning
+ * Reference pitch, historical temperaments and Scala (.scl) scales.
+ *
+ * Pitches are placed on a continuous "MIDI" axis: 12 equal steps per octave
+ * with 69 = A4 at the reference pitch. A tuning says where on that axis each
+ * of its scale notes sits, e.g. the just major third above C4 is at 63.86.
+ * Scales of 12 notes per octave keep their chromatic note names (and A4 stays
+ * exactly at the reference pitch); other scales are named after the nearest
+ * chromatic note.
+ */
+
+const EQUAL_FIFTH = 700;
+const PURE_FIFTH = 1200 * Math.log2(3 / 2);
+const MEANTONE_FIFTH = 1200 * Math.log2(5) / 4; // Quarter-comma: pure major thirds
+
+/**
+ * Temperaments built from a tonic, as cents above it for each semitone
+ */
+export const TEMPERAMENTS = [
+    {
+        id: 'equal',
+        label: 'Equal temperament',
+        degrees: fifths(EQUAL_FIFTH, [0, 7, 2, -3, 4, -1, 6, 1, 8, 3, -2, 5])
+    },
+    {
+        id: 'just',
+        label: 'Just intonation (5-limit)',
+        degrees: [1, 16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3, 45 / 32, 3 / 2, 8 / 5, 5 / 3, 9 / 5, 15 / 8]
+            .map(ratio => 1200 * Math.log2(ratio))
+    },
+    {
+        // Db to F#: the wolf fifth falls between F# and Db
+        id: 'pythagorean',
+        label: 'Pythagorean',
+        degrees: fifths(PURE_FIFTH, [0, -5, 2, -3, 4, -1, 6, 1, -4, 3, -2, 5])
+    },
+    {
+        // Eb to G#: the wolf fifth falls between G# and Eb
+        id: 'meantone',
+        label: 'Quarter-comma meantone',
+        degrees: fifths(MEANTONE_FIFTH, [0, 7, 2, -3, 4, -1, 6, 1, 8, 3, -2, 5])
+    }
+];
+
+/**
+ * Scale from a chain of fifths
+ * @param {number} fifth - Size of the fifth in cents
+ * @param {number[]} steps - Fifths above (or below) the tonic for each semitone
+ * @returns {number[]} Cents above the tonic, within one octave
+ */
+function fifths(fifth, steps) {
+    return steps.map(n => mod(n * fifth, 1200));
+}
+
+export class Tuning {
+    /**
+     * @param {Object} options
+     * @param {string} options.name - Shown in the menu and logs
+     * @param {number} options.referencePitch - A4 in Hz
+     * @param {number} options.tonic - Pitch class the scale is built on (0 = C)
+     * @param {number[]} options.degrees - Cents above the tonic, ascending from 0
+     * @param {number} options.period - Cents after which the scale repeats (1200 = octave)
+     */
+    constructor({ name = 'Equal temperament', referencePitch = 440, tonic = 0, degrees = TEMPERAMENTS[0].degrees, period = 1200 } = {}) {
+        this.name = name;
+        this.referencePitch = referencePitch;
+        this.tonic = tonic;
+        this.degrees = degrees;
+        this.period = period;
+        this.isChromatic = degrees.length === 12;
+
+        // Chromatic scales are shifted so A4 lands on the reference pitch;
+        // others start from the tonic's equal-tempered pitch
+        this.shift = 0;
+        if (this.isChromatic) {
+            this.shift = 69 - this.position(69 - tonic);
+        }
+    }
+
+    /**
+     * Where a scale note sits on the pitch axis
+     * @param {number} index - Scale notes above (or below) the tonic in octave -1
+     * @returns {number} Fractional MIDI number
+     */
+    position(index) {
+        const size = this.degrees.length;
+        const repeat = Math.floor(index / size);
+        const cents = repeat * this.period + this.degrees[index - repeat * size];
+        return this.tonic + this.shift + cents / 100;
+    }
+
+    /**
+     * The MIDI note a scale note is named after
+     * @param {number} index
+     * @returns {number}
+     */
+    midiNumber(index) {
+        return this.isChromatic ? this.tonic + index : Math.round(this.position(index));
+    }
+
+    /**
+     * The scale note closest to a pitch
+     * @param {number} midi - Fractional MIDI number
+     * @returns {number} Index of the note
+     */
+    nearest(midi) {
+        const size = this.degrees.length;
+        const repeat = Math.floor((midi - this.tonic - this.shift) / (this.period / 100));
+
+        // The closest note is in this repeat of the scale or next to it
+        let best = repeat * size;
+        for (let index = best - 1; index <= (repeat + 1) * size; index++) {
+            if (Math.abs(this.position(index) - midi) < Math.abs(this.position(best) - midi)) {
+                best = index;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Scale notes named after the MIDI notes in a range
+     * @param {number} minMidi
+     * @param {number} maxMidi
+     * @returns {number[]} Indexes, ascending
+     */
+    notesBetween(minMidi, maxMidi) {
+        const indexes = [];
+        if (this.isChromatic) {
+            for (let midi = minMidi; midi <= maxMidi; midi++) {
+                indexes.push(midi - this.tonic);
+            }
+            return indexes;
+        }
+
+        for (let index = this.nearest(minMidi - 1); this.midiNumber(index) <= maxMidi; index++) {
+            if (this.midiNumber(index) >= minMidi) {
+                indexes.push(index);
+            }
+        }
+        return indexes;
+    }
+
+    /**
+     * Where a chromatic note (e.g. "E4" in a menu) sits in this tuning
+     * @param {number} midi - Integer MIDI number
+     * @returns {number} Fractional MIDI number (equal-tempered if the scale
+     *   doesn't have 12 notes per octave)
+     */
+    chromaticPosition(midi) {
+        return this.isChromatic ? this.position(midi - this.tonic) : midi;
+    }
+}
+
+/**
+ * Build a tuning from menu settings
+ * @param {Object} settings - { referencePitch, temperament (TEMPERAMENTS id or
+ *   'scala'), tonic, scale (parseScala() result, for 'scala') }
+ * @returns {Tuning}
+ */
+export function createTuning({ referencePitch = 440, temperament = 'equal', tonic = 0, scale = null }) {
+    if (temperament === 'scala' && scale) {
+        return new Tuning({ name: scale.name, referencePitch, tonic, degrees: scale.degrees, period: scale.period });
+    }
+
+    const { label, degrees } = TEMPERAMENTS.find(t => t.id === temperament) ?? TEMPERAMENTS[0];
+    return new Tuning({ name: label, referencePitch, tonic, degrees });
+}
+
+/**
+ * Parse a Scala scale file (https://www.huygens-fokker.org/scala/scl_format.html)
+ * @param {string} text - .scl contents
+ * @param {string} fallbackName - Used if the file has no description
+ * @returns {Object} { name, degrees (cents, ascending from 0), period (cents) }
+ * @throws {Error} With the line number if the file is malformed
+ */
+export function parseScala(text, fallbackName = 'Scala scale') {
+    // Lines starting with '!' are comments; the description may be empty
+    // but later blank lines are skipped
+    const lines = text.split(/\r?\n/)
+        .map((line, i) => ({ line: line.trim(), number: i + 1 }))
+        .filter(({ line }) => !line.startsWith('!'))
+        .filter(({ line }, i) => i === 0 || line !== '');
+
+    if (lines.length < 2) {
+        throw new Error('Not a Scala file: missing description or note count');
+    }
+
+    const count = parseInt(lines[1].line);
+    if (!(count > 0)) {
+        throw new Error(`Line ${lines[1].number}: expected the number of notes, got "${lines[1].line}"`);
+    }
+
+    const pitches = lines.slice(2, 2 + count).map(({ line, number }) => {
+        const cents = parsePitch(line.split(/\s+/)[0]);
+        if (!Number.isFinite(cents)) {
+            throw new Error(`Line ${number}: "${line}" is not a cents value or ratio`);
+        }
+        return { cents, number };
+    });
+    if (pitches.length < count) {
+        throw new Error(`Expected ${count} notes, found ${pitches.length}`);
+    }
+
+    // The last pitch is the interval the scale repeats at
+    const { cents: period, number: periodLine } = pitches.pop();
+    if (period <= 0) {
+        throw new Error(`Line ${periodLine}: the scale must repeat at an interval above 1/1`);
+    }
+    const degrees = [0, ...pitches.map(({ cents, number }) => {
+        if (cents <= 0 || cents >= period) {
+            throw new Error(`Line ${number}: notes must lie between 1/1 and the repeat interval`);
+        }
+        return cents;
+    })].sort((a, b) => a - b);
+
+    return { name: lines[0].line || fallbackName, degrees, period };
+}
+
+/**
+ * @param {string} value - Cents ("386.31", always with a period) or a ratio ("5/4", "2")
+ * @returns {number} Cents, NaN if unreadable
+ */
+function parsePitch(value) {
+    if (value.includes('.')) {
+        return parseFloat(value);
+    }
+    const [numerator, denominator = '1'] = value.split('/');
+    const ratio = parseInt(numerator) / parseInt(denominator);
+    return ratio > 0 ? 1200 * Math.log2(ratio) : NaN;
+}
+
+/**
+ * Modulo that stays positive for negative numbers
+ */
+export function mod(value, divisor) {
+    return ((value % divisor) + divisor) % divisor;
+}
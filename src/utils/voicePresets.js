@@ -0,0 +1,93 @@
+/**
+ * Voice and Instrument Presets
+ * Each preset sets the detection range, analysis buffer size (latency vs.
+ * low-note stability) and display range together.
+ */
+
+import { parseNoteString, hzToMidi, midiToHz } from './noteConverter.js';
+
+// Detection extends this far beyond the nominal range (semitones)
+const DETECTION_MARGIN = 5;
+// Display extends this far beyond the nominal range (semitones)
+const DISPLAY_MARGIN = 3;
+
+/**
+ * Nominal range (lowest/highest note) and analysis buffer per preset.
+ * Larger buffers resolve low notes better but add latency
+ * (8192 samples ≈ 186ms at 44.1kHz, 2048 ≈ 46ms).
+ */
+export const VOICE_PRESETS = {
+    auto: { label: 'Auto (any voice)', group: null },
+    bass: { label: 'Bass', group: 'Voices', range: ['E2', 'E4'], bufferSize: 8192 },
+    baritone: { label: 'Baritone', group: 'Voices', range: ['G2', 'G4'], bufferSize: 8192 },
+    tenor: { label: 'Tenor', group: 'Voices', range: ['C3', 'C5'], bufferSize: 4096 },
+    alto: { label: 'Alto', group: 'Voices', range: ['F3', 'F5'], bufferSize: 4096 },
+    soprano: { label: 'Soprano', group: 'Voices', range: ['C4', 'C6'], bufferSize: 2048 },
+    whistle: { label: 'Whistle Register', group: 'Voices', range: ['C6', 'C8'], bufferSize: 1024 },
+    violin: { label: 'Violin', group: 'Instruments', range: ['G3', 'E7'], bufferSize: 2048 },
+    viola: { label: 'Viola', group: 'Instruments', range: ['C3', 'E6'], bufferSize: 4096 },
+    cello: { label: 'Cello', group: 'Instruments', range: ['C2', 'A5'], bufferSize: 8192 },
+    custom: { label: 'Custom…', group: null }
+};
+
+// Settings used by 'auto': the original wide-open defaults with auto-ranging
+export const AUTO_SETTINGS = {
+    minFrequency: 50,
+    maxFrequency: 2000,
+    bufferSize: 8192,
+    minMidiNote: 48, // C3
+    maxMidiNote: 84, // C6
+    autoRange: true
+};
+
+export const BUFFER_SIZES = [1024, 2048, 4096, 8192, 16384];
+
+/**
+ * Resolve a preset to concrete detector and display settings
+ * @param {string} id - Preset id from VOICE_PRESETS
+ * @param {Object} custom - For 'custom': { lowNote, highNote, bufferSize }
+ * @returns {Object} { minFrequency, maxFrequency, bufferSize, minMidiNote, maxMidiNote, autoRange }
+ */
+export function resolveVoicePreset(id, custom = {}) {
+    const preset = VOICE_PRESETS[id];
+    if (!preset) {
+        throw new Error(`Unknown voice preset: ${id}`);
+    }
+
+    if (id === 'auto') {
+        return { ...AUTO_SETTINGS };
+    }
+
+    const [lowNote, highNote] = id === 'custom'
+        ? [custom.lowNote, custom.highNote]
+        : preset.range;
+    const requestedBufferSize = id === 'custom' ? custom.bufferSize : preset.bufferSize;
+
+    const lowMidi = Math.round(hzToMidi(parseNoteString(lowNote)));
+    const highMidi = Math.round(hzToMidi(parseNoteString(highNote)));
+    if (highMidi <= lowMidi) {
+        throw new Error(`Invalid range: ${lowNote}-${highNote}`);
+    }
+
+    const minFrequency = midiToHz(lowMidi - DETECTION_MARGIN);
+
+    return {
+        minFrequency,
+        maxFrequency: midiToHz(highMidi + DETECTION_MARGIN),
+        bufferSize: Math.max(requestedBufferSize, minimumBufferSize(minFrequency)),
+        minMidiNote: lowMidi - DISPLAY_MARGIN,
+        maxMidiNote: highMidi + DISPLAY_MARGIN,
+        autoRange: false
+    };
+}
+
+/**
+ * Smallest buffer whose analysis window (half the buffer) spans two periods
+ * of the lowest frequency, at sample rates up to 48kHz
+ * @param {number} minFrequency - Lowest frequency to detect in Hz
+ * @returns {number} Buffer size (power of two)
+ */
+export function minimumBufferSize(minFrequency) {
+    const needed = 4 * (48000 / minFrequency);
+    return BUFFER_SIZES.find(size => size >= needed) || BUFFER_SIZES[BUFFER_SIZES.length - 1];
+}
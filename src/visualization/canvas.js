@@ -1,16 +1,38 @@
 /**
  * Canvas Rendering Engine for Pitch Visualization
+ * Optionally draws in a worker (see renderWorker.js): the page's renderer
+ * keeps all state and sends the worker's renderer what changed each frame.
  */
 
-import { getNoteRange, hzToMidi } from '../utils/noteConverter.js';
+import { getNoteRange, getTuning, hzToMidi, setTuning } from '../utils/noteConverter.js';
+import { MusicKey } from '../utils/musicKey.js';
+import { Tuning } from '../utils/tuning.js';
+import { PitchHistory } from '../utils/pitchHistory.js';
+import { TunerOverlay } from './tunerOverlay.js';
+
+// Settings the worker's renderer draws with, copied every frame
+const WORKER_VIEW_FIELDS = [
+    'width', 'height', 'dpr', 'timeWindow', 'minMidiNote', 'maxMidiNote', 'displayDelay', 'lookAhead',
+    'timelineMode', 'isPaused', 'fileDuration', 'viewStart', 'viewDuration', 'playheadTime',
+    'gapToleranceMs', 'minConfidence', 'showVibrato', 'showNotes', 'showTuner', 'labelStyle',
+    'mode', 'targetFrequency', 'rangeMin', 'rangeMax', 'sessionStart', 'currentNote'
+];
 
 export class CanvasRenderer {
-    constructor(canvasId) {
-        this.canvas = document.getElementById(canvasId);
-        this.ctx = this.canvas.getContext('2d');
+    /**
+     * @param {string|OffscreenCanvas} canvas - Id of the canvas on the page, or
+     *   (in the render worker) the OffscreenCanvas transferred from it
+     * @param {Object} options
+     * @param {Worker|null} options.worker - Render worker to draw the screen in
+     *   (page only); drawing stays on the page if the canvas can't be transferred
+     */
+    constructor(canvas, { worker = null } = {}) {
+        this.isOnPage = typeof canvas === 'string';
+        this.canvas = this.isOnPage ? document.getElementById(canvas) : canvas;
+        this.ctx = null; // Set below, unless the worker draws the screen
 
         // Display settings
-        this.dpr = window.devicePixelRatio || 1;
+        this.dpr = this.isOnPage ? window.devicePixelRatio || 1 : 1;
         this.width = 0;
         this.height = 0;
 
@@ -27,15 +49,75 @@ export class CanvasRenderer {
         this.autoRangeSamples = [];
         this.autoRangeSampleCount = 10; // Number of samples before auto-centering
 
-        // Pitch data buffer
-        this.pitchData = [];
-        this.maxDataPoints = 600; // ~10s at 60fps
+        // Pitch data: one point per analysis hop, independent of frame rate. The
+        // live session is kept whole (up to maxHistorySeconds) so it can be
+        // scrolled back through; an analyzed file gets its own history
+        this.analysisHopMs = 10;
+        this.maxHistorySeconds = 2 * 60 * 60;
+        this.liveHistory = new PitchHistory(this.computeMaxDataPoints());
+        this.history = this.liveHistory; // The one being shown
+        this.sessionStart = null; // ms, first live point (time axis origin while paused)
+
+        // Live display runs this far behind now so points arriving in batches
+        // scroll in smoothly instead of popping in at the right edge
+        this.displayDelay = 0; // ms, tracks the typical frame age on arrival
+        this.displayDelaySmoothing = 0.05;
+
+        // Fraction of the graph kept to the right of now (live mode), so upcoming
+        // guide notes are visible before they have to be sung
+        this.lookAhead = 0;
+
+        // Timeline: 'live' scrolls right-to-left ending at now; 'file' shows a
+        // scrollable/zoomable range of an analyzed recording. A paused live view
+        // is scrolled and zoomed like a file, over the session so far
+        this.timelineMode = 'live';
+        this.isPaused = false; // Live view frozen for review
+        this.fileDuration = 0; // Seconds
+        this.viewStart = 0; // Seconds at the left edge (file mode, paused live view)
+        this.viewDuration = 10; // Seconds visible (file mode, paused live view)
+        this.minViewDuration = 0.5;
+        this.playheadTime = null; // Seconds, null = no playhead
+        this.followPlayhead = true; // Page the view to keep the playhead visible
 
         // Line rendering settings
-        this.gapThreshold = 3; // Number of null points before breaking line (adjustable)
+        this.gapToleranceMs = 70; // Break the line when confident points are further apart (adjustable)
+        this.minConfidence = 0.5; // Frames below this confidence count as gaps
+        this.fullConfidence = 0.9; // Frames at or above this confidence are drawn fully opaque
+        this.minLineAlpha = 0.2; // Opacity of the least confident drawn segments
+
+        // Vibrato annotations (sections from VibratoAnalyzer, same timeline as the history)
+        this.vibratoSections = [];
+        this.showVibrato = true;
+
+        // Guide notes to sing along to ({ startTime, endTime, midi, glideToMidi,
+        // result }, same timeline as the history), colored by score once sung
+        this.guideNotes = [];
+
+        // Sung notes from the NoteSegmenter (same timeline as the history),
+        // drawn as labeled bars; currentNote is the one still being sung
+        this.sungNotes = [];
+        this.currentNote = null;
+        this.showNotes = false;
+
+        // Key for grid highlighting and note spelling, and how notes are named
+        // ('letters', 'fixed-do', 'movable-do' or 'degrees')
+        this.key = new MusicKey();
+        this.labelStyle = 'letters';
+
+        // Background, grid and note labels only change with the note range,
+        // size, key, label style and tuning, so they are drawn into a layer
+        // once and copied onto the screen every frame
+        this.gridLayer = null; // OffscreenCanvas (or detached canvas), created on first use
+        this.gridLayerCtx = null;
+        this.gridLayerState = null; // What the layer shows, see drawGridLayer()
+
+        // Tuner readout (drawn in every visual mode)
+        this.tuner = new TunerOverlay();
+        this.tuner.labelNote = (note) => this.noteLabel(note);
+        this.showTuner = true;
 
         // Visual mode
-        this.mode = 'normal'; // 'normal', 'target', 'range'
+        this.mode = 'normal'; // 'normal', 'target', 'range', 'exercise'
         this.targetFrequency = null;
         this.rangeMin = null;
         this.rangeMax = null;
@@ -45,30 +127,127 @@ export class CanvasRenderer {
             background: '#0a0a0a',
             grid: 'rgba(255, 255, 255, 0.08)',
             gridBold: 'rgba(255, 255, 255, 0.15)',
+            gridInScale: 'rgba(255, 255, 255, 0.12)',
+            gridOutOfScale: 'rgba(255, 255, 255, 0.03)',
             pitchLine: '#00ff88',
             targetLine: '#00d4ff',
             rangeZone: 'rgba(0, 212, 255, 0.15)',
-            noteLabel: 'rgba(255, 255, 255, 0.7)'
+            noteLabel: 'rgba(255, 255, 255, 0.7)',
+            playhead: '#ffcc00',
+            vibratoZone: 'rgba(255, 120, 220, 0.12)',
+            vibratoLabel: 'rgba(255, 160, 230, 0.95)',
+            guideNote: 'rgba(0, 212, 255, 0.35)',
+            guideNoteActive: 'rgba(0, 212, 255, 0.6)',
+            guideGood: 'rgba(0, 255, 136, 0.5)',
+            guideFair: 'rgba(255, 204, 0, 0.5)',
+            guidePoor: 'rgba(255, 80, 80, 0.5)',
+            sungNote: 'rgba(255, 255, 255, 0.14)',
+            sungNoteLabel: 'rgba(255, 255, 255, 0.75)',
+            nowLine: 'rgba(255, 255, 255, 0.3)',
+            timeLabel: 'rgba(255, 255, 255, 0.5)'
         };
 
+        // Drawing in a worker: what it was last sent, see syncWorker()
+        this.worker = null;
+        this.workerSync = null;
+        this.onWorkerError = null; // Called if the worker fails (the graph is no longer drawn)
+        this.clockOffset = 0; // ms from this thread's performance.now() to the page's
+
         // Initialize
-        this.resize();
-        this.setupResizeListener();
+        if (worker) {
+            this.startWorker(worker);
+        }
+        if (!this.worker) {
+            this.ctx = this.canvas.getContext('2d');
+        }
+        if (this.isOnPage) {
+            this.resize();
+            this.setupResizeListener();
+        }
+    }
+
+    /**
+     * Check whether the graph can be drawn in a worker in this browser
+     * @returns {boolean}
+     */
+    static canRenderInWorker() {
+        if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined' ||
+            !('transferControlToOffscreen' in HTMLCanvasElement.prototype)) {
+            return false;
+        }
+        // Some browsers have OffscreenCanvas without its 2D context
+        try {
+            return Boolean(new OffscreenCanvas(1, 1).getContext('2d'));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Hand the screen canvas to a render worker
+     * @param {Worker} worker - Running renderWorker.js
+     */
+    startWorker(worker) {
+        try {
+            const offscreen = this.canvas.transferControlToOffscreen();
+            worker.postMessage({ type: 'init', canvas: offscreen, timeOrigin: performance.timeOrigin }, [offscreen]);
+        } catch (error) {
+            console.warn('[Canvas] Can\'t draw in a worker, drawing on the page:', error);
+            worker.terminate();
+            return;
+        }
+
+        worker.onmessage = (e) => {
+            if (e.data.type === 'rendered' && this.workerSync) {
+                this.workerSync.busy = false;
+            }
+        };
+        worker.onerror = (error) => {
+            console.error('[Canvas] Render worker error:', error);
+            worker.terminate();
+            this.worker = null;
+            this.workerSync = null;
+            this.onWorkerError?.();
+        };
+
+        this.worker = worker;
+        this.workerSync = {
+            busy: false, // Drawing the last frame sent; frames are skipped until it's done
+            points: [], // Live points since the last frame sent
+            clearLive: false,
+            history: this.liveHistory,
+            sungNotes: { list: null, last: null },
+            vibratoSections: { list: null, last: null },
+            guideNotes: { list: null, results: [] },
+            key: null,
+            tuning: null
+        };
+        console.log('🧵 [Canvas] Drawing in a worker');
     }
 
     /**
-     * Resize canvas to fill viewport with high DPI support
+     * @returns {number} ms on the page's performance.now() timeline (in the
+     *   render worker too)
+     */
+    now() {
+        return performance.now() + this.clockOffset;
+    }
+
+    /**
+     * Resize canvas to fill viewport with high DPI support (the worker
+     * resizes its canvas to match)
      */
     resize() {
         this.width = window.innerWidth;
         this.height = window.innerHeight;
 
-        this.canvas.width = this.width * this.dpr;
-        this.canvas.height = this.height * this.dpr;
+        if (this.ctx) {
+            this.canvas.width = this.width * this.dpr;
+            this.canvas.height = this.height * this.dpr;
+            this.ctx.scale(this.dpr, this.dpr);
+        }
         this.canvas.style.width = `${this.width}px`;
         this.canvas.style.height = `${this.height}px`;
-
-        this.ctx.scale(this.dpr, this.dpr);
     }
 
     /**
@@ -83,14 +262,17 @@ export class CanvasRenderer {
     }
 
     /**
-   * Add pitch data point
-   * @param {number|null} frequency - Frequency in Hz
-   */
-    addPitchData(frequency) {
-        const timestamp = performance.now();
+     * Add pitch data point
+     * @param {Object} frame - Pitch frame { frequency, confidence, rms, voiced, timestamp }
+     *   (timestamp in ms on the performance.now() timeline, defaults to now)
+     */
+    addPitchData(frame) {
+        const point = this.toPoint(frame);
+        const { frequency, timestamp } = point;
+        const isConfident = this.isConfidentPoint(point);
 
-        // Auto-range on first valid pitches
-        if (frequency && this.autoRangeEnabled && !this.hasAutoRanged) {
+        // Auto-range on first confident pitches
+        if (isConfident && this.autoRangeEnabled && !this.hasAutoRanged) {
             this.autoRangeSamples.push(frequency);
 
             if (this.autoRangeSamples.length >= this.autoRangeSampleCount) {
@@ -99,13 +281,14 @@ export class CanvasRenderer {
             }
         }
 
-        this.pitchData.push({
-            frequency,
-            timestamp
-        });
+        this.liveHistory.push(point);
+        this.workerSync?.points.push(point);
+        this.sessionStart ??= timestamp;
+        this.updateDisplayDelay(timestamp);
+        this.tuner.update(point, isConfident);
 
         // Update range tracking
-        if (frequency && this.mode === 'range') {
+        if (isConfident && this.mode === 'range') {
             if (this.rangeMin === null || frequency < this.rangeMin) {
                 this.rangeMin = frequency;
             }
@@ -113,10 +296,297 @@ export class CanvasRenderer {
                 this.rangeMax = frequency;
             }
         }
+    }
+
+    /**
+     * Track how old frames are when they arrive (live mode)
+     * @param {number} timestamp - Frame timestamp in ms (performance.now() timeline)
+     */
+    updateDisplayDelay(timestamp) {
+        if (this.timelineMode !== 'live') return;
+
+        const age = Math.max(0, this.now() - timestamp);
+        // Rise quickly so late batches aren't cut off, settle back slowly
+        const rate = age > this.displayDelay ? 0.5 : this.displayDelaySmoothing;
+        this.displayDelay += (age - this.displayDelay) * rate;
+    }
+
+    /**
+     * Live history capacity at the analysis hop
+     * @returns {number}
+     */
+    computeMaxDataPoints() {
+        return Math.ceil(this.maxHistorySeconds * 1000 / this.analysisHopMs);
+    }
+
+    /**
+     * Normalize a pitch frame into a stored point
+     * @param {Object} frame - Pitch frame
+     * @returns {Object} { frequency, confidence, rms, voiced, timestamp }
+     */
+    toPoint(frame) {
+        return {
+            frequency: frame.frequency || null,
+            confidence: frame.confidence ?? 0,
+            rms: frame.rms ?? 0,
+            voiced: frame.voiced ?? Boolean(frame.frequency),
+            timestamp: frame.timestamp ?? this.now()
+        };
+    }
+
+    /**
+     * Switch to file mode and show a whole analyzed recording
+     * @param {Array} frames - Pitch frames with timestamp in ms from the start of the file
+     * @param {number} duration - File length in seconds
+     */
+    showFile(frames, duration) {
+        this.resetRange();
+        this.hasAutoRanged = false;
+        this.autoRangeSamples = [];
+        this.isPaused = false;
+        this.timelineMode = 'file';
+        this.history = new PitchHistory(frames.length);
+        frames.forEach(frame => this.history.push(this.toPoint(frame)));
+        this.fileDuration = duration;
+        this.viewStart = 0;
+        this.viewDuration = Math.max(this.minViewDuration, duration);
+        this.playheadTime = 0;
+
+        if (this.autoRangeEnabled) {
+            this.fitNoteRangeToData();
+        }
+
+        if (this.mode === 'range') {
+            for (let i = 0; i < this.history.length; i++) {
+                if (!this.isConfidentAt(i)) continue;
+                const frequency = this.history.frequencyAt(i);
+                this.rangeMin = this.rangeMin === null ? frequency : Math.min(this.rangeMin, frequency);
+                this.rangeMax = this.rangeMax === null ? frequency : Math.max(this.rangeMax, frequency);
+            }
+        }
+    }
+
+    /**
+     * Leave file mode and return to the live timeline (the live session's
+     * history is kept)
+     */
+    exitFileMode() {
+        this.timelineMode = 'live';
+        this.history = this.liveHistory;
+        this.fileDuration = 0;
+        this.playheadTime = null;
+        this.vibratoSections = [];
+        this.tuner.clear();
+        this.resetRange();
+        this.hasAutoRanged = false;
+        this.autoRangeSamples = [];
+    }
+
+    /**
+     * Fit the visible note range to every confident point (file mode)
+     */
+    fitNoteRangeToData() {
+        let low = Infinity;
+        let high = -Infinity;
+        for (let i = 0; i < this.history.length; i++) {
+            if (!this.isConfidentAt(i)) continue;
+            const midi = hzToMidi(this.history.frequencyAt(i));
+            low = Math.min(low, midi);
+            high = Math.max(high, midi);
+        }
+        if (low === Infinity) return;
+
+        this.fitNoteRange(low, high);
+    }
+
+    /**
+     * Show a span of notes (e.g. an exercise's range) with some padding
+     * @param {number} low - Lowest MIDI note to show
+     * @param {number} high - Highest MIDI note to show
+     */
+    fitNoteRange(low, high) {
+        const center = (low + high) / 2;
+        const range = Math.max(12, high - low + 4); // At least an octave, 2 semitones padding
+
+        this.minMidiNote = Math.round(center - range / 2);
+        this.maxMidiNote = Math.round(center + range / 2);
+        this.hasAutoRanged = true;
+    }
+
+    /**
+     * Move the playhead (file mode)
+     * @param {number|null} time - Seconds from the start of the file
+     * @param {boolean} follow - Keep the playhead in view (pass false while paused
+     *   so the user can scroll away from it)
+     */
+    setPlayhead(time, follow = this.followPlayhead) {
+        this.playheadTime = time;
+
+        // Tuner shows the pitch under the playhead
+        if (time !== null && this.history.length > 0) {
+            const index = Math.max(0, this.history.indexAt(time * 1000) - 1);
+            this.tuner.update(this.history.get(index), this.isConfidentAt(index));
+        }
+
+        // Page forward/back like a DAW when the playhead leaves the view
+        if (follow && time !== null &&
+            (time < this.viewStart || time > this.viewStart + this.viewDuration)) {
+            this.setViewStart(time - this.viewDuration * 0.1);
+        }
+    }
+
+    /**
+     * Freeze the live view where it is so it can be scrolled and zoomed
+     * (points keep being recorded)
+     */
+    pause() {
+        if (this.timelineMode !== 'live' || this.isPaused) return;
+
+        const displayNow = this.now() - this.displayDelay;
+        this.viewDuration = this.timeWindow;
+        this.viewStart = displayNow / 1000 - (1 - this.lookAhead) * this.timeWindow;
+        this.isPaused = true;
+        console.log('⏸ [Canvas] Live view paused');
+    }
+
+    /**
+     * Jump back to the scrolling live view
+     */
+    goLive() {
+        if (!this.isPaused) return;
+        this.isPaused = false;
+        console.log('🔴 [Canvas] Back to live');
+    }
+
+    /**
+     * Scroll the view horizontally (pauses the live view)
+     * @param {number} seconds - Positive = later
+     */
+    scrollTime(seconds) {
+        this.pause();
+        this.setViewStart(this.viewStart + seconds);
+    }
+
+    /**
+     * Zoom the view horizontally, keeping anchorTime at the same x (pauses
+     * the live view)
+     * @param {number} factor - > 1 shows more time (zoom out), < 1 shows less
+     * @param {number|null} anchorTime - Seconds on the timeline (see xToTime);
+     *   defaults to the view center
+     */
+    zoomTime(factor, anchorTime = null) {
+        this.pause();
+        anchorTime ??= this.viewStart + this.viewDuration / 2;
+
+        // Out to the whole file, or the whole session (at least the live window)
+        const [start, end] = this.timelineBounds();
+        const maxDuration = Math.max(this.minViewDuration, this.timelineMode === 'file' ? end - start : Math.max(this.timeWindow, end - start));
+        const newDuration = Math.max(this.minViewDuration, Math.min(maxDuration, this.viewDuration * factor));
+        const anchorFraction = (anchorTime - this.viewStart) / this.viewDuration;
+
+        this.viewDuration = newDuration;
+        this.setViewStart(anchorTime - anchorFraction * newDuration);
+    }
+
+    /**
+     * Set the left edge of the view, clamped to the file or session
+     * @param {number} seconds
+     */
+    setViewStart(seconds) {
+        const [start, end] = this.timelineBounds();
+        const maxStart = Math.max(start, end - this.viewDuration);
+        this.viewStart = Math.max(start, Math.min(maxStart, seconds));
+    }
+
+    /**
+     * What can be scrolled through: the file, or the live session from its
+     * oldest kept point to now (plus the look-ahead)
+     * @returns {Array} [start, end] in seconds on the timeline
+     */
+    timelineBounds() {
+        if (this.timelineMode === 'file') {
+            return [0, this.fileDuration];
+        }
+
+        const end = (this.now() - this.displayDelay) / 1000 + this.lookAhead * this.viewDuration;
+        const start = this.liveHistory.length > 0 ? this.liveHistory.timestampAt(0) / 1000 : end - this.viewDuration;
+        return [start, end];
+    }
+
+    /**
+     * Where the time axis counts from: the start of the file, or the session
+     * @returns {number} Seconds on the timeline
+     */
+    getTimeOrigin() {
+        return this.timelineMode === 'file' ? 0 : (this.sessionStart ?? 0) / 1000;
+    }
+
+    /**
+     * @returns {Array} [start, end] in seconds on the timeline, as currently shown
+     */
+    getVisibleTimeRange() {
+        return [this.xToTime(60), this.xToTime(this.width)];
+    }
+
+    /**
+     * Points shown on the timeline between two times
+     * @param {number} start - Seconds on the timeline
+     * @param {number} end
+     * @returns {Array} { frequency, confidence, rms, voiced, timestamp }
+     */
+    getPoints(start, end) {
+        return this.history.slice(start * 1000, end * 1000);
+    }
+
+    /**
+     * How far the paused view's right edge is behind now
+     * @returns {number} Seconds (0 when following live)
+     */
+    getTimeBehindLive() {
+        if (!this.isPaused) return 0;
+        const [, end] = this.timelineBounds();
+        return Math.max(0, end - (this.viewStart + this.viewDuration));
+    }
+
+    /**
+     * Map a stored timestamp to an x coordinate on the active timeline
+     * @param {number} timestamp - ms (performance.now() in live mode, from file start in file mode)
+     * @param {number} now - this.now() for live mode
+     * @returns {number} X coordinate
+     */
+    timeToX(timestamp, now = this.now()) {
+        const labelWidth = 60;
+        const graphWidth = this.width - labelWidth;
+
+        if (this.timelineMode === 'file' || this.isPaused) {
+            return labelWidth + ((timestamp / 1000 - this.viewStart) / this.viewDuration) * graphWidth;
+        }
 
-        // Trim old data based on time window
-        const cutoffTime = timestamp - (this.timeWindow * 1000);
-        this.pitchData = this.pitchData.filter(d => d.timestamp > cutoffTime);
+        // Scroll from right to left, trailing now by the display delay
+        const displayNow = now - this.displayDelay;
+        const nowX = this.width - this.lookAhead * graphWidth;
+        return nowX - ((displayNow - timestamp) / (this.timeWindow * 1000)) * graphWidth;
+    }
+
+    /**
+     * Map an x coordinate to a position on the timeline
+     * @param {number} x - CSS pixels
+     * @returns {number} Seconds from the start of the file (file mode, clamped
+     *   to the file) or on the performance.now() timeline (live mode)
+     */
+    xToTime(x) {
+        const labelWidth = 60;
+        const fraction = (x - labelWidth) / (this.width - labelWidth);
+
+        if (this.timelineMode === 'file') {
+            return Math.max(0, Math.min(this.fileDuration, this.viewStart + fraction * this.viewDuration));
+        }
+        if (this.isPaused) {
+            return this.viewStart + fraction * this.viewDuration;
+        }
+
+        const displayNow = this.now() - this.displayDelay;
+        return (displayNow / 1000) - (1 - this.lookAhead - fraction) * this.timeWindow;
     }
 
     /**
@@ -138,29 +608,69 @@ export class CanvasRenderer {
     }
 
     /**
-     * Clear all pitch data
+     * Set visible note range (e.g. from a voice preset)
+     * @param {number} minMidiNote - Lowest visible MIDI note
+     * @param {number} maxMidiNote - Highest visible MIDI note
+     * @param {boolean} autoRange - Re-center on the first detected pitches
+     */
+    setNoteRange(minMidiNote, maxMidiNote, autoRange = false) {
+        this.minMidiNote = minMidiNote;
+        this.maxMidiNote = maxMidiNote;
+
+        this.autoRangeEnabled = autoRange;
+        this.hasAutoRanged = false;
+        this.autoRangeSamples = [];
+    }
+
+    /**
+     * Clear all pitch data shown (the live session, or the file's)
      */
     clearData() {
-        this.pitchData = [];
-        this.rangeMin = null;
-        this.rangeMax = null;
+        this.history.clear();
+        if (this.history === this.liveHistory) {
+            this.sessionStart = null;
+            this.goLive();
+            if (this.workerSync) {
+                this.workerSync.clearLive = true;
+                this.workerSync.points = [];
+            }
+        } else if (this.workerSync) {
+            this.workerSync.history = null; // Send the (now empty) file history again
+        }
+        this.resetRange();
 
         // Reset auto-range state
         this.hasAutoRanged = false;
         this.autoRangeSamples = [];
     }
 
+    /**
+     * Start measuring the sung range again (range mode)
+     */
+    resetRange() {
+        this.rangeMin = null;
+        this.rangeMax = null;
+    }
+
     /**
      * Main render loop
      */
     render() {
-        // Clear canvas
-        this.ctx.fillStyle = this.colors.background;
-        this.ctx.fillRect(0, 0, this.width, this.height);
+        // The worker draws the screen
+        if (!this.ctx) {
+            if (this.worker) {
+                this.syncWorker();
+            }
+            return;
+        }
 
-        // Draw layers
-        this.drawGrid();
-        this.drawNoteLabels();
+        // Background, grid and labels: cached for the screen, drawn directly
+        // for exports (other contexts)
+        if (this.ctx.canvas === this.canvas) {
+            this.drawGridLayer();
+        } else {
+            this.drawBackground();
+        }
 
         if (this.mode === 'range' && this.rangeMin && this.rangeMax) {
             this.drawRangeZone();
@@ -170,24 +680,253 @@ export class CanvasRenderer {
             this.drawTargetLine();
         }
 
+        if (this.guideNotes.length > 0) {
+            this.drawGuideNotes();
+        }
+
+        if (this.showNotes) {
+            this.drawSungNotes();
+        }
+
+        if (this.showVibrato) {
+            this.drawVibratoZones();
+        }
+
         this.drawPitchGraph();
+
+        if (this.showVibrato) {
+            this.drawVibratoLabels();
+        }
+
+        if (this.timelineMode === 'file') {
+            this.drawTimeAxis();
+            this.drawPlayhead();
+        } else {
+            if (this.isPaused) {
+                this.drawTimeAxis();
+            }
+            if (this.isPaused || this.lookAhead > 0) {
+                this.drawNowLine();
+            }
+        }
+
+        if (this.showTuner) {
+            // Keep clear of the time axis and playback bar
+            const margin = this.timelineMode === 'file' || this.isPaused ? 100 : 24;
+            this.tuner.draw(this.ctx, this.width, this.height - margin);
+        }
     }
 
     /**
-     * Draw musical grid (horizontal lines for each note)
+     * Draw the graph (without the tuner) into another context, e.g. for an
+     * image export
+     * @param {CanvasRenderingContext2D|SvgContext} ctx - Already scaled to CSS pixels
+     * @param {number} width - CSS pixels
+     * @param {number} height
+     * @param {Array|null} range - [start, end] seconds on the timeline to show
+     *   (with a time axis), null for the current view
+     */
+    renderTo(ctx, width, height, range = null) {
+        const saved = {
+            ctx: this.ctx, width: this.width, height: this.height, showTuner: this.showTuner,
+            isPaused: this.isPaused, viewStart: this.viewStart, viewDuration: this.viewDuration
+        };
+
+        this.ctx = ctx;
+        this.width = width;
+        this.height = height;
+        this.showTuner = false;
+        if (range) {
+            // Shown like a paused live view (or a file)
+            this.isPaused = this.timelineMode === 'live';
+            this.viewStart = range[0];
+            this.viewDuration = Math.max(this.minViewDuration, range[1] - range[0]);
+        }
+
+        try {
+            this.render();
+        } finally {
+            Object.assign(this, saved);
+        }
+    }
+
+    /**
+     * Send the render worker what it needs to draw this frame: the view
+     * settings, new live points and the changes to the note and vibrato
+     * lists. Skipped while the worker is still drawing the last frame
+     */
+    syncWorker() {
+        const sync = this.workerSync;
+        if (sync.busy) return;
+
+        const view = {};
+        for (const field of WORKER_VIEW_FIELDS) {
+            view[field] = this[field];
+        }
+        const { note, exactCents, lastConfidentTime, isHeld } = this.tuner;
+        const message = {
+            type: 'render',
+            view,
+            tuner: { note, exactCents, lastConfidentTime, isHeld },
+            maxLength: this.liveHistory.maxLength,
+            clearLive: sync.clearLive,
+            points: sync.points,
+            sungNotes: listChanges(this.sungNotes, sync.sungNotes),
+            vibratoSections: listChanges(this.vibratoSections, sync.vibratoSections),
+            guideNotes: guideNoteChanges(this.guideNotes, sync.guideNotes)
+        };
+
+        // A file's points are sent once, when it is shown
+        if (this.history !== sync.history) {
+            message.history = this.history === this.liveHistory ? 'live' : this.history.slice();
+            sync.history = this.history;
+        }
+        if (this.key !== sync.key) {
+            message.key = this.key;
+            sync.key = this.key;
+        }
+        const tuning = getTuning();
+        if (tuning !== sync.tuning) {
+            message.tuning = tuning;
+            sync.tuning = tuning;
+        }
+
+        this.worker.postMessage(message);
+        sync.busy = true;
+        sync.clearLive = false;
+        sync.points = [];
+    }
+
+    /**
+     * Take over a frame sent by syncWorker() (in the render worker)
+     * @param {Object} message
      */
-    drawGrid() {
+    applyWorkerFrame(message) {
+        // Classes lose their prototype on the way
+        if (message.tuning) {
+            setTuning(Object.setPrototypeOf(message.tuning, Tuning.prototype));
+        }
+        if (message.key) {
+            this.key = Object.setPrototypeOf(message.key, MusicKey.prototype);
+        }
+
+        if (message.maxLength !== this.liveHistory.maxLength) {
+            this.liveHistory.setMaxLength(message.maxLength);
+        }
+        if (message.clearLive) {
+            this.liveHistory.clear();
+        }
+        for (const point of message.points) {
+            this.liveHistory.push(point);
+        }
+        if (message.history === 'live') {
+            this.history = this.liveHistory;
+        } else if (message.history) {
+            this.history = new PitchHistory(message.history.length);
+            message.history.forEach(point => this.history.push(point));
+        }
+
+        applyListChanges(this.sungNotes, message.sungNotes);
+        applyListChanges(this.vibratoSections, message.vibratoSections);
+        if (message.guideNotes.notes) {
+            this.guideNotes = message.guideNotes.notes;
+        }
+        for (const [index, result] of message.guideNotes.results) {
+            this.guideNotes[index].result = result;
+        }
+        Object.assign(this.tuner, message.tuner);
+
+        const { width, height, dpr } = message.view;
+        if (width !== this.width || height !== this.height || dpr !== this.dpr) {
+            this.canvas.width = width * dpr;
+            this.canvas.height = height * dpr;
+            this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        }
+        Object.assign(this, message.view);
+    }
+
+    /**
+     * Copy the background, grid and labels from the cached layer, redrawing
+     * it first when anything it shows has changed (zoom, pan, resize, key,
+     * label style or tuning)
+     */
+    drawGridLayer() {
+        const state = [this.minMidiNote, this.maxMidiNote, this.width, this.height, this.key, this.labelStyle, getTuning()];
+        const isCurrent = this.gridLayerState && state.every((value, i) => value === this.gridLayerState[i]);
+
+        if (!isCurrent) {
+            if (!this.gridLayer) {
+                this.createGridLayer();
+            }
+            this.gridLayer.width = this.canvas.width;
+            this.gridLayer.height = this.canvas.height;
+            this.gridLayerCtx.setTransform(this.dpr, 0, 0, this.dpr, 0, 0);
+
+            const screenCtx = this.ctx;
+            this.ctx = this.gridLayerCtx;
+            try {
+                this.drawBackground();
+            } finally {
+                this.ctx = screenCtx;
+            }
+            this.gridLayerState = state;
+        }
+
+        this.ctx.drawImage(this.gridLayer, 0, 0, this.width, this.height);
+    }
+
+    /**
+     * Create the grid layer, off the DOM
+     */
+    createGridLayer() {
+        if (typeof OffscreenCanvas !== 'undefined') {
+            this.gridLayer = new OffscreenCanvas(this.canvas.width, this.canvas.height);
+            this.gridLayerCtx = this.gridLayer.getContext('2d');
+        }
+        // Some browsers have OffscreenCanvas without its 2D context
+        if (!this.gridLayerCtx) {
+            this.gridLayer = document.createElement('canvas');
+            this.gridLayerCtx = this.gridLayer.getContext('2d');
+        }
+    }
+
+    /**
+     * Fill the background and draw the grid and note labels
+     */
+    drawBackground() {
+        this.ctx.fillStyle = this.colors.background;
+        this.ctx.fillRect(0, 0, this.width, this.height);
+
+        const notes = this.gridNotes();
+        if (notes) {
+            this.drawGrid(notes);
+            this.drawNoteLabels(notes);
+        }
+    }
+
+    /**
+     * Notes of the tuning within the visible range
+     * @returns {Array|null} From getNoteRange(), null if the range is invalid
+     */
+    gridNotes() {
         // Ensure MIDI numbers are valid integers
         const minMidi = Math.round(this.minMidiNote);
         const maxMidi = Math.round(this.maxMidiNote);
 
         if (!Number.isFinite(minMidi) || !Number.isFinite(maxMidi) || minMidi >= maxMidi) {
             console.warn('[Canvas] Invalid MIDI range for grid:', minMidi, maxMidi);
-            return;
+            return null;
         }
+        return getNoteRange(minMidi, maxMidi);
+    }
 
-        const notes = getNoteRange(minMidi, maxMidi);
+    /**
+     * Draw musical grid (horizontal lines for each note)
+     * @param {Array} notes - From gridNotes()
+     */
+    drawGrid(notes) {
         const labelWidth = 60; // Space for note labels on left
+        const isChromatic = getTuning().isChromatic;
 
         notes.forEach(noteInfo => {
             // Safety check
@@ -197,9 +936,17 @@ export class CanvasRenderer {
 
             const y = this.frequencyToY(noteInfo.frequency);
 
-            // Bold line for C notes (octave boundaries)
-            const isOctaveBoundary = noteInfo.note === 'C';
-            this.ctx.strokeStyle = isOctaveBoundary ? this.colors.gridBold : this.colors.grid;
+            // Bold line for the key's tonic (C without a key), or where
+            // scales without 12 notes per octave repeat; notes outside the
+            // key are dimmed
+            const isOctaveBoundary = isChromatic ? this.key.isTonic(noteInfo.midiNumber) : noteInfo.degree === 0;
+            let color = this.colors.grid;
+            if (isOctaveBoundary) {
+                color = this.colors.gridBold;
+            } else if (isChromatic && !this.key.isChromatic) {
+                color = this.key.contains(noteInfo.midiNumber) ? this.colors.gridInScale : this.colors.gridOutOfScale;
+            }
+            this.ctx.strokeStyle = color;
             this.ctx.lineWidth = isOctaveBoundary ? 1.5 : 0.5;
 
             this.ctx.beginPath();
@@ -211,18 +958,11 @@ export class CanvasRenderer {
 
     /**
      * Draw note labels on left side
+     * @param {Array} notes - From gridNotes()
      */
-    drawNoteLabels() {
-        // Ensure MIDI numbers are valid integers
-        const minMidi = Math.round(this.minMidiNote);
-        const maxMidi = Math.round(this.maxMidiNote);
-
-        if (!Number.isFinite(minMidi) || !Number.isFinite(maxMidi) || minMidi >= maxMidi) {
-            console.warn('[Canvas] Invalid MIDI range:', minMidi, maxMidi);
-            return;
-        }
-
-        const notes = getNoteRange(minMidi, maxMidi);
+    drawNoteLabels(notes) {
+        const isChromatic = getTuning().isChromatic;
+        let lastLabelY = Infinity;
 
         this.ctx.fillStyle = this.colors.noteLabel;
         this.ctx.font = '11px "Courier New", monospace';
@@ -237,9 +977,18 @@ export class CanvasRenderer {
 
             const y = this.frequencyToY(noteInfo.frequency);
 
-            // Only show labels for natural notes and C# to avoid clutter
-            if (!noteInfo.note.includes('#') || noteInfo.note === 'C#') {
-                this.ctx.fillText(noteInfo.noteName, 50, y);
+            // Label the key's notes; without a key only natural notes and
+            // C#/Db to avoid clutter. Scales without 12 notes per octave get
+            // every label that fits
+            let show = lastLabelY - y >= 12;
+            if (isChromatic) {
+                show = this.key.isChromatic
+                    ? this.key.spellings[noteInfo.midiNumber % 12].accidental === 0 || noteInfo.midiNumber % 12 === 1
+                    : this.key.contains(noteInfo.midiNumber);
+            }
+            if (show) {
+                this.ctx.fillText(this.noteLabel(noteInfo), 50, y);
+                lastLabelY = y;
             }
         });
     }
@@ -275,65 +1024,349 @@ export class CanvasRenderer {
         this.ctx.fillRect(labelWidth, yMin, this.width - labelWidth, yMax - yMin);
     }
 
+    /**
+     * Draw time ticks along the bottom: time into the file, or into the
+     * session while the live view is paused
+     */
+    drawTimeAxis() {
+        const labelWidth = 60;
+        const pixelsPerSecond = (this.width - labelWidth) / this.viewDuration;
+        const origin = this.getTimeOrigin();
+
+        // Smallest step that keeps labels ~80px apart
+        const steps = [0.1, 0.25, 0.5, 1, 2, 5, 10, 15, 30, 60, 120, 300, 600];
+        const step = steps.find(s => s * pixelsPerSecond >= 80) || steps[steps.length - 1];
+
+        this.ctx.strokeStyle = this.colors.grid;
+        this.ctx.fillStyle = this.colors.timeLabel;
+        this.ctx.lineWidth = 1;
+        this.ctx.font = '11px "Courier New", monospace';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'bottom';
+
+        const viewStart = this.viewStart - origin;
+        const first = Math.max(0, Math.ceil(viewStart / step) * step);
+        for (let t = first; t <= viewStart + this.viewDuration; t += step) {
+            const x = this.timeToX((origin + t) * 1000);
+
+            this.ctx.beginPath();
+            this.ctx.moveTo(x, this.height - 24);
+            this.ctx.lineTo(x, this.height - 16);
+            this.ctx.stroke();
+            this.ctx.fillText(formatTime(t, step < 1), x, this.height - 4);
+        }
+    }
+
+    /**
+     * Draw the playback position (file mode)
+     */
+    drawPlayhead() {
+        if (this.playheadTime === null) return;
+
+        const x = this.timeToX(this.playheadTime * 1000);
+        if (x < 60 || x > this.width) return;
+
+        this.ctx.strokeStyle = this.colors.playhead;
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.moveTo(x, 0);
+        this.ctx.lineTo(x, this.height);
+        this.ctx.stroke();
+    }
+
+    /**
+     * Draw where "now" is when the live view looks ahead or is paused
+     */
+    drawNowLine() {
+        const x = Math.round(this.timeToX(this.now() - this.displayDelay)) + 0.5;
+
+        this.ctx.strokeStyle = this.colors.nowLine;
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        this.ctx.moveTo(x, 0);
+        this.ctx.lineTo(x, this.height);
+        this.ctx.stroke();
+    }
+
+    /**
+     * Draw guide notes as bars (sloped for glides): upcoming notes in the
+     * target color, sung notes colored by score
+     */
+    drawGuideNotes() {
+        const now = this.now();
+        const displayNow = now - this.displayDelay;
+        const halfHeight = Math.max(3, Math.abs(this.midiToY(0.3) - this.midiToY(0)));
+
+        this.ctx.save();
+        this.ctx.beginPath();
+        this.ctx.rect(60, 0, this.width - 60, this.height);
+        this.ctx.clip();
+
+        this.ctx.lineCap = 'round';
+        this.ctx.lineWidth = halfHeight * 2;
+        this.ctx.font = '11px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'bottom';
+
+        for (const note of this.guideNotes) {
+            const x1 = this.timeToX(note.startTime, now);
+            const x2 = this.timeToX(note.endTime, now);
+            if (x2 < 60 || x1 > this.width) continue;
+
+            const y1 = this.midiToY(note.midi);
+            const y2 = this.midiToY(note.glideToMidi ?? note.midi);
+            const isActive = !note.result && note.startTime <= displayNow && displayNow < note.endTime;
+
+            // Inset by the round caps so consecutive notes stay separate
+            this.ctx.strokeStyle = this.guideNoteColor(note, isActive);
+            this.ctx.beginPath();
+            this.ctx.moveTo(x1 + halfHeight, y1);
+            this.ctx.lineTo(Math.max(x1 + halfHeight, x2 - halfHeight), y2);
+            this.ctx.stroke();
+
+            if (note.result && x2 - x1 > 24) {
+                this.ctx.fillStyle = this.colors.noteLabel;
+                this.ctx.fillText(String(note.result.score), (x1 + x2) / 2, Math.min(y1, y2) - halfHeight - 2);
+            }
+        }
+
+        this.ctx.restore();
+    }
+
+    /**
+     * Draw sung notes as bars at their median pitch, labeled with the note
+     * name and how far off it they were
+     */
+    drawSungNotes() {
+        const now = this.now();
+        const halfHeight = Math.max(2, Math.abs(this.midiToY(0.2) - this.midiToY(0)));
+
+        this.ctx.save();
+        this.ctx.beginPath();
+        this.ctx.rect(60, 0, this.width - 60, this.height);
+        this.ctx.clip();
+
+        this.ctx.font = '10px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'bottom';
+
+        const drawNote = (note) => {
+            const x1 = this.timeToX(note.startTime, now);
+            const x2 = this.timeToX(note.endTime, now);
+            if (x2 < 60 || x1 > this.width) return;
+
+            const y = this.midiToY(note.midi);
+            this.ctx.fillStyle = this.colors.sungNote;
+            this.ctx.fillRect(x1, y - halfHeight, Math.max(2, x2 - x1), halfHeight * 2);
+
+            // Label only bars wide enough to hold it
+            const cents = note.cents === 0 ? '' : ` ${note.cents > 0 ? '+' : ''}${note.cents}`;
+            const label = `${this.noteLabel(note)}${cents}`;
+            if (this.ctx.measureText(label).width <= x2 - x1) {
+                this.ctx.fillStyle = this.colors.sungNoteLabel;
+                this.ctx.fillText(label, x1, y - halfHeight - 1);
+            }
+        };
+
+        this.sungNotes.forEach(drawNote);
+        if (this.currentNote) drawNote(this.currentNote);
+
+        this.ctx.restore();
+    }
+
+    /**
+     * @param {Object} note - Guide note
+     * @param {boolean} isActive - Being sung now
+     * @returns {string} Bar color
+     */
+    guideNoteColor(note, isActive) {
+        if (!note.result) return isActive ? this.colors.guideNoteActive : this.colors.guideNote;
+        if (note.result.score >= 80) return this.colors.guideGood;
+        if (note.result.score >= 50) return this.colors.guideFair;
+        return this.colors.guidePoor;
+    }
+
+    /**
+     * Shade the sections where vibrato was found, spanning its pitch swing
+     */
+    drawVibratoZones() {
+        const now = this.now();
+        this.ctx.fillStyle = this.colors.vibratoZone;
+
+        this.forEachVisibleVibrato(now, (section, x1, x2) => {
+            const top = this.midiToY(section.highMidi + 0.25);
+            const bottom = this.midiToY(section.lowMidi - 0.25);
+            this.ctx.fillRect(x1, top, x2 - x1, bottom - top);
+        });
+    }
+
+    /**
+     * Label vibrato sections with rate and extent, above their zone
+     */
+    drawVibratoLabels() {
+        const now = this.now();
+        this.ctx.fillStyle = this.colors.vibratoLabel;
+        this.ctx.font = '12px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'bottom';
+
+        this.forEachVisibleVibrato(now, (section, x1, x2) => {
+            const label = `${section.rate.toFixed(1)} Hz ±${Math.round(section.extent)}¢`;
+            // Skip labels that don't fit their section
+            if (x2 - x1 < this.ctx.measureText(label).width) return;
+
+            const top = this.midiToY(section.highMidi + 0.25);
+            this.ctx.fillText(label, Math.max(60, x1), Math.max(14, top - 4));
+        });
+    }
+
+    /**
+     * Call fn(section, x1, x2) for vibrato sections overlapping the graph area
+     * @param {number} now - this.now() for live mode
+     * @param {Function} fn
+     */
+    forEachVisibleVibrato(now, fn) {
+        this.ctx.save();
+        this.ctx.beginPath();
+        this.ctx.rect(60, 0, this.width - 60, this.height);
+        this.ctx.clip();
+
+        for (const section of this.vibratoSections) {
+            const x1 = this.timeToX(section.startTime, now);
+            const x2 = this.timeToX(section.endTime, now);
+            if (x2 < 60 || x1 > this.width) continue;
+            fn(section, x1, x2);
+        }
+
+        this.ctx.restore();
+    }
+
     /**
      * Draw scrolling pitch line graph
+     * Segment opacity follows detection confidence; unvoiced or low-confidence
+     * frames are not drawn, and the line breaks when confident points are more
+     * than the gap tolerance apart.
+     * Points sit at their analysis timestamps, so the line moves continuously
+     * between frame-rate-independent analysis hops.
      */
     drawPitchGraph() {
-        if (this.pitchData.length < 2) return;
+        const history = this.history;
+        if (history.length < 2) return;
 
-        const labelWidth = 60;
-        const graphWidth = this.width - labelWidth;
-        const now = performance.now();
-        const timeWindowMs = this.timeWindow * 1000;
+        const now = this.now();
+        const [first, last] = this.visibleRange();
+
+        // Keep segments leading in from off-screen points out of the label column
+        this.ctx.save();
+        this.ctx.beginPath();
+        this.ctx.rect(60, 0, this.width - 60, this.height);
+        this.ctx.clip();
 
-        // Draw smooth line
         this.ctx.strokeStyle = this.colors.pitchLine;
         this.ctx.lineWidth = 3;
         this.ctx.lineCap = 'round';
         this.ctx.lineJoin = 'round';
 
-        this.ctx.beginPath();
-        let isDrawing = false;
-        let consecutiveNulls = 0;
+        // Last drawn point, in plain variables: no allocation per point and frame
+        let hasPrevious = false;
+        let previousX = 0;
+        let previousY = 0;
+        let previousConfidence = 0;
+        let previousTimestamp = 0;
+        let pathAlpha = null; // Opacity of the open path (null = no open path)
+
+        const closePath = () => {
+            if (pathAlpha !== null) {
+                this.ctx.stroke();
+                pathAlpha = null;
+            }
+        };
 
-        this.pitchData.forEach((point, index) => {
-            // Calculate x position (scroll from right to left)
-            const timeDelta = now - point.timestamp;
-            const x = this.width - (timeDelta / timeWindowMs) * graphWidth;
+        for (let i = first; i <= last; i++) {
+            if (!this.isConfidentAt(i)) continue;
 
-            if (!point.frequency) {
-                // Track consecutive null points
-                consecutiveNulls++;
+            const timestamp = history.timestampAt(i);
+            const confidence = history.confidenceAt(i);
 
-                // Only break line if we have a sustained gap
-                if (consecutiveNulls >= this.gapThreshold && isDrawing) {
-                    this.ctx.stroke();
-                    this.ctx.beginPath();
-                    isDrawing = false;
-                }
-                return;
+            // Only break line if we have a sustained gap
+            if (hasPrevious && timestamp - previousTimestamp > this.gapToleranceMs) {
+                closePath();
+                hasPrevious = false;
             }
 
-            // Reset null counter when we get valid pitch
-            consecutiveNulls = 0;
+            const x = this.timeToX(timestamp, now);
+            const y = this.frequencyToY(history.frequencyAt(i));
 
-            // Calculate y position
-            const y = this.frequencyToY(point.frequency);
+            if (hasPrevious) {
+                // Segments are batched into one path per (quantized) opacity level
+                const alpha = this.confidenceToAlpha(Math.min(previousConfidence, confidence));
+
+                if (alpha !== pathAlpha) {
+                    closePath();
+                    this.ctx.globalAlpha = alpha;
+                    this.ctx.beginPath();
+                    this.ctx.moveTo(previousX, previousY);
+                    pathAlpha = alpha;
+                }
 
-            if (!isDrawing) {
-                // Start new line segment
-                this.ctx.moveTo(x, y);
-                isDrawing = true;
-            } else {
-                // Continue line
                 this.ctx.lineTo(x, y);
             }
-        });
 
-        // Stroke final segment if we were drawing
-        if (isDrawing) {
-            this.ctx.stroke();
+            hasPrevious = true;
+            previousX = x;
+            previousY = y;
+            previousConfidence = confidence;
+            previousTimestamp = timestamp;
         }
+
+        closePath();
+        this.ctx.restore();
+    }
+
+    /**
+     * Indices of the points to draw: the visible slice plus one point either side
+     * @returns {Array} [first, last]
+     */
+    visibleRange() {
+        const labelWidth = 60;
+        const startMs = this.xToTime(labelWidth) * 1000;
+        const endMs = this.xToTime(this.width) * 1000;
+        return [
+            Math.max(0, this.history.indexAt(startMs) - 1),
+            Math.min(this.history.length - 1, this.history.indexAt(endMs))
+        ];
+    }
+
+    /**
+     * Whether a point is voiced and confident enough to draw
+     * @param {Object} point - Stored pitch point
+     * @returns {boolean}
+     */
+    isConfidentPoint(point) {
+        return Boolean(point.voiced && point.frequency && point.confidence >= this.minConfidence);
+    }
+
+    /**
+     * isConfidentPoint() for the history's point at an index
+     * @param {number} index
+     * @returns {boolean}
+     */
+    isConfidentAt(index) {
+        return this.history.voicedAt(index) &&
+            this.history.frequencyAt(index) !== null &&
+            this.history.confidenceAt(index) >= this.minConfidence;
+    }
+
+    /**
+     * Map confidence to line opacity, quantized to tenths to limit path changes
+     * @param {number} confidence - 0-1
+     * @returns {number} Opacity (minLineAlpha-1)
+     */
+    confidenceToAlpha(confidence) {
+        const span = this.fullConfidence - this.minConfidence;
+        const t = span > 0 ? (confidence - this.minConfidence) / span : 1;
+        const alpha = this.minLineAlpha + Math.max(0, Math.min(1, t)) * (1 - this.minLineAlpha);
+        return Math.round(alpha * 10) / 10;
     }
 
     /**
@@ -342,7 +1375,15 @@ export class CanvasRenderer {
      * @returns {number} Y coordinate
      */
     frequencyToY(frequency) {
-        const midiNote = hzToMidi(frequency);
+        return this.midiToY(hzToMidi(frequency));
+    }
+
+    /**
+     * Convert a (fractional) MIDI note to Y coordinate
+     * @param {number} midiNote - MIDI note number
+     * @returns {number} Y coordinate
+     */
+    midiToY(midiNote) {
         const noteRange = this.maxMidiNote - this.minMidiNote;
         const normalizedPosition = (midiNote - this.minMidiNote) / noteRange;
 
@@ -355,7 +1396,15 @@ export class CanvasRenderer {
      */
     setTimeWindow(seconds) {
         this.timeWindow = seconds;
-        this.maxDataPoints = Math.ceil(seconds * 60); // Assuming 60fps
+    }
+
+    /**
+     * Set the analysis hop the incoming frames are spaced by
+     * @param {number} hopMs - Milliseconds between pitch frames
+     */
+    setAnalysisHop(hopMs) {
+        this.analysisHopMs = hopMs;
+        this.liveHistory.setMaxLength(this.computeMaxDataPoints());
     }
 
     /**
@@ -377,11 +1426,103 @@ export class CanvasRenderer {
     }
 
     /**
-     * Set gap threshold for line continuity
-     * @param {number} threshold - Number of consecutive null points before breaking line
+     * Set the guide notes to draw
+     * @param {Array} notes - { startTime, endTime, midi, glideToMidi, result }
+     *   on the history's timeline (empty = none)
+     */
+    setGuideNotes(notes) {
+        this.guideNotes = notes;
+    }
+
+    /**
+     * Set the sung notes to draw
+     * @param {Array} notes - From NoteSegmenter, on the history's timeline
+     * @param {Object|null} currentNote - Note still being sung
+     */
+    setSungNotes(notes, currentNote = null) {
+        this.sungNotes = notes;
+        this.currentNote = currentNote;
+    }
+
+    /**
+     * Show or hide sung note bars
+     * @param {boolean} show
+     */
+    setShowNotes(show) {
+        this.showNotes = show;
+    }
+
+    /**
+     * Keep part of the live view ahead of now (for upcoming guide notes)
+     * @param {number} fraction - 0 (now at the right edge) to 0.5
+     */
+    setLookAhead(fraction) {
+        this.lookAhead = Math.max(0, Math.min(0.5, fraction));
+    }
+
+    /**
+     * Set the vibrato sections to annotate
+     * @param {Array} sections - From VibratoAnalyzer, timestamps on the history's timeline
+     */
+    setVibratoSections(sections) {
+        this.vibratoSections = sections;
+    }
+
+    /**
+     * Show or hide vibrato annotations
+     * @param {boolean} show
+     */
+    setShowVibrato(show) {
+        this.showVibrato = show;
+    }
+
+    /**
+     * Show or hide the tuner readout
+     * @param {boolean} show
+     */
+    setShowTuner(show) {
+        this.showTuner = show;
+    }
+
+    /**
+     * @param {MusicKey} key - Key whose notes are highlighted and spelled
+     */
+    setKey(key) {
+        this.key = key;
+    }
+
+    /**
+     * @param {string} style - 'letters', 'fixed-do', 'movable-do' or 'degrees'
+     */
+    setLabelStyle(style) {
+        this.labelStyle = style;
+    }
+
+    /**
+     * Name of a note in the current key and label style
+     * @param {Object} noteInfo - From getNoteRange() or hzToNote()
+     * @returns {string}
+     */
+    noteLabel(noteInfo) {
+        // Scales without 12 notes per octave keep their own names
+        if (!getTuning().isChromatic) return noteInfo.noteName;
+        return this.key.label(noteInfo.midiNumber, this.labelStyle);
+    }
+
+    /**
+     * Set gap tolerance for line continuity
+     * @param {number} ms - Longest gap between confident points that is still bridged
      */
-    setGapThreshold(threshold) {
-        this.gapThreshold = Math.max(1, Math.round(threshold));
+    setGapTolerance(ms) {
+        this.gapToleranceMs = Math.max(0, ms);
+    }
+
+    /**
+     * Set minimum confidence for drawing a frame
+     * @param {number} confidence - 0-1; frames below this count as gaps
+     */
+    setMinConfidence(confidence) {
+        this.minConfidence = Math.max(0, Math.min(1, confidence));
     }
 
     /**
@@ -422,3 +1563,78 @@ export class CanvasRenderer {
         this.maxMidiNote -= midiDelta;
     }
 }
+
+/**
+ * What changed in a list that only grows at the end and drops items from the
+ * front, where only the last item changes in place (sung notes, vibrato
+ * sections)
+ * @param {Array} list
+ * @param {Object} synced - { list, last } as last sent, updated
+ * @returns {Object} { reset, items, length }: without reset, the receiver
+ *   replaces its last item with items, then drops items from the front to
+ *   keep length
+ */
+function listChanges(list, synced) {
+    const from = list === synced.list && synced.last ? list.lastIndexOf(synced.last) : -1;
+    synced.list = list;
+    synced.last = list[list.length - 1] ?? null;
+    return {
+        reset: from < 0,
+        items: from < 0 ? list : list.slice(from),
+        length: list.length
+    };
+}
+
+/**
+ * Apply listChanges() to the receiving copy
+ * @param {Array} list - Changed in place
+ * @param {Object} changes
+ */
+function applyListChanges(list, changes) {
+    if (changes.reset) {
+        list.length = 0;
+    } else {
+        list.pop();
+    }
+    for (const item of changes.items) {
+        list.push(item);
+    }
+    list.splice(0, list.length - changes.length);
+}
+
+/**
+ * What changed in the guide notes: the notes are sent when they are replaced
+ * (setGuideNotes()), after that only the scores they are given as they are sung
+ * @param {Array} notes
+ * @param {Object} synced - { list, results } as last sent, updated
+ * @returns {Object} { notes (or null), results: [[index, result]] }
+ */
+function guideNoteChanges(notes, synced) {
+    if (notes !== synced.list) {
+        synced.list = notes;
+        synced.results = notes.map(note => note.result);
+        return { notes, results: [] };
+    }
+
+    const results = [];
+    notes.forEach((note, i) => {
+        if (note.result !== synced.results[i]) {
+            results.push([i, note.result]);
+            synced.results[i] = note.result;
+        }
+    });
+    return { notes: null, results };
+}
+
+/**
+ * Format seconds as m:ss (or m:ss.s for sub-second steps)
+ * @param {number} seconds
+ * @param {boolean} showTenths
+ * @returns {string}
+ */
+function formatTime(seconds, showTenths = false) {
+    const minutes = Math.floor(seconds / 60);
+    const rest = seconds - minutes * 60;
+    const secondsText = showTenths ? rest.toFixed(1).padStart(4, '0') : String(Math.floor(rest)).padStart(2, '0');
+    return `${minutes}:${secondsText}`;
+}
@@ -0,0 +1,194 @@
+/**
+ * Journal Charts
+ * Progress charts for the practice journal, drawn on small canvases:
+ * - range over time: extremes and tessitura of each session
+ * - intonation accuracy: share of the singing in tune, per session
+ * - minutes sung per day
+ */
+
+const PADDING = { top: 8, right: 8, bottom: 18, left: 34 };
+const FONT = '10px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+const COLORS = {
+    grid: 'rgba(255, 255, 255, 0.1)',
+    label: 'rgba(255, 255, 255, 0.5)',
+    extremes: 'rgba(0, 212, 255, 0.35)',
+    tessitura: '#00ff88',
+    accuracy: '#00ff88',
+    minutes: 'rgba(0, 212, 255, 0.7)'
+};
+
+/**
+ * Extremes (thin) and tessitura (thick) of each session, oldest on the left
+ * @param {HTMLCanvasElement} canvas
+ * @param {Array} sessions - Journal records with stats, oldest first
+ * @param {Function} label - (midi) => note label for the axis
+ */
+export function drawRangeChart(canvas, sessions, label) {
+    const chart = prepare(canvas);
+    const sung = sessions.filter(s => s.stats);
+    if (sung.length === 0) return drawEmpty(chart);
+
+    const low = Math.floor(Math.min(...sung.map(s => s.stats.extremes.low))) - 1;
+    const high = Math.ceil(Math.max(...sung.map(s => s.stats.extremes.high))) + 1;
+    const y = (midi) => chart.bottom - (midi - low) / (high - low) * (chart.bottom - chart.top);
+
+    // One line per octave-ish step, labeled with notes
+    const step = Math.max(1, Math.ceil((high - low) / 4));
+    for (let midi = Math.ceil(low / step) * step; midi <= high; midi += step) {
+        drawGridLine(chart, y(midi), label(midi));
+    }
+
+    const slot = (chart.right - chart.left) / sung.length;
+    const width = Math.max(2, Math.min(12, slot * 0.6));
+    sung.forEach((session, i) => {
+        const x = chart.left + slot * (i + 0.5);
+        const { extremes, tessitura } = session.stats;
+        chart.ctx.fillStyle = COLORS.extremes;
+        chart.ctx.fillRect(x - width / 4, y(extremes.high), width / 2, y(extremes.low) - y(extremes.high));
+        chart.ctx.fillStyle = COLORS.tessitura;
+        chart.ctx.fillRect(x - width / 2, y(tessitura.high), width, Math.max(2, y(tessitura.low) - y(tessitura.high)));
+    });
+    drawDateLabels(chart, sung.map(s => new Date(s.id)));
+}
+
+/**
+ * In-tune percentage of each session, oldest on the left
+ * @param {HTMLCanvasElement} canvas
+ * @param {Array} sessions - Journal records with stats, oldest first
+ */
+export function drawAccuracyChart(canvas, sessions) {
+    const chart = prepare(canvas);
+    const measured = sessions.filter(s => s.stats?.inTunePercent !== null && s.stats?.inTunePercent !== undefined);
+    if (measured.length === 0) return drawEmpty(chart);
+
+    const y = (percent) => chart.bottom - percent / 100 * (chart.bottom - chart.top);
+    for (const percent of [0, 50, 100]) {
+        drawGridLine(chart, y(percent), `${percent}%`);
+    }
+
+    const slot = (chart.right - chart.left) / measured.length;
+    const { ctx } = chart;
+    ctx.strokeStyle = COLORS.accuracy;
+    ctx.fillStyle = COLORS.accuracy;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    measured.forEach((session, i) => {
+        const x = chart.left + slot * (i + 0.5);
+        if (i === 0) ctx.moveTo(x, y(session.stats.inTunePercent));
+        else ctx.lineTo(x, y(session.stats.inTunePercent));
+    });
+    ctx.stroke();
+    measured.forEach((session, i) => {
+        ctx.beginPath();
+        ctx.arc(chart.left + slot * (i + 0.5), y(session.stats.inTunePercent), 2.5, 0, Math.PI * 2);
+        ctx.fill();
+    });
+    drawDateLabels(chart, measured.map(s => new Date(s.id)));
+}
+
+/**
+ * Minutes sung on each of the last days (today on the right)
+ * @param {HTMLCanvasElement} canvas
+ * @param {Array} sessions - Journal records
+ * @param {number} days - How many days to show
+ */
+export function drawMinutesChart(canvas, sessions, days = 14) {
+    const chart = prepare(canvas);
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const dates = [];
+    for (let i = days - 1; i >= 0; i--) {
+        dates.push(new Date(today.getFullYear(), today.getMonth(), today.getDate() - i));
+    }
+    const minutes = dates.map(date => {
+        const end = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+        return sessions
+            .filter(s => s.id >= date.getTime() && s.id < end.getTime())
+            .reduce((sum, s) => sum + (s.stats?.sungMs ?? 0) / 60000, 0);
+    });
+
+    const most = Math.max(10, ...minutes);
+    const y = (value) => chart.bottom - value / most * (chart.bottom - chart.top);
+    drawGridLine(chart, y(0), '0');
+    drawGridLine(chart, y(most), `${Math.round(most)}m`);
+
+    const slot = (chart.right - chart.left) / days;
+    chart.ctx.fillStyle = COLORS.minutes;
+    minutes.forEach((value, i) => {
+        if (value <= 0) return;
+        chart.ctx.fillRect(chart.left + slot * i + slot * 0.15, y(value), slot * 0.7, chart.bottom - y(value));
+    });
+    drawDateLabels(chart, dates);
+}
+
+/**
+ * Size the canvas for the screen and clear it
+ * @param {HTMLCanvasElement} canvas
+ * @returns {Object} { ctx, width, height, left, right, top, bottom } in CSS pixels
+ */
+function prepare(canvas) {
+    const dpr = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth || 300;
+    const height = canvas.clientHeight || 100;
+    canvas.width = Math.round(width * dpr);
+    canvas.height = Math.round(height * dpr);
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = FONT;
+
+    return {
+        ctx,
+        width,
+        height,
+        left: PADDING.left,
+        right: width - PADDING.right,
+        top: PADDING.top,
+        bottom: height - PADDING.bottom
+    };
+}
+
+function drawEmpty(chart) {
+    chart.ctx.fillStyle = COLORS.label;
+    chart.ctx.textAlign = 'center';
+    chart.ctx.textBaseline = 'middle';
+    chart.ctx.fillText('No sessions yet', chart.width / 2, chart.height / 2);
+}
+
+/**
+ * Horizontal line with its value on the left
+ */
+function drawGridLine(chart, y, text) {
+    const { ctx } = chart;
+    ctx.strokeStyle = COLORS.grid;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(chart.left, Math.round(y) + 0.5);
+    ctx.lineTo(chart.right, Math.round(y) + 0.5);
+    ctx.stroke();
+
+    ctx.fillStyle = COLORS.label;
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, chart.left - 4, y);
+}
+
+/**
+ * First and last date under the chart
+ * @param {Object} chart
+ * @param {Date[]} dates - One per slot, oldest first
+ */
+function drawDateLabels(chart, dates) {
+    const { ctx } = chart;
+    const format = (date) => date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    ctx.fillStyle = COLORS.label;
+    ctx.textBaseline = 'bottom';
+    ctx.textAlign = 'left';
+    ctx.fillText(format(dates[0]), chart.left, chart.height);
+    if (dates.length > 1) {
+        ctx.textAlign = 'right';
+        ctx.fillText(format(dates[dates.length - 1]), chart.right, chart.height);
+    }
+}
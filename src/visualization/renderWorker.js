@@ -0,0 +1,33 @@
+/**
+ * Render Worker
+ * Draws the pitch graph on the page's canvas, transferred here as an
+ * OffscreenCanvas, so drawing doesn't compete with the UI thread. The page's
+ * CanvasRenderer keeps all state and sends what changed each frame (see
+ * CanvasRenderer.syncWorker()); this one only draws.
+ */
+
+import { CanvasRenderer } from './canvas.js';
+
+let renderer = null;
+
+self.onmessage = (e) => {
+    const message = e.data;
+
+    switch (message.type) {
+        case 'init':
+            renderer = new CanvasRenderer(message.canvas);
+            // Timestamps are on the page's performance.now() timeline
+            renderer.clockOffset = performance.timeOrigin - message.timeOrigin;
+            break;
+
+        case 'render':
+            try {
+                renderer.applyWorkerFrame(message);
+                renderer.render();
+            } finally {
+                // Ready for the next frame
+                self.postMessage({ type: 'rendered' });
+            }
+            break;
+    }
+};
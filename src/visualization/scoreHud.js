@@ -0,0 +1,57 @@
+/**
+ * Score HUD
+ * Title, progress line and accuracy/timing/stability/score readout shown while
+ * singing an exercise or a guide track.
+ */
+
+export class ScoreHud {
+    constructor() {
+        // DOM elements
+        this.element = document.getElementById('scoreHud');
+        this.title = document.getElementById('scoreHudTitle');
+        this.status = document.getElementById('scoreHudStatus');
+        this.values = ['Accuracy', 'Timing', 'Stability', 'Score']
+            .map(name => document.getElementById(`score${name}`));
+    }
+
+    /**
+     * @param {boolean} visible
+     */
+    show(visible) {
+        this.element.classList.toggle('hidden', !visible);
+    }
+
+    /**
+     * @param {string} text - Exercise or part name
+     */
+    setTitle(text) {
+        this.title.textContent = text;
+    }
+
+    /**
+     * @param {string} text - Progress or instructions
+     */
+    setStatus(text) {
+        this.status.textContent = text;
+    }
+
+    /**
+     * Show one note's result, or averages
+     * @param {Object|null} result - { accuracy, timing, stability, score }, null = missed note
+     */
+    setResult(result) {
+        const numbers = result && [result.accuracy, result.timing, result.stability, result.score];
+        this.values.forEach((element, i) => {
+            element.textContent = numbers ? String(numbers[i]) : '✕';
+        });
+    }
+
+    /**
+     * Blank the numbers (before the first note is scored)
+     */
+    clearResult() {
+        this.values.forEach(element => {
+            element.textContent = '–';
+        });
+    }
+}
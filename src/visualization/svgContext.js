@@ -0,0 +1,194 @@
+/**
+ * SVG Context
+ * Records the subset of CanvasRenderingContext2D calls the renderer makes
+ * (paths, rectangles, text, clipping, dashes, opacity) as SVG elements, so
+ * the same drawing code exports a vector image.
+ */
+
+export class SvgContext {
+    /**
+     * @param {number} width - Image width in CSS pixels
+     * @param {number} height
+     */
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.elements = [];
+        this.clipPaths = [];
+        this.path = '';
+        this.pathX = 0; // Current point, for arcTo
+        this.pathY = 0;
+        this.stack = [];
+
+        // Canvas state (saved and restored with save()/restore())
+        this.fillStyle = '#000000';
+        this.strokeStyle = '#000000';
+        this.lineWidth = 1;
+        this.lineCap = 'butt';
+        this.lineJoin = 'miter';
+        this.globalAlpha = 1;
+        this.font = '10px sans-serif';
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
+        this.lineDash = [];
+        this.clipId = null;
+        this.scaleX = 1;
+        this.scaleY = 1;
+
+        // Text is measured on a real canvas
+        this.measureContext = document.createElement('canvas').getContext('2d');
+    }
+
+    save() {
+        this.stack.push(this.getState());
+    }
+
+    restore() {
+        const state = this.stack.pop();
+        if (state) Object.assign(this, state);
+    }
+
+    getState() {
+        const { fillStyle, strokeStyle, lineWidth, lineCap, lineJoin, globalAlpha, font, textAlign, textBaseline, lineDash, clipId, scaleX, scaleY } = this;
+        return { fillStyle, strokeStyle, lineWidth, lineCap, lineJoin, globalAlpha, font, textAlign, textBaseline, lineDash, clipId, scaleX, scaleY };
+    }
+
+    scale(x, y) {
+        this.scaleX *= x;
+        this.scaleY *= y;
+    }
+
+    setLineDash(segments) {
+        this.lineDash = [...segments];
+    }
+
+    beginPath() {
+        this.path = '';
+    }
+
+    moveTo(x, y) {
+        this.path += `M${this.px(x, y)}`;
+        this.pathX = x;
+        this.pathY = y;
+    }
+
+    lineTo(x, y) {
+        this.path += `L${this.px(x, y)}`;
+        this.pathX = x;
+        this.pathY = y;
+    }
+
+    closePath() {
+        this.path += 'Z';
+    }
+
+    rect(x, y, width, height) {
+        this.moveTo(x, y);
+        this.lineTo(x + width, y);
+        this.lineTo(x + width, y + height);
+        this.lineTo(x, y + height);
+        this.closePath();
+    }
+
+    /**
+     * Rounded corner from the current point towards (x1, y1), then (x2, y2)
+     */
+    arcTo(x1, y1, x2, y2, radius) {
+        const ax = this.pathX - x1;
+        const ay = this.pathY - y1;
+        const bx = x2 - x1;
+        const by = y2 - y1;
+        const lengthA = Math.hypot(ax, ay);
+        const lengthB = Math.hypot(bx, by);
+        const angle = Math.acos(Math.max(-1, Math.min(1, (ax * bx + ay * by) / (lengthA * lengthB))));
+        if (!radius || !lengthA || !lengthB || !Number.isFinite(angle) || angle === 0 || angle === Math.PI) {
+            this.lineTo(x1, y1);
+            return;
+        }
+
+        // Tangent points on both lines, joined by an arc of the given radius
+        const distance = radius / Math.tan(angle / 2);
+        const startX = x1 + (ax / lengthA) * distance;
+        const startY = y1 + (ay / lengthA) * distance;
+        const endX = x1 + (bx / lengthB) * distance;
+        const endY = y1 + (by / lengthB) * distance;
+        const sweep = ax * by - ay * bx < 0 ? 1 : 0;
+
+        this.lineTo(startX, startY);
+        this.path += `A${num(radius * this.scaleX)} ${num(radius * this.scaleY)} 0 0 ${sweep} ${this.px(endX, endY)}`;
+        this.pathX = endX;
+        this.pathY = endY;
+    }
+
+    clip() {
+        const id = `clip${this.clipPaths.length}`;
+        this.clipPaths.push(`<clipPath id="${id}"><path d="${this.path}"/></clipPath>`);
+        this.clipId = id;
+    }
+
+    stroke() {
+        if (!this.path) return;
+        const dash = this.lineDash.length > 0 ? ` stroke-dasharray="${this.lineDash.map(num).join(' ')}"` : '';
+        this.addElement(`<path d="${this.path}" fill="none" stroke="${this.strokeStyle}" stroke-width="${num(this.lineWidth * this.scaleX)}" stroke-linecap="${this.lineCap}" stroke-linejoin="${this.lineJoin}"${dash}`);
+    }
+
+    fill() {
+        if (!this.path) return;
+        this.addElement(`<path d="${this.path}" fill="${this.fillStyle}"`);
+    }
+
+    fillRect(x, y, width, height) {
+        this.addElement(`<rect x="${num(x * this.scaleX)}" y="${num(y * this.scaleY)}" width="${num(width * this.scaleX)}" height="${num(height * this.scaleY)}" fill="${this.fillStyle}"`);
+    }
+
+    fillText(text, x, y) {
+        const anchor = { left: 'start', start: 'start', center: 'middle', right: 'end', end: 'end' }[this.textAlign];
+        const baseline = { top: 'hanging', hanging: 'hanging', middle: 'central', bottom: 'text-after-edge', ideographic: 'ideographic' }[this.textBaseline] ?? 'alphabetic';
+        this.addElement(`<text x="${num(x * this.scaleX)}" y="${num(y * this.scaleY)}" fill="${this.fillStyle}" text-anchor="${anchor}" dominant-baseline="${baseline}" style="font: ${escapeXml(this.font)}"`, escapeXml(String(text)));
+    }
+
+    measureText(text) {
+        this.measureContext.font = this.font;
+        return this.measureContext.measureText(text);
+    }
+
+    /**
+     * @param {string} start - Opening tag without its end
+     * @param {string|null} content - Text content, null for an empty element
+     */
+    addElement(start, content = null) {
+        const opacity = this.globalAlpha < 1 ? ` opacity="${num(this.globalAlpha)}"` : '';
+        const clip = this.clipId ? ` clip-path="url(#${this.clipId})"` : '';
+        const tag = start.slice(1, start.indexOf(' '));
+        this.elements.push(content === null
+            ? `${start}${opacity}${clip}/>`
+            : `${start}${opacity}${clip}>${content}</${tag}>`);
+    }
+
+    px(x, y) {
+        return `${num(x * this.scaleX)} ${num(y * this.scaleY)}`;
+    }
+
+    /**
+     * @returns {string} The recorded drawing as an SVG document
+     */
+    toString() {
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">`,
+            `<defs>${this.clipPaths.join('')}</defs>`,
+            ...this.elements,
+            '</svg>'
+        ].join('\n');
+    }
+}
+
+/**
+ * Number with at most 2 decimals
+ */
+function num(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+function escapeXml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
@@ -0,0 +1,193 @@
+/**
+ * Tuner Overlay
+ * Draws the current note name, frequency and a cents needle onto the pitch
+ * canvas. The last note is held through short gaps (breaths, consonants) so
+ * the readout doesn't flicker between notes.
+ */
+
+import { hzToNote } from '../utils/noteConverter.js';
+
+export class TunerOverlay {
+    constructor() {
+        this.inTuneCents = 10; // ± cents drawn as the in-tune zone
+        this.holdMs = 500; // Keep the last note this long after the voice stops
+
+        this.note = null; // hzToNote() result for the shown pitch
+        this.exactCents = 0; // Unrounded deviation from the note (±50 in 12-note tunings)
+        this.lastConfidentTime = null; // ms, on the frames' timeline
+        this.isHeld = false; // Showing a held note, not the current frame
+        this.needleCents = 0; // Eased needle position
+
+        // Names the note (key spelling, solfège); set by the renderer
+        this.labelNote = (note) => note.noteName;
+
+        this.width = 240;
+        this.height = 92;
+        this.colors = {
+            background: 'rgba(20, 20, 20, 0.85)',
+            border: 'rgba(255, 255, 255, 0.15)',
+            text: 'rgba(255, 255, 255, 0.9)',
+            dimText: 'rgba(255, 255, 255, 0.5)',
+            scale: 'rgba(255, 255, 255, 0.3)',
+            inTuneZone: 'rgba(0, 255, 136, 0.2)',
+            inTune: '#00ff88',
+            sharp: '#ff9f43',
+            flat: '#00d4ff'
+        };
+    }
+
+    /**
+     * Feed the newest pitch point
+     * @param {Object} point - { frequency, timestamp } with frequency null when unvoiced
+     * @param {boolean} isConfident - Whether the point should be shown
+     */
+    update(point, isConfident) {
+        // Jumping back in time (seeking a recording) drops whatever was held
+        if (this.lastConfidentTime !== null && point.timestamp < this.lastConfidentTime) {
+            this.clear();
+        }
+
+        if (isConfident) {
+            this.note = hzToNote(point.frequency);
+            this.exactCents = this.note.exactCents;
+            this.lastConfidentTime = point.timestamp;
+            this.isHeld = false;
+            return;
+        }
+
+        if (this.note && point.timestamp - this.lastConfidentTime > this.holdMs) {
+            this.clear();
+        } else {
+            this.isHeld = this.note !== null;
+        }
+    }
+
+    clear() {
+        this.note = null;
+        this.lastConfidentTime = null;
+        this.isHeld = false;
+    }
+
+    /**
+     * Draw the tuner, centered horizontally
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {number} canvasWidth - CSS pixels
+     * @param {number} bottom - Y of the tuner's bottom edge
+     */
+    draw(ctx, canvasWidth, bottom) {
+        const x = Math.round((canvasWidth - this.width) / 2);
+        const y = Math.round(bottom - this.height);
+
+        ctx.save();
+
+        // Panel
+        ctx.fillStyle = this.colors.background;
+        ctx.strokeStyle = this.colors.border;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        roundedRect(ctx, x, y, this.width, this.height, 12);
+        ctx.fill();
+        ctx.stroke();
+
+        this.drawReadout(ctx, x, y);
+        this.drawScale(ctx, x + 16, y + 66, this.width - 32);
+
+        ctx.restore();
+    }
+
+    /**
+     * Note name, frequency and cents
+     */
+    drawReadout(ctx, x, y) {
+        ctx.globalAlpha = this.isHeld ? 0.5 : 1;
+        ctx.textBaseline = 'alphabetic';
+
+        if (!this.note) {
+            ctx.fillStyle = this.colors.dimText;
+            ctx.font = '600 28px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText('–', x + this.width / 2, y + 40);
+            ctx.globalAlpha = 1;
+            return;
+        }
+
+        ctx.fillStyle = this.colors.text;
+        ctx.font = '600 28px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillText(this.labelNote(this.note), x + 16, y + 40);
+
+        ctx.font = '12px "Courier New", monospace';
+        ctx.textAlign = 'right';
+        ctx.fillStyle = this.colors.dimText;
+        ctx.fillText(`${this.note.frequency.toFixed(1)} Hz`, x + this.width - 16, y + 24);
+
+        const cents = Math.round(this.exactCents);
+        ctx.font = '600 16px "Courier New", monospace';
+        ctx.fillStyle = this.centsColor(this.exactCents);
+        ctx.fillText(`${cents > 0 ? '+' : ''}${cents}¢`, x + this.width - 16, y + 42);
+
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Horizontal -50..+50 cent scale with the in-tune zone and needle
+     */
+    drawScale(ctx, x, y, width) {
+        const center = x + width / 2;
+        const centsToX = (cents) => center + (cents / 50) * (width / 2);
+
+        // In-tune zone
+        ctx.fillStyle = this.colors.inTuneZone;
+        const zoneLeft = centsToX(-this.inTuneCents);
+        ctx.fillRect(zoneLeft, y - 10, centsToX(this.inTuneCents) - zoneLeft, 20);
+
+        // Ticks every 10 cents, longer at 0 and ±50
+        ctx.strokeStyle = this.colors.scale;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let cents = -50; cents <= 50; cents += 10) {
+            const tickX = Math.round(centsToX(cents)) + 0.5;
+            const length = cents % 50 === 0 ? 8 : 4;
+            ctx.moveTo(tickX, y - length);
+            ctx.lineTo(tickX, y + length);
+        }
+        ctx.stroke();
+
+        if (!this.note) return;
+
+        // Ease toward the target so the needle doesn't jitter at frame rate
+        this.needleCents += (this.exactCents - this.needleCents) * 0.35;
+
+        ctx.globalAlpha = this.isHeld ? 0.5 : 1;
+        ctx.strokeStyle = this.centsColor(this.needleCents);
+        ctx.lineWidth = 3;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        const needleX = centsToX(Math.max(-50, Math.min(50, this.needleCents)));
+        ctx.moveTo(needleX, y - 12);
+        ctx.lineTo(needleX, y + 12);
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * @param {number} cents - Deviation from the note
+     * @returns {string} Color: in tune, sharp or flat
+     */
+    centsColor(cents) {
+        if (Math.abs(cents) <= this.inTuneCents) return this.colors.inTune;
+        return cents > 0 ? this.colors.sharp : this.colors.flat;
+    }
+}
+
+/**
+ * Rounded rectangle path (CanvasRenderingContext2D.roundRect isn't everywhere yet)
+ */
+function roundedRect(ctx, x, y, width, height, radius) {
+    ctx.moveTo(x + radius, y);
+    ctx.arcTo(x + width, y, x + width, y + height, radius);
+    ctx.arcTo(x + width, y + height, x, y + height, radius);
+    ctx.arcTo(x, y + height, x, y, radius);
+    ctx.arcTo(x, y, x + width, y, radius);
+    ctx.closePath();
+}
@@ -0,0 +1,48 @@
+/**
+ * Vibrato HUD
+ * Compact readout of the current (or most recent) vibrato section.
+ */
+
+export class VibratoHud {
+    constructor() {
+        // DOM elements
+        this.element = document.getElementById('vibratoHud');
+        this.rateValue = document.getElementById('vibratoRate');
+        this.extentValue = document.getElementById('vibratoExtent');
+        this.regularityValue = document.getElementById('vibratoRegularity');
+        this.onsetValue = document.getElementById('vibratoOnset');
+
+        this.lastText = null; // Skip DOM writes when nothing changed
+    }
+
+    /**
+     * Show a section's numbers
+     * @param {Object|null} section - Vibrato section, or null when none found yet
+     * @param {boolean} visible - Whether vibrato analysis is shown at all
+     */
+    update(section, visible) {
+        this.element.classList.toggle('hidden', !visible);
+        if (!visible) return;
+
+        // Finished sections stay on screen, dimmed, until the next one starts
+        this.element.classList.toggle('stale', !section || !section.active);
+
+        const text = section
+            ? [
+                `${section.rate.toFixed(1)} Hz`,
+                `±${Math.round(section.extent)}¢`,
+                `${Math.round(section.regularity * 100)}%`,
+                `${Math.round(section.onsetDelay)} ms`
+            ]
+            : ['–', '–', '–', '–'];
+
+        const key = text.join('|');
+        if (key === this.lastText) return;
+        this.lastText = key;
+
+        [this.rateValue, this.extentValue, this.regularityValue, this.onsetValue]
+            .forEach((element, i) => {
+                element.textContent = text[i];
+            });
+    }
+}
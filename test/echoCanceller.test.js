@@ -0,0 +1,59 @@
+/**
+ * Echo canceller: a reference tone played through a simple echo path
+ * (delay and gain) must be cancelled at every pitch, including tones that
+ * fall on or near an FFT bin centre.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EchoCanceller } from '../src/audio/echoCanceller.js';
+import { midiToHz } from '../src/utils/noteConverter.js';
+
+const BLOCK_SIZE = 256;
+const AMPLITUDE = 0.3;
+const ECHO_DELAY_S = 0.02;
+const ECHO_GAIN = 0.5;
+const DURATION_S = 3;
+const MIN_CANCELLATION_DB = 40; // Over the last second
+
+/**
+ * @returns {number} Echo power over residual power in the last second (dB)
+ */
+function cancellation(sampleRate, frequency) {
+    const canceller = new EchoCanceller(sampleRate, BLOCK_SIZE);
+    const delay = Math.round(ECHO_DELAY_S * sampleRate);
+    const tone = (i) => i < 0 ? 0 : AMPLITUDE * Math.sin(2 * Math.PI * frequency * i / sampleRate);
+
+    const blocks = Math.ceil(DURATION_S * sampleRate / BLOCK_SIZE);
+    const measuredFrom = blocks - Math.ceil(sampleRate / BLOCK_SIZE);
+    let echoSum = 0;
+    let residualSum = 0;
+
+    for (let b = 0; b < blocks; b++) {
+        const reference = new Float32Array(BLOCK_SIZE);
+        const mic = new Float32Array(BLOCK_SIZE);
+        for (let i = 0; i < BLOCK_SIZE; i++) {
+            const n = b * BLOCK_SIZE + i;
+            reference[i] = tone(n);
+            mic[i] = ECHO_GAIN * tone(n - delay);
+        }
+
+        const output = canceller.process(mic, reference);
+        if (b >= measuredFrom) {
+            for (let i = 0; i < BLOCK_SIZE; i++) {
+                echoSum += mic[i] * mic[i];
+                residualSum += output[i] * output[i];
+            }
+        }
+    }
+    return 10 * Math.log10(echoSum / (residualSum + 1e-20));
+}
+
+for (const sampleRate of [44100, 48000]) {
+    test(`cancels sine references C3–C5 at ${sampleRate} Hz`, () => {
+        for (let midi = 48; midi <= 72; midi++) {
+            const db = cancellation(sampleRate, midiToHz(midi));
+            assert.ok(db >= MIN_CANCELLATION_DB, `MIDI ${midi}: ${db.toFixed(1)} dB`);
+        }
+    });
+}
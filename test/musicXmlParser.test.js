@@ -0,0 +1,39 @@
+/**
+ * MusicXML reader: pitches are read from <step>, <alter> and <octave>, in
+ * every octave the format allows.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DOMParser } from 'linkedom';
+import { parseMusicXml } from '../src/practice/musicXmlParser.js';
+
+// The reader runs in the browser; Node has no DOMParser of its own
+globalThis.DOMParser = DOMParser;
+
+/**
+ * @param {string} pitches - <pitch> elements, one quarter note each
+ * @returns {string} Single-part score
+ */
+function score(pitches) {
+    const notes = pitches.map(pitch => `<note><pitch>${pitch}</pitch><duration>1</duration></note>`).join('');
+    return `<?xml version="1.0"?>
+        <score-partwise>
+            <part-list><score-part id="P1"><part-name>Voice</part-name></score-part></part-list>
+            <part id="P1"><measure number="1"><attributes><divisions>1</divisions></attributes>${notes}</measure></part>
+        </score-partwise>`;
+}
+
+test('reads pitches in octave 0', () => {
+    const { parts } = parseMusicXml(score([
+        '<step>A</step><octave>0</octave>',
+        '<step>B</step><alter>-1</alter><octave>0</octave>',
+        '<step>B</step><octave>0</octave>'
+    ]));
+    assert.deepEqual(parts[0].notes.map(note => note.midi), [21, 22, 23]);
+});
+
+test('places a pitch without an octave in octave 4', () => {
+    const { parts } = parseMusicXml(score(['<step>C</step>', '<step>F</step><alter>1</alter><octave>5</octave>']));
+    assert.deepEqual(parts[0].notes.map(note => note.midi), [60, 78]);
+});
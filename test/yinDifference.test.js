@@ -0,0 +1,97 @@
+/**
+ * YIN difference function: the FFT form must match the direct O(N²) sum
+ * d(τ) = Σ(x[i] - x[i+τ])² for voiced signals and for noise.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { differenceFunction } from '../src/audio/detectors/yin.js';
+import { createFFTWorkspace } from '../src/audio/detectors/utils.js';
+import { nextPowerOfTwo } from '../src/audio/fft.js';
+
+const SAMPLE_RATE = 44100;
+const BUFFER_SIZES = [2048, 8192];
+const MAX_RELATIVE_ERROR = 1e-6; // Of the energy the lag compares (E(0) + E(τ)); the output is Float32
+
+/**
+ * @returns {Float64Array} d(τ) for τ in [0, buffer.length / 2), summed directly
+ */
+function directDifference(buffer) {
+    const windowSize = Math.floor(buffer.length / 2);
+    const result = new Float64Array(windowSize);
+    for (let tau = 0; tau < windowSize; tau++) {
+        let sum = 0;
+        for (let i = 0; i < windowSize; i++) {
+            const delta = buffer[i] - buffer[i + tau];
+            sum += delta * delta;
+        }
+        result[tau] = sum;
+    }
+    return result;
+}
+
+/**
+ * @returns {number} Largest |FFT - direct| over the energy of the two windows
+ */
+function maxRelativeError(buffer) {
+    const windowSize = Math.floor(buffer.length / 2);
+    const fast = differenceFunction(buffer, createFFTWorkspace(nextPowerOfTwo(buffer.length)));
+    const direct = directDifference(buffer);
+    assert.equal(fast.length, direct.length);
+
+    let windowEnergy = 0;
+    for (let i = 0; i < windowSize; i++) windowEnergy += buffer[i] * buffer[i];
+
+    let shiftedEnergy = windowEnergy;
+    let worst = 0;
+    for (let tau = 0; tau < windowSize; tau++) {
+        if (tau > 0) {
+            shiftedEnergy += buffer[tau - 1 + windowSize] ** 2 - buffer[tau - 1] ** 2;
+        }
+        worst = Math.max(worst, Math.abs(fast[tau] - direct[tau]) / (windowEnergy + shiftedEnergy));
+    }
+    return worst;
+}
+
+/**
+ * Sung-like tone: fundamental with falling harmonics, light vibrato
+ */
+function voiced(size, frequency) {
+    const buffer = new Float32Array(size);
+    let phase = 0;
+    for (let i = 0; i < size; i++) {
+        const t = i / SAMPLE_RATE;
+        phase += 2 * Math.PI * frequency * (1 + 0.01 * Math.sin(2 * Math.PI * 5.5 * t)) / SAMPLE_RATE;
+        for (let h = 1; h <= 6; h++) {
+            buffer[i] += 0.4 / h * Math.sin(h * phase);
+        }
+    }
+    return buffer;
+}
+
+/**
+ * Uniform white noise from a fixed seed
+ */
+function noise(size) {
+    const buffer = new Float32Array(size);
+    let seed = 12345;
+    for (let i = 0; i < size; i++) {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        buffer[i] = (seed / 2147483648) * 2 - 1;
+    }
+    return buffer;
+}
+
+for (const size of BUFFER_SIZES) {
+    test(`matches the direct sum for voiced signals (${size} samples)`, () => {
+        for (const frequency of [82.4, 220, 659.3]) {
+            const error = maxRelativeError(voiced(size, frequency));
+            assert.ok(error <= MAX_RELATIVE_ERROR, `${frequency} Hz: ${error.toExponential(2)}`);
+        }
+    });
+
+    test(`matches the direct sum for noise (${size} samples)`, () => {
+        const error = maxRelativeError(noise(size));
+        assert.ok(error <= MAX_RELATIVE_ERROR, error.toExponential(2));
+    });
+}